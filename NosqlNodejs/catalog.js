@@ -0,0 +1,252 @@
+const readline = require("node:readline");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+const { HttpError, issues } = require("./errors");
+const { publish } = require("./events");
+const { parseCsv, toCsv } = require("./csv");
+const { ImportProductSchema } = require("./schemas");
+
+// Bulk import and export of the products, as CSV or NDJSON streams.
+
+// Products written, and looked up, per bulk operation.
+const BATCH_SIZE = 500;
+
+// Rows with errors beyond these are counted but not described.
+const MAX_REPORTED_ERRORS = 100;
+
+// The fields of an export, which an import reads back.
+const COLUMNS = ["sku", "name", "about", "price", "categoryIds"];
+
+// In CSV, the categories of a product share one cell.
+const CATEGORY_SEPARATOR = ";";
+
+const FORMATS = {
+    csv: "text/csv",
+    ndjson: "application/x-ndjson",
+};
+
+const products = db.collection("products");
+
+function issue(message, path = [], code = "custom") {
+    return { code, message, path };
+}
+
+/**
+ * Yields the records of a CSV upload as `{ row, value }`, value being the
+ * product read through the header line, or `{ row, errors }`. Empty cells
+ * are left out, so that the defaults apply.
+ */
+async function* csvRecords(req) {
+    req.setEncoding("utf8");
+    let header;
+    let row = 0;
+
+    for await (const values of parseCsv(req)) {
+        if (!header) {
+            header = values.map((column) => column.trim());
+            continue;
+        }
+        row += 1;
+        if (values.length !== header.length) {
+            yield { row, errors: [issue(`Expected ${header.length} fields, got ${values.length}`)] };
+            continue;
+        }
+        const value = {};
+        header.forEach((column, i) => {
+            if (values[i] === "") {
+                return;
+            }
+            if (column === "price") {
+                value.price = Number(values[i]);
+            } else if (column === "categoryIds") {
+                value.categoryIds = values[i].split(CATEGORY_SEPARATOR).map((id) => id.trim()).filter(Boolean);
+            } else {
+                value[column] = values[i];
+            }
+        });
+        yield { row, value };
+    }
+}
+
+// Yields the records of an NDJSON upload, one per non-blank line.
+async function* ndjsonRecords(req) {
+    let row = 0;
+
+    for await (const line of readline.createInterface({ input: req, crlfDelay: Infinity })) {
+        if (!line.trim()) {
+            continue;
+        }
+        row += 1;
+        try {
+            yield { row, value: JSON.parse(line) };
+        } catch {
+            yield { row, errors: [issue("Invalid JSON")] };
+        }
+    }
+}
+
+// The records of the request body, by its Content-Type, or a 415 for another type.
+function uploadedRecords(req) {
+    switch (req.is(Object.values(FORMATS))) {
+        case FORMATS.csv:
+            return csvRecords(req);
+        case FORMATS.ndjson:
+            return ndjsonRecords(req);
+        default:
+            throw new HttpError(415, `Expected a body of type ${Object.values(FORMATS).join(" or ")}`);
+    }
+}
+
+function changed(before, product) {
+    const categoriesChanged = before.categoryIds.join() !== product.categoryIds.join();
+    return categoriesChanged || ["name", "about", "price"].some((field) => before[field] !== product[field]);
+}
+
+/**
+ * Creates the products of `batch` whose SKU is new and updates the others,
+ * unless it is a dry run, and publishes their events. Adds them to `report`
+ * as created, updated or unchanged.
+ */
+async function writeBatch(batch, dryRun, report) {
+    const existing = await products.find({ sku: { $in: batch.map((product) => product.sku) } }).toArray();
+    const bySku = new Map(existing.map((product) => [product.sku, product]));
+    const writes = batch
+        .map((product) => ({ ...product, categoryIds: product.categoryIds.map((id) => new ObjectId(id)) }))
+        .filter((product) => {
+            const before = bySku.get(product.sku);
+
+            if (!before) {
+                report.created += 1;
+            } else if (changed(before, product)) {
+                report.updated += 1;
+            } else {
+                report.unchanged += 1;
+                return false;
+            }
+            return true;
+        });
+    if (dryRun || !writes.length) {
+        return;
+    }
+
+    // $set rather than a replacement, which would lose the images.
+    const result = await products.bulkWrite(writes.map((product) => ({
+        updateOne: {
+            filter: { sku: product.sku },
+            update: { $set: product, $setOnInsert: { images: [] } },
+            upsert: true,
+        },
+    })));
+
+    writes.forEach((product, index) => {
+        const previous = bySku.get(product.sku);
+
+        if (previous) {
+            publish("product.updated", { ...previous, ...product }, previous);
+        } else {
+            publish("product.created", { _id: result.upsertedIds[index], ...product, images: [] });
+        }
+    });
+}
+
+/**
+ * Imports the products of the CSV or NDJSON body of `req`, matching them on
+ * their SKU: new ones are created, the others replaced. Each row is checked
+ * against ImportProductSchema and the existing categories; rows that fail,
+ * or repeat an earlier SKU, are skipped and described in the report. The
+ * rest is written by batches, unless `dryRun` only asks what would change.
+ * There is no transaction: the batches written before a failure stay.
+ * Resolves to `{ dryRun, created, updated, unchanged, failed, errors }`.
+ */
+async function importProducts(req, { dryRun }) {
+    const records = uploadedRecords(req);
+    const report = { dryRun, created: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+    const fail = (row, errors) => {
+        report.failed += 1;
+        if (report.errors.length < MAX_REPORTED_ERRORS) {
+            report.errors.push({ row, errors });
+        }
+    };
+    const categories = await db.collection("categories").find({}, { projection: { _id: 1 } }).toArray();
+    const knownCategories = new Set(categories.map((category) => category._id.toString()));
+    const rowOfSku = new Map();
+    let batch = [];
+
+    for await (const record of records) {
+        if (record.errors) {
+            fail(record.row, record.errors);
+            continue;
+        }
+        const result = ImportProductSchema.safeParse(record.value);
+        if (!result.success) {
+            fail(record.row, issues(result.error));
+            continue;
+        }
+        const product = result.data;
+        const unknown = product.categoryIds
+            .map((id, index) => ({ id, index }))
+            .filter(({ id }) => !knownCategories.has(id))
+            .map(({ id, index }) => issue(`Category ${id} does not exist`, ["categoryIds", index], "unknown_category"));
+        if (unknown.length) {
+            fail(record.row, unknown);
+            continue;
+        }
+        const first = rowOfSku.get(product.sku);
+        if (first) {
+            fail(record.row, [issue(`Duplicate SKU, already on row ${first}`, ["sku"])]);
+            continue;
+        }
+        rowOfSku.set(product.sku, record.row);
+
+        batch.push(product);
+        if (batch.length === BATCH_SIZE) {
+            await writeBatch(batch, dryRun, report);
+            batch = [];
+        }
+    }
+    if (batch.length) {
+        await writeBatch(batch, dryRun, report);
+    }
+    return report;
+}
+
+function formatted(rows, format, header) {
+    if (format === "ndjson") {
+        return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+    }
+    const csv = toCsv(COLUMNS, rows.map((row) => ({ ...row, categoryIds: row.categoryIds.join(CATEGORY_SEPARATOR) })));
+    // Only the first batch keeps the header line of toCsv().
+    return header ? csv : csv.slice(csv.indexOf("\r\n") + 2);
+}
+
+/**
+ * Streams the products to `res` as `format`, csv or ndjson, reading them by
+ * batches with a cursor rather than all at once.
+ */
+async function exportProducts(res, format) {
+    async function* chunks() {
+        const projection = Object.fromEntries([["_id", 0], ...COLUMNS.map((column) => [column, 1])]);
+        let rows = [];
+        let header = true;
+
+        for await (const product of products.find({}, { projection, sort: { _id: 1 }, batchSize: BATCH_SIZE })) {
+            rows.push(product);
+            if (rows.length === BATCH_SIZE) {
+                yield formatted(rows, format, header);
+                rows = [];
+                header = false;
+            }
+        }
+        if (rows.length || (header && format === "csv")) {
+            yield formatted(rows, format, header);
+        }
+    }
+
+    // attachment() sets the type of the extension, unknown for .ndjson.
+    res.attachment(`products.${format}`).type(FORMATS[format]);
+    await pipeline(Readable.from(chunks()), res);
+}
+
+module.exports = { importProducts, exportProducts };
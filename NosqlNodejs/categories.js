@@ -0,0 +1,101 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+const { HttpError, validate, asyncHandler } = require("./errors");
+const { publish } = require("./events");
+const { findProducts } = require("./products");
+const { CreateCategorySchema, UpdateCategorySchema } = require("./schemas");
+
+const router = express.Router();
+const categories = db.collection("categories");
+
+async function findCategory(id) {
+    const category = await categories.findOne({ _id: new ObjectId(id) });
+
+    if (!category) {
+        throw new HttpError(404, "Category not found");
+    }
+    return category;
+}
+
+router.get("/", asyncHandler(async (req, res) => {
+    res.send(await categories.find().sort({ name: 1 }).toArray());
+}));
+
+router.get("/:id", asyncHandler(async (req, res) => {
+    res.send(await findCategory(req.params.id));
+}));
+
+router.get("/:id/products", asyncHandler(async (req, res) => {
+    const category = await findCategory(req.params.id);
+
+    res.send(await findProducts({ categoryIds: category._id }));
+}));
+
+router.post("/", asyncHandler(async (req, res) => {
+    const category = validate(CreateCategorySchema, req.body);
+
+    const ack = await categories.insertOne(category);
+    const created = { _id: ack.insertedId, ...category };
+
+    publish("category.created", created);
+    res.status(201).send(created);
+}));
+
+router.put("/:id", asyncHandler(async (req, res) => {
+    const category = validate(CreateCategorySchema, req.body);
+
+    const replaced = await categories.findOneAndReplace(
+        { _id: new ObjectId(req.params.id) },
+        category,
+        { returnDocument: "after" },
+    );
+
+    if (!replaced) {
+        throw new HttpError(404, "Category not found");
+    }
+
+    publish("category.updated", replaced);
+    res.send(replaced);
+}));
+
+router.patch("/:id", asyncHandler(async (req, res) => {
+    const updates = validate(UpdateCategorySchema, req.body);
+
+    const updated = await categories.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id) },
+        { $set: updates },
+        { returnDocument: "after" },
+    );
+
+    if (!updated) {
+        throw new HttpError(404, "Category not found");
+    }
+
+    publish("category.updated", updated);
+    res.send(updated);
+}));
+
+// Products keep existing without the deleted category, and are announced as updated.
+router.delete("/:id", asyncHandler(async (req, res) => {
+    const deleted = await categories.findOneAndDelete({ _id: new ObjectId(req.params.id) });
+
+    if (!deleted) {
+        throw new HttpError(404, "Category not found");
+    }
+
+    const products = db.collection("products");
+    const affected = await products.find({ categoryIds: deleted._id }).toArray();
+    await products.updateMany({ categoryIds: deleted._id }, { $pull: { categoryIds: deleted._id } });
+
+    publish("category.deleted", deleted);
+    for (const previous of affected) {
+        publish("product.updated", {
+            ...previous,
+            categoryIds: previous.categoryIds.filter((id) => !id.equals(deleted._id)),
+        }, previous);
+    }
+    res.send(deleted);
+}));
+
+module.exports = { router };
@@ -0,0 +1,109 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+const { validate, asyncHandler } = require("./errors");
+const { logger } = require("./logger");
+const {
+    RoomSchema,
+    JoinSchema,
+    LeaveSchema,
+    ChatMessageSchema,
+    HistoryQuerySchema,
+} = require("./schemas");
+
+// Number of messages sent to a socket when it joins a room.
+const HISTORY_SIZE = 50;
+
+const router = express.Router();
+const messages = db.collection("messages");
+
+// Newest first; `before` is the _id of the oldest message already loaded.
+async function history(room, { before, limit }) {
+    const filter = before ? { room, _id: { $lt: new ObjectId(before) } } : { room };
+    const data = await messages.find(filter).sort({ _id: -1 }).limit(limit).toArray();
+
+    return {
+        data,
+        nextCursor: data.length === limit ? data[data.length - 1]._id.toString() : null,
+    };
+}
+
+/**
+ * Registers `event` on `socket`: the payload is validated with `schema`, and
+ * the acknowledgement, when the client asks for one, gets either `{ ok: true }`
+ * or `{ error, errors? }`.
+ */
+function on(socket, event, schema, handler) {
+    socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === "function" ? ack : () => {};
+        const result = schema.safeParse(payload);
+
+        if (!result.success) {
+            return reply({
+                error: "Invalid payload",
+                errors: result.error.issues.map(({ code, message, path }) => ({ code, message, path })),
+            });
+        }
+
+        try {
+            await handler(result.data);
+            reply({ ok: true });
+        } catch (error) {
+            logger.error("Socket event failed", { event, error });
+            reply({ error: error.message });
+        }
+    });
+}
+
+/**
+ * Chat over Socket.IO. Clients `join` a room with a nickname, then receive
+ * the last HISTORY_SIZE messages (`history`), the room's new messages
+ * (`chat message`) and `user joined` / `user left` notices.
+ */
+function registerChat(io) {
+    io.on("connection", (socket) => {
+        on(socket, "join", JoinSchema, async ({ room, nickname }) => {
+            socket.data.nickname = nickname;
+            await socket.join(room);
+
+            const { data } = await history(room, { limit: HISTORY_SIZE });
+            socket.emit("history", { room, messages: data.reverse() });
+            socket.to(room).emit("user joined", { room, nickname });
+        });
+
+        on(socket, "leave", LeaveSchema, async ({ room }) => {
+            if (socket.rooms.has(room)) {
+                await socket.leave(room);
+                socket.to(room).emit("user left", { room, nickname: socket.data.nickname });
+            }
+        });
+
+        on(socket, "chat message", ChatMessageSchema, async ({ room, text }) => {
+            if (!socket.rooms.has(room)) {
+                throw new Error(`Join ${room} before sending messages to it`);
+            }
+
+            const message = { room, sender: socket.data.nickname, text, createdAt: new Date() };
+            const ack = await messages.insertOne(message);
+            io.to(room).emit("chat message", { _id: ack.insertedId, ...message });
+        });
+
+        // socket.rooms still lists the joined rooms while disconnecting.
+        socket.on("disconnecting", () => {
+            for (const room of socket.rooms) {
+                if (room !== socket.id) {
+                    socket.to(room).emit("user left", { room, nickname: socket.data.nickname });
+                }
+            }
+        });
+    });
+}
+
+router.get("/:room/messages", asyncHandler(async (req, res) => {
+    const room = validate(RoomSchema, req.params.room, "Invalid room");
+    const query = validate(HistoryQuerySchema, req.query, "Invalid query parameters");
+
+    res.send(await history(room, query));
+}));
+
+module.exports = { router, registerChat };
@@ -0,0 +1,74 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { z } = require("zod");
+
+// Variables set in the environment win over those of the .env file.
+const ENV_FILE = path.join(__dirname, ".env");
+
+const EnvSchema = z.object({
+    PORT: z.coerce.number().int().min(0).max(65535).default(8001),
+    MONGO_URL: z.string().regex(/^mongodb(\+srv)?:\/\//, "Must be a mongodb:// URL").default("mongodb://localhost:27017"),
+    MONGO_DB: z.string().min(1).default("mydb"),
+    DB_CONNECT_RETRIES: z.coerce.number().int().min(0).default(5),
+    DB_CONNECT_DELAY: z.coerce.number().int().positive().default(500),
+    SHUTDOWN_TIMEOUT: z.coerce.number().int().positive().default(10000),
+    LOG_LEVEL: z.enum(["debug", "info", "warn", "error", "silent"]).default("info"),
+    SLOW_QUERY_MS: z.coerce.number().int().positive().default(500),
+    STORAGE_DRIVER: z.enum(["local", "s3"]).default("local"),
+    UPLOADS_DIR: z.string().min(1).default(path.join(__dirname, "uploads")),
+    UPLOADS_URL: z.string().min(1).default("/uploads"),
+    S3_BUCKET: z.string().min(1).optional(),
+    S3_REGION: z.string().min(1).default("us-east-1"),
+    S3_ENDPOINT: z.string().url().optional(),
+    S3_PUBLIC_URL: z.string().url().optional(),
+}).superRefine((env, ctx) => {
+    if (env.STORAGE_DRIVER !== "s3") {
+        return;
+    }
+    for (const name of ["S3_BUCKET", "S3_PUBLIC_URL"]) {
+        if (!env[name]) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Required by STORAGE_DRIVER=s3", path: [name] });
+        }
+    }
+});
+
+// Reads the settings from `env`, or throws an error listing every invalid variable.
+function loadConfig(env = process.env) {
+    const result = EnvSchema.safeParse(env);
+
+    if (!result.success) {
+        const problems = result.error.issues.map(({ path, message }) => `  ${path.join(".")}: ${message}`);
+        throw new Error(`Invalid configuration:\n${problems.join("\n")}`);
+    }
+    const vars = result.data;
+
+    return {
+        port: vars.PORT,
+        mongo: {
+            url: vars.MONGO_URL,
+            db: vars.MONGO_DB,
+            connectRetries: vars.DB_CONNECT_RETRIES,
+            connectDelay: vars.DB_CONNECT_DELAY,
+        },
+        shutdownTimeout: vars.SHUTDOWN_TIMEOUT,
+        log: { level: vars.LOG_LEVEL, slowQueryMs: vars.SLOW_QUERY_MS },
+        storage: {
+            driver: vars.STORAGE_DRIVER,
+            local: { root: vars.UPLOADS_DIR, baseUrl: vars.UPLOADS_URL },
+            s3: {
+                bucket: vars.S3_BUCKET,
+                region: vars.S3_REGION,
+                endpoint: vars.S3_ENDPOINT,
+                publicUrl: vars.S3_PUBLIC_URL,
+            },
+        },
+    };
+}
+
+if (fs.existsSync(ENV_FILE)) {
+    process.loadEnvFile(ENV_FILE);
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig };
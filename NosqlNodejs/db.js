@@ -0,0 +1,53 @@
+const { MongoClient } = require("mongodb");
+const { config } = require("./config");
+const { logger, requestContext } = require("./logger");
+const { mongoCommandDuration, mongoPoolConnections, mongoPoolConnectionsInUse } = require("./metrics");
+
+// Fails a connection after 5 s rather than the driver's 30, so that startup retries
+// (see index.js) get their turn. With monitorCommands, it tells how long each command took.
+const client = new MongoClient(config.mongo.url, { serverSelectionTimeoutMS: 5000, monitorCommands: true });
+// The driver connects on the first operation, so this can be required anywhere.
+const db = client.db(config.mongo.db);
+
+// Times the commands, and adds them to the database time of their request.
+function commandEnded(event, error) {
+    const request = requestContext.getStore();
+
+    mongoCommandDuration.observe(
+        { command: event.commandName, outcome: error ? "error" : "ok" },
+        event.duration / 1000,
+    );
+    if (request) {
+        request.db.commands += 1;
+        request.db.time += event.duration;
+    }
+    logger.log(event.duration >= config.log.slowQueryMs ? "warn" : "debug", "command", {
+        command: event.commandName,
+        durationMs: event.duration,
+        ...(error && { error: error.message }),
+    });
+}
+
+client.on("commandSucceeded", (event) => commandEnded(event));
+client.on("commandFailed", (event) => commandEnded(event, event.failure));
+client.on("connectionCreated", () => mongoPoolConnections.inc());
+client.on("connectionClosed", () => mongoPoolConnections.dec());
+client.on("connectionCheckedOut", () => mongoPoolConnectionsInUse.inc());
+client.on("connectionCheckedIn", () => mongoPoolConnectionsInUse.dec());
+
+async function ensureIndexes() {
+    await db.collection("products").createIndex({ categoryIds: 1 });
+    // Partial, so that the products without a SKU do not collide on it.
+    await db.collection("products").createIndex(
+        { sku: 1 },
+        { unique: true, partialFilterExpression: { sku: { $type: "string" } } },
+    );
+    // A collection has at most one text index: it covers both fields, names weighing more.
+    await db.collection("products").createIndex(
+        { name: "text", about: "text" },
+        { weights: { name: 10, about: 5 }, default_language: "french", name: "products_text" },
+    );
+    await db.collection("messages").createIndex({ room: 1, _id: -1 });
+}
+
+module.exports = { client, db, ensureIndexes };
@@ -0,0 +1,89 @@
+const { STATUS_CODES } = require("node:http");
+const { BSON, MongoServerError } = require("mongodb");
+const { MulterError } = require("multer");
+const { logger } = require("./logger");
+
+// An error that is sent to the client as is, `extensions` included.
+class HttpError extends Error {
+    constructor(status, detail, extensions = {}) {
+        super(detail || STATUS_CODES[status]);
+        this.name = "HttpError";
+        this.status = status;
+        this.extensions = extensions;
+    }
+}
+
+// The issues of a ZodError, as listed in the `errors` of a problem document.
+function issues(zodError) {
+    return zodError.issues.map(({ code, message, path }) => ({ code, message, path }));
+}
+
+// Parses `data` with `schema`, or throws a 400 listing every invalid field.
+function validate(schema, data, detail = "Invalid request body") {
+    const result = schema.safeParse(data);
+
+    if (!result.success) {
+        throw new HttpError(400, detail, { errors: issues(result.error) });
+    }
+    return result.data;
+}
+
+// Express 4 does not catch rejected promises: forward them to errorHandler.
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+function toHttpError(error) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+    // `new ObjectId(id)` throws on anything that is not 24 hex characters.
+    if (error instanceof BSON.BSONError) {
+        return new HttpError(400, "Invalid ObjectId");
+    }
+    if (error instanceof MongoServerError && error.code === 11000) {
+        return new HttpError(409, "Resource already exists", { keyValue: error.keyValue });
+    }
+    if (error instanceof MulterError) {
+        return new HttpError(error.code === "LIMIT_FILE_SIZE" ? 413 : 400, error.message, { field: error.field });
+    }
+    // Errors raised by express itself, e.g. a malformed JSON body.
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new HttpError(error.status, error.message);
+    }
+    return null;
+}
+
+function notFound(req, res, next) {
+    next(new HttpError(404, `Cannot ${req.method} ${req.path}`));
+}
+
+// Sends every error as an RFC 7807 problem document.
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const httpError = toHttpError(error);
+
+    if (!httpError) {
+        logger.error("Unhandled error", { error });
+    }
+
+    const { status, message, extensions } = httpError || new HttpError(500, "Internal server error");
+
+    res.status(status)
+        .type("application/problem+json")
+        .json({
+            type: "about:blank",
+            title: STATUS_CODES[status],
+            status,
+            detail: message,
+            instance: req.originalUrl,
+            ...extensions,
+        });
+}
+
+module.exports = { HttpError, issues, validate, asyncHandler, notFound, errorHandler };
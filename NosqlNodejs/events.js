@@ -0,0 +1,63 @@
+const { EventEmitter } = require("node:events");
+const { z } = require("zod");
+
+const bus = new EventEmitter();
+
+// "catalog" receives every event, "category:<id>" those touching that category.
+const ChannelSchema = z.union([
+    z.literal("catalog"),
+    z.string().regex(/^category:[0-9a-fA-F]{24}$/, "Expected catalog or category:<id>"),
+]);
+const SubscriptionSchema = z.object({ channel: ChannelSchema });
+
+/**
+ * Publishes `product.created|updated|deleted` or `category.created|updated|deleted`.
+ * `previous` is the document before an update, so that the categories a
+ * product left are notified as well.
+ */
+function publish(type, data, previous) {
+    bus.emit("event", { type, data, previous, occurredAt: new Date() });
+}
+
+function channelsOf({ type, data, previous }) {
+    const categoryIds = type.startsWith("category.")
+        ? [data._id]
+        : [...(data.categoryIds || []), ...((previous && previous.categoryIds) || [])];
+
+    return ["catalog", ...new Set(categoryIds.map((id) => `category:${id}`))];
+}
+
+/**
+ * Relays the bus to the `/events` namespace. Sockets `subscribe` and
+ * `unsubscribe` to channels, then receive each event under its type, e.g.
+ * `socket.on("product.updated", ({ data, occurredAt }) => ...)`.
+ */
+function registerEvents(io) {
+    const events = io.of("/events");
+
+    events.on("connection", (socket) => {
+        for (const action of ["subscribe", "unsubscribe"]) {
+            socket.on(action, async (payload, ack) => {
+                const reply = typeof ack === "function" ? ack : () => {};
+                const result = SubscriptionSchema.safeParse(payload);
+
+                if (!result.success) {
+                    return reply({ error: "Invalid channel" });
+                }
+                await (action === "subscribe"
+                    ? socket.join(result.data.channel)
+                    : socket.leave(result.data.channel));
+                reply({ ok: true });
+            });
+        }
+    });
+
+    bus.on("event", (event) => {
+        events.to(channelsOf(event)).emit(event.type, {
+            data: event.data,
+            occurredAt: event.occurredAt,
+        });
+    });
+}
+
+module.exports = { publish, registerEvents };
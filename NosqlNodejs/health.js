@@ -0,0 +1,26 @@
+const express = require("express");
+const { db } = require("./db");
+const { asyncHandler } = require("./errors");
+const { check } = require("./lifecycle");
+
+const router = express.Router();
+
+// How long /readyz waits for MongoDB before calling it down.
+const READINESS_TIMEOUT = 2000;
+
+// Liveness: the process answers, whatever the state of the database.
+router.get("/healthz", (req, res) => {
+    res.send({ status: "ok" });
+});
+
+// Readiness: the load balancer keeps the server out of the traffic while it fails.
+router.get("/readyz", asyncHandler(async (req, res) => {
+    const database = await check(() => db.command({ ping: 1 }), READINESS_TIMEOUT);
+
+    res.status(database === "up" ? 200 : 503).send({
+        status: database === "up" ? "ok" : "unavailable",
+        checks: { database },
+    });
+}));
+
+module.exports = { router };
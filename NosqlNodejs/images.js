@@ -0,0 +1,91 @@
+const crypto = require("node:crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+const { ObjectId } = require("mongodb");
+const { HttpError } = require("./errors");
+const { storage } = require("./storage");
+const { logger } = require("./logger");
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+// Accepted content types, with the format sharp must find in the file.
+const IMAGE_FORMATS = {
+    "image/jpeg": "jpeg",
+    "image/png": "png",
+    "image/webp": "webp",
+};
+
+// Reads a single `image` field of a multipart body into req.file.
+const uploadImage = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+    fileFilter: (req, file, done) => {
+        if (IMAGE_FORMATS[file.mimetype]) {
+            done(null, true);
+        } else {
+            done(new HttpError(415, `Unsupported image type ${file.mimetype}`, {
+                accepted: Object.keys(IMAGE_FORMATS),
+            }));
+        }
+    },
+}).single("image");
+
+/**
+ * Stores an uploaded image of a product with a WebP thumbnail, and resolves
+ * to the image document to push onto the product's `images`. The declared
+ * content type must match what the file really contains.
+ */
+async function storeImage(productId, file) {
+    if (!file) {
+        throw new HttpError(400, "An image file is required in the image field");
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        throw new HttpError(400, "The file is not a valid image");
+    }
+    if (metadata.format !== IMAGE_FORMATS[file.mimetype]) {
+        throw new HttpError(400, `The file is not a ${file.mimetype} image`);
+    }
+
+    const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+    const name = `products/${productId}/${crypto.randomUUID()}`;
+    const key = `${name}.${metadata.format}`;
+    const thumbnailKey = `${name}-thumb.webp`;
+
+    await storage.put(key, file.buffer, file.mimetype);
+    await storage.put(thumbnailKey, thumbnail, "image/webp");
+
+    return {
+        _id: new ObjectId(),
+        url: storage.url(key),
+        thumbnailUrl: storage.url(thumbnailKey),
+        key,
+        thumbnailKey,
+        contentType: file.mimetype,
+        size: file.size,
+        width: metadata.width,
+        height: metadata.height,
+    };
+}
+
+// Called once the documents are gone: a file left behind is only wasted space.
+async function removeFiles(images = []) {
+    const results = await Promise.allSettled(
+        images.flatMap((image) => [storage.delete(image.key), storage.delete(image.thumbnailKey)]),
+    );
+    for (const result of results) {
+        if (result.status === "rejected") {
+            logger.error("Deleting an image file failed", { error: result.reason });
+        }
+    }
+}
+
+module.exports = { uploadImage, storeImage, removeFiles };
@@ -1,98 +1,76 @@
-const { MongoClient, ObjectId } = require("mongodb");
 const express = require("express");
-const { z } = require("zod");
 const { createServer } = require('node:http');
 const { join } = require('node:path');
 const { Server } = require('socket.io');
+const { config } = require("./config");
+const { client, ensureIndexes } = require("./db");
+const { retry, drain, onShutdown } = require("./lifecycle");
+const { router: healthRouter } = require("./health");
+const { logger, requestId, accessLog } = require("./logger");
+const { measureRequests, registerSocketMetrics, metricsHandler } = require("./metrics");
+const { notFound, errorHandler, asyncHandler } = require("./errors");
+const { router: productsRouter } = require("./products");
+const { router: categoriesRouter } = require("./categories");
+const { router: chatRouter, registerChat } = require("./chat");
+const { registerEvents } = require("./events");
+const { router: reportsRouter } = require("./reports");
+const { storage, LocalStorage } = require("./storage");
 
 const app = express();
 const server = createServer(app);
 const io = new Server(server);
-const port = 8001;
-const client = new MongoClient("mongodb://localhost:27017");
-let db;
 
+app.use(requestId, accessLog, measureRequests);
+app.use(healthRouter);
+app.get("/metrics", asyncHandler(metricsHandler));
 app.use(express.json());
+// Other storages serve the images from their own URLs.
+if (storage instanceof LocalStorage) {
+    app.use("/uploads", express.static(storage.root));
+}
 
-io.on('connection', (socket) => {
-    socket.on('chat message', (msg) => {
-      io.emit('chat message', msg);
-    });
-  });
-
-client.connect().then(() => {
-    db = client.db("mydb");
-    server.listen(port, () => {
-        console.log(`Server is running on port ${port}`);
-    });
-});
-
-const ProductSchema = z.object({
-    _id: z.string(),
-    name: z.string(),
-    about: z.string(),
-    price: z.number().positive(),
-    categoryIds: z.array(z.string()),
-  });
-  const CreateProductSchema = ProductSchema.omit({ _id: true });
-
-const CategorySchema = z.object({
-    _id: z.string(),
-    name: z.string(),
-  });
-  const CreateCategorySchema = CategorySchema.omit({ _id: true });
-
+registerChat(io);
+registerEvents(io);
+registerSocketMetrics(io);
 
 app.get('/', (req, res) => {
 res.sendFile(join(__dirname, 'index.html'));
 });
 
-app.post("/products", async (req, res) => {
-    const result = await CreateProductSchema.safeParse(req.body);
-
-    if (result.success) {
-        const { name, about, price, categoryIds } = result.data;
-        const categoryObjectIds = categoryIds.map((id) => new ObjectId(id));
-
-        const ack = await db
-            .collection("products")
-            .insertOne({ name, about, price, categoryIds: categoryObjectIds });
-
-        res.send({ _id: ack.insertedId, name, about, price, categoryIds: categoryObjectIds});
-    } else {
-        res.status(400).send(result);
-    }
-});
-
-app.post("/categories", async (req, res) => {
-    const result = await CreateCategorySchema.safeParse(req.body);
-
-    if (result.success) {
-        const { name } = result.data;
+app.use("/products", productsRouter);
+app.use("/categories", categoriesRouter);
+app.use("/rooms", chatRouter);
+app.use("/reports", reportsRouter);
+
+app.use(notFound);
+app.use(errorHandler);
+
+// Waits for MongoDB, retrying with backoff, then listens. SIGTERM and SIGINT close the
+// sockets, let the HTTP requests in flight finish, then close the connection pool.
+async function start() {
+    await retry(() => client.connect(), {
+        retries: config.mongo.connectRetries,
+        delay: config.mongo.connectDelay,
+        onRetry: (error, wait) => logger.warn("MongoDB unavailable, retrying", { error: error.message, wait }),
+    });
+    await ensureIndexes();
 
-        const ack = await db.collection("categories").insertOne({ name });
+    server.listen(config.port, () => {
+        logger.info("Server listening", { port: config.port });
+    });
 
-        res.send({ _id: ack.insertedId, name });
-    } else {
-        res.status(400).send(result);
-    }
-});
+    onShutdown(async () => {
+        // Disconnects the sockets, then closes the HTTP server.
+        await drain(server, () => io.close(), config.shutdownTimeout);
+        await client.close();
+    });
+}
 
-app.get("/products", async (req, res) => {
-    const result = await db
-        .collection("products")
-        .aggregate([
-            { $match: {} },
-            {
-                $lookup: {
-                    from: "categories",
-                    localField: "categoryIds",
-                    foreignField: "_id",
-                    as: "categories",
-                },
-            },
-        ])
-        .toArray();
+if (require.main === module) {
+    start().catch((error) => {
+        logger.error("Startup failed", { error });
+        process.exit(1);
+    });
+}
 
-    res.send(result);
-})
\ No newline at end of file
+module.exports = { app, server, io };
@@ -0,0 +1,73 @@
+const { setTimeout: sleep } = require("node:timers/promises");
+const { logger } = require("./logger");
+
+// Calls `connect` until it resolves, at most `retries` more times, the delay doubling
+// after each failure. `onRetry(error, wait)` hears of the retried failures.
+async function retry(connect, { retries, delay, onRetry = () => {} }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await connect();
+        } catch (error) {
+            if (attempt > retries) {
+                throw error;
+            }
+            const wait = delay * 2 ** (attempt - 1);
+            onRetry(error, wait);
+            await sleep(wait);
+        }
+    }
+}
+
+// "up" when `probe` resolves within `timeout` ms, "down" otherwise: the driver would
+// rather wait for a server than fail, but a readiness check must answer quickly.
+async function check(probe, timeout) {
+    let timer;
+    const late = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("Timed out")), timeout);
+    });
+
+    try {
+        await Promise.race([probe(), late]);
+        return "up";
+    } catch {
+        return "down";
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Closes `server` with `close`, which resolves once it is closed, letting the requests
+// in flight finish: those still running after `timeout` ms have their connections cut.
+async function drain(server, close, timeout) {
+    const timer = setTimeout(() => server.closeAllConnections(), timeout);
+
+    try {
+        await close();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Runs `stop` on the first SIGTERM or SIGINT, then exits. A second signal exits at once.
+function onShutdown(stop) {
+    let stopping = false;
+
+    const handler = (signal) => {
+        if (stopping) {
+            process.exit(1);
+        }
+        stopping = true;
+        logger.info("Shutting down", { signal });
+        stop().then(
+            () => process.exit(0),
+            (error) => {
+                logger.error("Shutdown failed", { error });
+                process.exit(1);
+            },
+        );
+    };
+    process.on("SIGTERM", handler);
+    process.on("SIGINT", handler);
+}
+
+module.exports = { retry, check, drain, onShutdown };
@@ -0,0 +1,102 @@
+const crypto = require("node:crypto");
+const { AsyncLocalStorage } = require("node:async_hooks");
+const { config } = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// A proxy's X-Request-Id is kept when it looks like an ID, not like text for the logs.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Probes and metric scrapes, only logged at debug.
+const QUIET_PATHS = ["/healthz", "/readyz", "/metrics"];
+
+// The request being handled: its ID and the time it spent in MongoDB.
+const requestContext = new AsyncLocalStorage();
+
+// Errors are not enumerable, and would otherwise be logged as `{}`.
+function replacer(key, value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+// One JSON object per line on stdout, with the ID of the request being handled if any.
+// `level` can be changed at runtime, and `write` replaced in tests.
+const logger = {
+    level: config.log.level,
+
+    write(line) {
+        process.stdout.write(`${line}\n`);
+    },
+
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+        const request = requestContext.getStore();
+
+        this.write(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...(request && { requestId: request.id }),
+            ...fields,
+        }, replacer));
+    },
+
+    debug(msg, fields) {
+        this.log("debug", msg, fields);
+    },
+
+    info(msg, fields) {
+        this.log("info", msg, fields);
+    },
+
+    warn(msg, fields) {
+        this.log("warn", msg, fields);
+    },
+
+    error(msg, fields) {
+        this.log("error", msg, fields);
+    },
+};
+
+// Gives the request an ID, the client's X-Request-Id or a new one, sent back in the same
+// header, and runs the rest of the chain in its context.
+function requestId(req, res, next) {
+    const header = req.get("X-Request-Id");
+
+    req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    requestContext.run({ id: req.id, db: { commands: 0, time: 0 } }, next);
+}
+
+// The route that matched, such as /products/:id, or undefined.
+function routeOf(req) {
+    return req.route ? req.baseUrl + req.route.path : undefined;
+}
+
+// Logs every request once its response is sent, or once the client gave up on it.
+// Goes after requestId().
+function accessLog(req, res, next) {
+    const start = process.hrtime.bigint();
+    const { db } = requestContext.getStore();
+
+    res.once("close", () => {
+        logger.log(QUIET_PATHS.includes(req.path) ? "debug" : "info", "request", {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            route: routeOf(req),
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+            dbCommands: db.commands,
+            dbTimeMs: db.time,
+            ...(!res.writableFinished && { aborted: true }),
+        });
+    });
+    next();
+}
+
+module.exports = { logger, requestContext, requestId, accessLog, routeOf };
@@ -0,0 +1,76 @@
+const client = require("prom-client");
+const { routeOf } = require("./logger");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "Duration of the HTTP requests, by route",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+});
+
+const mongoCommandDuration = new client.Histogram({
+    name: "mongodb_command_duration_seconds",
+    help: "Duration of the MongoDB commands, by command",
+    labelNames: ["command", "outcome"],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [registry],
+});
+
+const mongoPoolConnections = new client.Gauge({
+    name: "mongodb_pool_connections",
+    help: "Connections open in the MongoDB pools",
+    registers: [registry],
+});
+
+const mongoPoolConnectionsInUse = new client.Gauge({
+    name: "mongodb_pool_connections_in_use",
+    help: "Connections of the MongoDB pools checked out by an operation",
+    registers: [registry],
+});
+
+// Times every request. Unmatched routes share one label, so that scanning random URLs
+// cannot flood the metrics.
+function measureRequests(req, res, next) {
+    const end = httpRequestDuration.startTimer();
+
+    res.once("close", () => {
+        end({ method: req.method, route: routeOf(req) || "unmatched", status: res.statusCode });
+    });
+    next();
+}
+
+// Counts the sockets connected to each namespace of `io`, read at every scrape.
+function registerSocketMetrics(io) {
+    new client.Gauge({
+        name: "socketio_connections",
+        help: "Sockets connected, by namespace",
+        labelNames: ["namespace"],
+        registers: [registry],
+        collect() {
+            this.reset();
+            // Socket.IO has no public list of its namespaces.
+            for (const namespace of io._nsps.values()) {
+                this.set({ namespace: namespace.name }, namespace.sockets.size);
+            }
+        },
+    });
+}
+
+// GET /metrics, in the Prometheus text format.
+async function metricsHandler(req, res) {
+    res.type(registry.contentType).send(await registry.metrics());
+}
+
+module.exports = {
+    registry,
+    mongoCommandDuration,
+    mongoPoolConnections,
+    mongoPoolConnectionsInUse,
+    measureRequests,
+    registerSocketMetrics,
+    metricsHandler,
+};
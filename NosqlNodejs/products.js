@@ -0,0 +1,206 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+const { HttpError, validate, asyncHandler } = require("./errors");
+const { publish } = require("./events");
+const { searchProducts } = require("./search");
+const { uploadImage, storeImage, removeFiles } = require("./images");
+const { importProducts, exportProducts } = require("./catalog");
+const {
+    CreateProductSchema,
+    UpdateProductSchema,
+    ProductImportQuerySchema,
+    ProductExportQuerySchema,
+    ProductQuerySchema,
+    ProductSearchQuerySchema,
+} = require("./schemas");
+
+const router = express.Router();
+const products = db.collection("products");
+
+// Products with their categories joined in, as returned by the GET routes.
+function findProducts(filter) {
+    return products
+        .aggregate([
+            { $match: filter },
+            {
+                $lookup: {
+                    from: "categories",
+                    localField: "categoryIds",
+                    foreignField: "_id",
+                    as: "categories",
+                },
+            },
+        ])
+        .toArray();
+}
+
+/**
+ * Converts `categoryIds` to ObjectIds, or throws a 400 pointing at every
+ * id that does not match an existing category.
+ */
+async function existingCategoryIds(categoryIds) {
+    const ids = categoryIds.map((id) => new ObjectId(id));
+    const found = await db
+        .collection("categories")
+        .find({ _id: { $in: ids } }, { projection: { _id: 1 } })
+        .toArray();
+    const known = new Set(found.map((category) => category._id.toString()));
+
+    const errors = categoryIds
+        .map((id, index) => ({ id, index }))
+        .filter(({ id }) => !known.has(id))
+        .map(({ id, index }) => ({
+            code: "unknown_category",
+            message: `Category ${id} does not exist`,
+            path: ["categoryIds", index],
+        }));
+
+    if (errors.length) {
+        throw new HttpError(400, "Unknown category", { errors });
+    }
+    return ids;
+}
+
+async function toDocument(data) {
+    return data.categoryIds === undefined
+        ? data
+        : { ...data, categoryIds: await existingCategoryIds(data.categoryIds) };
+}
+
+router.get("/", asyncHandler(async (req, res) => {
+    const query = validate(ProductQuerySchema, req.query, "Invalid query parameters");
+    const filter = query.categoryId ? { categoryIds: new ObjectId(query.categoryId) } : {};
+
+    res.send(await findProducts(filter));
+}));
+
+// Registered before /:id, which would take "search" or "export" for an id.
+router.get("/search", asyncHandler(async (req, res) => {
+    const query = validate(ProductSearchQuerySchema, req.query, "Invalid query parameters");
+
+    res.send(await searchProducts(query));
+}));
+
+// CSV or NDJSON, by Content-Type. Answers with the report of the import, errors per row included.
+router.post("/import", asyncHandler(async (req, res) => {
+    const query = validate(ProductImportQuerySchema, req.query, "Invalid query parameters");
+
+    res.send(await importProducts(req, { dryRun: query.dryRun }));
+}));
+
+router.get("/export", asyncHandler(async (req, res) => {
+    const query = validate(ProductExportQuerySchema, req.query, "Invalid query parameters");
+
+    await exportProducts(res, query.format);
+}));
+
+router.get("/:id", asyncHandler(async (req, res) => {
+    const [product] = await findProducts({ _id: new ObjectId(req.params.id) });
+
+    if (!product) {
+        throw new HttpError(404, "Product not found");
+    }
+    res.send(product);
+}));
+
+router.post("/", asyncHandler(async (req, res) => {
+    const product = { ...(await toDocument(validate(CreateProductSchema, req.body))), images: [] };
+
+    const ack = await products.insertOne(product);
+    const created = { _id: ack.insertedId, ...product };
+
+    publish("product.created", created);
+    res.status(201).send(created);
+}));
+
+router.put("/:id", asyncHandler(async (req, res) => {
+    const product = await toDocument(validate(CreateProductSchema, req.body));
+
+    // $set rather than a replacement, which would lose the images.
+    const previous = await products.findOneAndUpdate({ _id: new ObjectId(req.params.id) }, { $set: product });
+
+    if (!previous) {
+        throw new HttpError(404, "Product not found");
+    }
+
+    const replaced = { ...previous, ...product };
+    publish("product.updated", replaced, previous);
+    res.send(replaced);
+}));
+
+router.patch("/:id", asyncHandler(async (req, res) => {
+    const updates = await toDocument(validate(UpdateProductSchema, req.body));
+
+    const previous = await products.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id) },
+        { $set: updates },
+    );
+
+    if (!previous) {
+        throw new HttpError(404, "Product not found");
+    }
+
+    const updated = { ...previous, ...updates };
+    publish("product.updated", updated, previous);
+    res.send(updated);
+}));
+
+router.delete("/:id", asyncHandler(async (req, res) => {
+    const deleted = await products.findOneAndDelete({ _id: new ObjectId(req.params.id) });
+
+    if (!deleted) {
+        throw new HttpError(404, "Product not found");
+    }
+
+    await removeFiles(deleted.images);
+    publish("product.deleted", deleted);
+    res.send(deleted);
+}));
+
+router.post("/:id/images", uploadImage, asyncHandler(async (req, res) => {
+    const _id = new ObjectId(req.params.id);
+
+    if (!(await products.findOne({ _id }, { projection: { _id: 1 } }))) {
+        throw new HttpError(404, "Product not found");
+    }
+
+    const image = await storeImage(_id, req.file);
+    const updated = await products.findOneAndUpdate(
+        { _id },
+        { $push: { images: image } },
+        { returnDocument: "after" },
+    );
+
+    // Deleted while the image was being stored.
+    if (!updated) {
+        await removeFiles([image]);
+        throw new HttpError(404, "Product not found");
+    }
+
+    publish("product.updated", updated);
+    res.status(201).send(image);
+}));
+
+router.delete("/:id/images/:imageId", asyncHandler(async (req, res) => {
+    const imageId = new ObjectId(req.params.imageId);
+
+    const previous = await products.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), "images._id": imageId },
+        { $pull: { images: { _id: imageId } } },
+    );
+
+    if (!previous) {
+        throw new HttpError(404, "Image not found");
+    }
+
+    const image = previous.images.find((candidate) => candidate._id.equals(imageId));
+    await removeFiles([image]);
+    publish("product.updated", {
+        ...previous,
+        images: previous.images.filter((candidate) => candidate !== image),
+    });
+    res.send(image);
+}));
+
+module.exports = { router, findProducts };
@@ -0,0 +1,68 @@
+const express = require("express");
+const { db } = require("./db");
+const { asyncHandler } = require("./errors");
+
+const router = express.Router();
+
+function priceStats(prices) {
+    return {
+        min: { $min: prices },
+        max: { $max: prices },
+        average: { $round: [{ $avg: prices }, 2] },
+    };
+}
+
+/**
+ * Product count and price statistics of every category, empty ones included
+ * (their prices are null), plus a `categoryId: null` row for the products
+ * without a category when there are some. Most stocked categories first.
+ */
+function categoryStats() {
+    return db
+        .collection("categories")
+        .aggregate([
+            {
+                $lookup: {
+                    from: "products",
+                    localField: "_id",
+                    foreignField: "categoryIds",
+                    as: "products",
+                },
+            },
+            {
+                $project: {
+                    _id: 0,
+                    categoryId: "$_id",
+                    name: 1,
+                    products: { $size: "$products" },
+                    price: priceStats("$products.price"),
+                },
+            },
+            {
+                $unionWith: {
+                    coll: "products",
+                    pipeline: [
+                        { $match: { "categoryIds.0": { $exists: false } } },
+                        { $group: { _id: null, products: { $sum: 1 }, prices: { $push: "$price" } } },
+                        {
+                            $project: {
+                                _id: 0,
+                                categoryId: null,
+                                name: null,
+                                products: 1,
+                                price: priceStats("$prices"),
+                            },
+                        },
+                    ],
+                },
+            },
+            { $sort: { products: -1, name: 1 } },
+        ])
+        .toArray();
+}
+
+router.get("/categories", asyncHandler(async (req, res) => {
+    res.send(await categoryStats());
+}));
+
+module.exports = { router };
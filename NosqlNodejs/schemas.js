@@ -0,0 +1,98 @@
+const { z } = require("zod");
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ObjectId");
+
+// PATCH bodies must change at least one field.
+function patchOf(schema) {
+    return schema
+        .partial()
+        .refine((data) => Object.keys(data).length > 0, "No valid fields provided for update");
+}
+
+// Stock keeping unit: unique, and the key of the product imports. Older products have none.
+const SkuSchema = z.string().trim().min(1).max(64);
+
+const ProductSchema = z.object({
+    _id: objectId,
+    sku: SkuSchema.optional(),
+    name: z.string(),
+    about: z.string(),
+    price: z.number().positive(),
+    categoryIds: z.array(objectId),
+});
+const CreateProductSchema = ProductSchema.omit({ _id: true });
+const UpdateProductSchema = patchOf(CreateProductSchema);
+
+// A row of a product import, which must have a SKU to be matched on.
+const ImportProductSchema = CreateProductSchema.extend({
+    sku: SkuSchema,
+    categoryIds: z.array(objectId).default([]),
+});
+
+// Query parameters arrive as strings: only "true" asks for a dry run.
+const ProductImportQuerySchema = z.object({
+    dryRun: z.enum(["true", "false"]).default("false").transform((value) => value === "true"),
+});
+
+const ProductExportQuerySchema = z.object({
+    format: z.enum(["csv", "ndjson"]).default("csv"),
+});
+
+const ProductQuerySchema = z.object({
+    categoryId: objectId.optional(),
+});
+
+const ProductSearchQuerySchema = z.object({
+    q: z.string().trim().min(1),
+    categoryId: objectId.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    page: z.coerce.number().int().min(1).default(1),
+});
+
+const CategorySchema = z.object({
+    _id: objectId,
+    name: z.string(),
+});
+const CreateCategorySchema = CategorySchema.omit({ _id: true });
+const UpdateCategorySchema = patchOf(CreateCategorySchema);
+
+const RoomSchema = z.string().trim().min(1).max(50);
+
+const JoinSchema = z.object({
+    room: RoomSchema,
+    nickname: z.string().trim().min(1).max(30),
+});
+
+const LeaveSchema = z.object({
+    room: RoomSchema,
+});
+
+const ChatMessageSchema = z.object({
+    room: RoomSchema,
+    text: z.string().trim().min(1).max(1000),
+});
+
+const HistoryQuerySchema = z.object({
+    before: objectId.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+});
+
+module.exports = {
+    objectId,
+    ProductSchema,
+    CreateProductSchema,
+    UpdateProductSchema,
+    ImportProductSchema,
+    ProductImportQuerySchema,
+    ProductExportQuerySchema,
+    ProductQuerySchema,
+    ProductSearchQuerySchema,
+    CategorySchema,
+    CreateCategorySchema,
+    UpdateCategorySchema,
+    RoomSchema,
+    JoinSchema,
+    LeaveSchema,
+    ChatMessageSchema,
+    HistoryQuerySchema,
+};
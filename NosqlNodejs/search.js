@@ -0,0 +1,138 @@
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+
+// Lower bounds of the price facet buckets; the last bucket has no maximum.
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 250];
+const OPEN_BUCKET = "open";
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * MongoDB has no highlighting outside Atlas Search: wraps in <mark> the words
+ * starting like a searched term, with a light stemming so that "écrans"
+ * still marks "écran".
+ */
+function highlighter(q) {
+    const terms = q
+        .split(/\s+/)
+        .filter((term) => term && !term.startsWith("-"))
+        .map((term) => term.replace(/"/g, ""))
+        .filter(Boolean)
+        .map((term) => (term.length > 3 ? term.replace(/(es|s|x|e)$/i, "") : term));
+
+    if (!terms.length) {
+        return escapeHtml;
+    }
+
+    const words = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`,
+        "giu",
+    );
+    return (text) => {
+        let html = "";
+        let last = 0;
+
+        for (const match of text.matchAll(words)) {
+            html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return html + escapeHtml(text.slice(last));
+    };
+}
+
+function priceBucket({ _id, count }) {
+    if (_id === OPEN_BUCKET) {
+        return { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count };
+    }
+    const index = PRICE_BOUNDARIES.indexOf(_id);
+    return { min: _id, max: PRICE_BOUNDARIES[index + 1], count };
+}
+
+/**
+ * Text search on the name and description of the products, ranked by text
+ * score. `facets` count every match of `q` by category and price bucket,
+ * whatever the `categoryId` filter.
+ */
+async function searchProducts({ q, categoryId, limit, page }) {
+    const inCategory = categoryId ? [{ $match: { categoryIds: new ObjectId(categoryId) } }] : [];
+
+    const [result] = await db
+        .collection("products")
+        .aggregate([
+            { $match: { $text: { $search: q } } },
+            { $addFields: { score: { $meta: "textScore" } } },
+            {
+                $facet: {
+                    data: [
+                        ...inCategory,
+                        { $sort: { score: -1, _id: 1 } },
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        {
+                            $lookup: {
+                                from: "categories",
+                                localField: "categoryIds",
+                                foreignField: "_id",
+                                as: "categories",
+                            },
+                        },
+                    ],
+                    total: [...inCategory, { $count: "count" }],
+                    category: [
+                        { $unwind: { path: "$categoryIds", preserveNullAndEmptyArrays: true } },
+                        { $group: { _id: "$categoryIds", count: { $sum: 1 } } },
+                        {
+                            $lookup: {
+                                from: "categories",
+                                localField: "_id",
+                                foreignField: "_id",
+                                as: "category",
+                            },
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                categoryId: "$_id",
+                                name: { $ifNull: [{ $first: "$category.name" }, null] },
+                                count: 1,
+                            },
+                        },
+                        { $sort: { count: -1, name: 1 } },
+                    ],
+                    price: [
+                        {
+                            $bucket: {
+                                groupBy: "$price",
+                                boundaries: PRICE_BOUNDARIES,
+                                default: OPEN_BUCKET,
+                                output: { count: { $sum: 1 } },
+                            },
+                        },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    const highlight = highlighter(q);
+
+    return {
+        data: result.data.map((product) => ({
+            ...product,
+            highlight: { name: highlight(product.name), about: highlight(product.about) },
+        })),
+        total: result.total.length ? result.total[0].count : 0,
+        facets: {
+            category: result.category,
+            price: result.price.map(priceBucket),
+        },
+    };
+}
+
+module.exports = { searchProducts };
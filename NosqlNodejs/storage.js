@@ -0,0 +1,80 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { config } = require("./config");
+
+// Files on the local disk, served by index.js under /uploads.
+class LocalStorage {
+    constructor({ root, baseUrl }) {
+        this.root = path.resolve(root);
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+    }
+
+    // Keys are generated by the API, but never let one escape the root.
+    file(key) {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return file;
+    }
+
+    async put(key, body) {
+        const file = this.file(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+    }
+
+    async delete(key) {
+        await fs.rm(this.file(key), { force: true });
+    }
+
+    url(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+/**
+ * Objects in an S3 bucket, or an S3-compatible service through `endpoint`.
+ * Credentials come from the AWS_* variables; the SDK is an optional
+ * dependency, only loaded when this store is used.
+ */
+class S3Storage {
+    constructor({ bucket, region, endpoint, publicUrl }) {
+        this.s3 = require("@aws-sdk/client-s3");
+        this.client = new this.s3.S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+        this.bucket = bucket;
+        this.publicUrl = (
+            publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+        ).replace(/\/$/, "");
+    }
+
+    async put(key, body, contentType) {
+        await this.client.send(
+            new this.s3.PutObjectCommand({ Bucket: this.bucket, Key: key, Body: body, ContentType: contentType }),
+        );
+    }
+
+    async delete(key) {
+        await this.client.send(new this.s3.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    url(key) {
+        return `${this.publicUrl}/${key}`;
+    }
+}
+
+// Every adapter has put(key, body, contentType), delete(key) and url(key).
+function createStorage({ driver, local, s3 } = config.storage) {
+    switch (driver) {
+        case "local":
+            return new LocalStorage(local);
+        case "s3":
+            return new S3Storage(s3);
+        default:
+            throw new Error(`Unknown storage driver "${driver}"`);
+    }
+}
+
+const storage = createStorage();
+
+module.exports = { storage, LocalStorage, S3Storage };
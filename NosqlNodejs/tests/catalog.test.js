@@ -0,0 +1,127 @@
+const { db } = require("../db");
+const { request, resetDatabase, createCategory, createProduct } = require("./helpers");
+
+const UNKNOWN_ID = "aaaaaaaaaaaaaaaaaaaaaaaa";
+
+beforeEach(resetDatabase);
+
+function importProducts(type, body, query = {}) {
+    return request().post("/products/import").set("Content-Type", type).query(query).send(body);
+}
+
+function exportProducts(format) {
+    return request()
+        .get("/products/export")
+        .query({ format })
+        .buffer(true)
+        .parse((res, done) => {
+            res.setEncoding("utf8");
+            let text = "";
+            res.on("data", (chunk) => (text += chunk));
+            res.on("end", () => done(null, text));
+        });
+}
+
+function productsBySku() {
+    return db.collection("products").find({}, { projection: { _id: 0, images: 0 } }).sort({ sku: 1 }).toArray();
+}
+
+describe("POST /products/import", () => {
+    test("creates the products of a CSV file, with their categories", async () => {
+        const category = await createCategory();
+        const csv = "sku,name,about,price,categoryIds\r\n" +
+            `KB-1,Clavier,"Mécanique, rétroéclairé",89.9,${category._id}\r\n` +
+            "MS-1,Souris,Sans fil,49.5,\r\n";
+
+        const response = await importProducts("text/csv", csv).expect(200);
+
+        expect(response.body).toEqual({ dryRun: false, created: 2, updated: 0, unchanged: 0, failed: 0, errors: [] });
+        const [keyboard, mouse] = await productsBySku();
+        expect(keyboard).toMatchObject({ sku: "KB-1", about: "Mécanique, rétroéclairé", price: 89.9 });
+        expect(keyboard.categoryIds.map(String)).toEqual([category._id]);
+        expect(mouse).toMatchObject({ sku: "MS-1", categoryIds: [] });
+    });
+
+    test("updates the products whose SKU is known and keeps their images", async () => {
+        const keyboard = await createProduct({ sku: "KB-1", price: 99 });
+        await createProduct({ sku: "MS-1", name: "Souris", about: "Sans fil", price: 49.5 });
+        const ndjson = '{"sku":"KB-1","name":"Clavier","about":"Switches rouges","price":89.9}\n' +
+            "\n" +
+            '{"sku":"MS-1","name":"Souris","about":"Sans fil","price":49.5}\n';
+
+        const response = await importProducts("application/x-ndjson", ndjson).expect(200);
+
+        expect(response.body).toMatchObject({ created: 0, updated: 1, unchanged: 1 });
+        const updated = await request().get(`/products/${keyboard._id}`).expect(200);
+        expect(updated.body).toMatchObject({ price: 89.9, images: [] });
+    });
+
+    test("reports the rows it skipped and imports the others", async () => {
+        const csv = "sku,name,about,price,categoryIds\r\n" +
+            "KB-1,Clavier,Mécanique,89.9,\r\n" +
+            "MS-1,Souris,Sans fil,gratuit,\r\n" +
+            "KB-1,Clavier bis,Mécanique,79,\r\n" +
+            `HD-1,Casque,Fermé,59,${UNKNOWN_ID}\r\n` +
+            "SC-1,Écran\r\n";
+
+        const response = await importProducts("text/csv", csv).expect(200);
+
+        expect(response.body).toMatchObject({ created: 1, failed: 4 });
+        expect(response.body.errors.map(({ row, errors }) => [row, errors[0].path])).toEqual([
+            [2, ["price"]],
+            [3, ["sku"]],
+            [4, ["categoryIds", 0]],
+            [5, []],
+        ]);
+        expect(response.body.errors[1].errors[0].message).toBe("Duplicate SKU, already on row 1");
+        expect((await productsBySku()).map((product) => product.sku)).toEqual(["KB-1"]);
+    });
+
+    test("only reports what would change on a dry run", async () => {
+        await createProduct({ sku: "KB-1" });
+        const csv = "sku,name,about,price\r\nKB-1,Clavier,Tactile,79\r\nMS-1,Souris,Sans fil,49.5\r\n";
+
+        const response = await importProducts("text/csv", csv, { dryRun: true }).expect(200);
+
+        expect(response.body).toMatchObject({ dryRun: true, created: 1, updated: 1 });
+        expect(await productsBySku()).toEqual([expect.objectContaining({ sku: "KB-1", price: 89.9 })]);
+    });
+
+    test("rejects malformed CSV and other types of body", async () => {
+        const malformed = await importProducts("text/csv", 'sku,name\r\nKB-1,"Clavier\r\n').expect(400);
+        await importProducts("application/json", [{ sku: "KB-1" }]).expect(415);
+
+        expect(malformed.body.detail).toBe("Malformed CSV on line 3: unterminated quote");
+    });
+});
+
+describe("GET /products/export", () => {
+    test("streams CSV that imports back the products with a SKU", async () => {
+        const category = await createCategory();
+        await createProduct({ sku: "KB-1", name: "=Clavier", categoryIds: [category._id] });
+        await createProduct({ name: "Souris" });
+
+        const response = await exportProducts("csv")
+            .expect(200)
+            .expect("Content-Type", /text\/csv/)
+            .expect("Content-Disposition", 'attachment; filename="products.csv"');
+
+        expect(response.body).toBe(
+            "sku,name,about,price,categoryIds\r\n" +
+            `KB-1,'=Clavier,Switches rouges,89.9,${category._id}\r\n` +
+            ",Souris,Switches rouges,89.9,\r\n",
+        );
+        const reimport = await importProducts("text/csv", response.body).expect(200);
+        expect(reimport.body).toMatchObject({ unchanged: 1, failed: 1 });
+    });
+
+    test("streams NDJSON", async () => {
+        await createProduct({ sku: "KB-1" });
+
+        const response = await exportProducts("ndjson").expect(200).expect("Content-Type", /application\/x-ndjson/);
+
+        expect(response.body).toBe(
+            '{"sku":"KB-1","name":"Clavier","about":"Switches rouges","price":89.9,"categoryIds":[]}\n',
+        );
+    });
+});
@@ -0,0 +1,106 @@
+const { request, resetDatabase, createCategory, createProduct } = require("./helpers");
+
+const UNKNOWN_ID = "aaaaaaaaaaaaaaaaaaaaaaaa";
+
+beforeEach(resetDatabase);
+
+describe("GET /categories", () => {
+    test("lists the categories by name", async () => {
+        await createCategory("Écrans");
+        await createCategory("Audio");
+
+        const response = await request().get("/categories").expect(200);
+
+        expect(response.body.map((category) => category.name)).toEqual(["Audio", "Écrans"]);
+    });
+});
+
+describe("GET /categories/:id", () => {
+    test("returns the category", async () => {
+        const category = await createCategory();
+
+        const response = await request().get(`/categories/${category._id}`).expect(200);
+
+        expect(response.body).toEqual(category);
+    });
+
+    test("returns 404 for an unknown category", async () => {
+        await request().get(`/categories/${UNKNOWN_ID}`).expect(404);
+    });
+
+    test("returns 400 for an invalid ObjectId", async () => {
+        await request().get("/categories/nope").expect(400);
+    });
+});
+
+describe("GET /categories/:id/products", () => {
+    test("lists the products of the category", async () => {
+        const category = await createCategory();
+        await createProduct({ name: "Clavier", categoryIds: [category._id] });
+        await createProduct({ name: "Écran" });
+
+        const response = await request().get(`/categories/${category._id}/products`).expect(200);
+
+        expect(response.body.map((product) => product.name)).toEqual(["Clavier"]);
+    });
+
+    test("returns 404 for an unknown category", async () => {
+        await request().get(`/categories/${UNKNOWN_ID}/products`).expect(404);
+    });
+});
+
+describe("POST /categories", () => {
+    test("creates a category", async () => {
+        const response = await request().post("/categories").send({ name: "Audio" }).expect(201);
+
+        expect(response.body).toEqual({ _id: expect.any(String), name: "Audio" });
+    });
+
+    test("validates the body", async () => {
+        const response = await request().post("/categories").send({}).expect(400);
+
+        expect(response.body.errors[0].path).toEqual(["name"]);
+    });
+});
+
+describe("PUT and PATCH /categories/:id", () => {
+    test("rename the category", async () => {
+        const category = await createCategory();
+
+        const put = await request().put(`/categories/${category._id}`).send({ name: "Audio" }).expect(200);
+        const patch = await request().patch(`/categories/${category._id}`).send({ name: "Vidéo" }).expect(200);
+
+        expect(put.body).toEqual({ _id: category._id, name: "Audio" });
+        expect(patch.body).toEqual({ _id: category._id, name: "Vidéo" });
+    });
+
+    test("return 404 for an unknown category", async () => {
+        await request().put(`/categories/${UNKNOWN_ID}`).send({ name: "Audio" }).expect(404);
+        await request().patch(`/categories/${UNKNOWN_ID}`).send({ name: "Audio" }).expect(404);
+    });
+
+    test("validate the body", async () => {
+        const category = await createCategory();
+
+        await request().put(`/categories/${category._id}`).send({}).expect(400);
+        await request().patch(`/categories/${category._id}`).send({}).expect(400);
+    });
+});
+
+describe("DELETE /categories/:id", () => {
+    test("removes the category from its products", async () => {
+        const kept = await createCategory("Audio");
+        const deleted = await createCategory("Périphériques");
+        const product = await createProduct({ categoryIds: [kept._id, deleted._id] });
+
+        await request().delete(`/categories/${deleted._id}`).expect(200);
+
+        const response = await request().get(`/products/${product._id}`).expect(200);
+        expect(response.body.categoryIds).toEqual([kept._id]);
+        await request().get(`/categories/${deleted._id}`).expect(404);
+    });
+
+    test("returns 404 for an unknown category", async () => {
+        await request().delete(`/categories/${UNKNOWN_ID}`).expect(404);
+    });
+});
@@ -0,0 +1,94 @@
+const { request, resetDatabase, socket, stopListening, next, emit } = require("./helpers");
+
+const clients = [];
+
+async function connect() {
+    const client = await socket();
+    clients.push(client);
+    return client;
+}
+
+beforeEach(resetDatabase);
+
+afterEach(() => {
+    clients.splice(0).forEach((client) => client.disconnect());
+});
+
+afterAll(stopListening);
+
+test("sends the history to the sockets joining a room", async () => {
+    const alice = await connect();
+    await emit(alice, "join", { room: "general", nickname: "alice" });
+    await emit(alice, "chat message", { room: "general", text: "Bonjour" });
+    await emit(alice, "chat message", { room: "general", text: "Ça va ?" });
+
+    const bob = await connect();
+    const history = next(bob, "history");
+    await emit(bob, "join", { room: "general", nickname: "bob" });
+
+    const { room, messages } = await history;
+    expect(room).toBe("general");
+    expect(messages.map((message) => [message.sender, message.text])).toEqual([
+        ["alice", "Bonjour"],
+        ["alice", "Ça va ?"],
+    ]);
+});
+
+test("broadcasts the messages and notices of a room", async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await emit(alice, "join", { room: "general", nickname: "alice" });
+
+    const joined = next(alice, "user joined");
+    await emit(bob, "join", { room: "general", nickname: "bob" });
+    expect(await joined).toEqual({ room: "general", nickname: "bob" });
+
+    const received = next(alice, "chat message");
+    expect(await emit(bob, "chat message", { room: "general", text: "Salut" })).toEqual({ ok: true });
+    expect(await received).toMatchObject({ room: "general", sender: "bob", text: "Salut" });
+
+    const left = next(alice, "user left");
+    bob.disconnect();
+    expect(await left).toEqual({ room: "general", nickname: "bob" });
+});
+
+test("refuses messages to a room that was not joined", async () => {
+    const alice = await connect();
+
+    const reply = await emit(alice, "chat message", { room: "general", text: "Salut" });
+
+    expect(reply.error).toMatch(/Join general/);
+});
+
+test("acknowledges invalid payloads with the errors", async () => {
+    const alice = await connect();
+
+    const reply = await emit(alice, "join", { room: "" });
+
+    expect(reply.error).toBe("Invalid payload");
+    expect(reply.errors.map((error) => error.path)).toEqual([["room"], ["nickname"]]);
+});
+
+describe("GET /rooms/:room/messages", () => {
+    test("pages through the history, newest first", async () => {
+        const alice = await connect();
+        await emit(alice, "join", { room: "general", nickname: "alice" });
+        for (const text of ["un", "deux", "trois"]) {
+            await emit(alice, "chat message", { room: "general", text });
+        }
+
+        const first = await request().get("/rooms/general/messages").query({ limit: 2 }).expect(200);
+        const second = await request()
+            .get("/rooms/general/messages")
+            .query({ limit: 2, before: first.body.nextCursor })
+            .expect(200);
+
+        expect(first.body.data.map((message) => message.text)).toEqual(["trois", "deux"]);
+        expect(second.body.data.map((message) => message.text)).toEqual(["un"]);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    test("rejects an invalid cursor", async () => {
+        await request().get("/rooms/general/messages").query({ before: "nope" }).expect(400);
+    });
+});
@@ -0,0 +1,30 @@
+const path = require("node:path");
+const { loadConfig } = require("../config");
+
+test("falls back to the development defaults", () => {
+    expect(loadConfig({})).toMatchObject({
+        port: 8001,
+        mongo: { url: "mongodb://localhost:27017", db: "mydb", connectRetries: 5 },
+        storage: { driver: "local", local: { root: path.join(__dirname, "..", "uploads") } },
+    });
+});
+
+test("reads and converts the variables", () => {
+    const config = loadConfig({ PORT: "3001", MONGO_DB: "catalog", SHUTDOWN_TIMEOUT: "2500" });
+
+    expect(config.port).toBe(3001);
+    expect(config.mongo.db).toBe("catalog");
+    expect(config.shutdownTimeout).toBe(2500);
+});
+
+test("lists every invalid variable", () => {
+    expect(() => loadConfig({ PORT: "http", MONGO_URL: "localhost:27017" })).toThrow(
+        /Invalid configuration:\n {2}PORT: .+\n {2}MONGO_URL: Must be a mongodb:\/\/ URL/,
+    );
+});
+
+test("requires a bucket and its URL for S3 storage", () => {
+    expect(() => loadConfig({ STORAGE_DRIVER: "s3" })).toThrow(
+        /S3_BUCKET: Required by STORAGE_DRIVER=s3\n {2}S3_PUBLIC_URL: /,
+    );
+});
@@ -0,0 +1,83 @@
+const {
+    request,
+    resetDatabase,
+    createCategory,
+    createProduct,
+    socket,
+    stopListening,
+    next,
+    emit,
+} = require("./helpers");
+
+let subscriber;
+
+beforeEach(async () => {
+    await resetDatabase();
+    subscriber = await socket("/events");
+});
+
+afterEach(() => subscriber.disconnect());
+
+afterAll(stopListening);
+
+test("notifies the subscribers of a product's categories", async () => {
+    const category = await createCategory();
+    expect(await emit(subscriber, "subscribe", { channel: `category:${category._id}` })).toEqual({ ok: true });
+
+    const created = next(subscriber, "product.created");
+    const product = await createProduct({ categoryIds: [category._id] });
+
+    const event = await created;
+    expect(event.data).toEqual(product);
+    expect(new Date(event.occurredAt).toString()).not.toBe("Invalid Date");
+});
+
+test("notifies the categories a product leaves", async () => {
+    const category = await createCategory();
+    const product = await createProduct({ categoryIds: [category._id] });
+    await emit(subscriber, "subscribe", { channel: `category:${category._id}` });
+
+    const updated = next(subscriber, "product.updated");
+    await request().patch(`/products/${product._id}`).send({ categoryIds: [] }).expect(200);
+
+    expect((await updated).data.categoryIds).toEqual([]);
+});
+
+test("sends every event to the catalog channel", async () => {
+    await emit(subscriber, "subscribe", { channel: "catalog" });
+    const category = await createCategory();
+
+    const deleted = next(subscriber, "category.deleted");
+    await request().delete(`/categories/${category._id}`).expect(200);
+
+    expect((await deleted).data).toEqual(category);
+});
+
+test("notifies the products of a deleted category", async () => {
+    const kept = await createCategory("Claviers");
+    const category = await createCategory();
+    const product = await createProduct({ categoryIds: [kept._id, category._id] });
+    await emit(subscriber, "subscribe", { channel: `category:${category._id}` });
+
+    const updated = next(subscriber, "product.updated");
+    await request().delete(`/categories/${category._id}`).expect(200);
+
+    const event = await updated;
+    expect(event.data._id).toBe(product._id);
+    expect(event.data.categoryIds).toEqual([kept._id]);
+});
+
+test("stops the events after unsubscribing", async () => {
+    const received = [];
+    subscriber.on("category.created", (event) => received.push(event));
+    await emit(subscriber, "subscribe", { channel: "catalog" });
+    await emit(subscriber, "unsubscribe", { channel: "catalog" });
+
+    await createCategory();
+
+    expect(received).toEqual([]);
+});
+
+test("rejects an unknown channel", async () => {
+    expect(await emit(subscriber, "subscribe", { channel: "users" })).toEqual({ error: "Invalid channel" });
+});
@@ -0,0 +1,15 @@
+// Starts a throwaway MongoDB; test workers inherit MONGO_URL, which db.js reads,
+// UPLOADS_DIR, a temporary directory for the uploaded images, and a quiet LOG_LEVEL.
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+module.exports = async () => {
+    const mongod = await MongoMemoryServer.create();
+
+    globalThis.__MONGOD__ = mongod;
+    process.env.MONGO_URL = mongod.getUri();
+    process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-uploads-"));
+    process.env.LOG_LEVEL ||= "silent";
+};
@@ -0,0 +1,6 @@
+const fs = require("node:fs");
+
+module.exports = async () => {
+    await globalThis.__MONGOD__.stop();
+    fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+};
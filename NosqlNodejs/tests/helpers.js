@@ -0,0 +1,74 @@
+const supertest = require("supertest");
+const { io: connect } = require("socket.io-client");
+const { db } = require("../db");
+const { app, server, io } = require("../index");
+
+function request() {
+    return supertest(app);
+}
+
+// Empties the collections but keeps their indexes, which the text search needs.
+async function resetDatabase() {
+    await Promise.all(
+        ["products", "categories", "messages"].map((name) => db.collection(name).deleteMany({})),
+    );
+}
+
+async function createCategory(name = "Périphériques") {
+    const response = await request().post("/categories").send({ name }).expect(201);
+    return response.body;
+}
+
+async function createProduct(overrides = {}) {
+    const response = await request()
+        .post("/products")
+        .send({ name: "Clavier", about: "Switches rouges", price: 89.9, categoryIds: [], ...overrides })
+        .expect(201);
+    return response.body;
+}
+
+// Socket.IO needs a real port: listens once for the whole test file.
+function listen() {
+    return new Promise((resolve) => {
+        if (server.listening) {
+            return resolve();
+        }
+        server.listen(0, resolve);
+    });
+}
+
+// Disconnects the remaining sockets, then closes the server.
+function stopListening() {
+    return new Promise((resolve) => io.close(() => resolve()));
+}
+
+async function socket(namespace = "/") {
+    await listen();
+    const client = connect(`http://localhost:${server.address().port}${namespace}`, {
+        transports: ["websocket"],
+        forceNew: true,
+    });
+    await new Promise((resolve) => client.on("connect", resolve));
+    return client;
+}
+
+// Resolves with the next `event` received by `client`.
+function next(client, event) {
+    return new Promise((resolve) => client.once(event, resolve));
+}
+
+// Emits `event` and resolves with the server's acknowledgement.
+function emit(client, event, payload) {
+    return new Promise((resolve) => client.emit(event, payload, resolve));
+}
+
+module.exports = {
+    request,
+    resetDatabase,
+    createCategory,
+    createProduct,
+    socket,
+    stopListening,
+    next,
+    emit,
+};
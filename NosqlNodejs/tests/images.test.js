@@ -0,0 +1,116 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const sharp = require("sharp");
+const { storage } = require("../storage");
+const { request, resetDatabase, createProduct } = require("./helpers");
+
+const UNKNOWN_ID = "aaaaaaaaaaaaaaaaaaaaaaaa";
+
+let product;
+let png;
+
+beforeAll(async () => {
+    png = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#c33" } })
+        .png()
+        .toBuffer();
+});
+
+beforeEach(async () => {
+    await resetDatabase();
+    product = await createProduct();
+});
+
+function upload(productId, file, options = { filename: "photo.png" }) {
+    return request().post(`/products/${productId}/images`).attach("image", file, options);
+}
+
+// Where LocalStorage put the file behind `url`.
+function fileOf(url) {
+    return path.join(storage.root, url.replace(/^\/uploads\//, ""));
+}
+
+describe("POST /products/:id/images", () => {
+    test("stores the image with a thumbnail", async () => {
+        const response = await upload(product._id, png).expect(201);
+
+        expect(response.body).toMatchObject({
+            url: expect.stringMatching(/^\/uploads\/products\/\w+\/.+\.png$/),
+            thumbnailUrl: expect.stringMatching(/-thumb\.webp$/),
+            contentType: "image/png",
+            size: png.length,
+            width: 800,
+            height: 600,
+        });
+        const thumbnail = await sharp(fs.readFileSync(fileOf(response.body.thumbnailUrl))).metadata();
+        expect(thumbnail).toMatchObject({ format: "webp", width: 320, height: 240 });
+    });
+
+    test("adds the image to the product", async () => {
+        const { body: image } = await upload(product._id, png).expect(201);
+
+        const response = await request().get(`/products/${product._id}`).expect(200);
+
+        expect(response.body.images).toEqual([image]);
+        await request().get(image.url).expect(200).expect("Content-Type", "image/png");
+    });
+
+    test("keeps the images when the product is replaced", async () => {
+        const { body: image } = await upload(product._id, png).expect(201);
+
+        const response = await request()
+            .put(`/products/${product._id}`)
+            .send({ name: "Écran", about: "IPS", price: 299, categoryIds: [] })
+            .expect(200);
+
+        expect(response.body.images).toEqual([image]);
+    });
+
+    test("rejects an unsupported type", async () => {
+        const response = await upload(product._id, Buffer.from("hello"), {
+            filename: "notes.txt",
+            contentType: "text/plain",
+        }).expect(415);
+
+        expect(response.body.accepted).toContain("image/png");
+    });
+
+    test("rejects a file that is not what its type says", async () => {
+        await upload(product._id, png, { filename: "photo.jpg", contentType: "image/jpeg" }).expect(400);
+        await upload(product._id, Buffer.from("not an image")).expect(400);
+    });
+
+    test("rejects files over 5 MB", async () => {
+        await upload(product._id, Buffer.alloc(5 * 1024 * 1024 + 1)).expect(413);
+    });
+
+    test("returns 404 for an unknown product", async () => {
+        await upload(UNKNOWN_ID, png).expect(404);
+    });
+});
+
+describe("DELETE /products/:id/images/:imageId", () => {
+    test("deletes the image and its files", async () => {
+        const { body: image } = await upload(product._id, png).expect(201);
+
+        const response = await request().delete(`/products/${product._id}/images/${image._id}`).expect(200);
+
+        expect(response.body).toEqual(image);
+        expect(fs.existsSync(fileOf(image.url))).toBe(false);
+        expect(fs.existsSync(fileOf(image.thumbnailUrl))).toBe(false);
+        const updated = await request().get(`/products/${product._id}`);
+        expect(updated.body.images).toEqual([]);
+    });
+
+    test("returns 404 for an unknown image", async () => {
+        await request().delete(`/products/${product._id}/images/${UNKNOWN_ID}`).expect(404);
+    });
+});
+
+test("deleting a product deletes its images", async () => {
+    const { body: image } = await upload(product._id, png).expect(201);
+
+    await request().delete(`/products/${product._id}`).expect(200);
+
+    expect(fs.existsSync(fileOf(image.url))).toBe(false);
+    expect(fs.existsSync(fileOf(image.thumbnailUrl))).toBe(false);
+});
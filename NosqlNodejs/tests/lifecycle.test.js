@@ -0,0 +1,59 @@
+const { retry, check, drain } = require("../lifecycle");
+const { request, socket, next } = require("./helpers");
+const { server, io } = require("../index");
+
+describe("retry", () => {
+    test("tries again with a doubling delay until it connects", async () => {
+        const connect = jest.fn()
+            .mockRejectedValueOnce(new Error("ECONNREFUSED"))
+            .mockRejectedValueOnce(new Error("ECONNREFUSED"))
+            .mockResolvedValue("connected");
+        const waits = [];
+
+        const result = await retry(connect, { retries: 3, delay: 1, onRetry: (error, wait) => waits.push(wait) });
+
+        expect(result).toBe("connected");
+        expect(waits).toEqual([1, 2]);
+    });
+
+    test("gives up with the last error", async () => {
+        const connect = jest.fn().mockRejectedValue(new Error("ECONNREFUSED"));
+
+        await expect(retry(connect, { retries: 2, delay: 1 })).rejects.toThrow("ECONNREFUSED");
+        expect(connect).toHaveBeenCalledTimes(3);
+    });
+});
+
+test("check tells whether the probe answers in time", async () => {
+    expect(await check(async () => {}, 50)).toBe("up");
+    expect(await check(() => Promise.reject(new Error()), 50)).toBe("down");
+    expect(await check(() => new Promise(() => {}), 50)).toBe("down");
+});
+
+describe("health checks", () => {
+    test("GET /healthz answers without the database", async () => {
+        const response = await request().get("/healthz").expect(200);
+
+        expect(response.body).toEqual({ status: "ok" });
+    });
+
+    test("GET /readyz pings MongoDB", async () => {
+        const response = await request().get("/readyz").expect(200);
+
+        expect(response.body).toEqual({ status: "ok", checks: { database: "up" } });
+    });
+});
+
+// Last: the server stays closed.
+test("drain disconnects the sockets and closes the server", async () => {
+    const client = await socket();
+    const url = `http://localhost:${server.address().port}/healthz`;
+    const disconnected = next(client, "disconnect");
+
+    await drain(server, () => io.close(), 1000);
+
+    await disconnected;
+    expect(server.listening).toBe(false);
+    await expect(fetch(url)).rejects.toThrow();
+    client.close();
+});
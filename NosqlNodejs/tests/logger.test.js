@@ -0,0 +1,69 @@
+const { logger } = require("../logger");
+const { request, resetDatabase, createProduct } = require("./helpers");
+
+let lines;
+
+beforeEach(async () => {
+    await resetDatabase();
+    lines = [];
+    jest.replaceProperty(logger, "level", "info");
+    jest.spyOn(logger, "write").mockImplementation((line) => lines.push(JSON.parse(line)));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+function requestLines() {
+    return lines.filter((line) => line.msg === "request");
+}
+
+test("gives each request an ID, or keeps the client's", async () => {
+    const generated = await request().get("/products").expect(200);
+    const kept = await request().get("/products").set("X-Request-Id", "lb-1234.5").expect(200);
+    const replaced = await request().get("/products").set("X-Request-Id", '", "level": "error').expect(200);
+
+    expect(generated.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(kept.headers["x-request-id"]).toBe("lb-1234.5");
+    expect(replaced.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(requestLines().map((line) => line.requestId)).toEqual(
+        [generated, kept, replaced].map((response) => response.headers["x-request-id"]),
+    );
+});
+
+test("logs the route, the status, the latency and the MongoDB time", async () => {
+    const product = await createProduct();
+    lines.length = 0;
+
+    await request().get(`/products/${product._id}`).expect(200);
+
+    expect(requestLines()).toEqual([
+        expect.objectContaining({
+            level: "info",
+            method: "GET",
+            path: `/products/${product._id}`,
+            route: "/products/:id",
+            status: 200,
+            durationMs: expect.any(Number),
+            dbCommands: expect.any(Number),
+            dbTimeMs: expect.any(Number),
+        }),
+    ]);
+});
+
+test("logs the commands at debug", async () => {
+    logger.level = "debug";
+
+    await request().get("/products").expect(200);
+
+    expect(lines).toContainEqual(expect.objectContaining({
+        level: "debug",
+        msg: "command",
+        command: "aggregate",
+        durationMs: expect.any(Number),
+    }));
+});
+
+test("keeps the probes for the debug level", async () => {
+    await request().get("/healthz").expect(200);
+
+    expect(requestLines()).toEqual([]);
+});
@@ -0,0 +1,38 @@
+const { request, resetDatabase, socket, stopListening } = require("./helpers");
+
+beforeEach(resetDatabase);
+
+afterAll(stopListening);
+
+function metrics() {
+    return request().get("/metrics").expect(200);
+}
+
+test("counts the requests per route and status", async () => {
+    await request().get("/products/000000000000000000000000").expect(404);
+    await request().get("/no/such/page").expect(404);
+
+    const { headers, text } = await metrics();
+
+    expect(headers["content-type"]).toMatch(/^text\/plain;.*version=/);
+    expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/products/:id",status="404"} 1');
+    expect(text).toContain('http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1');
+});
+
+test("times the MongoDB commands and counts the pooled connections", async () => {
+    await request().get("/products").expect(200);
+
+    const { text } = await metrics();
+
+    expect(text).toMatch(/^mongodb_command_duration_seconds_count\{command="aggregate",outcome="ok"\} [1-9]/m);
+    expect(text).toMatch(/^mongodb_pool_connections [1-9]/m);
+});
+
+test("counts the sockets of each namespace", async () => {
+    const client = await socket("/events");
+
+    const { text } = await metrics();
+
+    expect(text).toContain('socketio_connections{namespace="/events"} 1');
+    client.disconnect();
+});
@@ -0,0 +1,183 @@
+const { request, resetDatabase, createCategory, createProduct } = require("./helpers");
+
+const UNKNOWN_ID = "aaaaaaaaaaaaaaaaaaaaaaaa";
+
+beforeEach(resetDatabase);
+
+describe("GET /products", () => {
+    test("lists the products with their categories", async () => {
+        const category = await createCategory();
+        await createProduct({ categoryIds: [category._id] });
+
+        const response = await request().get("/products").expect(200);
+
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0].categories).toEqual([category]);
+    });
+
+    test("filters on a category", async () => {
+        const category = await createCategory();
+        await createProduct({ name: "Clavier", categoryIds: [category._id] });
+        await createProduct({ name: "Écran" });
+
+        const response = await request()
+            .get("/products")
+            .query({ categoryId: category._id })
+            .expect(200);
+
+        expect(response.body.map((product) => product.name)).toEqual(["Clavier"]);
+    });
+
+    test("rejects an invalid category id", async () => {
+        const response = await request().get("/products").query({ categoryId: "nope" }).expect(400);
+
+        expect(response.body.errors[0].path).toEqual(["categoryId"]);
+    });
+});
+
+describe("GET /products/:id", () => {
+    test("returns the product", async () => {
+        const product = await createProduct();
+
+        const response = await request().get(`/products/${product._id}`).expect(200);
+
+        expect(response.body).toMatchObject({ ...product, categories: [] });
+    });
+
+    test("returns 404 for an unknown product", async () => {
+        await request().get(`/products/${UNKNOWN_ID}`).expect(404);
+    });
+
+    test("returns 400 for an invalid ObjectId", async () => {
+        const response = await request()
+            .get("/products/123")
+            .expect(400)
+            .expect("Content-Type", /application\/problem\+json/);
+
+        expect(response.body.detail).toBe("Invalid ObjectId");
+    });
+});
+
+describe("POST /products", () => {
+    test("creates a product", async () => {
+        const category = await createCategory();
+
+        const product = await createProduct({ categoryIds: [category._id] });
+
+        expect(product).toMatchObject({ name: "Clavier", categoryIds: [category._id] });
+        await request().get(`/products/${product._id}`).expect(200);
+    });
+
+    test("rejects unknown categories", async () => {
+        const category = await createCategory();
+
+        const response = await request()
+            .post("/products")
+            .send({ name: "Clavier", about: "", price: 10, categoryIds: [category._id, UNKNOWN_ID] })
+            .expect(400);
+
+        expect(response.body.errors).toEqual([
+            expect.objectContaining({ code: "unknown_category", path: ["categoryIds", 1] }),
+        ]);
+    });
+
+    test("lists every invalid field", async () => {
+        const response = await request()
+            .post("/products")
+            .send({ name: "Clavier", price: 0, categoryIds: ["nope"] })
+            .expect(400);
+
+        expect(response.body.errors.map((error) => error.path)).toEqual([
+            ["about"],
+            ["price"],
+            ["categoryIds", 0],
+        ]);
+    });
+});
+
+describe("PUT /products/:id", () => {
+    test("replaces the product", async () => {
+        const product = await createProduct();
+
+        const response = await request()
+            .put(`/products/${product._id}`)
+            .send({ name: "Écran", about: "IPS", price: 299, categoryIds: [] })
+            .expect(200);
+
+        expect(response.body).toEqual({
+            _id: product._id,
+            name: "Écran",
+            about: "IPS",
+            price: 299,
+            categoryIds: [],
+            images: [],
+        });
+    });
+
+    test("returns 404 for an unknown product", async () => {
+        await request()
+            .put(`/products/${UNKNOWN_ID}`)
+            .send({ name: "Écran", about: "IPS", price: 299, categoryIds: [] })
+            .expect(404);
+    });
+
+    test("validates the body", async () => {
+        const product = await createProduct();
+
+        await request().put(`/products/${product._id}`).send({ name: "Écran" }).expect(400);
+    });
+});
+
+describe("PATCH /products/:id", () => {
+    test("updates the given fields only", async () => {
+        const category = await createCategory();
+        const product = await createProduct();
+
+        const response = await request()
+            .patch(`/products/${product._id}`)
+            .send({ price: 79.9, categoryIds: [category._id] })
+            .expect(200);
+
+        expect(response.body).toEqual({ ...product, price: 79.9, categoryIds: [category._id] });
+    });
+
+    test("rejects unknown categories", async () => {
+        const product = await createProduct();
+
+        await request()
+            .patch(`/products/${product._id}`)
+            .send({ categoryIds: [UNKNOWN_ID] })
+            .expect(400);
+    });
+
+    test("rejects an empty update", async () => {
+        const product = await createProduct();
+
+        await request().patch(`/products/${product._id}`).send({}).expect(400);
+    });
+
+    test("returns 404 for an unknown product", async () => {
+        await request().patch(`/products/${UNKNOWN_ID}`).send({ price: 1 }).expect(404);
+    });
+});
+
+describe("DELETE /products/:id", () => {
+    test("deletes the product", async () => {
+        const product = await createProduct();
+
+        const response = await request().delete(`/products/${product._id}`).expect(200);
+
+        expect(response.body).toEqual(product);
+        await request().get(`/products/${product._id}`).expect(404);
+    });
+
+    test("returns 404 for an unknown product", async () => {
+        await request().delete(`/products/${UNKNOWN_ID}`).expect(404);
+    });
+});
+
+test("unknown routes return a problem document", async () => {
+    const response = await request().get("/nope").expect(404);
+
+    expect(response.body).toMatchObject({ status: 404, detail: "Cannot GET /nope" });
+});
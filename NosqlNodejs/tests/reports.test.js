@@ -0,0 +1,50 @@
+const { request, resetDatabase, createCategory, createProduct } = require("./helpers");
+
+beforeEach(async () => {
+    await resetDatabase();
+});
+
+describe("GET /reports/categories", () => {
+    test("gives the product count and prices of every category", async () => {
+        const screens = await createCategory("Écrans");
+        const audio = await createCategory("Audio");
+        const empty = await createCategory("Câbles");
+        await createProduct({ name: "Écran 24", price: 150, categoryIds: [screens._id] });
+        await createProduct({ name: "Écran 27", price: 300, categoryIds: [screens._id] });
+        await createProduct({ name: "Écran USB", price: 99.99, categoryIds: [screens._id, audio._id] });
+
+        const response = await request().get("/reports/categories").expect(200);
+
+        expect(response.body).toEqual([
+            {
+                categoryId: screens._id,
+                name: "Écrans",
+                products: 3,
+                price: { min: 99.99, max: 300, average: 183.33 },
+            },
+            {
+                categoryId: audio._id,
+                name: "Audio",
+                products: 1,
+                price: { min: 99.99, max: 99.99, average: 99.99 },
+            },
+            {
+                categoryId: empty._id,
+                name: "Câbles",
+                products: 0,
+                price: { min: null, max: null, average: null },
+            },
+        ]);
+    });
+
+    test("counts the products without a category apart", async () => {
+        await createProduct({ price: 10 });
+        await createProduct({ price: 20 });
+
+        const response = await request().get("/reports/categories").expect(200);
+
+        expect(response.body).toEqual([
+            { categoryId: null, name: null, products: 2, price: { min: 10, max: 20, average: 15 } },
+        ]);
+    });
+});
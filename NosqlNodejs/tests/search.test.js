@@ -0,0 +1,62 @@
+const { request, resetDatabase, createCategory, createProduct } = require("./helpers");
+
+let screens;
+
+beforeEach(async () => {
+    await resetDatabase();
+    screens = await createCategory("Écrans");
+    await createProduct({ name: "Écran 27 pouces", about: "Dalle IPS", price: 299, categoryIds: [screens._id] });
+    await createProduct({ name: "Support", about: "Bras pour écran", price: 45 });
+    await createProduct({ name: "Clavier", about: "Switches rouges", price: 89.9 });
+});
+
+function search(query) {
+    return request().get("/products/search").query(query);
+}
+
+test("ranks the name above the description", async () => {
+    const response = await search({ q: "écran" }).expect(200);
+
+    expect(response.body.total).toBe(2);
+    expect(response.body.data.map((product) => product.name)).toEqual(["Écran 27 pouces", "Support"]);
+    expect(response.body.data[0].categories).toEqual([screens]);
+});
+
+test("highlights the matched words", async () => {
+    const response = await search({ q: "écrans" }).expect(200);
+
+    expect(response.body.data[0].highlight.name).toBe("<mark>Écran</mark> 27 pouces");
+    expect(response.body.data[1].highlight.about).toBe("Bras pour <mark>écran</mark>");
+});
+
+test("counts the matches by category and price", async () => {
+    const response = await search({ q: "écran" }).expect(200);
+
+    expect(response.body.facets.category).toEqual([
+        { categoryId: null, name: null, count: 1 },
+        { categoryId: screens._id, name: "Écrans", count: 1 },
+    ]);
+    expect(response.body.facets.price).toEqual([
+        { min: 25, max: 50, count: 1 },
+        { min: 250, max: null, count: 1 },
+    ]);
+});
+
+test("filters on a category without narrowing the facets", async () => {
+    const response = await search({ q: "écran", categoryId: screens._id }).expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.facets.category).toHaveLength(2);
+});
+
+test("pages through the results", async () => {
+    const response = await search({ q: "écran", limit: 1, page: 2 }).expect(200);
+
+    expect(response.body.data.map((product) => product.name)).toEqual(["Support"]);
+});
+
+test("requires a query", async () => {
+    const response = await search({}).expect(400);
+
+    expect(response.body.errors[0].path).toEqual(["q"]);
+});
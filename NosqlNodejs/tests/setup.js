@@ -0,0 +1,4 @@
+const { client, ensureIndexes } = require("../db");
+
+beforeAll(ensureIndexes);
+afterAll(() => client.close());
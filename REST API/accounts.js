@@ -0,0 +1,230 @@
+const crypto = require("node:crypto");
+const sql = require("./db");
+const { config } = require("./config");
+const { audit } = require("./audit");
+const { HttpError } = require("./errors");
+const { logger } = require("./logger");
+const { mailer } = require("./mailer");
+const { userRow } = require("./serialize");
+
+// Email verification and password reset, both through a link sent by mail
+// that carries a single-use token.
+
+// How long the link of each mail can be followed.
+const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60,
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * A new token of `purpose` for `user`, which replaces the unused ones of the
+ * same purpose. Only its hash is stored: the token itself goes in the mail.
+ */
+async function issueToken(sql, user, purpose) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await sql`
+    DELETE FROM user_tokens
+    WHERE user_id = ${user.id} AND purpose = ${purpose} AND used_at IS NULL
+  `;
+  await sql`
+    INSERT INTO user_tokens (token_hash, user_id, purpose, expires_at)
+    VALUES (
+      ${hashToken(token)},
+      ${user.id},
+      ${purpose},
+      NOW() + ${TOKEN_TTL_MINUTES[purpose]} * INTERVAL '1 minute'
+    )
+  `;
+  return token;
+}
+
+/**
+ * Uses `token` of `purpose`, in the transaction `sql`, and resolves to its
+ * user. Throws a 400 HttpError for a token that is unknown, expired or
+ * already used, or whose user is deleted.
+ */
+async function consumeToken(sql, token, purpose) {
+  const [user] = await sql`
+    UPDATE user_tokens
+    SET used_at = NOW()
+    FROM users
+    WHERE user_tokens.token_hash = ${hashToken(token)}
+      AND user_tokens.purpose = ${purpose}
+      AND user_tokens.used_at IS NULL
+      AND user_tokens.expires_at > NOW()
+      AND users.id = user_tokens.user_id
+      AND users.deleted_at IS NULL
+    RETURNING users.*
+  `;
+  if (!user) {
+    throw new HttpError(400, "Invalid or expired token");
+  }
+  return user;
+}
+
+// Work left running after its request was answered.
+const pending = new Set();
+
+// Runs `task` without waiting for it; a failure is logged as `msg`.
+function inBackground(task, msg) {
+  const promise = task()
+    .catch((error) => logger.error(msg, { error }))
+    .finally(() => pending.delete(promise));
+  pending.add(promise);
+}
+
+// Resolves once the work started by inBackground() is done.
+async function settled() {
+  await Promise.all(pending);
+}
+
+// A mail that cannot be sent is logged rather than failing the request.
+async function deliver(message) {
+  try {
+    await mailer.send(message);
+  } catch (error) {
+    logger.error("Mail not sent", { to: message.to, error });
+  }
+}
+
+/**
+ * Mails `user` a link that verifies their address. It never fails: called
+ * once the user is saved, it must not turn that into an error, and a new
+ * link can be asked for.
+ */
+async function sendVerification(user) {
+  let token;
+  try {
+    token = await issueToken(sql, user, "verify_email");
+  } catch (error) {
+    logger.error("Verification not sent", { userId: user.id, error });
+    return;
+  }
+
+  await deliver({
+    to: user.email,
+    subject: "Confirmez votre adresse email",
+    text:
+      `Bonjour ${user.name},\n\n` +
+      "Pour confirmer votre adresse email, suivez ce lien dans les 24 heures :\n" +
+      `${config.appUrl}/verify-email?token=${token}\n`,
+  });
+}
+
+/**
+ * Mails a new verification link to the user `id`. Throws a 404 HttpError
+ * for an unknown user and a 409 one for an address already verified.
+ */
+async function resendVerification(id) {
+  const [user] = await sql`
+    SELECT * FROM users WHERE id = ${id} AND deleted_at IS NULL
+  `;
+  if (!user) {
+    throw new HttpError(404, "User not found");
+  }
+  if (user.emailVerifiedAt) {
+    throw new HttpError(409, "Email address already verified");
+  }
+  await sendVerification(user);
+}
+
+/**
+ * Runs `update`, which changes the user `id`, and resolves to the user it
+ * resolves to. An address that changed is unverified by the database: the
+ * new one is mailed a link, but not one given again unchanged.
+ */
+async function reverifyChangedEmail(id, update) {
+  const [before] = await sql`SELECT email FROM users WHERE id = ${id}`;
+  const user = await update();
+  if (user && user.email !== before?.email) {
+    await sendVerification(user);
+  }
+  return user;
+}
+
+// Marks the address of the user of `token` as verified. See consumeToken().
+async function verifyEmail(token) {
+  await sql.begin(async (sql) => {
+    const user = await consumeToken(sql, token, "verify_email");
+
+    const [verified] = await sql`
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, NOW())
+      WHERE id = ${user.id}
+      RETURNING *
+    `;
+    await audit(sql, user, "update", "users", user, verified);
+  });
+}
+
+async function sendPasswordReset(email) {
+  const [user] = await sql`
+    SELECT * FROM users WHERE email = ${email} AND deleted_at IS NULL
+  `;
+  if (!user) {
+    return;
+  }
+  const token = await issueToken(sql, user, "reset_password");
+
+  await deliver({
+    to: user.email,
+    subject: "Réinitialisation de votre mot de passe",
+    text:
+      `Bonjour ${user.name},\n\n` +
+      "Pour choisir un nouveau mot de passe, suivez ce lien dans l'heure :\n" +
+      `${config.appUrl}/reset-password?token=${token}\n\n` +
+      "Si vous n'avez rien demandé, ignorez ce message.\n",
+  });
+}
+
+/**
+ * Mails a password reset link to the user of `email`, if there is one. It
+ * returns at once and does the work in the background, so that neither the
+ * answer nor the time it takes tells which accounts exist.
+ */
+function requestPasswordReset(email) {
+  inBackground(() => sendPasswordReset(email), "Password reset not sent");
+}
+
+/**
+ * Sets `password` on the user of `token` and ends all their sessions. The
+ * mail having reached them, their address is verified too. See
+ * consumeToken() for the errors.
+ */
+async function resetPassword({ token, password }) {
+  const { password: hash } = await userRow({ password });
+
+  await sql.begin(async (sql) => {
+    const user = await consumeToken(sql, token, "reset_password");
+
+    const [updated] = await sql`
+      UPDATE users
+      SET
+        password = ${hash},
+        email_verified_at = COALESCE(email_verified_at, NOW())
+      WHERE id = ${user.id}
+      RETURNING *
+    `;
+    await sql`
+      UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE user_id = ${user.id} AND revoked_at IS NULL
+    `;
+    await audit(sql, user, "update", "users", user, updated);
+  });
+}
+
+module.exports = {
+  sendVerification,
+  resendVerification,
+  reverifyChangedEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  settled,
+};
@@ -0,0 +1,78 @@
+const COLUMNS = ["actorId", "action", "entity", "entityId", "before", "after"];
+
+// Columns whose values never reach the log, only the fact that they changed.
+const REDACTED = { users: ["password"] };
+
+function redact(entity, row) {
+  if (!row) {
+    return row;
+  }
+  const copy = { ...row };
+  for (const column of REDACTED[entity] || []) {
+    if (column in copy) {
+      copy[column] = "[redacted]";
+    }
+  }
+  return copy;
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column]]));
+}
+
+// The columns that differ between two versions of a row, on both sides.
+function diff(before, after) {
+  const columns = Object.keys({ ...before, ...after }).filter(
+    (column) =>
+      JSON.stringify(before[column]) !== JSON.stringify(after[column]),
+  );
+  return [pick(before, columns), pick(after, columns)];
+}
+
+// The audit_log row telling that `actor` did `action` to a row of `entity`.
+function entry(sql, actor, action, entity, before, after) {
+  const [changedFrom, changedTo] =
+    action === "create" ? [null, after] : diff(before, after);
+
+  return {
+    actorId: actor ? actor.id : null,
+    action,
+    entity,
+    entityId: (after || before).id,
+    before: changedFrom && sql.json(redact(entity, changedFrom)),
+    after: changedTo && sql.json(redact(entity, changedTo)),
+  };
+}
+
+/**
+ * Logs that `actor` (req.user, or nothing for the system) did `action` to a
+ * row of `entity`, the table's name. `before` and `after` are the row on
+ * each side of the change: a creation keeps the whole new row, the other
+ * actions the columns they changed. Pass the transaction of the change, so
+ * that the log cannot tell of a change that was rolled back.
+ */
+async function audit(sql, actor, action, entity, before, after) {
+  await sql`
+    INSERT INTO audit_log ${sql(entry(sql, actor, action, entity, before, after), ...COLUMNS)}
+  `;
+}
+
+/**
+ * Logs many changes to rows of `entity` at once, each `{ action, before,
+ * after }` as for audit().
+ */
+async function auditAll(sql, actor, entity, changes) {
+  if (!changes.length) {
+    return;
+  }
+  await sql`
+    INSERT INTO audit_log ${sql(
+      changes.map(({ action, before, after }) =>
+        entry(sql, actor, action, entity, before, after),
+      ),
+      ...COLUMNS,
+    )}
+  `;
+}
+
+module.exports = { audit, auditAll };
@@ -0,0 +1,472 @@
+const express = require("express");
+const crypto = require("node:crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const sql = require("./db");
+const { config } = require("./config");
+const { HttpError, validate, asyncHandler } = require("./errors");
+const { rateLimit } = require("./rate-limit");
+const {
+  resendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+} = require("./accounts");
+const {
+  LoginSchema,
+  RefreshSchema,
+  LogoutSchema,
+  VerifyEmailSchema,
+  ForgotPasswordSchema,
+  ResetPasswordSchema,
+} = require("./schemas");
+
+const ACCESS_TOKEN_SECRET = config.tokens.accessSecret;
+const REFRESH_TOKEN_SECRET = config.tokens.refreshSecret;
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+const router = express.Router();
+
+// Slows down password guessing, from one address or against one account.
+const loginLimits = [
+  rateLimit({
+    name: "login",
+    limit: 10,
+    window: 15 * 60,
+    key: (req) => req.ip,
+  }),
+  rateLimit({
+    name: "login-email",
+    limit: 5,
+    window: 15 * 60,
+    key: (req) =>
+      typeof req.body?.email === "string"
+        ? req.body.email.toLowerCase()
+        : undefined,
+  }),
+];
+
+// Limits the reset mails sent from one address or to one account.
+const resetLimits = [
+  rateLimit({
+    name: "forgot-password",
+    limit: 10,
+    window: 60 * 60,
+    key: (req) => req.ip,
+  }),
+  rateLimit({
+    name: "forgot-password-email",
+    limit: 3,
+    window: 60 * 60,
+    key: (req) =>
+      typeof req.body?.email === "string"
+        ? req.body.email.toLowerCase()
+        : undefined,
+  }),
+];
+
+async function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { sub: String(user.id), role: user.role },
+    ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  );
+  await sql`
+    INSERT INTO refresh_tokens (id, user_id, expires_at)
+    VALUES (${jti}, ${user.id}, ${expiresAt})
+  `;
+  const refreshToken = jwt.sign(
+    { sub: String(user.id), jti },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` },
+  );
+
+  return { accessToken, refreshToken, tokenType: "Bearer" };
+}
+
+function verifyRefreshToken(token) {
+  try {
+    return jwt.verify(token, REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+function verifyAccessToken(req, res, next) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    res.set("WWW-Authenticate", "Bearer");
+    return next(new HttpError(401, "Authentication required"));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return next(new HttpError(401, "Invalid or expired token"));
+  }
+
+  req.user = { id: Number(payload.sub), role: payload.role };
+  next();
+}
+
+// Checks the access token, then counts the request against the user's quota.
+const authenticate = [
+  verifyAccessToken,
+  rateLimit({
+    name: "user",
+    limit: 120,
+    window: 60,
+    key: (req) => req.user.id,
+  }),
+];
+
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.user.role)) {
+      next();
+    } else {
+      next(new HttpError(403));
+    }
+  };
+}
+
+// Lets admins through, and customers only when the route targets their own record.
+function authorizeSelf(param = "id") {
+  return (req, res, next) => {
+    if (isAdmin(req.user) || req.user.id === Number(req.params[param])) {
+      next();
+    } else {
+      next(new HttpError(403));
+    }
+  };
+}
+
+/**
+ * Requires one of `roles` for the requests that `predicate` picks out only,
+ * such as an admin option of a public route. Authenticates them first when
+ * no earlier middleware did.
+ */
+function authorizeIf(predicate, ...roles) {
+  const check = authorize(...roles);
+  const authenticateThenCheck = express.Router().use(authenticate, check);
+
+  return (req, res, next) => {
+    if (!predicate(req)) {
+      next();
+    } else if (req.user) {
+      check(req, res, next);
+    } else {
+      authenticateThenCheck(req, res, next);
+    }
+  };
+}
+
+function isAdmin(user) {
+  return user.role === "admin";
+}
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     operationId: auth.login
+ *     summary: Se connecter
+ *     description: Vérifie l'email et le mot de passe de l'utilisateur puis renvoie un jeton d'accès et un jeton de rafraîchissement.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Login'
+ *     responses:
+ *       200:
+ *         description: Connexion réussie. Renvoie les jetons.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Corps de la requête invalide.
+ *       401:
+ *         description: Email ou mot de passe incorrect.
+ *       429:
+ *         description: Trop de tentatives de connexion depuis cette adresse IP ou pour cet email. Réessayer après le délai indiqué par l'en-tête Retry-After.
+ *         headers:
+ *           Retry-After:
+ *             description: Nombre de secondes à attendre avant de réessayer.
+ *             schema:
+ *               type: integer
+ */
+router.post(
+  "/login",
+  loginLimits,
+  asyncHandler(async (req, res) => {
+    const body = validate(LoginSchema, req.body);
+
+    const [user] = await sql`
+      SELECT * FROM users WHERE email = ${body.email} AND deleted_at IS NULL
+    `;
+    const valid = user && (await bcrypt.compare(body.password, user.password));
+
+    if (!valid) {
+      throw new HttpError(401, "Invalid email or password");
+    }
+
+    res.json(await issueTokens(user));
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     operationId: auth.refresh
+ *     summary: Rafraîchir les jetons
+ *     description: Échange un jeton de rafraîchissement valide contre une nouvelle paire de jetons. L'ancien jeton de rafraîchissement est révoqué.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Refresh'
+ *     responses:
+ *       200:
+ *         description: Nouveaux jetons émis avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Corps de la requête invalide.
+ *       401:
+ *         description: Jeton de rafraîchissement invalide, expiré ou révoqué.
+ */
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const body = validate(RefreshSchema, req.body);
+
+    const payload = verifyRefreshToken(body.refreshToken);
+    if (!payload) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+
+    const [revoked] = await sql`
+      UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE id = ${payload.jti}
+        AND revoked_at IS NULL
+        AND expires_at > NOW()
+      RETURNING user_id
+    `;
+
+    if (!revoked) {
+      // A rotated token is being replayed: end every session of that user.
+      await sql`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE user_id = ${payload.sub} AND revoked_at IS NULL
+      `;
+      throw new HttpError(401, "Invalid refresh token");
+    }
+
+    const [user] = await sql`
+      SELECT * FROM users WHERE id = ${revoked.userId} AND deleted_at IS NULL
+    `;
+    if (!user) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+
+    res.json(await issueTokens(user));
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     operationId: auth.logout
+ *     summary: Se déconnecter
+ *     description: Révoque le jeton de rafraîchissement fourni, ou toutes les sessions de l'utilisateur si `all` vaut true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Logout'
+ *     responses:
+ *       204:
+ *         description: Session(s) révoquée(s) avec succès.
+ *       400:
+ *         description: Corps de la requête invalide.
+ *       401:
+ *         description: Jeton de rafraîchissement invalide.
+ */
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    const body = validate(LogoutSchema, req.body);
+
+    const payload = verifyRefreshToken(body.refreshToken);
+    if (!payload) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+
+    if (body.all) {
+      await sql`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE user_id = ${payload.sub} AND revoked_at IS NULL
+      `;
+    } else {
+      await sql`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE id = ${payload.jti} AND revoked_at IS NULL
+      `;
+    }
+
+    res.status(204).end();
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     operationId: auth.verifyEmail
+ *     summary: Confirmer son adresse email
+ *     description: Confirme l'adresse de l'utilisateur avec le jeton du lien envoyé par email à l'inscription ou au changement d'adresse. Le jeton est valable 24 heures et ne sert qu'une fois. Tant que son adresse n'est pas confirmée, un utilisateur ne peut pas passer de commande.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmail'
+ *     responses:
+ *       204:
+ *         description: Adresse email confirmée.
+ *       400:
+ *         description: Corps de la requête invalide, ou jeton inconnu, expiré ou déjà utilisé.
+ */
+router.post(
+  "/verify-email",
+  asyncHandler(async (req, res) => {
+    const { token } = validate(VerifyEmailSchema, req.body);
+
+    await verifyEmail(token);
+    res.status(204).end();
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     operationId: auth.resendVerification
+ *     summary: Renvoyer l'email de confirmation
+ *     description: Envoie un nouveau lien de confirmation à l'adresse de l'utilisateur connecté. Les liens envoyés avant ne sont plus valables.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Email de confirmation envoyé.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       404:
+ *         description: Utilisateur non trouvé ou supprimé.
+ *       409:
+ *         description: L'adresse email est déjà confirmée.
+ */
+router.post(
+  "/verify-email/resend",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await resendVerification(req.user.id);
+    res.status(202).end();
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     operationId: auth.forgotPassword
+ *     summary: Demander la réinitialisation de son mot de passe
+ *     description: Envoie à l'adresse indiquée un lien pour choisir un nouveau mot de passe, valable une heure et une seule fois. La réponse est la même qu'un compte existe ou non pour cette adresse.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPassword'
+ *     responses:
+ *       202:
+ *         description: Demande prise en compte. Un email est envoyé si un compte correspond à l'adresse.
+ *       400:
+ *         description: Corps de la requête invalide.
+ *       429:
+ *         description: Trop de demandes depuis cette adresse IP ou pour cet email. Réessayer après le délai indiqué par l'en-tête Retry-After.
+ *         headers:
+ *           Retry-After:
+ *             description: Nombre de secondes à attendre avant de réessayer.
+ *             schema:
+ *               type: integer
+ */
+router.post(
+  "/forgot-password",
+  resetLimits,
+  asyncHandler(async (req, res) => {
+    const { email } = validate(ForgotPasswordSchema, req.body);
+
+    requestPasswordReset(email);
+    res.status(202).end();
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     operationId: auth.resetPassword
+ *     summary: Choisir un nouveau mot de passe
+ *     description: Remplace le mot de passe de l'utilisateur avec le jeton du lien envoyé par `POST /auth/forgot-password`, et ferme toutes ses sessions. Son adresse email est du même coup confirmée.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPassword'
+ *     responses:
+ *       204:
+ *         description: Mot de passe changé.
+ *       400:
+ *         description: Corps de la requête invalide, ou jeton inconnu, expiré ou déjà utilisé.
+ */
+router.post(
+  "/reset-password",
+  asyncHandler(async (req, res) => {
+    const body = validate(ResetPasswordSchema, req.body);
+
+    await resetPassword(body);
+    res.status(204).end();
+  }),
+);
+
+module.exports = {
+  router,
+  authenticate,
+  authorize,
+  authorizeSelf,
+  authorizeIf,
+  isAdmin,
+};
@@ -0,0 +1,180 @@
+const sql = require("./db");
+const { HttpError } = require("./errors");
+const { priceOrder } = require("./pricing");
+const { taxRates, insertOrder } = require("./orders");
+
+// The cart of each user, priced at the current prices until it is checked out.
+
+// Throws a 404 HttpError for an unknown or deleted user.
+async function checkUser(sql, userId) {
+  const [user] = await sql`
+    SELECT id FROM users WHERE id = ${userId} AND deleted_at IS NULL
+  `;
+  if (!user) {
+    throw new HttpError(404, "User not found");
+  }
+}
+
+/**
+ * The cart of `userId`, each line priced at the product's current price and
+ * taxed at the rate of `country`. A line is unavailable once its product is
+ * deleted or short of stock, which a checkout would refuse. Throws a 404
+ * HttpError for an unknown user, and a 400 one when `country` has no rate
+ * for a product's tax class.
+ */
+async function findCart(userId, country, tx = sql) {
+  await checkUser(tx, userId);
+  const rows = await tx`
+    SELECT
+      cart_items.product_id,
+      cart_items.quantity,
+      cart_items.added_price,
+      products.name,
+      products.price AS unit_price,
+      products.tax_class,
+      products.deleted_at IS NULL AND products.stock >= cart_items.quantity
+        AS available
+    FROM cart_items
+    JOIN products ON products.id = cart_items.product_id
+    WHERE cart_items.user_id = ${userId}
+    ORDER BY cart_items.created_at, cart_items.product_id
+  `;
+  const rates = await taxRates(
+    tx,
+    country,
+    rows.map((row) => row.taxClass),
+  );
+  const price = priceOrder(rows, rates, null);
+
+  return {
+    userId: Number(userId),
+    country,
+    items: price.lines.map(({ discount, ...line }) => ({
+      ...line,
+      priceChanged: line.unitPrice !== line.addedPrice,
+    })),
+    subtotal: price.subtotal,
+    tax: price.tax,
+    total: price.total,
+  };
+}
+
+/**
+ * Stores `quantity` of `productId` in the cart of `userId`, at the product's
+ * current price, with `add` on top of the quantity already there or in its
+ * place. Throws a 404 HttpError for an unknown user or product, and a 409
+ * one when the product does not have that much stock.
+ */
+async function putItem(sql, userId, productId, quantity, add) {
+  await checkUser(sql, userId);
+  const [product] = await sql`
+    SELECT price, stock FROM products
+    WHERE id = ${productId} AND deleted_at IS NULL
+  `;
+  if (!product) {
+    throw new HttpError(404, "Product not found", { productId });
+  }
+
+  const [item] = await sql`
+    INSERT INTO cart_items (user_id, product_id, quantity, added_price)
+    VALUES (${userId}, ${productId}, ${quantity}, ${product.price})
+    ON CONFLICT (user_id, product_id) DO UPDATE SET
+      quantity = ${add ? sql`cart_items.quantity + ` : sql``}excluded.quantity,
+      added_price = excluded.added_price,
+      updated_at = NOW()
+    RETURNING quantity
+  `;
+  if (item.quantity > product.stock) {
+    throw new HttpError(409, "Insufficient stock", {
+      productId,
+      requested: item.quantity,
+      available: product.stock,
+    });
+  }
+}
+
+/**
+ * Adds `quantity` of `productId` to the cart of `userId` and resolves to the
+ * cart, priced for `country`. See putItem() for the errors.
+ */
+async function addToCart(userId, { productId, quantity }, country) {
+  return sql.begin(async (sql) => {
+    await putItem(sql, userId, productId, quantity, true);
+    return findCart(userId, country, sql);
+  });
+}
+
+/**
+ * Sets the quantity of the line of `productId` in the cart of `userId` and
+ * resolves to the cart, priced for `country`. Throws a 404 HttpError when
+ * the cart has no such line; see putItem() for the others.
+ */
+async function updateCartItem(userId, productId, { quantity }, country) {
+  return sql.begin(async (sql) => {
+    const [item] = await sql`
+      SELECT 1 FROM cart_items
+      WHERE user_id = ${userId} AND product_id = ${productId}
+      FOR UPDATE
+    `;
+    if (!item) {
+      throw new HttpError(404, "Cart item not found");
+    }
+    await putItem(sql, userId, productId, quantity, false);
+    return findCart(userId, country, sql);
+  });
+}
+
+/**
+ * Removes the line of `productId` from the cart of `userId` and resolves to
+ * the cart, priced for `country`. Throws a 404 HttpError when the cart has
+ * no such line.
+ */
+async function removeCartItem(userId, productId, country) {
+  return sql.begin(async (sql) => {
+    const [item] = await sql`
+      DELETE FROM cart_items
+      WHERE user_id = ${userId} AND product_id = ${productId}
+      RETURNING product_id
+    `;
+    if (!item) {
+      throw new HttpError(404, "Cart item not found");
+    }
+    return findCart(userId, country, sql);
+  });
+}
+
+/**
+ * Turns the cart of `userId` into an order delivered to `country`, with an
+ * optional `couponCode`, as `actor`: the cart is emptied in the transaction
+ * that creates the order, so that it is left as it was when insertOrder()
+ * throws. Throws a 404 HttpError for an unknown user and a 409 one for an
+ * empty cart.
+ */
+async function checkout(userId, { country, couponCode }, actor) {
+  return sql.begin(async (sql) => {
+    await checkUser(sql, userId);
+    const items = await sql`
+      DELETE FROM cart_items
+      WHERE user_id = ${userId}
+      RETURNING product_id, quantity
+    `;
+    if (items.length === 0) {
+      throw new HttpError(409, "The cart is empty");
+    }
+    return insertOrder(
+      sql,
+      Number(userId),
+      { items, country, couponCode },
+      actor,
+    );
+  });
+}
+
+module.exports = {
+  checkUser,
+  findCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  checkout,
+};
@@ -0,0 +1,272 @@
+const readline = require("node:readline");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const sql = require("./db");
+const { auditAll } = require("./audit");
+const { parseCsv, toCsv } = require("./csv");
+const { HttpError, issues } = require("./errors");
+const { ImportProductSchema } = require("./schemas");
+
+// Bulk import and export of the products, as CSV or NDJSON streams.
+
+// Products written, and looked up, per query.
+const BATCH_SIZE = 500;
+
+// Rows with errors beyond these are counted but not described.
+const MAX_REPORTED_ERRORS = 100;
+
+// The columns of an export, which an import reads back.
+const COLUMNS = [
+  "sku",
+  "name",
+  "about",
+  "price",
+  "taxClass",
+  "stock",
+  "category",
+];
+
+// CSV has no numbers: the cells of these columns are parsed as such.
+const NUMERIC_COLUMNS = ["price", "stock"];
+
+const FORMATS = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+};
+
+function issue(message, path = []) {
+  return { code: "custom", message, path };
+}
+
+/**
+ * Yields the records of a CSV upload as `{ row, value }`, value being the
+ * product read through the header line, or `{ row, errors }`. Empty cells are
+ * left out, so that the defaults apply.
+ */
+async function* csvRecords(req) {
+  req.setEncoding("utf8");
+  let header;
+  let row = 0;
+
+  for await (const values of parseCsv(req)) {
+    if (!header) {
+      header = values.map((column) => column.trim());
+      continue;
+    }
+    row += 1;
+    if (values.length !== header.length) {
+      yield {
+        row,
+        errors: [
+          issue(`Expected ${header.length} fields, got ${values.length}`),
+        ],
+      };
+      continue;
+    }
+    const value = {};
+    header.forEach((column, i) => {
+      if (values[i] !== "") {
+        value[column] = NUMERIC_COLUMNS.includes(column)
+          ? Number(values[i])
+          : values[i];
+      }
+    });
+    yield { row, value };
+  }
+}
+
+// Yields the records of an NDJSON upload, one per non-blank line.
+async function* ndjsonRecords(req) {
+  let row = 0;
+
+  for await (const line of readline.createInterface({
+    input: req,
+    crlfDelay: Infinity,
+  })) {
+    if (!line.trim()) {
+      continue;
+    }
+    row += 1;
+    try {
+      yield { row, value: JSON.parse(line) };
+    } catch {
+      yield { row, errors: [issue("Invalid JSON")] };
+    }
+  }
+}
+
+/**
+ * The records of the request body, by its Content-Type. Throws a 415
+ * HttpError for a type that is neither CSV nor NDJSON.
+ */
+function uploadedRecords(req) {
+  switch (req.is(Object.values(FORMATS))) {
+    case FORMATS.csv:
+      return csvRecords(req);
+    case FORMATS.ndjson:
+      return ndjsonRecords(req);
+    default:
+      throw new HttpError(
+        415,
+        `Expected a body of type ${Object.values(FORMATS).join(" or ")}`,
+      );
+  }
+}
+
+function changed(before, product) {
+  return COLUMNS.some((column) => before[column] !== product[column]);
+}
+
+/**
+ * Creates the products of `batch` whose SKU is new and updates the others,
+ * in a transaction of their own, unless it is a dry run. Adds them to
+ * `report` as created, updated or unchanged.
+ */
+function writeBatch(batch, options, report) {
+  return sql.begin((sql) => writeProducts(sql, batch, options, report));
+}
+
+async function writeProducts(sql, batch, { dryRun, actor }, report) {
+  const existing = await sql`
+    SELECT * FROM products
+    WHERE sku IN ${sql(batch.map((product) => product.sku))}
+    ${dryRun ? sql`` : sql`FOR UPDATE`}
+  `;
+  const bySku = new Map(existing.map((row) => [row.sku, row]));
+  const writes = batch.filter((product) => {
+    const before = bySku.get(product.sku);
+
+    if (!before) {
+      report.created += 1;
+    } else if (changed(before, product)) {
+      report.updated += 1;
+    } else {
+      report.unchanged += 1;
+      return false;
+    }
+    return true;
+  });
+  if (dryRun || !writes.length) {
+    return;
+  }
+
+  // A deleted product keeps its SKU: it is updated, and stays deleted.
+  const rows = await sql`
+    INSERT INTO products ${sql(writes, ...COLUMNS)}
+    ON CONFLICT (sku) DO UPDATE SET
+      name = excluded.name,
+      about = excluded.about,
+      price = excluded.price,
+      tax_class = excluded.tax_class,
+      stock = excluded.stock,
+      category = excluded.category
+    RETURNING *
+  `;
+  await auditAll(
+    sql,
+    actor,
+    "products",
+    rows.map((row) => {
+      const before = bySku.get(row.sku);
+      return before
+        ? { action: "update", before, after: row }
+        : { action: "create", after: row };
+    }),
+  );
+}
+
+/**
+ * Imports the products of the CSV or NDJSON body of `req`, matching them on
+ * their SKU: new ones are created, the others replaced. Each row is checked
+ * against ImportProductSchema; rows that fail, or repeat an earlier SKU, are
+ * skipped and described in the report. The rest is written by batches, as
+ * `actor`, unless `dryRun` only asks what would change. Each batch commits
+ * on its own, so that no lock is held while the client sends the rest: the
+ * batches written before a failure stay. Resolves to `{ dryRun, created,
+ * updated, unchanged, failed, errors }`.
+ */
+async function importProducts(req, { dryRun, actor }) {
+  const records = uploadedRecords(req);
+  const report = {
+    dryRun,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: 0,
+    errors: [],
+  };
+  const fail = (row, errors) => {
+    report.failed += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, errors });
+    }
+  };
+
+  const rowOfSku = new Map();
+  let batch = [];
+
+  for await (const record of records) {
+    if (record.errors) {
+      fail(record.row, record.errors);
+      continue;
+    }
+    const result = ImportProductSchema.safeParse(record.value);
+    if (!result.success) {
+      fail(record.row, issues(result.error));
+      continue;
+    }
+    const product = result.data;
+    const first = rowOfSku.get(product.sku);
+    if (first) {
+      fail(record.row, [
+        issue(`Duplicate SKU, already on row ${first}`, ["sku"]),
+      ]);
+      continue;
+    }
+    rowOfSku.set(product.sku, record.row);
+
+    batch.push(product);
+    if (batch.length === BATCH_SIZE) {
+      await writeBatch(batch, { dryRun, actor }, report);
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await writeBatch(batch, { dryRun, actor }, report);
+  }
+  return report;
+}
+
+/**
+ * Streams the products that are not deleted to `res` as `format`, csv or
+ * ndjson, reading them by batches with a cursor rather than all at once.
+ */
+async function exportProducts(res, format) {
+  async function* chunks() {
+    let header = format === "csv";
+
+    for await (const rows of sql`
+      SELECT ${sql(COLUMNS)} FROM products
+      WHERE deleted_at IS NULL
+      ORDER BY id
+    `.cursor(BATCH_SIZE)) {
+      if (format === "csv") {
+        const csv = toCsv(COLUMNS, rows);
+        // Only the first batch keeps the header line of toCsv().
+        yield header ? csv : csv.slice(csv.indexOf("\r\n") + 2);
+        header = false;
+      } else {
+        yield rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+      }
+    }
+    if (header) {
+      yield toCsv(COLUMNS, []);
+    }
+  }
+
+  // attachment() sets the type of the extension, unknown for .ndjson.
+  res.attachment(`products.${format}`).type(FORMATS[format]);
+  await pipeline(Readable.from(chunks()), res);
+}
+
+module.exports = { importProducts, exportProducts };
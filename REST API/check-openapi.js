@@ -0,0 +1,101 @@
+// Fails when the OpenAPI document and the Express routes disagree:
+// undocumented routes, documented routes that do not exist, dangling $refs,
+// request bodies without a schema and operations without an operationId
+// (the client generator needs them).
+const app = require("./server");
+const { buildSpec } = require("./openapi");
+
+// Routes that serve the documentation itself.
+const IGNORED = ["GET /", "GET /openapi.json"];
+
+function mountPath(layer) {
+  return layer.regexp.source
+    .replace("^\\", "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+}
+
+function expressRoutes(stack, prefix = "") {
+  return stack.flatMap((layer) => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map(
+        (method) =>
+          `${method.toUpperCase()} ${(prefix + layer.route.path).replace(/:(\w+)/g, "{$1}")}`,
+      );
+    }
+    if (layer.name === "router") {
+      return expressRoutes(layer.handle.stack, prefix + mountPath(layer));
+    }
+    return [];
+  });
+}
+
+function documentedRoutes(spec) {
+  return Object.entries(spec.paths).flatMap(([path, operations]) =>
+    Object.keys(operations).map((method) => `${method.toUpperCase()} ${path}`),
+  );
+}
+
+function danglingRefs(spec) {
+  const refs = JSON.stringify(spec).match(/"\$ref":"#\/[^"]+"/g) || [];
+  return [...new Set(refs)]
+    .map((ref) => ref.slice(8, -1))
+    .filter(
+      (ref) =>
+        ref
+          .slice(2)
+          .split("/")
+          .reduce((node, key) => node && node[key], spec) === undefined,
+    );
+}
+
+function bodiesWithoutSchema(spec) {
+  return Object.entries(spec.paths).flatMap(([path, operations]) =>
+    Object.entries(operations)
+      .filter(
+        ([, operation]) =>
+          operation.requestBody &&
+          !Object.values(operation.requestBody.content || {}).some(
+            (media) => media.schema,
+          ),
+      )
+      .map(([method]) => `${method.toUpperCase()} ${path}`),
+  );
+}
+
+function withoutOperationId(spec) {
+  return Object.entries(spec.paths).flatMap(([path, operations]) =>
+    Object.entries(operations)
+      .filter(([, operation]) => !operation.operationId)
+      .map(([method]) => `${method.toUpperCase()} ${path}`),
+  );
+}
+
+const spec = buildSpec();
+const routes = expressRoutes(app._router.stack).filter(
+  (route) => !IGNORED.includes(route),
+);
+const documented = documentedRoutes(spec);
+
+const problems = [
+  ...routes
+    .filter((route) => !documented.includes(route))
+    .map((route) => `Undocumented route: ${route}`),
+  ...documented
+    .filter((route) => !routes.includes(route))
+    .map((route) => `Documented route does not exist: ${route}`),
+  ...danglingRefs(spec).map((ref) => `Unresolved $ref: ${ref}`),
+  ...bodiesWithoutSchema(spec).map(
+    (route) => `Request body without schema: ${route}`,
+  ),
+  ...withoutOperationId(spec).map(
+    (route) => `Operation without operationId: ${route}`,
+  ),
+];
+
+if (problems.length) {
+  problems.forEach((problem) => console.error(problem));
+  process.exitCode = 1;
+} else {
+  console.log(`OpenAPI document covers all ${routes.length} routes`);
+}
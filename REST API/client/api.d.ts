@@ -0,0 +1,600 @@
+// Generated by generate-client.js from the OpenAPI document. Do not edit.
+
+export type ProductImage = {
+  id: number;
+  url: string;
+  thumbnailUrl: string;
+  contentType: string;
+  size: number;
+  width: number;
+  height: number;
+};
+
+export type Product = {
+  id: number;
+  sku: string | null;
+  name: string;
+  about: string;
+  price: number;
+  taxClass: "standard" | "reduced" | "exempt";
+  stock: number;
+  category: string | null;
+  images: Array<{
+    id: number;
+    url: string;
+    thumbnailUrl: string;
+    contentType: string;
+    size: number;
+    width: number;
+    height: number;
+  }>;
+  deletedAt: string | null;
+};
+
+export type CreateProduct = {
+  sku?: string | null;
+  name: string;
+  about: string;
+  price: number;
+  taxClass?: "standard" | "reduced" | "exempt";
+  stock?: number;
+  category?: string | null;
+};
+
+export type ProductImportReport = {
+  dryRun: boolean;
+  created: number;
+  updated: number;
+  unchanged: number;
+  failed: number;
+  errors: Array<{
+    row: number;
+    errors: Array<{
+      code: string;
+      message: string;
+      path: Array<string | number>;
+    }>;
+  }>;
+};
+
+export type ProductPage = {
+  data: Array<Product>;
+  nextCursor: string | null;
+  total: number;
+};
+
+export type ProductSearchResults = {
+  data: Array<{
+    id: number;
+    sku: string | null;
+    name: string;
+    about: string;
+    price: number;
+    taxClass: "standard" | "reduced" | "exempt";
+    stock: number;
+    category: string | null;
+    images: Array<{
+      id: number;
+      url: string;
+      thumbnailUrl: string;
+      contentType: string;
+      size: number;
+      width: number;
+      height: number;
+    }>;
+    deletedAt: string | null;
+    rank: number;
+    highlight: {
+      name: string;
+      about: string;
+    };
+  }>;
+  total: number;
+  facets: {
+    category: Array<{
+      value: string | null;
+      count: number;
+    }>;
+    price: Array<{
+      min: number;
+      max: number | null;
+      count: number;
+    }>;
+  };
+};
+
+export type User = {
+  id: number;
+  name: string;
+  email: string;
+  role: "customer" | "admin";
+  emailVerifiedAt: string | null;
+  deletedAt: string | null;
+};
+
+export type CreateUser = {
+  name: string;
+  email: string;
+  password: string;
+};
+
+export type UpdateUser = {
+  name?: string;
+  email?: string;
+  password?: string;
+};
+
+export type UserPage = {
+  data: Array<User>;
+  nextCursor: string | null;
+  total: number;
+};
+
+export type Order = {
+  id: number;
+  userId: number;
+  status: "pending" | "paid" | "shipped" | "cancelled";
+  country: string;
+  couponCode: string | null;
+  subtotal: number;
+  discount: number;
+  tax: number;
+  total: number;
+  createdAt: string;
+  updatedAt: string;
+  deletedAt: string | null;
+  items: Array<{
+    productId: number;
+    quantity: number;
+    id: number;
+    orderId: number;
+    unitPrice: number;
+    taxClass: "standard" | "reduced" | "exempt";
+    taxRate: number;
+    discount: number;
+    tax: number;
+  }>;
+};
+
+export type CreateOrder = {
+  userId?: number;
+  country?: string;
+  couponCode?: string;
+  items: Array<{
+    productId: number;
+    quantity: number;
+  }>;
+};
+
+export type UpdateOrder = {
+  status: "pending" | "paid" | "shipped" | "cancelled";
+};
+
+export type OrderPage = {
+  data: Array<Order>;
+  nextCursor: string | null;
+  total: number;
+};
+
+export type Cart = {
+  userId: number;
+  country: string;
+  items: Array<{
+    productId: number;
+    quantity: number;
+    name: string;
+    unitPrice: number;
+    addedPrice: number;
+    priceChanged: boolean;
+    available: boolean;
+    taxClass: "standard" | "reduced" | "exempt";
+    taxRate: number;
+    tax: number;
+  }>;
+  subtotal: number;
+  tax: number;
+  total: number;
+};
+
+export type AddCartItem = {
+  productId: number;
+  quantity: number;
+};
+
+export type UpdateCartItem = {
+  quantity: number;
+};
+
+export type Checkout = {
+  country?: string;
+  couponCode?: string;
+};
+
+export type Wishlist = {
+  userId: number;
+  items: Array<{
+    productId: number;
+    name: string;
+    price: number;
+    addedPrice: number;
+    priceDropped: boolean;
+    available: boolean;
+    addedAt: string;
+  }>;
+};
+
+export type AddWishlistItem = {
+  productId: number;
+};
+
+export type TaxRate = {
+  country: string;
+  taxClass: "standard" | "reduced" | "exempt";
+  rate: number;
+};
+
+export type UpdateTaxRate = {
+  rate: number;
+};
+
+export type Coupon = {
+  id: number;
+  code: string;
+  kind: "percent" | "amount";
+  value: number;
+  startsAt: string | null;
+  endsAt: string | null;
+  maxUses: number | null;
+  uses: number;
+  createdAt: string;
+};
+
+export type CreateCoupon = {
+  kind: "percent" | "amount";
+  value: number;
+  code: string;
+  startsAt?: string | null;
+  endsAt?: string | null;
+  maxUses?: number | null;
+};
+
+export type SalesReport = {
+  from: string;
+  to: string;
+  groupBy: "day" | "week" | "month";
+  summary: {
+    orders: number;
+    revenue: number;
+    averageOrderValue: number;
+  };
+  revenue: Array<{
+    period: string;
+    orders: number;
+    revenue: number;
+  }>;
+  topProducts: Array<{
+    productId: number;
+    name: string;
+    quantity: number;
+    revenue: number;
+  }>;
+  customers: Array<{
+    userId: number;
+    name: string;
+    email: string;
+    orders: number;
+    spent: number;
+  }>;
+};
+
+export type AuditEntry = {
+  id: number;
+  actorId: number | null;
+  action: "create" | "update" | "delete" | "restore";
+  entity: "users" | "products" | "orders";
+  entityId: number;
+  before: {
+
+  } | null;
+  after: {
+
+  } | null;
+  createdAt: string;
+};
+
+export type AuditEntryPage = {
+  data: Array<AuditEntry>;
+  nextCursor: string | null;
+  total: number;
+};
+
+export type Login = {
+  email: string;
+  password: string;
+};
+
+export type Refresh = {
+  refreshToken: string;
+};
+
+export type Logout = {
+  refreshToken: string;
+  all?: boolean;
+};
+
+export type VerifyEmail = {
+  token: string;
+};
+
+export type ForgotPassword = {
+  email: string;
+};
+
+export type ResetPassword = {
+  token: string;
+  password: string;
+};
+
+export type Tokens = {
+  accessToken: string;
+  refreshToken: string;
+  tokenType: "Bearer";
+};
+
+export type Problem = {
+  type: string;
+  title: string;
+  status: number;
+  detail: string;
+  instance: string;
+  errors?: Array<{
+    code: string;
+    message: string;
+    path: Array<string | number>;
+  }>;
+};
+
+export type Health = {
+  status: "ok" | "unavailable";
+  checks?: {
+    database: "up" | "down";
+  };
+};
+
+export type ProductsListQuery = {
+  limit?: number;
+  page?: number;
+  cursor?: string;
+  sort?: string;
+  name?: string;
+  about?: string;
+  price?: number;
+  "name~"?: string;
+  "about~"?: string;
+  category?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  includeDeleted?: boolean;
+};
+
+export type ProductsSearchQuery = {
+  q: string;
+  category?: string;
+  limit?: number;
+  page?: number;
+};
+
+export type ProductsImportQuery = {
+  dryRun?: boolean;
+};
+
+export type ProductsExportQuery = {
+  format?: "csv" | "ndjson";
+};
+
+export type ProductsGetQuery = {
+  includeDeleted?: boolean;
+};
+
+export type UsersListQuery = {
+  limit?: number;
+  page?: number;
+  cursor?: string;
+  sort?: string;
+  "name~"?: string;
+  "email~"?: string;
+  role?: "customer" | "admin";
+  includeDeleted?: boolean;
+};
+
+export type UsersGetQuery = {
+  includeDeleted?: boolean;
+};
+
+export type UsersGetCartQuery = {
+  country?: string;
+};
+
+export type UsersAddCartItemQuery = {
+  country?: string;
+};
+
+export type UsersUpdateCartItemQuery = {
+  country?: string;
+};
+
+export type UsersRemoveCartItemQuery = {
+  country?: string;
+};
+
+export type OrdersListQuery = {
+  limit?: number;
+  page?: number;
+  cursor?: string;
+  sort?: string;
+  userId?: number;
+  productId?: number;
+  status?: "pending" | "paid" | "shipped" | "cancelled";
+  minTotal?: number;
+  maxTotal?: number;
+  includeDeleted?: boolean;
+};
+
+export type OrdersGetQuery = {
+  includeDeleted?: boolean;
+};
+
+export type TaxRatesListQuery = {
+  country?: string;
+};
+
+export type ReportsSalesQuery = {
+  from?: string;
+  to?: string;
+  groupBy?: "day" | "week" | "month";
+  limit?: number;
+  format?: "json" | "csv";
+  section?: "revenue" | "topProducts" | "customers";
+};
+
+export type AuditListQuery = {
+  limit?: number;
+  page?: number;
+  cursor?: string;
+  sort?: string;
+  entity?: "users" | "products" | "orders";
+  entityId?: number;
+  actorId?: number;
+  action?: "create" | "update" | "delete" | "restore";
+  from?: string;
+  to?: string;
+};
+
+export interface RequestOptions {
+  /** Added to the request, such as If-Match. */
+  headers?: Record<string, string>;
+}
+
+export interface ShopClient {
+  health: {
+    /** Vérifier que le serveur tourne (GET /healthz) */
+    live(options?: RequestOptions): Promise<Health>;
+    /** Vérifier que le serveur peut traiter des requêtes (GET /readyz) */
+    ready(options?: RequestOptions): Promise<Health>;
+  };
+  metrics: {
+    /** Exporter les métriques (GET /metrics) */
+    get(options?: RequestOptions): Promise<string>;
+  };
+  products: {
+    /** Récupérer une liste de produits (GET /products) */
+    list(query?: ProductsListQuery & { filters?: ProductsListQuery }, options?: RequestOptions): Promise<ProductPage>;
+    /** Créer un produit (POST /products) */
+    create(body: CreateProduct, options?: RequestOptions): Promise<Product>;
+    /** Rechercher des produits (GET /products/search) */
+    search(query?: ProductsSearchQuery & { filters?: ProductsSearchQuery }, options?: RequestOptions): Promise<ProductSearchResults>;
+    /** Importer des produits (POST /products/import) */
+    import(body: Blob, query?: ProductsImportQuery, options?: RequestOptions): Promise<ProductImportReport>;
+    /** Exporter les produits (GET /products/export) */
+    export(query?: ProductsExportQuery & { filters?: ProductsExportQuery }, options?: RequestOptions): Promise<string>;
+    /** Récupérer un produit par son ID (GET /products/{id}) */
+    get(id: number | string, query?: ProductsGetQuery & { filters?: ProductsGetQuery }, options?: RequestOptions): Promise<Product>;
+    /** Supprimer un produit (DELETE /products/{id}) */
+    delete(id: number | string, options?: RequestOptions): Promise<Product>;
+    /** Restaurer un produit supprimé (POST /products/{id}/restore) */
+    restore(id: number | string, options?: RequestOptions): Promise<Product>;
+    /** Ajouter une image à un produit (POST /products/{id}/images) */
+    addImage(id: number | string, body: FormData, options?: RequestOptions): Promise<ProductImage>;
+    /** Supprimer une image d'un produit (DELETE /products/{id}/images/{imageId}) */
+    deleteImage(id: number | string, imageId: number | string, options?: RequestOptions): Promise<ProductImage>;
+  };
+  users: {
+    /** Récupérer une liste d'utilisateurs (GET /users) */
+    list(query?: UsersListQuery & { filters?: UsersListQuery }, options?: RequestOptions): Promise<UserPage>;
+    /** Créer un nouvel utilisateur (POST /users) */
+    create(body: CreateUser, options?: RequestOptions): Promise<User>;
+    /** Récupérer un utilisateur par son ID (GET /users/{id}) */
+    get(id: number | string, query?: UsersGetQuery & { filters?: UsersGetQuery }, options?: RequestOptions): Promise<User>;
+    /** Supprimer un utilisateur (DELETE /users/{id}) */
+    delete(id: number | string, options?: RequestOptions): Promise<User>;
+    /** Mettre à jour un utilisateur (PUT /users/{id}) */
+    replace(id: number | string, body: CreateUser, options?: RequestOptions): Promise<User>;
+    /** Mettre à jour partiellement un utilisateur (PATCH /users/{id}) */
+    update(id: number | string, body: UpdateUser, options?: RequestOptions): Promise<User>;
+    /** Restaurer un utilisateur supprimé (POST /users/{id}/restore) */
+    restore(id: number | string, options?: RequestOptions): Promise<User>;
+    /** Récupérer le panier d'un utilisateur (GET /users/{id}/cart) */
+    getCart(id: number | string, query?: UsersGetCartQuery & { filters?: UsersGetCartQuery }, options?: RequestOptions): Promise<Cart>;
+    /** Ajouter un produit au panier (POST /users/{id}/cart/items) */
+    addCartItem(id: number | string, body: AddCartItem, query?: UsersAddCartItemQuery, options?: RequestOptions): Promise<Cart>;
+    /** Modifier la quantité d'une ligne du panier (PATCH /users/{id}/cart/items/{productId}) */
+    updateCartItem(id: number | string, productId: number | string, body: UpdateCartItem, query?: UsersUpdateCartItemQuery, options?: RequestOptions): Promise<Cart>;
+    /** Retirer un produit du panier (DELETE /users/{id}/cart/items/{productId}) */
+    removeCartItem(id: number | string, productId: number | string, query?: UsersRemoveCartItemQuery & { filters?: UsersRemoveCartItemQuery }, options?: RequestOptions): Promise<Cart>;
+    /** Commander le panier (POST /users/{id}/cart/checkout) */
+    checkout(id: number | string, body: Checkout, options?: RequestOptions): Promise<Order>;
+    /** Récupérer la liste de souhaits d'un utilisateur (GET /users/{id}/wishlist) */
+    getWishlist(id: number | string, options?: RequestOptions): Promise<Wishlist>;
+    /** Ajouter un produit à la liste de souhaits (POST /users/{id}/wishlist) */
+    addWishlistItem(id: number | string, body: AddWishlistItem, options?: RequestOptions): Promise<Wishlist>;
+    /** Retirer un produit de la liste de souhaits (DELETE /users/{id}/wishlist/{productId}) */
+    removeWishlistItem(id: number | string, productId: number | string, options?: RequestOptions): Promise<Wishlist>;
+  };
+  orders: {
+    /** Créer une nouvelle commande (POST /orders) */
+    create(body: CreateOrder, options?: RequestOptions): Promise<Order>;
+    /** Récupérer une liste de toutes les commandes (GET /orders) */
+    list(query?: OrdersListQuery & { filters?: OrdersListQuery }, options?: RequestOptions): Promise<OrderPage>;
+    /** Récupérer une commande par son ID (GET /orders/{id}) */
+    get(id: number | string, query?: OrdersGetQuery & { filters?: OrdersGetQuery }, options?: RequestOptions): Promise<Order>;
+    /** Supprimer une commande (DELETE /orders/{id}) */
+    delete(id: number | string, options?: RequestOptions): Promise<Order>;
+    /** Changer le statut d'une commande (PATCH /orders/{id}) */
+    update(id: number | string, body: UpdateOrder, options?: RequestOptions): Promise<Order>;
+    /** Restaurer une commande supprimée (POST /orders/{id}/restore) */
+    restore(id: number | string, options?: RequestOptions): Promise<Order>;
+  };
+  taxRates: {
+    /** Lister les taux de TVA (GET /tax-rates) */
+    list(query?: TaxRatesListQuery & { filters?: TaxRatesListQuery }, options?: RequestOptions): Promise<Array<TaxRate>>;
+    /** Définir un taux de TVA (PUT /tax-rates/{country}/{taxClass}) */
+    set(country: string, taxClass: "standard" | "reduced" | "exempt", body: UpdateTaxRate, options?: RequestOptions): Promise<TaxRate>;
+  };
+  coupons: {
+    /** Lister les codes promo (GET /coupons) */
+    list(options?: RequestOptions): Promise<Array<Coupon>>;
+    /** Créer un code promo (POST /coupons) */
+    create(body: CreateCoupon, options?: RequestOptions): Promise<Coupon>;
+    /** Supprimer un code promo (DELETE /coupons/{code}) */
+    delete(code: string, options?: RequestOptions): Promise<Coupon>;
+  };
+  reports: {
+    /** Rapport des ventes (GET /reports/sales) */
+    sales(query?: ReportsSalesQuery & { filters?: ReportsSalesQuery }, options?: RequestOptions): Promise<SalesReport>;
+  };
+  audit: {
+    /** Journal des modifications (GET /audit) */
+    list(query?: AuditListQuery & { filters?: AuditListQuery }, options?: RequestOptions): Promise<AuditEntryPage>;
+  };
+  auth: {
+    /** Se connecter (POST /auth/login) */
+    login(body: Login, options?: RequestOptions): Promise<Tokens>;
+    /** Rafraîchir les jetons (POST /auth/refresh) */
+    refresh(body: Refresh, options?: RequestOptions): Promise<Tokens>;
+    /** Se déconnecter (POST /auth/logout) */
+    logout(body: Logout, options?: RequestOptions): Promise<void>;
+    /** Confirmer son adresse email (POST /auth/verify-email) */
+    verifyEmail(body: VerifyEmail, options?: RequestOptions): Promise<void>;
+    /** Renvoyer l'email de confirmation (POST /auth/verify-email/resend) */
+    resendVerification(options?: RequestOptions): Promise<void>;
+    /** Demander la réinitialisation de son mot de passe (POST /auth/forgot-password) */
+    forgotPassword(body: ForgotPassword, options?: RequestOptions): Promise<void>;
+    /** Choisir un nouveau mot de passe (POST /auth/reset-password) */
+    resetPassword(body: ResetPassword, options?: RequestOptions): Promise<void>;
+  };
+  request(
+    method: string,
+    path: string,
+    options?: RequestOptions & { query?: Record<string, unknown>; body?: unknown },
+  ): Promise<unknown>;
+}
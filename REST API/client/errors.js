@@ -0,0 +1,105 @@
+// `body` is the problem document (RFC 7807) sent by the server.
+class ApiError extends Error {
+  constructor(status, body, message) {
+    super(
+      message ||
+        (body && (body.detail || body.title)) ||
+        `Request failed with status ${status}`,
+    );
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(body) {
+    super(400, body);
+    this.name = "BadRequestError";
+    this.errors = (body && body.errors) || [];
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(body) {
+    super(401, body);
+    this.name = "UnauthorizedError";
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(body) {
+    super(403, body);
+    this.name = "ForbiddenError";
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(body) {
+    super(404, body);
+    this.name = "NotFoundError";
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(body) {
+    super(409, body);
+    this.name = "ConflictError";
+  }
+}
+
+class PreconditionFailedError extends ApiError {
+  constructor(body) {
+    super(412, body);
+    this.name = "PreconditionFailedError";
+  }
+}
+
+class TooManyRequestsError extends ApiError {
+  constructor(body) {
+    super(429, body);
+    this.name = "TooManyRequestsError";
+    // Seconds to wait before trying again, as in the Retry-After header.
+    this.retryAfter = body && body.retryAfter;
+  }
+}
+
+class ServerError extends ApiError {
+  constructor(status, body) {
+    super(status, body);
+    this.name = "ServerError";
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: PreconditionFailedError,
+  429: TooManyRequestsError,
+};
+
+function errorFor(status, body) {
+  if (ERRORS_BY_STATUS[status]) {
+    return new ERRORS_BY_STATUS[status](body);
+  }
+  if (status >= 500) {
+    return new ServerError(status, body);
+  }
+  return new ApiError(status, body);
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  TooManyRequestsError,
+  ServerError,
+  errorFor,
+};
@@ -0,0 +1,48 @@
+import type { Problem, ShopClient } from "./api";
+
+export * from "./api";
+
+export interface ClientOptions {
+  /** Defaults to http://localhost:8000. */
+  baseUrl?: string;
+  /** Access token, or a function returning it, sent as a Bearer token. */
+  token?: string | (() => string | undefined | Promise<string | undefined>);
+  /** Number of retries of idempotent requests on 5xx and network errors. Defaults to 2. */
+  retries?: number;
+  /** Delay before the first retry in ms, doubled at each retry. Defaults to 200. */
+  retryDelay?: number;
+  fetch?: typeof fetch;
+}
+
+export function createClient(options?: ClientOptions): ShopClient;
+
+export class ApiError extends Error {
+  status: number;
+  /** Problem document (RFC 7807) sent by the server. */
+  body: Problem | undefined;
+}
+export class BadRequestError extends ApiError {
+  status: 400;
+  errors: NonNullable<Problem["errors"]>;
+}
+export class UnauthorizedError extends ApiError {
+  status: 401;
+}
+export class ForbiddenError extends ApiError {
+  status: 403;
+}
+export class NotFoundError extends ApiError {
+  status: 404;
+}
+export class ConflictError extends ApiError {
+  status: 409;
+}
+export class PreconditionFailedError extends ApiError {
+  status: 412;
+}
+export class TooManyRequestsError extends ApiError {
+  status: 429;
+  /** Seconds to wait before trying again. */
+  retryAfter: number | undefined;
+}
+export class ServerError extends ApiError {}
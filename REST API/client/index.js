@@ -0,0 +1,152 @@
+const { errorFor, ...errors } = require("./errors");
+const operations = require("./operations");
+
+// Only these are retried: replaying a POST could create the same order twice.
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function parseBody(response) {
+  if (response.status === 204) {
+    return undefined;
+  }
+  const text = await response.text();
+  if (!text) {
+    return undefined;
+  }
+  // JSON and problem+json, but not NDJSON, which is one document per line.
+  return /\bjson\b/.test(response.headers.get("content-type") || "")
+    ? JSON.parse(text)
+    : text;
+}
+
+function buildUrl(baseUrl, path, query = {}) {
+  const url = new URL(baseUrl.replace(/\/$/, "") + path);
+
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null) {
+        url.searchParams.append(key, String(item));
+      }
+    }
+  }
+  return url;
+}
+
+/**
+ * Creates a client for the shop API.
+ *
+ *   const { createClient } = require("shop-api-client");
+ *   const shop = createClient({ baseUrl: "http://localhost:8000", token: () => session.accessToken });
+ *   const { data, nextCursor } = await shop.products.list({ filters: { minPrice: 10 }, page: 2 });
+ *   await shop.users.update(42, { name: "Alice" });
+ *
+ * Every operation of the OpenAPI document is exposed as `client.<resource>.<action>`:
+ * path parameters come first, then the body (POST, PUT, PATCH; a FormData for
+ * file uploads, a Blob for imports) and its query if any, or the query (GET,
+ * DELETE). Failed requests reject with the ApiError subclass matching the
+ * status. A last argument `{ headers }` adds headers to the request, such as
+ * If-Match.
+ *
+ *   await shop.products.import(new Blob([csv], { type: "text/csv" }), { dryRun: true });
+ *   await shop.users.update(42, user, { headers: { "If-Match": etag } });
+ */
+function createClient(options = {}) {
+  const {
+    baseUrl = "http://localhost:8000",
+    token,
+    retries = 2,
+    retryDelay = 200,
+    fetch = globalThis.fetch,
+  } = options;
+
+  // Multipart bodies are given as FormData, which fetch encodes itself, and
+  // files as a Blob, whose type fetch sends as the Content-Type.
+  function isJson(body) {
+    return (
+      body !== undefined &&
+      !(body instanceof FormData) &&
+      !(body instanceof Blob)
+    );
+  }
+
+  async function headers(body, extra) {
+    const value = typeof token === "function" ? await token() : token;
+
+    return {
+      Accept: "application/json",
+      ...(isJson(body) && { "Content-Type": "application/json" }),
+      ...(value && { Authorization: `Bearer ${value}` }),
+      ...extra,
+    };
+  }
+
+  async function request(method, path, { query, body, headers: extra } = {}) {
+    const url = buildUrl(baseUrl, path, query);
+    const attempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const retry = attempt < attempts;
+      let response;
+
+      try {
+        response = await fetch(url, {
+          method,
+          headers: await headers(body, extra),
+          body: isJson(body) ? JSON.stringify(body) : body,
+        });
+      } catch (error) {
+        if (!retry) {
+          throw error;
+        }
+        await sleep(retryDelay * 2 ** (attempt - 1));
+        continue;
+      }
+
+      if (response.status >= 500 && retry) {
+        await sleep(retryDelay * 2 ** (attempt - 1));
+        continue;
+      }
+
+      const payload = await parseBody(response);
+      if (!response.ok) {
+        throw errorFor(response.status, payload);
+      }
+      return payload;
+    }
+  }
+
+  function operation({ method, path, pathParams, hasBody, hasQuery }) {
+    return (...args) => {
+      const resolvedPath = pathParams.reduce(
+        (acc, name, i) => acc.replace(`{${name}}`, encodeURIComponent(args[i])),
+        path,
+      );
+      const rest = args.slice(pathParams.length);
+      const body = hasBody ? rest.shift() : undefined;
+      const input = hasQuery ? rest.shift() : undefined;
+      const { headers } = rest.shift() || {};
+
+      if (hasBody) {
+        return request(method, resolvedPath, { body, query: input, headers });
+      }
+      const { filters, ...query } = input || {};
+      return request(method, resolvedPath, {
+        query: { ...filters, ...query },
+        headers,
+      });
+    };
+  }
+
+  const client = { request };
+  for (const [operationId, definition] of Object.entries(operations)) {
+    const [resource, action] = operationId.split(".");
+    client[resource] = client[resource] || {};
+    client[resource][action] = operation(definition);
+  }
+  return client;
+}
+
+module.exports = { createClient, ...errors };
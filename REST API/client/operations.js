@@ -0,0 +1,339 @@
+// Generated by generate-client.js from the OpenAPI document. Do not edit.
+module.exports = {
+  "health.live": {
+    method: "GET",
+    path: "/healthz",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "health.ready": {
+    method: "GET",
+    path: "/readyz",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "metrics.get": {
+    method: "GET",
+    path: "/metrics",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "products.list": {
+    method: "GET",
+    path: "/products",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "products.create": {
+    method: "POST",
+    path: "/products",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "products.search": {
+    method: "GET",
+    path: "/products/search",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "products.import": {
+    method: "POST",
+    path: "/products/import",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: true,
+  },
+  "products.export": {
+    method: "GET",
+    path: "/products/export",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "products.get": {
+    method: "GET",
+    path: "/products/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "products.delete": {
+    method: "DELETE",
+    path: "/products/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "products.restore": {
+    method: "POST",
+    path: "/products/{id}/restore",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "products.addImage": {
+    method: "POST",
+    path: "/products/{id}/images",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "products.deleteImage": {
+    method: "DELETE",
+    path: "/products/{id}/images/{imageId}",
+    pathParams: ["id","imageId"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "users.list": {
+    method: "GET",
+    path: "/users",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "users.create": {
+    method: "POST",
+    path: "/users",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "users.get": {
+    method: "GET",
+    path: "/users/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "users.delete": {
+    method: "DELETE",
+    path: "/users/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "users.replace": {
+    method: "PUT",
+    path: "/users/{id}",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "users.update": {
+    method: "PATCH",
+    path: "/users/{id}",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "users.restore": {
+    method: "POST",
+    path: "/users/{id}/restore",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "users.getCart": {
+    method: "GET",
+    path: "/users/{id}/cart",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "users.addCartItem": {
+    method: "POST",
+    path: "/users/{id}/cart/items",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: true,
+  },
+  "users.updateCartItem": {
+    method: "PATCH",
+    path: "/users/{id}/cart/items/{productId}",
+    pathParams: ["id","productId"],
+    hasBody: true,
+    hasQuery: true,
+  },
+  "users.removeCartItem": {
+    method: "DELETE",
+    path: "/users/{id}/cart/items/{productId}",
+    pathParams: ["id","productId"],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "users.checkout": {
+    method: "POST",
+    path: "/users/{id}/cart/checkout",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "users.getWishlist": {
+    method: "GET",
+    path: "/users/{id}/wishlist",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "users.addWishlistItem": {
+    method: "POST",
+    path: "/users/{id}/wishlist",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "users.removeWishlistItem": {
+    method: "DELETE",
+    path: "/users/{id}/wishlist/{productId}",
+    pathParams: ["id","productId"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "orders.create": {
+    method: "POST",
+    path: "/orders",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "orders.list": {
+    method: "GET",
+    path: "/orders",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "orders.get": {
+    method: "GET",
+    path: "/orders/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "orders.delete": {
+    method: "DELETE",
+    path: "/orders/{id}",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "orders.update": {
+    method: "PATCH",
+    path: "/orders/{id}",
+    pathParams: ["id"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "orders.restore": {
+    method: "POST",
+    path: "/orders/{id}/restore",
+    pathParams: ["id"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "taxRates.list": {
+    method: "GET",
+    path: "/tax-rates",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "taxRates.set": {
+    method: "PUT",
+    path: "/tax-rates/{country}/{taxClass}",
+    pathParams: ["country","taxClass"],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "coupons.list": {
+    method: "GET",
+    path: "/coupons",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "coupons.create": {
+    method: "POST",
+    path: "/coupons",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "coupons.delete": {
+    method: "DELETE",
+    path: "/coupons/{code}",
+    pathParams: ["code"],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "reports.sales": {
+    method: "GET",
+    path: "/reports/sales",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "audit.list": {
+    method: "GET",
+    path: "/audit",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: true,
+  },
+  "auth.login": {
+    method: "POST",
+    path: "/auth/login",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "auth.refresh": {
+    method: "POST",
+    path: "/auth/refresh",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "auth.logout": {
+    method: "POST",
+    path: "/auth/logout",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "auth.verifyEmail": {
+    method: "POST",
+    path: "/auth/verify-email",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "auth.resendVerification": {
+    method: "POST",
+    path: "/auth/verify-email/resend",
+    pathParams: [],
+    hasBody: false,
+    hasQuery: false,
+  },
+  "auth.forgotPassword": {
+    method: "POST",
+    path: "/auth/forgot-password",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+  "auth.resetPassword": {
+    method: "POST",
+    path: "/auth/reset-password",
+    pathParams: [],
+    hasBody: true,
+    hasQuery: false,
+  },
+};
@@ -0,0 +1,56 @@
+const { HttpError } = require("./errors");
+
+// Conditional requests on the versioned rows, users and orders: their
+// `version` is their ETag.
+
+function etagOf(row) {
+  return `"${row.version}"`;
+}
+
+/**
+ * Sends the version of the row a route responds with as its ETag. Express
+ * then answers a GET whose If-None-Match holds that tag with a 304 of its
+ * own. Goes after serialize() in the route, so that it sees the row before
+ * the DTO drops its version.
+ */
+function etag(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode < 300 && body && body.version !== undefined) {
+      res.set("ETag", etagOf(body));
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * The versions that the If-Match header of `req` accepts, or undefined when
+ * any will do: without the header, or with `*`. If-Match compares tags
+ * strongly, so a weak one never matches.
+ */
+function ifMatch(req) {
+  const header = req.get("If-Match");
+
+  if (header === undefined || header.trim() === "*") {
+    return undefined;
+  }
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => /^"\d+"$/.test(tag))
+    .map((tag) => Number(tag.slice(1, -1)));
+}
+
+/**
+ * Throws a 412 HttpError when `row` is at none of `versions`, the result of
+ * ifMatch(): someone changed it since the client read it.
+ */
+function checkVersion(row, versions) {
+  if (versions !== undefined && !versions.includes(row.version)) {
+    throw new HttpError(412, "The resource has changed since it was read");
+  }
+}
+
+module.exports = { etag, ifMatch, checkVersion };
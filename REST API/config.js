@@ -0,0 +1,165 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const z = require("zod");
+
+// Variables set in the environment win over those of the .env file.
+const ENV_FILE = path.join(__dirname, ".env");
+
+// Development defaults, which a production server must not run with.
+const DEV_SECRETS = {
+  ACCESS_TOKEN_SECRET: "access-secret",
+  REFRESH_TOKEN_SECRET: "refresh-secret",
+};
+
+// Mail drivers that keep the mails, and the tokens of their links, on the
+// server: fine in development, a leak in production.
+const DEV_MAIL_DRIVERS = ["console", "file"];
+
+const EnvSchema = z
+  .object({
+    NODE_ENV: z
+      .enum(["development", "test", "production"])
+      .default("development"),
+    PORT: z.coerce.number().int().min(0).max(65535).default(8000),
+    // Host, user and password come from PGHOST, PGUSER, ... which postgres.js
+    // reads itself.
+    PGDATABASE: z.string().min(1).default("mydb"),
+    DB_CONNECT_RETRIES: z.coerce.number().int().min(0).default(5),
+    DB_CONNECT_DELAY: z.coerce.number().int().positive().default(500),
+    SHUTDOWN_TIMEOUT: z.coerce.number().int().positive().default(10000),
+    LOG_LEVEL: z
+      .enum(["debug", "info", "warn", "error", "silent"])
+      .default("info"),
+    SLOW_QUERY_MS: z.coerce.number().int().positive().default(500),
+    ACCESS_TOKEN_SECRET: z
+      .string()
+      .min(1)
+      .default(DEV_SECRETS.ACCESS_TOKEN_SECRET),
+    REFRESH_TOKEN_SECRET: z
+      .string()
+      .min(1)
+      .default(DEV_SECRETS.REFRESH_TOKEN_SECRET),
+    RATE_LIMIT_STORE: z.enum(["memory", "postgres"]).default("memory"),
+    STORAGE_DRIVER: z.enum(["local", "s3"]).default("local"),
+    UPLOADS_DIR: z.string().min(1).default(path.join(__dirname, "uploads")),
+    UPLOADS_URL: z.string().min(1).default("/uploads"),
+    S3_BUCKET: z.string().min(1).optional(),
+    S3_REGION: z.string().min(1).default("us-east-1"),
+    S3_ENDPOINT: z.string().url().optional(),
+    S3_PUBLIC_URL: z.string().url().optional(),
+    // Where the links of the mails lead: the shop's front end.
+    APP_URL: z.string().url().default("http://localhost:3000"),
+    MAIL_DRIVER: z.enum(["console", "file", "smtp"]).default("console"),
+    MAIL_FROM: z.string().min(1).default("Shop <no-reply@shop.local>"),
+    MAIL_DIR: z.string().min(1).default(path.join(__dirname, "mail")),
+    SMTP_HOST: z.string().min(1).optional(),
+    SMTP_PORT: z.coerce.number().int().min(0).max(65535).default(587),
+    SMTP_SECURE: z
+      .enum(["true", "false"])
+      .default("false")
+      .transform((value) => value === "true"),
+    SMTP_USER: z.string().min(1).optional(),
+    SMTP_PASSWORD: z.string().min(1).optional(),
+  })
+  .superRefine((env, ctx) => {
+    if (env.NODE_ENV === "production") {
+      for (const [name, secret] of Object.entries(DEV_SECRETS)) {
+        if (env[name] === secret) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: "Must be set in production",
+            path: [name],
+          });
+        }
+      }
+      if (DEV_MAIL_DRIVERS.includes(env.MAIL_DRIVER)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Must be smtp in production",
+          path: ["MAIL_DRIVER"],
+        });
+      }
+    }
+    if (env.STORAGE_DRIVER === "s3") {
+      for (const name of ["S3_BUCKET", "S3_PUBLIC_URL"]) {
+        if (!env[name]) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: "Required by STORAGE_DRIVER=s3",
+            path: [name],
+          });
+        }
+      }
+    }
+    if (env.MAIL_DRIVER === "smtp" && !env.SMTP_HOST) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Required by MAIL_DRIVER=smtp",
+        path: ["SMTP_HOST"],
+      });
+    }
+  });
+
+/**
+ * Reads the settings of the API from `env`, or throws an error listing every
+ * invalid variable: better not to start than to run half configured.
+ */
+function loadConfig(env = process.env) {
+  const result = EnvSchema.safeParse(env);
+
+  if (!result.success) {
+    const problems = result.error.issues.map(
+      ({ path, message }) => `  ${path.join(".")}: ${message}`,
+    );
+    throw new Error(`Invalid configuration:\n${problems.join("\n")}`);
+  }
+  const vars = result.data;
+
+  return {
+    env: vars.NODE_ENV,
+    port: vars.PORT,
+    database: {
+      name: vars.PGDATABASE,
+      connectRetries: vars.DB_CONNECT_RETRIES,
+      connectDelay: vars.DB_CONNECT_DELAY,
+    },
+    shutdownTimeout: vars.SHUTDOWN_TIMEOUT,
+    log: { level: vars.LOG_LEVEL, slowQueryMs: vars.SLOW_QUERY_MS },
+    tokens: {
+      accessSecret: vars.ACCESS_TOKEN_SECRET,
+      refreshSecret: vars.REFRESH_TOKEN_SECRET,
+    },
+    rateLimitStore: vars.RATE_LIMIT_STORE,
+    storage: {
+      driver: vars.STORAGE_DRIVER,
+      local: { root: vars.UPLOADS_DIR, baseUrl: vars.UPLOADS_URL },
+      s3: {
+        bucket: vars.S3_BUCKET,
+        region: vars.S3_REGION,
+        endpoint: vars.S3_ENDPOINT,
+        publicUrl: vars.S3_PUBLIC_URL,
+      },
+    },
+    appUrl: vars.APP_URL.replace(/\/$/, ""),
+    mail: {
+      driver: vars.MAIL_DRIVER,
+      from: vars.MAIL_FROM,
+      file: { dir: vars.MAIL_DIR },
+      smtp: {
+        host: vars.SMTP_HOST,
+        port: vars.SMTP_PORT,
+        secure: vars.SMTP_SECURE,
+        user: vars.SMTP_USER,
+        password: vars.SMTP_PASSWORD,
+      },
+    },
+  };
+}
+
+if (fs.existsSync(ENV_FILE)) {
+  process.loadEnvFile(ENV_FILE);
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig };
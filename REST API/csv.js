@@ -0,0 +1,107 @@
+const { HttpError } = require("./errors");
+
+// Spreadsheets run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// A formula defused by toCsv(), whose quote parseCsv() takes off again.
+const DEFUSED_FORMULA = /^'[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats `rows` as RFC 4180 CSV, with a header line of the `columns`.
+ * Text that a spreadsheet would evaluate is prefixed with a quote.
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(cell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+function malformed(line, problem) {
+  return new HttpError(400, `Malformed CSV on line ${line}: ${problem}`);
+}
+
+function unquote(field) {
+  return DEFUSED_FORMULA.test(field) ? field.slice(1) : field;
+}
+
+/**
+ * Parses the RFC 4180 CSV of `chunks`, strings such as those of a request
+ * read as UTF-8, and yields each record as an array of fields, one at a
+ * time. Lines end with CRLF or LF, blank lines are skipped, and the quote
+ * toCsv() puts before a formula is removed. Throws a 400 HttpError on a
+ * stray or unterminated quote.
+ */
+async function* parseCsv(chunks) {
+  let record = [];
+  let field = "";
+  let quoted = false; // Inside the quotes of a field.
+  let closed = false; // Right after the closing quote of a field.
+  let line = 1;
+  let first = true;
+
+  for await (const chunk of chunks) {
+    for (const char of first ? chunk.replace(/^\uFEFF/, "") : chunk) {
+      first = false;
+      if (char === "\n") {
+        line += 1;
+      }
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          closed = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        if (!closed && field) {
+          throw malformed(line, "quote inside an unquoted field");
+        }
+        // A doubled quote inside quotes stands for one.
+        if (closed) {
+          field += char;
+        }
+        quoted = true;
+        closed = false;
+      } else if (char === ",") {
+        record.push(unquote(field));
+        field = "";
+        closed = false;
+      } else if (char === "\n") {
+        record.push(unquote(field));
+        if (record.length > 1 || record[0]) {
+          yield record;
+        }
+        record = [];
+        field = "";
+        closed = false;
+      } else if (char !== "\r") {
+        if (closed) {
+          throw malformed(line, "text after a closing quote");
+        }
+        field += char;
+      }
+    }
+  }
+
+  if (quoted) {
+    throw malformed(line, "unterminated quote");
+  }
+  if (record.length || field) {
+    record.push(unquote(field));
+    yield record;
+  }
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,83 @@
+const postgres = require("postgres");
+const { config } = require("./config");
+const { logger, requestContext } = require("./logger");
+const {
+  dbQueryDuration,
+  dbQueriesInFlight,
+  dbPoolMaxConnections,
+} = require("./metrics");
+
+// OID of Postgres NUMERIC, in which amounts of money are stored.
+const NUMERIC = 1700;
+
+// Columns are snake_case in Postgres and camelCase in JS. Amounts have two
+// decimals at most, which a JS number holds exactly enough to be read back.
+const sql = postgres({
+  db: config.database.name,
+  transform: postgres.camel,
+  types: {
+    numeric: {
+      to: NUMERIC,
+      from: [NUMERIC],
+      serialize: (value) => value.toString(),
+      parse: (value) => Number(value),
+    },
+  },
+});
+
+/**
+ * Calls `onQuery(query)` as each query of postgres.js starts, and the
+ * function it returns once the query settled, with its error if it failed.
+ * postgres.js has no hooks for that, but its queries are promises that only
+ * run once awaited: from their first `then` on, the caller waits for them,
+ * for a free connection included. Queries read with a cursor, which are
+ * never awaited, are not timed. Query is private to postgres.js, which is
+ * pinned to an exact version for that: tests/db.test.js fails when an
+ * upgrade stops the patch from firing.
+ */
+function observeQueries(sql, onQuery) {
+  const Query = Object.getPrototypeOf(sql``).constructor;
+  const then = Query.prototype.then;
+  const observed = new WeakSet();
+
+  Query.prototype.then = function (...args) {
+    if (!observed.has(this)) {
+      observed.add(this);
+      const settled = onQuery(this);
+      then.call(
+        this,
+        () => settled(),
+        (error) => settled(error),
+      );
+    }
+    return then.apply(this, args);
+  };
+}
+
+dbPoolMaxConnections.set(sql.options.max);
+
+// Times the queries, and adds them to the database time of their request.
+observeQueries(sql, (query) => {
+  const request = requestContext.getStore();
+  const start = process.hrtime.bigint();
+  dbQueriesInFlight.inc();
+
+  return (error) => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    dbQueryDuration.observe({ outcome: error ? "error" : "ok" }, ms / 1000);
+    dbQueriesInFlight.dec();
+    if (request) {
+      request.db.queries += 1;
+      request.db.time += ms;
+    }
+    logger.log(ms >= config.log.slowQueryMs ? "warn" : "debug", "query", {
+      // On one line, without the indentation of the template.
+      query: query.string && query.string.replace(/\s+/g, " ").trim(),
+      durationMs: ms,
+      ...(error && { error: error.message }),
+    });
+  };
+});
+
+module.exports = sql;
@@ -0,0 +1,123 @@
+const { STATUS_CODES } = require("node:http");
+const { PostgresError } = require("postgres");
+const { MulterError } = require("multer");
+const { logger } = require("./logger");
+
+// Postgres SQLSTATE codes that are the client's fault rather than ours.
+const PG_ERRORS = {
+  23505: [409, "Resource already exists"], // unique_violation
+  23503: [409, "Resource is still referenced or references a missing one"], // foreign_key_violation
+  23514: [400, "Value violates a constraint"], // check_violation
+  "22P02": [400, "Invalid value"], // invalid_text_representation, e.g. /products/abc
+  22003: [400, "Value out of range"], // numeric_value_out_of_range
+};
+
+/**
+ * An error that is sent to the client as is. `extensions` are added to the
+ * problem document, e.g. `{ errors }` for validation issues.
+ */
+class HttpError extends Error {
+  constructor(status, detail, extensions = {}) {
+    super(detail || STATUS_CODES[status]);
+    this.name = "HttpError";
+    this.status = status;
+    this.extensions = extensions;
+  }
+}
+
+// The issues of a ZodError, as listed in the `errors` of a problem document.
+function issues(zodError) {
+  return zodError.issues.map(({ code, message, path }) => ({
+    code,
+    message,
+    path,
+  }));
+}
+
+/**
+ * Parses `data` with `schema`, or throws a 400 HttpError listing every
+ * invalid field.
+ */
+function validate(schema, data, detail = "Invalid request body") {
+  const result = schema.safeParse(data);
+
+  if (!result.success) {
+    throw new HttpError(400, detail, { errors: issues(result.error) });
+  }
+  return result.data;
+}
+
+// Express 4 does not catch rejected promises: forward them to errorHandler.
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// The HttpError to send for `error`, or null for a bug on our side.
+function toHttpError(error) {
+  if (error instanceof HttpError) {
+    return error;
+  }
+  if (error instanceof PostgresError && PG_ERRORS[error.code]) {
+    const [status, detail] = PG_ERRORS[error.code];
+    return new HttpError(status, detail, { constraint: error.constraint_name });
+  }
+  if (error instanceof MulterError) {
+    return new HttpError(
+      error.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+      error.message,
+      { field: error.field },
+    );
+  }
+  // Errors raised by express itself, e.g. a malformed JSON body.
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, error.message);
+  }
+  return null;
+}
+
+function notFound(req, res, next) {
+  next(new HttpError(404, `Cannot ${req.method} ${req.path}`));
+}
+
+/**
+ * Sends every error as an RFC 7807 problem document:
+ * `{ type, title, status, detail, instance, ...extensions }`.
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const httpError = toHttpError(error);
+
+  if (!httpError) {
+    logger.error("Unhandled error", { error });
+  }
+
+  const { status, message, extensions } =
+    httpError || new HttpError(500, "Internal server error");
+
+  res
+    .status(status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank",
+      title: STATUS_CODES[status],
+      status,
+      detail: message,
+      instance: req.originalUrl,
+      ...extensions,
+    });
+}
+
+module.exports = {
+  HttpError,
+  issues,
+  toHttpError,
+  validate,
+  asyncHandler,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,239 @@
+// Generates client/operations.js and client/api.d.ts from the OpenAPI
+// document. With --check, fails instead when the committed files are stale.
+const fs = require("node:fs");
+const path = require("node:path");
+const { buildSpec } = require("./openapi");
+
+const CLIENT_DIR = path.join(__dirname, "client");
+const HEADER =
+  "// Generated by generate-client.js from the OpenAPI document. Do not edit.\n";
+
+function resolve(spec, node) {
+  return node.$ref
+    ? node.$ref
+        .slice(2)
+        .split("/")
+        .reduce((acc, key) => acc[key], spec)
+    : node;
+}
+
+function refName(ref) {
+  return ref.split("/").pop();
+}
+
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function tsType(schema, indent = "") {
+  if (schema.$ref) {
+    return refName(schema.$ref);
+  }
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf || schema.oneOf)
+      .map((member) => tsType(member, indent))
+      .join(" | ");
+  }
+
+  return []
+    .concat(schema.type)
+    .map((type) => {
+      switch (type) {
+        case "string":
+        case "boolean":
+        case "null":
+          return type;
+        case "number":
+        case "integer":
+          return "number";
+        case "array":
+          return `Array<${tsType(schema.items, indent)}>`;
+        case "object":
+          return objectType(schema, indent);
+        default:
+          return "unknown";
+      }
+    })
+    .join(" | ");
+}
+
+function objectType(schema, indent = "") {
+  const required = schema.required || [];
+  const lines = Object.entries(schema.properties || {}).map(
+    ([key, property]) =>
+      `${indent}  ${propertyKey(key)}${required.includes(key) ? "" : "?"}: ${tsType(property, indent + "  ")};`,
+  );
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+function pascalCase(operationId) {
+  return operationId
+    .split(/[^A-Za-z0-9]/)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function collectOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([route, methods]) =>
+    Object.entries(methods).map(([method, operation]) => {
+      const parameters = (operation.parameters || []).map((parameter) =>
+        resolve(spec, parameter),
+      );
+      const success = Object.entries(operation.responses || {}).find(
+        ([status]) => status.startsWith("2"),
+      );
+      const content = success && success[1].content;
+      const requestContent =
+        operation.requestBody && operation.requestBody.content;
+
+      return {
+        id: operation.operationId,
+        summary: operation.summary,
+        method: method.toUpperCase(),
+        path: route,
+        pathParams: parameters.filter((p) => p.in === "path"),
+        queryParams: parameters.filter((p) => p.in === "query"),
+        body:
+          requestContent &&
+          (
+            requestContent["application/json"] ||
+            requestContent["multipart/form-data"] ||
+            Object.values(requestContent)[0]
+          ).schema,
+        multipart: Boolean(
+          requestContent && requestContent["multipart/form-data"],
+        ),
+        // Other bodies, such as CSV, are sent as a Blob of their type.
+        blob: Boolean(
+          requestContent &&
+          !requestContent["application/json"] &&
+          !requestContent["multipart/form-data"],
+        ),
+        response:
+          content &&
+          (content["application/json"] || Object.values(content)[0]).schema,
+      };
+    }),
+  );
+}
+
+function operationsModule(operations) {
+  const entries = operations.map(
+    (op) =>
+      `  ${JSON.stringify(op.id)}: {\n` +
+      `    method: ${JSON.stringify(op.method)},\n` +
+      `    path: ${JSON.stringify(op.path)},\n` +
+      `    pathParams: ${JSON.stringify(op.pathParams.map((p) => p.name))},\n` +
+      `    hasBody: ${Boolean(op.body)},\n` +
+      `    hasQuery: ${op.queryParams.length > 0},\n` +
+      "  },",
+  );
+  return `${HEADER}module.exports = {\n${entries.join("\n")}\n};\n`;
+}
+
+function declarations(spec, operations) {
+  const out = [HEADER];
+
+  for (const [name, schema] of Object.entries(spec.components.schemas)) {
+    out.push(`export type ${name} = ${tsType(schema)};\n`);
+  }
+
+  for (const op of operations.filter((op) => op.queryParams.length)) {
+    out.push(
+      `export type ${pascalCase(op.id)}Query = ${objectType({
+        properties: Object.fromEntries(
+          op.queryParams.map((p) => [p.name, p.schema]),
+        ),
+        required: op.queryParams.filter((p) => p.required).map((p) => p.name),
+      })};\n`,
+    );
+  }
+
+  const resources = {};
+  for (const op of operations) {
+    const [resource, action] = op.id.split(".");
+    const args = op.pathParams.map(
+      (p) =>
+        `${p.name}: ${tsType(p.schema)}${p.schema.type === "integer" ? " | string" : ""}`,
+    );
+    if (op.multipart) {
+      args.push("body: FormData");
+    } else if (op.blob) {
+      args.push("body: Blob");
+    } else if (op.body) {
+      args.push(`body: ${tsType(op.body)}`);
+    }
+    if (op.queryParams.length) {
+      const query = `${pascalCase(op.id)}Query`;
+      args.push(
+        op.body
+          ? `query?: ${query}`
+          : `query?: ${query} & { filters?: ${query} }`,
+      );
+    }
+    args.push("options?: RequestOptions");
+    const returns = op.response ? tsType(op.response) : "void";
+
+    (resources[resource] = resources[resource] || []).push(
+      `    /** ${op.summary} (${op.method} ${op.path}) */\n` +
+        `    ${action}(${args.join(", ")}): Promise<${returns}>;`,
+    );
+  }
+
+  out.push(
+    "export interface RequestOptions {\n  /** Added to the request, such as If-Match. */\n  headers?: Record<string, string>;\n}\n",
+  );
+
+  out.push(
+    "export interface ShopClient {\n" +
+      Object.entries(resources)
+        .map(
+          ([resource, methods]) =>
+            `  ${resource}: {\n${methods.join("\n")}\n  };`,
+        )
+        .join("\n") +
+      "\n  request(\n    method: string,\n    path: string,\n    options?: RequestOptions & { query?: Record<string, unknown>; body?: unknown },\n  ): Promise<unknown>;\n}\n",
+  );
+
+  return out.join("\n");
+}
+
+function generate() {
+  const spec = buildSpec();
+  const operations = collectOperations(spec);
+
+  return {
+    "operations.js": operationsModule(operations),
+    "api.d.ts": declarations(spec, operations),
+  };
+}
+
+const files = generate();
+
+if (process.argv.includes("--check")) {
+  const stale = Object.entries(files)
+    .filter(([file, content]) => {
+      const target = path.join(CLIENT_DIR, file);
+      return (
+        !fs.existsSync(target) || fs.readFileSync(target, "utf8") !== content
+      );
+    })
+    .map(([file]) => file);
+
+  if (stale.length) {
+    console.error(
+      `client/${stale.join(", client/")} out of date, run npm run client:generate`,
+    );
+    process.exitCode = 1;
+  } else {
+    console.log("Client is up to date with the OpenAPI document");
+  }
+} else {
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(CLIENT_DIR, file), content);
+    console.log(`Wrote client/${file}`);
+  }
+}
@@ -0,0 +1,228 @@
+const crypto = require("node:crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+const sql = require("./db");
+const { HttpError } = require("./errors");
+const { storage } = require("./storage");
+const { logger } = require("./logger");
+
+// The files of a deleted product are moved under this prefix, which is not
+// served: their URLs stop working until the product is restored.
+const HIDDEN_PREFIX = "deleted";
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+// Accepted content types, with the format sharp must find in the file.
+const IMAGE_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+// Reads a single `image` field of a multipart body into req.file.
+const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+  fileFilter: (req, file, done) => {
+    if (IMAGE_FORMATS[file.mimetype]) {
+      done(null, true);
+    } else {
+      done(
+        new HttpError(415, `Unsupported image type ${file.mimetype}`, {
+          accepted: Object.keys(IMAGE_FORMATS),
+        }),
+      );
+    }
+  },
+}).single("image");
+
+function toImage(row) {
+  return {
+    id: row.id,
+    url: storage.url(row.key),
+    thumbnailUrl: storage.url(row.thumbnailKey),
+    contentType: row.contentType,
+    size: row.size,
+    width: row.width,
+    height: row.height,
+  };
+}
+
+async function withImages(products, tx = sql) {
+  if (products.length === 0) {
+    return products;
+  }
+
+  const images = await tx`
+    SELECT * FROM product_images
+    WHERE product_id IN ${tx(products.map((product) => product.id))}
+    ORDER BY id
+  `;
+
+  return products.map((product) => ({
+    ...product,
+    images: images
+      .filter((image) => image.productId === product.id)
+      .map(toImage),
+  }));
+}
+
+// Files are removed after their rows: a file left behind is only wasted space.
+async function removeFiles(rows) {
+  const results = await Promise.allSettled(
+    rows.flatMap((row) => [
+      storage.delete(row.key),
+      storage.delete(row.thumbnailKey),
+    ]),
+  );
+  for (const result of results) {
+    if (result.status === "rejected") {
+      logger.error("Deleting an image file failed", { error: result.reason });
+    }
+  }
+}
+
+/**
+ * Stores an uploaded image of a product with its thumbnail. The declared
+ * content type must match what the file really contains.
+ */
+async function addImage(productId, file) {
+  const [product] = await sql`
+    SELECT id FROM products WHERE id = ${productId} AND deleted_at IS NULL
+  `;
+  if (!product) {
+    throw new HttpError(404, "Produit non trouvé");
+  }
+  if (!file) {
+    throw new HttpError(400, "An image file is required in the image field");
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, "The file is not a valid image");
+  }
+  if (metadata.format !== IMAGE_FORMATS[file.mimetype]) {
+    throw new HttpError(400, `The file is not a ${file.mimetype} image`);
+  }
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp()
+    .toBuffer();
+
+  const name = `products/${productId}/${crypto.randomUUID()}`;
+  const row = {
+    productId,
+    key: `${name}.${metadata.format}`,
+    thumbnailKey: `${name}-thumb.webp`,
+    contentType: file.mimetype,
+    size: file.size,
+    width: metadata.width,
+    height: metadata.height,
+  };
+
+  await storage.put(row.key, file.buffer, row.contentType);
+  await storage.put(row.thumbnailKey, thumbnail, "image/webp");
+
+  try {
+    const [image] = await sql`
+      INSERT INTO product_images ${sql(
+        row,
+        "productId",
+        "key",
+        "thumbnailKey",
+        "contentType",
+        "size",
+        "width",
+        "height",
+      )}
+      RETURNING *
+    `;
+    return toImage(image);
+  } catch (error) {
+    await removeFiles([row]);
+    throw error;
+  }
+}
+
+async function deleteImage(productId, imageId) {
+  const [image] = await sql`
+    DELETE FROM product_images
+    WHERE id = ${imageId} AND product_id = ${productId}
+    RETURNING *
+  `;
+
+  if (!image) {
+    throw new HttpError(404, "Image not found");
+  }
+  await removeFiles([image]);
+  return toImage(image);
+}
+
+/**
+ * Renames the files of the images of `productId` with `rename(key)`, in the
+ * transaction `sql`. When a file cannot be moved, those already moved are
+ * put back and the error is thrown, to roll back the keys too.
+ */
+async function moveImages(sql, productId, rename) {
+  const images = await sql`
+    SELECT * FROM product_images WHERE product_id = ${productId} FOR UPDATE
+  `;
+  const moved = [];
+
+  for (const image of images) {
+    await sql`
+      UPDATE product_images
+      SET
+        key = ${rename(image.key)},
+        thumbnail_key = ${rename(image.thumbnailKey)}
+      WHERE id = ${image.id}
+    `;
+  }
+  const keys = images
+    .flatMap((image) => [image.key, image.thumbnailKey])
+    .filter((key) => rename(key) !== key);
+
+  try {
+    for (const key of keys) {
+      await storage.move(key, rename(key));
+      moved.push(key);
+    }
+  } catch (error) {
+    await Promise.allSettled(
+      moved.map((key) => storage.move(rename(key), key)),
+    );
+    throw error;
+  }
+}
+
+// Takes the images of the deleted `product` offline, for softDelete().
+function hideImages(sql, product) {
+  return moveImages(sql, product.id, (key) => `${HIDDEN_PREFIX}/${key}`);
+}
+
+// Brings back the images of the restored `product`, for restore(). Those of
+// a product deleted before images were hidden stayed where they were.
+function showImages(sql, product) {
+  const prefix = `${HIDDEN_PREFIX}/`;
+
+  return moveImages(sql, product.id, (key) =>
+    key.startsWith(prefix) ? key.slice(prefix.length) : key,
+  );
+}
+
+module.exports = {
+  HIDDEN_PREFIX,
+  uploadImage,
+  withImages,
+  addImage,
+  deleteImage,
+  hideImages,
+  showImages,
+};
@@ -0,0 +1,92 @@
+const { setTimeout: sleep } = require("node:timers/promises");
+const { logger } = require("./logger");
+
+// Starting the server once its database answers, and stopping it without
+// cutting the requests in flight.
+
+/**
+ * Calls `connect` until it resolves, at most `retries` more times, waiting
+ * `delay` ms before the first retry and twice as long before each next one.
+ * `onRetry(error, wait)` hears of every failure that is retried. Rejects with
+ * the last error.
+ */
+async function retry(
+  connect,
+  { retries, delay, onRetry = (error, wait) => {} },
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await connect();
+    } catch (error) {
+      if (attempt > retries) {
+        throw error;
+      }
+      const wait = delay * 2 ** (attempt - 1);
+      onRetry(error, wait);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Resolves to "up" when `probe` resolves within `timeout` ms, and to "down"
+ * when it rejects or takes longer: a readiness check must answer quickly,
+ * whereas a connection to a host that is down can take its time to fail.
+ */
+async function check(probe, timeout) {
+  let timer;
+  const late = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Timed out")), timeout);
+  });
+
+  try {
+    await Promise.race([probe(), late]);
+    return "up";
+  } catch {
+    return "down";
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Stops `server` from accepting connections with `close`, which resolves
+ * once the server is closed, and waits for the requests in flight. Those
+ * still running after `timeout` ms have their connections cut.
+ */
+async function drain(server, close, timeout) {
+  const timer = setTimeout(() => server.closeAllConnections(), timeout);
+
+  try {
+    await close();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Runs `stop` on the first SIGTERM or SIGINT, then exits: with 0 when it
+ * went well, 1 when it failed. A second signal exits at once.
+ */
+function onShutdown(stop) {
+  let stopping = false;
+
+  const handler = (signal) => {
+    if (stopping) {
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info("Shutting down", { signal });
+    stop().then(
+      () => process.exit(0),
+      (error) => {
+        logger.error("Shutdown failed", { error });
+        process.exit(1);
+      },
+    );
+  };
+  process.on("SIGTERM", handler);
+  process.on("SIGINT", handler);
+}
+
+module.exports = { retry, check, drain, onShutdown };
@@ -0,0 +1,92 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const nodemailer = require("nodemailer");
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+/**
+ * Mails written to the log instead of being sent, for local development:
+ * the links they hold can be followed from there.
+ */
+class ConsoleMailer {
+  constructor({ from }) {
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    logger.info("Mail", { from: this.from, to, subject, text });
+  }
+}
+
+/**
+ * Mails written to `dir` as .eml files, which any mail client opens, for
+ * local development too.
+ */
+class FileMailer {
+  constructor({ from, dir }) {
+    this.from = from;
+    this.dir = path.resolve(dir);
+    this.transport = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transport.sendMail({ from: this.from, ...message });
+    const file = path.join(
+      this.dir,
+      `${Date.now()}-${crypto.randomUUID()}.eml`,
+    );
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, info.message);
+    logger.info("Mail written", { to: message.to, file });
+  }
+}
+
+/**
+ * Mails sent to an SMTP server. `secure` connects over TLS from the start,
+ * as on port 465; otherwise the connection is upgraded with STARTTLS when
+ * the server offers it.
+ */
+class SmtpMailer {
+  constructor({ from, host, port, secure, user, password }) {
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+  }
+
+  async send(message) {
+    await this.transport.sendMail({ from: this.from, ...message });
+  }
+}
+
+// Every mailer has send({ to, subject, text }).
+function createMailer({ driver, from, file, smtp } = config.mail) {
+  switch (driver) {
+    case "console":
+      return new ConsoleMailer({ from });
+    case "file":
+      return new FileMailer({ from, ...file });
+    case "smtp":
+      return new SmtpMailer({ from, ...smtp });
+    default:
+      throw new Error(`Unknown mail driver "${driver}"`);
+  }
+}
+
+const mailer = createMailer();
+
+module.exports = {
+  mailer,
+  createMailer,
+  ConsoleMailer,
+  FileMailer,
+  SmtpMailer,
+};
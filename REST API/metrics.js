@@ -0,0 +1,66 @@
+const client = require("prom-client");
+const { routeOf } = require("./logger");
+
+// A registry of our own rather than prom-client's global one, which the
+// GraphQL server, loading these modules too, would share.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Duration of the HTTP requests, by route",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: "db_query_duration_seconds",
+  help: "Duration of the database queries, waiting for a connection included",
+  labelNames: ["outcome"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry],
+});
+
+const dbQueriesInFlight = new client.Gauge({
+  name: "db_queries_in_flight",
+  help: "Queries sent or waiting for a connection of the pool",
+  registers: [registry],
+});
+
+const dbPoolMaxConnections = new client.Gauge({
+  name: "db_pool_max_connections",
+  help: "Connections the pool opens at most",
+  registers: [registry],
+});
+
+/**
+ * Times every request into http_request_duration_seconds. Unmatched routes
+ * share one label, so that scanning random URLs cannot flood the metrics.
+ */
+function measureRequests(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+
+  res.once("close", () => {
+    end({
+      method: req.method,
+      route: routeOf(req) || "unmatched",
+      status: res.statusCode,
+    });
+  });
+  next();
+}
+
+// GET /metrics, in the Prometheus text format.
+async function metricsHandler(req, res) {
+  res.type(registry.contentType).send(await registry.metrics());
+}
+
+module.exports = {
+  registry,
+  dbQueryDuration,
+  dbQueriesInFlight,
+  dbPoolMaxConnections,
+  measureRequests,
+  metricsHandler,
+};
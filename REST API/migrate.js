@@ -0,0 +1,167 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const sql = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_(.+)\.(up|down)\.sql$/;
+// Arbitrary key so that two `migrate` runs never apply the same migration twice.
+const LOCK_KEY = 727274;
+
+/**
+ * Reads `migrations/NNN_name.up.sql` / `NNN_name.down.sql` pairs, sorted by
+ * version. Every migration must come with both files.
+ */
+async function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of await fs.readdir(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(Number(version)) || {
+      version: Number(version),
+      name,
+    };
+    migration[direction] = await fs.readFile(
+      path.join(MIGRATIONS_DIR, file),
+      "utf8",
+    );
+    migrations.set(migration.version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both an up and a down file`,
+      );
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions(tx) {
+  const [{ exists }] =
+    await tx`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+  if (!exists) {
+    await tx`
+      CREATE TABLE schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `;
+  }
+  const rows = await tx`SELECT version FROM schema_migrations`;
+  return new Set(rows.map((row) => row.version));
+}
+
+// Runs `fn` in a transaction holding the migration lock: a failure rolls everything back.
+function locked(fn) {
+  return sql.begin(async (tx) => {
+    await tx`SELECT pg_advisory_xact_lock(${LOCK_KEY})`;
+    return fn(tx);
+  });
+}
+
+/** Applies every pending migration and returns them. */
+async function up() {
+  const migrations = await loadMigrations();
+
+  return locked(async (tx) => {
+    const applied = await appliedVersions(tx);
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      await tx.unsafe(migration.up);
+      await tx`
+        INSERT INTO schema_migrations (version, name)
+        VALUES (${migration.version}, ${migration.name})
+      `;
+    }
+    return pending;
+  });
+}
+
+/** Rolls back the last `steps` applied migrations and returns them. */
+async function down(steps = 1) {
+  const migrations = await loadMigrations();
+
+  return locked(async (tx) => {
+    const applied = await appliedVersions(tx);
+    const rollback = migrations
+      .filter((m) => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of rollback) {
+      await tx.unsafe(migration.down);
+      await tx`DELETE FROM schema_migrations WHERE version = ${migration.version}`;
+    }
+    return rollback;
+  });
+}
+
+/** Lists every migration with whether it has been applied. */
+async function status() {
+  const migrations = await loadMigrations();
+  const applied = await locked(appliedVersions);
+
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+  }));
+}
+
+function label({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+async function main(command, arg) {
+  switch (command) {
+    case "up": {
+      const applied = await up();
+      applied.forEach((m) => console.log(`Applied ${label(m)}`));
+      if (applied.length === 0) {
+        console.log("Database is up to date");
+      }
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Usage: npm run migrate down [steps]");
+      }
+      const rolledBack = await down(steps);
+      rolledBack.forEach((m) => console.log(`Rolled back ${label(m)}`));
+      if (rolledBack.length === 0) {
+        console.log("No migration to roll back");
+      }
+      break;
+    }
+    case "status":
+      for (const migration of await status()) {
+        console.log(`${migration.applied ? "[x]" : "[ ]"} ${label(migration)}`);
+      }
+      break;
+    default:
+      throw new Error("Usage: npm run migrate up|down|status");
+  }
+}
+
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+
+  main(command, arg)
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => sql.end());
+}
+
+module.exports = { up, down, status };
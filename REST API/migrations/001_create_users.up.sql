@@ -0,0 +1,6 @@
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR (50) UNIQUE NOT NULL,
+  password VARCHAR (255) NOT NULL,
+  email VARCHAR (255) UNIQUE NOT NULL
+);
@@ -0,0 +1,11 @@
+ALTER TABLE users
+ADD COLUMN role VARCHAR (20) NOT NULL DEFAULT 'customer'
+CHECK (role IN ('customer', 'admin'));
+
+CREATE TABLE refresh_tokens (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,29 @@
+CREATE TABLE products (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR (255) NOT NULL,
+  about TEXT NOT NULL,
+  price DOUBLE PRECISION NOT NULL CHECK (price > 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0)
+);
+
+CREATE TABLE orders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  status VARCHAR (20) NOT NULL DEFAULT 'pending'
+  CHECK (status IN ('pending', 'paid', 'shipped', 'cancelled')),
+  total DOUBLE PRECISION NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DOUBLE PRECISION NOT NULL,
+  UNIQUE (order_id, product_id)
+);
+
+CREATE INDEX orders_user_id_idx ON orders (user_id);
+CREATE INDEX order_items_product_id_idx ON order_items (product_id);
@@ -0,0 +1,4 @@
+DROP INDEX products_category_idx;
+DROP INDEX products_search_idx;
+DROP FUNCTION product_search_vector (TEXT, TEXT);
+ALTER TABLE products DROP COLUMN category;
@@ -0,0 +1,15 @@
+ALTER TABLE products ADD COLUMN category VARCHAR (100);
+
+-- Names weigh more than descriptions, and both are stemmed in French and
+-- English. Searches must call this function for the GIN index to be used.
+CREATE FUNCTION product_search_vector (name TEXT, about TEXT) RETURNS tsvector
+LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+  SELECT setweight(to_tsvector('french', name), 'A')
+    || setweight(to_tsvector('english', name), 'A')
+    || setweight(to_tsvector('french', about), 'B')
+    || setweight(to_tsvector('english', about), 'B')
+$$;
+
+CREATE INDEX products_search_idx ON products
+USING GIN (product_search_vector (name, about));
+CREATE INDEX products_category_idx ON products (category);
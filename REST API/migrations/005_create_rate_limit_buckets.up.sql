@@ -0,0 +1,7 @@
+CREATE UNLOGGED TABLE rate_limit_buckets (
+  key VARCHAR (255) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX rate_limit_buckets_updated_at_idx ON rate_limit_buckets (updated_at);
@@ -0,0 +1,13 @@
+CREATE TABLE product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products (id) ON DELETE CASCADE,
+  key VARCHAR (255) NOT NULL,
+  thumbnail_key VARCHAR (255) NOT NULL,
+  content_type VARCHAR (50) NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX product_images_product_id_idx ON product_images (product_id);
@@ -0,0 +1,20 @@
+ALTER TABLE order_items
+DROP COLUMN tax_class,
+DROP COLUMN tax_rate,
+DROP COLUMN discount,
+DROP COLUMN tax;
+ALTER TABLE order_items ALTER COLUMN unit_price TYPE DOUBLE PRECISION;
+
+ALTER TABLE orders
+DROP COLUMN country,
+DROP COLUMN subtotal,
+DROP COLUMN discount,
+DROP COLUMN tax,
+DROP COLUMN coupon_code;
+ALTER TABLE orders ALTER COLUMN total TYPE DOUBLE PRECISION;
+
+DROP TABLE coupons;
+DROP TABLE tax_rates;
+
+ALTER TABLE products DROP COLUMN tax_class;
+ALTER TABLE products ALTER COLUMN price TYPE DOUBLE PRECISION;
@@ -0,0 +1,68 @@
+-- Amounts become exact decimals: the API computes them in integer cents.
+ALTER TABLE products ALTER COLUMN price TYPE NUMERIC (12, 2);
+ALTER TABLE products ADD COLUMN tax_class VARCHAR (20) NOT NULL DEFAULT 'standard'
+CHECK (tax_class IN ('standard', 'reduced', 'exempt'));
+
+CREATE TABLE tax_rates (
+  country CHAR (2) NOT NULL,
+  tax_class VARCHAR (20) NOT NULL
+  CHECK (tax_class IN ('standard', 'reduced', 'exempt')),
+  rate NUMERIC (5, 4) NOT NULL CHECK (rate >= 0 AND rate < 1),
+  PRIMARY KEY (country, tax_class)
+);
+
+INSERT INTO tax_rates (country, tax_class, rate) VALUES
+('FR', 'standard', 0.2), ('FR', 'reduced', 0.055), ('FR', 'exempt', 0),
+('BE', 'standard', 0.21), ('BE', 'reduced', 0.06), ('BE', 'exempt', 0),
+('DE', 'standard', 0.19), ('DE', 'reduced', 0.07), ('DE', 'exempt', 0);
+
+CREATE TABLE coupons (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR (50) NOT NULL UNIQUE CHECK (code = upper(code)),
+  kind VARCHAR (10) NOT NULL CHECK (kind IN ('percent', 'amount')),
+  value NUMERIC (12, 2) NOT NULL
+  CHECK (value > 0 AND (kind = 'amount' OR value <= 100)),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  max_uses INTEGER CHECK (max_uses > 0),
+  uses INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+-- The breakdown is copied onto the order so that its receipt can be
+-- reproduced after rates, coupons or prices have changed.
+ALTER TABLE orders ALTER COLUMN total TYPE NUMERIC (12, 2);
+ALTER TABLE orders
+ADD COLUMN country CHAR (2) NOT NULL DEFAULT 'FR',
+ADD COLUMN subtotal NUMERIC (12, 2),
+ADD COLUMN discount NUMERIC (12, 2) NOT NULL DEFAULT 0,
+ADD COLUMN tax NUMERIC (12, 2),
+ADD COLUMN coupon_code VARCHAR (50);
+
+ALTER TABLE order_items ALTER COLUMN unit_price TYPE NUMERIC (12, 2);
+ALTER TABLE order_items
+ADD COLUMN tax_class VARCHAR (20) NOT NULL DEFAULT 'standard',
+ADD COLUMN tax_rate NUMERIC (5, 4) NOT NULL DEFAULT 0.2,
+ADD COLUMN discount NUMERIC (12, 2) NOT NULL DEFAULT 0,
+ADD COLUMN tax NUMERIC (12, 2);
+
+-- Orders placed so far all paid 20 % of VAT on their lines.
+UPDATE order_items SET tax = round(quantity * unit_price * 0.2, 2);
+UPDATE orders SET
+  subtotal = (
+    SELECT COALESCE(sum(quantity * unit_price), 0) FROM order_items
+    WHERE order_items.order_id = orders.id
+  );
+UPDATE orders SET tax = total - subtotal;
+
+ALTER TABLE orders
+ALTER COLUMN country DROP DEFAULT,
+ALTER COLUMN subtotal SET NOT NULL,
+ALTER COLUMN discount DROP DEFAULT,
+ALTER COLUMN tax SET NOT NULL;
+ALTER TABLE order_items
+ALTER COLUMN tax_class DROP DEFAULT,
+ALTER COLUMN tax_rate DROP DEFAULT,
+ALTER COLUMN discount DROP DEFAULT,
+ALTER COLUMN tax SET NOT NULL;
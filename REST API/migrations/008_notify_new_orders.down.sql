@@ -0,0 +1,2 @@
+DROP TRIGGER orders_created ON orders;
+DROP FUNCTION notify_order_created ();
@@ -0,0 +1,16 @@
+-- Tells the listeners of `orders_created` about every new order, whichever
+-- API created it. Notifications are only sent once the transaction commits,
+-- so the order's lines are there by then.
+CREATE FUNCTION notify_order_created () RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM pg_notify(
+    'orders_created',
+    json_build_object('id', NEW.id, 'userId', NEW.user_id)::text
+  );
+  RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER orders_created AFTER INSERT ON orders
+FOR EACH ROW EXECUTE FUNCTION notify_order_created ();
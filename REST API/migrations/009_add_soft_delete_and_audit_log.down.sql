@@ -0,0 +1,5 @@
+DROP TABLE audit_log;
+
+ALTER TABLE orders DROP COLUMN deleted_at;
+ALTER TABLE products DROP COLUMN deleted_at;
+ALTER TABLE users DROP COLUMN deleted_at;
@@ -0,0 +1,22 @@
+-- Deleted rows stay, with the time of their deletion, so that they can be
+-- restored and that the orders and the log keep pointing at them.
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE products ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- Who did what to which row. Creations keep the new row in `after`, the
+-- other actions the columns they changed on both sides.
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users (id),
+  action VARCHAR (10) NOT NULL
+  CHECK (action IN ('create', 'update', 'delete', 'restore')),
+  entity VARCHAR (20) NOT NULL CHECK (entity IN ('users', 'products', 'orders')),
+  entity_id INTEGER NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity, entity_id);
+CREATE INDEX audit_log_created_at_idx ON audit_log (created_at);
@@ -0,0 +1,6 @@
+DROP TRIGGER orders_version ON orders;
+DROP TRIGGER users_version ON users;
+DROP FUNCTION bump_version ();
+
+ALTER TABLE orders DROP COLUMN version;
+ALTER TABLE users DROP COLUMN version;
@@ -0,0 +1,19 @@
+-- A counter bumped by every write to a user or an order, which the API
+-- sends as the row's ETag and checks against If-Match.
+ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE orders ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+-- In the database rather than in each UPDATE, so that no write can forget it.
+CREATE FUNCTION bump_version () RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.version = OLD.version + 1;
+  RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER users_version BEFORE UPDATE ON users
+FOR EACH ROW EXECUTE FUNCTION bump_version ();
+
+CREATE TRIGGER orders_version BEFORE UPDATE ON orders
+FOR EACH ROW EXECUTE FUNCTION bump_version ();
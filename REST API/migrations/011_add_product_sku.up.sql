@@ -0,0 +1,3 @@
+-- Stock keeping unit, the key on which imports match the products they
+-- update. Products created before it have none.
+ALTER TABLE products ADD COLUMN sku VARCHAR (64) UNIQUE;
@@ -0,0 +1,23 @@
+-- One cart and one wishlist per user, a line per product. Both keep the
+-- price the user saw, which a cart refreshes on every change of its line
+-- and a wishlist keeps, so as to tell of the prices that dropped since.
+CREATE TABLE cart_items (
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  added_price NUMERIC (12, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, product_id)
+);
+
+CREATE TABLE wishlist_items (
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  added_price NUMERIC (12, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, product_id)
+);
+
+CREATE INDEX cart_items_product_id_idx ON cart_items (product_id);
+CREATE INDEX wishlist_items_product_id_idx ON wishlist_items (product_id);
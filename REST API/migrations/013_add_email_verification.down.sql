@@ -0,0 +1,5 @@
+DROP TABLE user_tokens;
+
+DROP TRIGGER users_email_verification ON users;
+DROP FUNCTION unverify_changed_email ();
+ALTER TABLE users DROP COLUMN email_verified_at;
@@ -0,0 +1,32 @@
+-- Accounts that existed before verification are taken as verified; new ones
+-- are not until their owner follows the link sent to them.
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+UPDATE users SET email_verified_at = NOW();
+
+-- A new address has to be verified again.
+CREATE FUNCTION unverify_changed_email () RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.email IS DISTINCT FROM OLD.email THEN
+    NEW.email_verified_at = NULL;
+  END IF;
+  RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER users_email_verification BEFORE UPDATE OF email ON users
+FOR EACH ROW EXECUTE FUNCTION unverify_changed_email ();
+
+-- Single-use tokens sent by mail. Only their SHA-256 is kept, so that a
+-- leaked table gives nothing to follow.
+CREATE TABLE user_tokens (
+  token_hash CHAR (64) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  purpose VARCHAR (20) NOT NULL
+    CHECK (purpose IN ('verify_email', 'reset_password')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX user_tokens_user_id_idx ON user_tokens (user_id, purpose);
@@ -0,0 +1,183 @@
+const path = require("node:path");
+const z = require("zod");
+const swaggerJsdoc = require("swagger-jsdoc");
+const {
+  OpenAPIRegistry,
+  OpenApiGeneratorV31,
+  extendZodWithOpenApi,
+} = require("@asteasolutions/zod-to-openapi");
+const schemas = require("./schemas");
+
+extendZodWithOpenApi(z);
+
+// Files whose @swagger JSDoc blocks describe the routes.
+const APIS = ["server.js", "auth.js"].map((file) => path.join(__dirname, file));
+
+/**
+ * Generates `components.schemas` from the zod schemas, so that the
+ * documentation cannot drift from the validation.
+ */
+function zodComponents() {
+  const registry = new OpenAPIRegistry();
+
+  registry.register("ProductImage", schemas.ProductImageSchema);
+  const Product = registry.register("Product", schemas.ProductSchema);
+  registry.register("CreateProduct", schemas.CreateProductSchema);
+  registry.register("ProductImportReport", schemas.ProductImportReportSchema);
+  registry.register("ProductPage", schemas.pageOf(Product));
+  registry.register("ProductSearchResults", schemas.ProductSearchResultsSchema);
+
+  const User = registry.register("User", schemas.UserSchema);
+  registry.register("CreateUser", schemas.CreateUserSchema);
+  registry.register("UpdateUser", schemas.UpdateUserSchema);
+  registry.register("UserPage", schemas.pageOf(User));
+
+  const Order = registry.register("Order", schemas.OrderSchema);
+  registry.register("CreateOrder", schemas.CreateOrderSchema);
+  registry.register("UpdateOrder", schemas.UpdateOrderSchema);
+  registry.register("OrderPage", schemas.pageOf(Order));
+
+  registry.register("Cart", schemas.CartSchema);
+  registry.register("AddCartItem", schemas.AddCartItemSchema);
+  registry.register("UpdateCartItem", schemas.UpdateCartItemSchema);
+  registry.register("Checkout", schemas.CheckoutSchema);
+  registry.register("Wishlist", schemas.WishlistSchema);
+  registry.register("AddWishlistItem", schemas.AddWishlistItemSchema);
+
+  registry.register("TaxRate", schemas.TaxRateSchema);
+  registry.register("UpdateTaxRate", schemas.UpdateTaxRateSchema);
+  registry.register("Coupon", schemas.CouponSchema);
+  registry.register("CreateCoupon", schemas.CreateCouponSchema);
+
+  registry.register("SalesReport", schemas.SalesReportSchema);
+
+  const AuditEntry = registry.register("AuditEntry", schemas.AuditEntrySchema);
+  registry.register("AuditEntryPage", schemas.pageOf(AuditEntry));
+
+  registry.register("Login", schemas.LoginSchema);
+  registry.register("Refresh", schemas.RefreshSchema);
+  registry.register("Logout", schemas.LogoutSchema);
+  registry.register("VerifyEmail", schemas.VerifyEmailSchema);
+  registry.register("ForgotPassword", schemas.ForgotPasswordSchema);
+  registry.register("ResetPassword", schemas.ResetPasswordSchema);
+  registry.register("Tokens", schemas.TokensSchema);
+
+  registry.register("Problem", schemas.ProblemSchema);
+  registry.register("Health", schemas.HealthSchema);
+
+  return new OpenApiGeneratorV31(registry.definitions).generateComponents()
+    .components.schemas;
+}
+
+// Every error response is a problem document unless its JSDoc says otherwise.
+function withErrorShapes(spec) {
+  for (const operations of Object.values(spec.paths)) {
+    for (const operation of Object.values(operations)) {
+      for (const [status, response] of Object.entries(
+        operation.responses || {},
+      )) {
+        if (Number(status) >= 400 && !response.content) {
+          response.content = {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Problem" },
+            },
+          };
+        }
+      }
+    }
+  }
+  return spec;
+}
+
+function buildSpec() {
+  const spec = swaggerJsdoc({
+    definition: {
+      openapi: "3.1.0",
+      info: {
+        title: "ShopAPI with Swagger",
+        version: "0.1.0",
+        description: "Shop api for users and products",
+        contact: {
+          name: "Shop",
+          email: "shop@email.com",
+        },
+      },
+      servers: [
+        {
+          url: "http://localhost:8000",
+        },
+      ],
+      components: {
+        schemas: zodComponents(),
+        securitySchemes: {
+          bearerAuth: {
+            type: "http",
+            scheme: "bearer",
+            bearerFormat: "JWT",
+          },
+        },
+        parameters: {
+          Limit: {
+            in: "query",
+            name: "limit",
+            description: "Nombre maximum d'éléments renvoyés (1 à 100).",
+            schema: { type: "integer", default: 20 },
+          },
+          Page: {
+            in: "query",
+            name: "page",
+            description: "Numéro de page (pagination par offset).",
+            schema: { type: "integer" },
+          },
+          Cursor: {
+            in: "query",
+            name: "cursor",
+            description:
+              "Curseur opaque renvoyé dans `nextCursor` par la page précédente.",
+            schema: { type: "string" },
+          },
+          IncludeDeleted: {
+            in: "query",
+            name: "includeDeleted",
+            description:
+              "Inclut les éléments supprimés (administrateurs uniquement).",
+            schema: { type: "boolean", default: false },
+          },
+          CartCountry: {
+            in: "query",
+            name: "country",
+            description:
+              "Code ISO du pays de livraison, dont les taux de TVA s'appliquent au panier.",
+            schema: { type: "string", default: "FR" },
+          },
+          IfMatch: {
+            in: "header",
+            name: "If-Match",
+            description:
+              "ETag de la version lue : la modification est refusée (412) si la ressource a changé depuis.",
+            schema: { type: "string" },
+          },
+          IfNoneMatch: {
+            in: "header",
+            name: "If-None-Match",
+            description:
+              "ETag de la version en cache : la réponse est un 304 sans corps si elle est toujours actuelle.",
+            schema: { type: "string" },
+          },
+        },
+        headers: {
+          ETag: {
+            description:
+              "Version de la ressource, à renvoyer dans `If-Match` ou `If-None-Match`.",
+            schema: { type: "string" },
+          },
+        },
+      },
+    },
+    apis: APIS,
+  });
+
+  return withErrorShapes(spec);
+}
+
+module.exports = { buildSpec };
@@ -0,0 +1,363 @@
+const sql = require("./db");
+const { HttpError } = require("./errors");
+const { priceOrder } = require("./pricing");
+const { audit } = require("./audit");
+const { softDelete, restore } = require("./records");
+const { checkVersion } = require("./conditional");
+
+// Allowed status changes; cancelling releases the reserved stock.
+const TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled"],
+  shipped: [],
+  cancelled: [],
+};
+
+// `details` end up in the problem document sent by errorHandler.
+class OrderError extends HttpError {
+  constructor(status, message, details) {
+    super(status, message, details);
+    this.name = "OrderError";
+  }
+}
+
+async function withItems(orders, tx = sql) {
+  if (orders.length === 0) {
+    return orders;
+  }
+
+  const items = await tx`
+    SELECT * FROM order_items
+    WHERE order_id IN ${tx(orders.map((order) => order.id))}
+    ORDER BY id
+  `;
+
+  return orders.map((order) => ({
+    ...order,
+    items: items.filter((item) => item.orderId === order.id),
+  }));
+}
+
+async function findOrder(id, includeDeleted = false) {
+  const [order] = await sql`
+    SELECT * FROM orders
+    WHERE id = ${id} ${includeDeleted ? sql`` : sql`AND deleted_at IS NULL`}
+  `;
+  return order ? (await withItems([order]))[0] : undefined;
+}
+
+// Tax class → rate for `country`, or throws when one of `taxClasses` has none.
+async function taxRates(sql, country, taxClasses) {
+  const rows = await sql`
+    SELECT tax_class, rate FROM tax_rates WHERE country = ${country}
+  `;
+  const rates = Object.fromEntries(rows.map((row) => [row.taxClass, row.rate]));
+
+  const missing = taxClasses.find((taxClass) => !(taxClass in rates));
+  if (missing) {
+    throw new OrderError(400, "No tax rate for this country", {
+      country,
+      taxClass: missing,
+    });
+  }
+  return rates;
+}
+
+/**
+ * Uses `code` once, or throws an OrderError with status 404 for an unknown
+ * coupon and 409 for one that is not valid yet, expired or used up.
+ */
+async function redeemCoupon(sql, code) {
+  const [coupon] = await sql`
+    UPDATE coupons
+    SET uses = uses + 1
+    WHERE code = ${code}
+      AND (starts_at IS NULL OR starts_at <= NOW())
+      AND (ends_at IS NULL OR ends_at > NOW())
+      AND (max_uses IS NULL OR uses < max_uses)
+    RETURNING *
+  `;
+  if (coupon) {
+    return coupon;
+  }
+
+  const [existing] = await sql`
+    SELECT
+      starts_at > NOW() AS upcoming,
+      ends_at <= NOW() AS expired
+    FROM coupons
+    WHERE code = ${code}
+  `;
+  if (!existing) {
+    throw new OrderError(404, "Coupon not found", { couponCode: code });
+  }
+  const reason = existing.upcoming
+    ? "not_started"
+    : existing.expired
+      ? "expired"
+      : "used_up";
+  throw new OrderError(409, "Coupon cannot be used", {
+    couponCode: code,
+    reason,
+  });
+}
+
+/**
+ * Creates an order for `userId` from `items` ({ productId, quantity }) in
+ * the transaction `sql`: each product's stock is decremented and its current
+ * price and tax class are copied onto the order line, which is then taxed at
+ * the rate of `country`. A `couponCode` is redeemed and its discount spread
+ * over the lines. Throws an OrderError with status 404 for an unknown product
+ * or coupon, 409 when the stock is insufficient or the coupon cannot be used,
+ * and 400 when `country` has no rate for a product's tax class, as well as
+ * 404 for an unknown user and 403 for one whose email is not verified. The
+ * order is logged as created by `actor`.
+ */
+async function insertOrder(sql, userId, { items, country, couponCode }, actor) {
+  const [user] = await sql`
+    SELECT email_verified_at FROM users
+    WHERE id = ${userId} AND deleted_at IS NULL
+  `;
+  if (!user) {
+    throw new OrderError(404, "User not found", { userId });
+  }
+  if (!user.emailVerifiedAt) {
+    throw new OrderError(403, "Email address not verified", { userId });
+  }
+
+  // Locking the products in a stable order prevents deadlocks between checkouts.
+  const lines = [...items].sort((a, b) => a.productId - b.productId);
+  const reserved = [];
+
+  for (const { productId, quantity } of lines) {
+    const [product] = await sql`
+      UPDATE products
+      SET stock = stock - ${quantity}
+      WHERE id = ${productId}
+        AND stock >= ${quantity}
+        AND deleted_at IS NULL
+      RETURNING id, price, tax_class
+    `;
+
+    if (!product) {
+      const [existing] = await sql`
+        SELECT stock FROM products
+        WHERE id = ${productId} AND deleted_at IS NULL
+      `;
+      if (!existing) {
+        throw new OrderError(404, "Product not found", { productId });
+      }
+      throw new OrderError(409, "Insufficient stock", {
+        productId,
+        requested: quantity,
+        available: existing.stock,
+      });
+    }
+
+    reserved.push({
+      productId,
+      quantity,
+      unitPrice: product.price,
+      taxClass: product.taxClass,
+    });
+  }
+
+  const rates = await taxRates(
+    sql,
+    country,
+    reserved.map((line) => line.taxClass),
+  );
+  const coupon = couponCode ? await redeemCoupon(sql, couponCode) : null;
+  const price = priceOrder(reserved, rates, coupon);
+
+  const [order] = await sql`
+    INSERT INTO orders ${sql(
+      {
+        userId,
+        country,
+        couponCode: coupon ? coupon.code : null,
+        subtotal: price.subtotal,
+        discount: price.discount,
+        tax: price.tax,
+        total: price.total,
+      },
+      "userId",
+      "country",
+      "couponCode",
+      "subtotal",
+      "discount",
+      "tax",
+      "total",
+    )}
+    RETURNING *
+  `;
+  await sql`
+    INSERT INTO order_items ${sql(
+      price.lines.map((line) => ({ ...line, orderId: order.id })),
+      "orderId",
+      "productId",
+      "quantity",
+      "unitPrice",
+      "taxClass",
+      "taxRate",
+      "discount",
+      "tax",
+    )}
+  `;
+  await audit(sql, actor, "create", "orders", null, order);
+
+  return (await withItems([order], sql))[0];
+}
+
+// insertOrder() in a transaction of its own.
+async function createOrder(userId, body, actor) {
+  return sql.begin((sql) => insertOrder(sql, userId, body, actor));
+}
+
+/**
+ * Takes again the stock and the coupon use that `order` gave back, on the
+ * terms of insertOrder(): throws an OrderError with status 409 when one of
+ * its products is deleted or short of stock, or when its coupon is deleted
+ * or can no longer be used.
+ */
+async function reserve(sql, order) {
+  const items = await sql`
+    SELECT * FROM order_items WHERE order_id = ${order.id} ORDER BY product_id
+  `;
+  for (const { productId, quantity } of items) {
+    const [product] = await sql`
+      UPDATE products
+      SET stock = stock - ${quantity}
+      WHERE id = ${productId}
+        AND stock >= ${quantity}
+        AND deleted_at IS NULL
+      RETURNING id
+    `;
+    if (!product) {
+      const [existing] =
+        await sql`SELECT stock, deleted_at FROM products WHERE id = ${productId}`;
+      if (existing.deletedAt) {
+        throw new OrderError(409, "Product deleted", { productId });
+      }
+      throw new OrderError(409, "Insufficient stock", {
+        productId,
+        requested: quantity,
+        available: existing.stock,
+      });
+    }
+  }
+  if (order.couponCode) {
+    await redeemCoupon(sql, order.couponCode).catch((error) => {
+      throw error.status === 404
+        ? new OrderError(409, "Coupon cannot be used", {
+            couponCode: order.couponCode,
+            reason: "deleted",
+          })
+        : error;
+    });
+  }
+}
+
+// Gives back the stock and the coupon use that `order` holds.
+async function release(sql, order) {
+  await sql`
+    UPDATE products
+    SET stock = products.stock + order_items.quantity
+    FROM order_items
+    WHERE order_items.order_id = ${order.id}
+      AND order_items.product_id = products.id
+  `;
+  if (order.couponCode) {
+    await sql`
+      UPDATE coupons SET uses = uses - 1 WHERE code = ${order.couponCode}
+    `;
+  }
+}
+
+/**
+ * Moves an order to `status`, as `actor`. When `userId` is given, only that
+ * user's order can be changed. Throws an OrderError with status 404 for an
+ * unknown order and 409 for a transition the lifecycle does not allow, and
+ * an HttpError with status 412 for an order at none of `versions`, from
+ * ifMatch().
+ */
+async function transitionOrder(id, status, userId, actor, versions) {
+  return sql.begin(async (sql) => {
+    const [order] = await sql`
+      SELECT * FROM orders
+      WHERE id = ${id}
+        AND deleted_at IS NULL
+        ${userId === undefined ? sql`` : sql`AND user_id = ${userId}`}
+      FOR UPDATE
+    `;
+
+    if (!order) {
+      throw new OrderError(404, "Order not found");
+    }
+    checkVersion(order, versions);
+    if (!TRANSITIONS[order.status].includes(status)) {
+      throw new OrderError(
+        409,
+        `Cannot change order status from ${order.status} to ${status}`,
+      );
+    }
+
+    if (status === "cancelled") {
+      await release(sql, order);
+    }
+
+    const [updated] = await sql`
+      UPDATE orders
+      SET status = ${status}, updated_at = NOW()
+      WHERE id = ${order.id}
+      RETURNING *
+    `;
+    await audit(sql, actor, "update", "orders", order, updated);
+    return (await withItems([updated], sql))[0];
+  });
+}
+
+// Whether `order` holds stock, which its deletion gives back.
+function holdsStock(order) {
+  return order.status === "pending" || order.status === "paid";
+}
+
+/**
+ * Deletes an order as `actor`, giving back the stock it still holds.
+ * Resolves to undefined for an unknown or already deleted order.
+ */
+async function deleteOrder(id, actor) {
+  const order = await softDelete("orders", id, actor, async (sql, order) => {
+    if (holdsStock(order)) {
+      await release(sql, order);
+    }
+  });
+  return order && (await withItems([order]))[0];
+}
+
+/**
+ * Restores a deleted order as `actor`, taking again the stock it held.
+ * Resolves to undefined for an unknown order, and throws an HttpError with
+ * status 409 for an order that is not deleted, or an OrderError with status
+ * 409 from reserve().
+ */
+async function restoreOrder(id, actor) {
+  const order = await restore("orders", id, actor, async (sql, order) => {
+    if (holdsStock(order)) {
+      await reserve(sql, order);
+    }
+  });
+  return order && (await withItems([order]))[0];
+}
+
+module.exports = {
+  OrderError,
+  taxRates,
+  insertOrder,
+  createOrder,
+  transitionOrder,
+  deleteOrder,
+  restoreOrder,
+  findOrder,
+  withItems,
+};
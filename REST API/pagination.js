@@ -0,0 +1,203 @@
+const postgres = require("postgres");
+const z = require("zod");
+const sql = require("./db");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Builds the zod schema of a list query: `limit`, `page` or `cursor`,
+ * `sort` restricted to the `sortable` fields, plus the resource `filters`.
+ * The parsed `sort` is always a list of keys ending with the id.
+ */
+function listQuerySchema(sortable, filters = {}) {
+  return z
+    .object({
+      limit: z.coerce
+        .number()
+        .int()
+        .min(1)
+        .max(MAX_LIMIT)
+        .default(DEFAULT_LIMIT),
+      page: z.coerce.number().int().min(1).optional(),
+      cursor: z.string().optional(),
+      sort: z
+        .string()
+        .optional()
+        .transform((value, ctx) => {
+          const keys = parseSort(value);
+          for (const { field } of keys) {
+            if (!sortable.includes(field)) {
+              ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: `Cannot sort on "${field}"`,
+              });
+              return z.NEVER;
+            }
+          }
+          return keys;
+        }),
+      ...filters,
+    })
+    .superRefine((query, ctx) => {
+      if (query.page && query.cursor) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "page and cursor cannot be used together",
+          path: ["cursor"],
+        });
+      } else if (
+        query.cursor &&
+        Array.isArray(query.sort) &&
+        !decodeCursor(query.cursor, query.sort)
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid cursor",
+          path: ["cursor"],
+        });
+      }
+    });
+}
+
+// "price,-name" => [{ field: "price", desc: false }, { field: "name", desc: true }, { field: "id", desc: false }]
+function parseSort(value) {
+  const keys = (value || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith("-")
+        ? { field: part.slice(1), desc: true }
+        : { field: part, desc: false },
+    );
+
+  // The id makes the order total, which keyset cursors rely on.
+  if (!keys.some(({ field }) => field === "id")) {
+    keys.push({ field: "id", desc: false });
+  }
+  return keys;
+}
+
+/**
+ * The values of the sort `keys` of each row, as JSON made by Postgres: a
+ * timestamp read into a JS Date would lose its microseconds, and the rows
+ * of the same millisecond would all come again after the cursor.
+ */
+function cursorValues(keys) {
+  return sql`json_build_array(${join(
+    keys.map(({ field }) => sql(field)),
+    sql`,`,
+  )})::text AS page_cursor`;
+}
+
+function encodeCursor(json) {
+  return Buffer.from(json).toString("base64url");
+}
+
+function decodeCursor(cursor, keys) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Array.isArray(values) && values.length === keys.length) {
+      return values;
+    }
+  } catch (error) {
+    // Falls through to the null below.
+  }
+  return null;
+}
+
+function join(fragments, separator) {
+  return fragments.reduce(
+    (acc, fragment) => sql`${acc} ${separator} ${fragment}`,
+  );
+}
+
+function where(conditions) {
+  return conditions.length ? sql`WHERE ${join(conditions, sql`AND`)}` : sql``;
+}
+
+/**
+ * Rows of `table` strictly after the cursor: (k1 > v1) OR (k1 = v1 AND
+ * k2 > v2) OR ... Postgres reads the `values` back into the types of their
+ * columns, as a row of `table`: postgres.js would send a timestamp through
+ * a JS Date, to the millisecond.
+ */
+function after(table, keys, values) {
+  const row = JSON.stringify(
+    Object.fromEntries(
+      keys.map(({ field }, i) => [postgres.fromCamel(field), values[i]]),
+    ),
+  );
+  const value = (field) =>
+    sql`(json_populate_record(NULL::${sql(table)}, ${row}::text::json)).${sql(field)}`;
+
+  const branches = keys.map(({ field, desc }, i) => {
+    const equal = keys
+      .slice(0, i)
+      .map((key) => sql`${sql(key.field)} = ${value(key.field)}`);
+    const beyond = desc
+      ? sql`${sql(field)} < ${value(field)}`
+      : sql`${sql(field)} > ${value(field)}`;
+    return sql`(${join([...equal, beyond], sql`AND`)})`;
+  });
+  return sql`(${join(branches, sql`OR`)})`;
+}
+
+function orderBy(keys) {
+  return join(
+    keys.map(({ field, desc }) =>
+      desc ? sql`${sql(field)} DESC` : sql`${sql(field)} ASC`,
+    ),
+    sql`,`,
+  );
+}
+
+/**
+ * Runs a paginated SELECT on `table` and returns the `{ data, nextCursor, total }`
+ * envelope. `query` is the output of a `listQuerySchema` and `conditions`
+ * are the SQL fragments of the resource filters.
+ */
+async function paginate(table, query, conditions = []) {
+  const keys = query.sort;
+  const pageConditions = [...conditions];
+  let offset = 0;
+
+  if (query.cursor) {
+    pageConditions.push(after(table, keys, decodeCursor(query.cursor, keys)));
+  } else if (query.page) {
+    offset = (query.page - 1) * query.limit;
+  }
+
+  const [rows, [{ total }]] = await Promise.all([
+    sql`
+      SELECT *, ${cursorValues(keys)} FROM ${sql(table)}
+      ${where(pageConditions)}
+      ORDER BY ${orderBy(keys)}
+      LIMIT ${query.limit + 1} OFFSET ${offset}
+    `,
+    sql`SELECT count(*)::int AS total FROM ${sql(table)} ${where(conditions)}`,
+  ]);
+
+  const data = rows.slice(0, query.limit).map(({ pageCursor, ...row }) => row);
+  const nextCursor =
+    rows.length > query.limit
+      ? encodeCursor(rows[query.limit - 1].pageCursor)
+      : null;
+
+  return { data, nextCursor, total };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+function contains(field, value) {
+  return sql`${sql(field)} ILIKE ${"%" + escapeLike(value) + "%"}`;
+}
+
+module.exports = {
+  listQuerySchema,
+  paginate,
+  contains,
+};
@@ -0,0 +1,85 @@
+// Amounts are computed in integer cents, so that no float error can reach a
+// total. Prices and rates come in as decimals (89.9, 0.055) and go back out
+// the same way.
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// `rate` is a fraction with four decimals at most; rounds half up to the cent.
+function applyRate(cents, rate) {
+  return Math.round((cents * Math.round(rate * 10000)) / 10000);
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Discount of `coupon` ({ kind, value }) on `subtotal`, in cents: a
+ * percentage of it, or a fixed amount that never exceeds it.
+ */
+function discountOf(coupon, subtotal) {
+  if (!coupon) {
+    return 0;
+  }
+  return coupon.kind === "percent"
+    ? applyRate(subtotal, coupon.value / 100)
+    : Math.min(toCents(coupon.value), subtotal);
+}
+
+/**
+ * Splits `amount` in proportion to `weights`. Rounding down leaves a few
+ * cents, which go one by one to the first shares.
+ */
+function spread(amount, weights) {
+  const total = sum(weights);
+  if (total === 0) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map((weight) => Math.floor((amount * weight) / total));
+  let left = amount - sum(shares);
+  for (let index = 0; left > 0; index++, left--) {
+    shares[index]++;
+  }
+  return shares;
+}
+
+/**
+ * Prices order `lines` ({ quantity, unitPrice, taxClass, ... }) with the tax
+ * `rates` of a country (tax class → rate) and an optional `coupon`.
+ *
+ * The discount is spread over the lines in proportion to their amount, and
+ * each line is taxed after its share of the discount, so that every line
+ * carries its own breakdown and the order's amounts are their sums.
+ */
+function priceOrder(lines, rates, coupon) {
+  const amounts = lines.map((line) => toCents(line.unitPrice) * line.quantity);
+  const subtotal = sum(amounts);
+  const discount = discountOf(coupon, subtotal);
+  const discounts = spread(discount, amounts);
+  const taxes = lines.map((line, index) =>
+    applyRate(amounts[index] - discounts[index], rates[line.taxClass]),
+  );
+  const tax = sum(taxes);
+
+  return {
+    subtotal: fromCents(subtotal),
+    discount: fromCents(discount),
+    tax: fromCents(tax),
+    total: fromCents(subtotal - discount + tax),
+    lines: lines.map((line, index) => ({
+      ...line,
+      taxRate: rates[line.taxClass],
+      discount: fromCents(discounts[index]),
+      tax: fromCents(taxes[index]),
+    })),
+  };
+}
+
+module.exports = { toCents, fromCents, priceOrder };
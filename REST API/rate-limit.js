@@ -0,0 +1,185 @@
+const sql = require("./db");
+const { config } = require("./config");
+const { logger } = require("./logger");
+const { HttpError } = require("./errors");
+
+// A bucket left alone for its whole window is full again, the same as a
+// missing one: stores drop buckets idle for longer than the longest window.
+const MAX_WINDOW = 24 * 60 * 60;
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * Token buckets kept in the process: fine for a single server, but every
+ * process counts on its own.
+ */
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  async take(key, { limit, window }, now = Date.now()) {
+    this.prune(now);
+
+    const bucket = this.buckets.get(key) || { tokens: limit, updatedAt: now };
+    const tokens = Math.min(
+      limit,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * (limit / window),
+    );
+    const allowed = tokens >= 1;
+
+    this.buckets.set(key, {
+      tokens: allowed ? tokens - 1 : tokens,
+      updatedAt: now,
+    });
+    return { allowed, tokens: allowed ? tokens - 1 : tokens };
+  }
+
+  prune(now) {
+    if (now - this.prunedAt < PRUNE_INTERVAL) {
+      return;
+    }
+    this.prunedAt = now;
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > MAX_WINDOW * 1000) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  async reset() {
+    this.buckets.clear();
+  }
+}
+
+/**
+ * Token buckets in the `rate_limit_buckets` table, shared by every server
+ * process. A bucket is refilled and taken from in a single statement, so
+ * concurrent requests cannot spend the same token.
+ */
+class PostgresStore {
+  constructor(db = sql) {
+    this.sql = db;
+    this.prunedAt = Date.now();
+  }
+
+  async take(key, { limit, window }) {
+    this.prune();
+
+    const rate = limit / window;
+    const refilled = this.sql`
+      LEAST(
+        ${limit}::float8,
+        bucket.tokens + EXTRACT(EPOCH FROM NOW() - bucket.updated_at)::float8 * ${rate}::float8
+      )
+    `;
+
+    // The update is skipped when the bucket is empty, so no row comes back.
+    const [taken] = await this.sql`
+      INSERT INTO rate_limit_buckets AS bucket (key, tokens)
+      VALUES (${key}, ${limit - 1})
+      ON CONFLICT (key) DO UPDATE
+      SET tokens = ${refilled} - 1, updated_at = NOW()
+      WHERE ${refilled} >= 1
+      RETURNING tokens
+    `;
+    if (taken) {
+      return { allowed: true, tokens: taken.tokens };
+    }
+
+    const [bucket] = await this.sql`
+      SELECT ${refilled} AS tokens
+      FROM rate_limit_buckets AS bucket
+      WHERE key = ${key}
+    `;
+    return { allowed: false, tokens: bucket.tokens };
+  }
+
+  prune() {
+    if (Date.now() - this.prunedAt < PRUNE_INTERVAL) {
+      return;
+    }
+    this.prunedAt = Date.now();
+    this.sql`
+      DELETE FROM rate_limit_buckets
+      WHERE updated_at < NOW() - make_interval(secs => ${MAX_WINDOW})
+    `.catch((error) =>
+      logger.error("Pruning rate limit buckets failed", { error }),
+    );
+  }
+
+  async reset() {
+    await this.sql`TRUNCATE rate_limit_buckets`;
+  }
+}
+
+// RATE_LIMIT_STORE=postgres makes the limits hold across several processes.
+function createStore(type = config.rateLimitStore) {
+  switch (type) {
+    case "memory":
+      return new MemoryStore();
+    case "postgres":
+      return new PostgresStore();
+    default:
+      throw new Error(`Unknown rate limit store "${type}"`);
+  }
+}
+
+const store = createStore();
+
+function clientKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Token bucket middleware: a client gets `limit` requests, refilled at
+ * `limit` per `window` seconds. `key(req)` picks the bucket, by default the
+ * user when authenticated and the IP otherwise; requests it returns no key
+ * for are not limited. Responses carry the `RateLimit-*` headers of the
+ * strictest limiter they went through, and a 429 adds `Retry-After`.
+ */
+function rateLimit({ name, limit, window, key = clientKey, store: buckets }) {
+  if (window > MAX_WINDOW) {
+    throw new Error(`Rate limit windows cannot exceed ${MAX_WINDOW} seconds`);
+  }
+  const rate = limit / window;
+
+  return async (req, res, next) => {
+    const id = key(req);
+    if (id === undefined) {
+      return next();
+    }
+
+    let bucket;
+    try {
+      bucket = await (buckets || store).take(`${name}:${id}`, {
+        limit,
+        window,
+      });
+    } catch (error) {
+      // An unavailable store must not take the whole API down with it.
+      logger.error("Rate limit store unavailable", { error });
+      return next();
+    }
+
+    const remaining = Math.floor(bucket.tokens);
+    if (!res.locals.rateLimit || remaining <= res.locals.rateLimit.remaining) {
+      res.locals.rateLimit = { remaining };
+      res.set({
+        "RateLimit-Policy": `${limit};w=${window}`,
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(Math.ceil((limit - bucket.tokens) / rate)),
+      });
+    }
+
+    if (bucket.allowed) {
+      return next();
+    }
+    const retryAfter = Math.ceil((1 - bucket.tokens) / rate);
+    res.set("Retry-After", String(retryAfter));
+    next(new HttpError(429, "Too many requests", { retryAfter }));
+  };
+}
+
+module.exports = { rateLimit, store, MemoryStore, PostgresStore };
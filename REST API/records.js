@@ -0,0 +1,108 @@
+const sql = require("./db");
+const { audit } = require("./audit");
+const { HttpError } = require("./errors");
+const { checkVersion } = require("./conditional");
+
+// Writes to the rows of users, products and orders, each logged in the
+// transaction that makes it.
+
+/**
+ * Inserts `values` (the `columns` of them) into `table` as `actor` and
+ * resolves to the new row.
+ */
+async function insertRow(table, values, columns, actor) {
+  return sql.begin(async (sql) => {
+    const [row] = await sql`
+      INSERT INTO ${sql(table)} ${sql(values, ...columns)}
+      RETURNING *
+    `;
+    await audit(sql, actor, "create", table, null, row);
+    return row;
+  });
+}
+
+/**
+ * Sets `values` on the row `id` of `table` as `actor`. Resolves to the
+ * updated row, or undefined when there is no such row or it is deleted.
+ * With `versions`, from ifMatch(), throws a 412 HttpError for a row that
+ * has moved on to another version.
+ */
+async function updateRow(table, id, values, actor, versions) {
+  return sql.begin(async (sql) => {
+    const [row] = await sql`
+      SELECT * FROM ${sql(table)}
+      WHERE id = ${id} AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+    if (!row) {
+      return undefined;
+    }
+    checkVersion(row, versions);
+
+    const [updated] = await sql`
+      UPDATE ${sql(table)} SET ${sql(values)}
+      WHERE id = ${row.id}
+      RETURNING *
+    `;
+    await audit(sql, actor, "update", table, row, updated);
+    return updated;
+  });
+}
+
+/**
+ * Marks the row `id` of `table` as deleted and logs it. `then(sql, row)`
+ * runs in the same transaction, for what goes with the deletion. Resolves
+ * to the deleted row, or undefined when there is none left to delete.
+ */
+async function softDelete(table, id, actor, then = async () => {}) {
+  return sql.begin(async (sql) => {
+    const [row] = await sql`
+      SELECT * FROM ${sql(table)}
+      WHERE id = ${id} AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+    if (!row) {
+      return undefined;
+    }
+
+    const [deleted] = await sql`
+      UPDATE ${sql(table)} SET deleted_at = NOW()
+      WHERE id = ${row.id}
+      RETURNING *
+    `;
+    await then(sql, deleted);
+    await audit(sql, actor, "delete", table, row, deleted);
+    return deleted;
+  });
+}
+
+/**
+ * Brings back the deleted row `id` of `table` and logs it, `then(sql, row)`
+ * running in the same transaction. Resolves to the restored row, or
+ * undefined for an unknown one; throws a 409 HttpError for a row that is
+ * not deleted.
+ */
+async function restore(table, id, actor, then = async () => {}) {
+  return sql.begin(async (sql) => {
+    const [row] = await sql`
+      SELECT * FROM ${sql(table)} WHERE id = ${id} FOR UPDATE
+    `;
+    if (!row) {
+      return undefined;
+    }
+    if (!row.deletedAt) {
+      throw new HttpError(409, "Only a deleted row can be restored");
+    }
+
+    const [restored] = await sql`
+      UPDATE ${sql(table)} SET deleted_at = NULL
+      WHERE id = ${row.id}
+      RETURNING *
+    `;
+    await then(sql, restored);
+    await audit(sql, actor, "restore", table, row, restored);
+    return restored;
+  });
+}
+
+module.exports = { insertRow, updateRow, softDelete, restore };
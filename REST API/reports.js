@@ -0,0 +1,109 @@
+const sql = require("./db");
+
+// Only these orders have brought money in: pending ones may still be cancelled.
+const COUNTED_STATUSES = ["paid", "shipped"];
+
+/**
+ * The orders of the report, from the first day at 00:00 UTC until the end
+ * of the last day.
+ */
+function counted({ from, to }) {
+  return sql`
+    status IN ${sql(COUNTED_STATUSES)}
+    AND orders.deleted_at IS NULL
+    AND created_at >= ${from}::timestamp AT TIME ZONE 'UTC'
+    AND created_at < (${to}::date + 1)::timestamp AT TIME ZONE 'UTC'
+  `;
+}
+
+// Every period of the range, including those without orders, oldest first.
+function revenueByPeriod(range) {
+  const { from, to, groupBy } = range;
+
+  return sql`
+    SELECT
+      to_char(period, 'YYYY-MM-DD') AS period,
+      count(orders.id)::int AS orders,
+      COALESCE(sum(orders.total), 0) AS revenue
+    FROM generate_series(
+      date_trunc(${groupBy}, ${from}::timestamp),
+      ${to}::timestamp,
+      ('1 ' || ${groupBy})::interval
+    ) AS period
+    LEFT JOIN orders
+      ON date_trunc(${groupBy}, orders.created_at AT TIME ZONE 'UTC') = period
+      AND ${counted(range)}
+    GROUP BY period
+    ORDER BY period
+  `;
+}
+
+// Line revenue is after discount and before tax, unlike order totals.
+function topProducts(range, limit) {
+  return sql`
+    SELECT
+      products.id AS product_id,
+      products.name,
+      sum(order_items.quantity)::int AS quantity,
+      sum(order_items.quantity * order_items.unit_price - order_items.discount) AS revenue
+    FROM order_items
+    JOIN orders ON orders.id = order_items.order_id
+    JOIN products ON products.id = order_items.product_id
+    WHERE ${counted(range)}
+    GROUP BY products.id
+    ORDER BY revenue DESC, products.id
+    LIMIT ${limit}
+  `;
+}
+
+function customers(range, limit) {
+  return sql`
+    SELECT
+      users.id AS user_id,
+      users.name,
+      users.email,
+      count(*)::int AS orders,
+      sum(orders.total) AS spent
+    FROM orders
+    JOIN users ON users.id = orders.user_id
+    WHERE ${counted(range)}
+    GROUP BY users.id
+    ORDER BY spent DESC, users.id
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Sales of the paid and shipped orders created between `from` and `to`
+ * (YYYY-MM-DD, both included, in UTC): totals, revenue per day, week or
+ * month, the best selling products and the customers who spent the most.
+ */
+async function salesReport({ from, to, groupBy, limit }) {
+  const range = { from, to, groupBy };
+
+  const [[summary], revenue, products, buyers] = await Promise.all([
+    sql`
+      SELECT
+        count(*)::int AS orders,
+        COALESCE(sum(total), 0) AS revenue,
+        round(COALESCE(avg(total), 0), 2) AS average_order_value
+      FROM orders
+      WHERE ${counted(range)}
+    `,
+    revenueByPeriod(range),
+    topProducts(range, limit),
+    customers(range, limit),
+  ]);
+
+  return {
+    from,
+    to,
+    groupBy,
+    summary,
+    revenue,
+    topProducts: products,
+    customers: buyers,
+  };
+}
+
+module.exports = { salesReport };
@@ -0,0 +1,556 @@
+const z = require("zod");
+const { listQuerySchema } = require("./pagination");
+
+// Amounts of money are in euros, to the cent.
+const MoneySchema = z.number().multipleOf(0.01);
+
+const TaxClassSchema = z.enum(["standard", "reduced", "exempt"]);
+
+// ISO 3166-1 alpha-2 code, accepted in any case.
+const CountrySchema = z
+  .string()
+  .regex(/^[a-zA-Z]{2}$/, "Expected a two-letter country code")
+  .toUpperCase();
+
+// A field that failed validation, in a problem document or an import report.
+const IssueSchema = z.object({
+  code: z.string(),
+  message: z.string(),
+  path: z.array(z.union([z.string(), z.number()])),
+});
+
+// Stock keeping unit: unique, and the key of the product imports.
+const SkuSchema = z.string().trim().min(1).max(64);
+
+// Null until the row is deleted; deleted rows are only shown to admins.
+const DeletedAtSchema = z.string().datetime().nullable();
+
+const ProductImageSchema = z.object({
+  id: z.number().int(),
+  url: z.string(),
+  thumbnailUrl: z.string(),
+  contentType: z.string(),
+  size: z.number().int(),
+  width: z.number().int(),
+  height: z.number().int(),
+});
+
+const ProductSchema = z.object({
+  id: z.number().int(),
+  sku: z.string().nullable(),
+  name: z.string(),
+  about: z.string(),
+  price: MoneySchema.positive(),
+  taxClass: TaxClassSchema,
+  stock: z.number().int().min(0),
+  category: z.string().max(100).nullable(),
+  images: z.array(ProductImageSchema),
+  deletedAt: DeletedAtSchema,
+});
+const CreateProductSchema = ProductSchema.omit({
+  id: true,
+  images: true,
+  deletedAt: true,
+}).extend({
+  taxClass: TaxClassSchema.default("standard"),
+  stock: z.number().int().min(0).default(0),
+  category: z.string().max(100).nullable().default(null),
+  sku: SkuSchema.nullable().default(null),
+});
+
+// A row of a product import, which must have a SKU to be matched on.
+const ImportProductSchema = CreateProductSchema.extend({ sku: SkuSchema });
+
+// Query parameters arrive as strings: only "true" asks for a dry run.
+const ProductImportQuerySchema = z.object({
+  dryRun: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((value) => value === "true"),
+});
+
+const ProductImportReportSchema = z.object({
+  dryRun: z.boolean(),
+  created: z.number().int(),
+  updated: z.number().int(),
+  unchanged: z.number().int(),
+  failed: z.number().int(),
+  errors: z.array(
+    z.object({
+      row: z.number().int(),
+      errors: z.array(IssueSchema),
+    }),
+  ),
+});
+
+const ProductExportQuerySchema = z.object({
+  format: z.enum(["csv", "ndjson"]).default("csv"),
+});
+
+// The rule for every password a user chooses: on signup, update or reset.
+const PasswordSchema = z.string().min(5);
+
+// What the API sends for a user: the password hash never leaves the database.
+const UserSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  email: z.string(),
+  role: z.enum(["customer", "admin"]),
+  // Null until the user follows the link mailed to them; orders wait for it.
+  emailVerifiedAt: z.string().datetime().nullable(),
+  deletedAt: DeletedAtSchema,
+});
+
+const UpdateUserSchema = z.object({
+  name: z.string().optional(),
+  email: z.string().email().optional(),
+  password: PasswordSchema.optional(),
+});
+
+const CreateUserSchema = UserSchema.pick({ name: true }).extend({
+  email: z.string().email(),
+  password: PasswordSchema,
+});
+
+const OrderStatusSchema = z.enum(["pending", "paid", "shipped", "cancelled"]);
+
+const OrderItemSchema = z.object({
+  productId: z.number().int(),
+  quantity: z.number().int().positive(),
+});
+
+const CouponCodeSchema = z.string().trim().min(1).max(50).toUpperCase();
+
+const CreateOrderSchema = z.object({
+  userId: z.number().optional(),
+  country: CountrySchema.default("FR"),
+  couponCode: CouponCodeSchema.optional(),
+  items: z
+    .array(OrderItemSchema)
+    .min(1)
+    .refine(
+      (items) =>
+        new Set(items.map((item) => item.productId)).size === items.length,
+      { message: "Each product can only appear once per order" },
+    ),
+});
+
+const UpdateOrderSchema = z.object({
+  status: OrderStatusSchema,
+});
+
+// `discount` is the line's share of the order's discount, and `tax` is
+// computed on the line's amount after it.
+const OrderLineSchema = OrderItemSchema.extend({
+  id: z.number().int(),
+  orderId: z.number().int(),
+  unitPrice: MoneySchema,
+  taxClass: TaxClassSchema,
+  taxRate: z.number(),
+  discount: MoneySchema,
+  tax: MoneySchema,
+});
+
+// total = subtotal - discount + tax, every amount being the sum of the lines'.
+const OrderSchema = z.object({
+  id: z.number().int(),
+  userId: z.number().int(),
+  status: OrderStatusSchema,
+  country: z.string(),
+  couponCode: z.string().nullable(),
+  subtotal: MoneySchema,
+  discount: MoneySchema,
+  tax: MoneySchema,
+  total: MoneySchema,
+  createdAt: z.string().datetime(),
+  updatedAt: z.string().datetime(),
+  deletedAt: DeletedAtSchema,
+  items: z.array(OrderLineSchema),
+});
+
+const AddCartItemSchema = OrderItemSchema;
+
+const UpdateCartItemSchema = OrderItemSchema.pick({ quantity: true });
+
+// Taxes of a cart are those of `country`, where it would be delivered.
+const CartQuerySchema = z.object({
+  country: CountrySchema.default("FR"),
+});
+
+const CheckoutSchema = CreateOrderSchema.pick({
+  country: true,
+  couponCode: true,
+});
+
+// Priced at the product's current price. `addedPrice` is the price when the
+// line last changed, and `available` says whether the product can still be
+// ordered in that quantity.
+const CartLineSchema = OrderItemSchema.extend({
+  name: z.string(),
+  unitPrice: MoneySchema,
+  addedPrice: MoneySchema,
+  priceChanged: z.boolean(),
+  available: z.boolean(),
+  taxClass: TaxClassSchema,
+  taxRate: z.number(),
+  tax: MoneySchema,
+});
+
+// What an order of the cart would cost now, before any coupon.
+const CartSchema = z.object({
+  userId: z.number().int(),
+  country: z.string(),
+  items: z.array(CartLineSchema),
+  subtotal: MoneySchema,
+  tax: MoneySchema,
+  total: MoneySchema,
+});
+
+const AddWishlistItemSchema = OrderItemSchema.pick({ productId: true });
+
+// `addedPrice` is the price when the product was wished for.
+const WishlistItemSchema = z.object({
+  productId: z.number().int(),
+  name: z.string(),
+  price: MoneySchema,
+  addedPrice: MoneySchema,
+  priceDropped: z.boolean(),
+  available: z.boolean(),
+  addedAt: z.string().datetime(),
+});
+
+const WishlistSchema = z.object({
+  userId: z.number().int(),
+  items: z.array(WishlistItemSchema),
+});
+
+const TaxRateSchema = z.object({
+  country: z.string(),
+  taxClass: TaxClassSchema,
+  rate: z.number().min(0).lt(1).multipleOf(0.0001),
+});
+
+const UpdateTaxRateSchema = TaxRateSchema.pick({ rate: true });
+
+const TaxRateQuerySchema = z.object({
+  country: CountrySchema.optional(),
+});
+
+const TaxRateParamsSchema = z.object({
+  country: CountrySchema,
+  taxClass: TaxClassSchema,
+});
+
+// A percentage of the subtotal, or a fixed amount taken off it.
+const CouponSchema = z.object({
+  id: z.number().int(),
+  code: z.string(),
+  kind: z.enum(["percent", "amount"]),
+  value: MoneySchema.positive(),
+  startsAt: z.string().datetime().nullable(),
+  endsAt: z.string().datetime().nullable(),
+  maxUses: z.number().int().positive().nullable(),
+  uses: z.number().int(),
+  createdAt: z.string().datetime(),
+});
+
+const CreateCouponSchema = CouponSchema.pick({ kind: true, value: true })
+  .extend({
+    code: CouponCodeSchema,
+    startsAt: z.string().datetime({ offset: true }).nullable().default(null),
+    endsAt: z.string().datetime({ offset: true }).nullable().default(null),
+    maxUses: z.number().int().positive().nullable().default(null),
+  })
+  .refine((coupon) => coupon.kind === "amount" || coupon.value <= 100, {
+    message: "A percentage cannot exceed 100",
+    path: ["value"],
+  })
+  .refine(
+    (coupon) =>
+      !coupon.startsAt ||
+      !coupon.endsAt ||
+      Date.parse(coupon.startsAt) < Date.parse(coupon.endsAt),
+    { message: "endsAt must be after startsAt", path: ["endsAt"] },
+  );
+
+const LoginSchema = z.object({
+  email: z.string(),
+  password: z.string(),
+});
+
+const RefreshSchema = z.object({
+  refreshToken: z.string(),
+});
+
+const LogoutSchema = RefreshSchema.extend({
+  all: z.boolean().optional(),
+});
+
+// The token of the link mailed by sendVerification() or requestPasswordReset().
+const VerifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
+
+const ForgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+const ResetPasswordSchema = VerifyEmailSchema.extend({
+  password: PasswordSchema,
+});
+
+const TokensSchema = z.object({
+  accessToken: z.string(),
+  refreshToken: z.string(),
+  tokenType: z.literal("Bearer"),
+});
+
+// RFC 7807 problem document sent by errorHandler for every error.
+const ProblemSchema = z
+  .object({
+    type: z.string(),
+    title: z.string(),
+    status: z.number().int(),
+    detail: z.string(),
+    instance: z.string(),
+    errors: z.array(IssueSchema).optional(),
+  })
+  .passthrough();
+
+// Query parameters arrive as strings: only "true" asks for the deleted rows.
+const IncludeDeletedSchema = z
+  .enum(["true", "false"])
+  .default("false")
+  .transform((value) => value === "true");
+
+const IncludeDeletedQuerySchema = z.object({
+  includeDeleted: IncludeDeletedSchema,
+});
+
+// Envelope returned by the paginated list endpoints.
+function pageOf(schema) {
+  return z.object({
+    data: z.array(schema),
+    nextCursor: z.string().nullable(),
+    total: z.number().int(),
+  });
+}
+
+const ProductListQuerySchema = listQuerySchema(
+  ["id", "name", "about", "price"],
+  {
+    name: z.string().optional(),
+    about: z.string().optional(),
+    price: z.coerce.number().optional(),
+    "name~": z.string().optional(),
+    "about~": z.string().optional(),
+    category: z.string().optional(),
+    minPrice: z.coerce.number().optional(),
+    maxPrice: z.coerce.number().optional(),
+    includeDeleted: IncludeDeletedSchema,
+  },
+);
+
+const ProductSearchQuerySchema = z.object({
+  q: z.string().trim().min(1),
+  category: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  page: z.coerce.number().int().min(1).default(1),
+});
+
+const ProductSearchResultsSchema = z.object({
+  data: z.array(
+    ProductSchema.extend({
+      rank: z.number(),
+      highlight: z.object({ name: z.string(), about: z.string() }),
+    }),
+  ),
+  total: z.number().int(),
+  facets: z.object({
+    category: z.array(
+      z.object({ value: z.string().nullable(), count: z.number().int() }),
+    ),
+    price: z.array(
+      z.object({
+        min: z.number(),
+        max: z.number().nullable(),
+        count: z.number().int(),
+      }),
+    ),
+  }),
+});
+
+const UserListQuerySchema = listQuerySchema(["id", "name", "email"], {
+  "name~": z.string().optional(),
+  "email~": z.string().optional(),
+  role: z.enum(["customer", "admin"]).optional(),
+  includeDeleted: IncludeDeletedSchema,
+});
+
+const OrderListQuerySchema = listQuerySchema(
+  ["id", "userId", "status", "total", "createdAt"],
+  {
+    userId: z.coerce.number().int().optional(),
+    productId: z.coerce.number().int().optional(),
+    status: OrderStatusSchema.optional(),
+    minTotal: z.coerce.number().optional(),
+    maxTotal: z.coerce.number().optional(),
+    includeDeleted: IncludeDeletedSchema,
+  },
+);
+
+const AuditActionSchema = z.enum(["create", "update", "delete", "restore"]);
+
+const AuditEntitySchema = z.enum(["users", "products", "orders"]);
+
+// `before` and `after` hold the columns an action changed, with passwords
+// redacted; a creation only has `after`, the whole new row.
+const AuditEntrySchema = z.object({
+  id: z.number().int(),
+  actorId: z.number().int().nullable(),
+  action: AuditActionSchema,
+  entity: AuditEntitySchema,
+  entityId: z.number().int(),
+  before: z.record(z.unknown()).nullable(),
+  after: z.record(z.unknown()).nullable(),
+  createdAt: z.string().datetime(),
+});
+
+// `from` and `to` are days in UTC, both included.
+const AuditLogQuerySchema = listQuerySchema(["id", "createdAt"], {
+  entity: AuditEntitySchema.optional(),
+  entityId: z.coerce.number().int().optional(),
+  actorId: z.coerce.number().int().optional(),
+  action: AuditActionSchema.optional(),
+  from: z.string().date().optional(),
+  to: z.string().date().optional(),
+}).refine((query) => !query.from || !query.to || query.from <= query.to, {
+  message: "from must not be after to",
+  path: ["from"],
+});
+
+const ReportGroupBySchema = z.enum(["day", "week", "month"]);
+
+// Sections of the sales report that can be exported as CSV.
+const SalesReportSectionSchema = z.enum([
+  "revenue",
+  "topProducts",
+  "customers",
+]);
+
+// Without dates, the report covers the last 30 days, today included.
+const SalesReportQuerySchema = z
+  .object({
+    from: z.string().date().optional(),
+    to: z.string().date().optional(),
+    groupBy: ReportGroupBySchema.default("day"),
+    limit: z.coerce.number().int().min(1).max(100).default(10),
+    format: z.enum(["json", "csv"]).default("json"),
+    section: SalesReportSectionSchema.default("revenue"),
+  })
+  .transform((query) => {
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    const from =
+      query.from ||
+      new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .slice(0, 10);
+    return { ...query, from, to };
+  })
+  .refine((query) => query.from <= query.to, {
+    message: "from must not be after to",
+    path: ["from"],
+  });
+
+const SalesReportSchema = z.object({
+  from: z.string().date(),
+  to: z.string().date(),
+  groupBy: ReportGroupBySchema,
+  summary: z.object({
+    orders: z.number().int(),
+    revenue: z.number(),
+    averageOrderValue: z.number(),
+  }),
+  revenue: z.array(
+    z.object({
+      period: z.string().date(),
+      orders: z.number().int(),
+      revenue: z.number(),
+    }),
+  ),
+  topProducts: z.array(
+    z.object({
+      productId: z.number().int(),
+      name: z.string(),
+      quantity: z.number().int(),
+      revenue: z.number(),
+    }),
+  ),
+  customers: z.array(
+    z.object({
+      userId: z.number().int(),
+      name: z.string(),
+      email: z.string(),
+      orders: z.number().int(),
+      spent: z.number(),
+    }),
+  ),
+});
+
+// The answer of /healthz and /readyz; only readiness checks the database.
+const HealthSchema = z.object({
+  status: z.enum(["ok", "unavailable"]),
+  checks: z.object({ database: z.enum(["up", "down"]) }).optional(),
+});
+
+module.exports = {
+  ProductImageSchema,
+  ProductSchema,
+  CreateProductSchema,
+  ImportProductSchema,
+  ProductImportQuerySchema,
+  ProductImportReportSchema,
+  ProductExportQuerySchema,
+  UserSchema,
+  CreateUserSchema,
+  UpdateUserSchema,
+  OrderStatusSchema,
+  OrderItemSchema,
+  CreateOrderSchema,
+  UpdateOrderSchema,
+  OrderLineSchema,
+  OrderSchema,
+  AddCartItemSchema,
+  UpdateCartItemSchema,
+  CartQuerySchema,
+  CheckoutSchema,
+  CartSchema,
+  AddWishlistItemSchema,
+  WishlistSchema,
+  TaxRateSchema,
+  UpdateTaxRateSchema,
+  TaxRateQuerySchema,
+  TaxRateParamsSchema,
+  CouponSchema,
+  CreateCouponSchema,
+  LoginSchema,
+  RefreshSchema,
+  LogoutSchema,
+  VerifyEmailSchema,
+  ForgotPasswordSchema,
+  ResetPasswordSchema,
+  TokensSchema,
+  ProblemSchema,
+  AuditEntrySchema,
+  IncludeDeletedQuerySchema,
+  pageOf,
+  ProductListQuerySchema,
+  ProductSearchQuerySchema,
+  ProductSearchResultsSchema,
+  UserListQuerySchema,
+  OrderListQuerySchema,
+  AuditLogQuerySchema,
+  SalesReportQuerySchema,
+  SalesReportSchema,
+  HealthSchema,
+};
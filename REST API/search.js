@@ -0,0 +1,103 @@
+const sql = require("./db");
+
+// Upper bounds of the price facet buckets; the last bucket has no maximum.
+const PRICE_BUCKETS = [25, 50, 100, 250];
+const MARK = "StartSel=<mark>, StopSel=</mark>";
+const NAME_HEADLINE = `${MARK}, HighlightAll=true`;
+const ABOUT_HEADLINE = `${MARK}, MaxWords=35, MinWords=15, MaxFragments=2`;
+
+// Matches the query stemmed in either language, like product_search_vector.
+function search(q) {
+  return sql`
+    search AS (
+      SELECT websearch_to_tsquery('french', ${q})
+        || websearch_to_tsquery('english', ${q}) AS query
+    )
+  `;
+}
+
+// Deleted products are never found.
+function matches() {
+  return sql`
+    product_search_vector(name, about) @@ search.query AND deleted_at IS NULL
+  `;
+}
+
+// The text of `column` escaped as HTML, so that the <mark> of ts_headline
+// are the only markup of `highlight`.
+function escaped(column) {
+  return sql`
+    replace(replace(replace(${sql(column)}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')
+  `;
+}
+
+function inCategory(category) {
+  return category === undefined ? sql`` : sql`AND category = ${category}`;
+}
+
+function priceBucket(bucket, count) {
+  return {
+    min: bucket === 0 ? 0 : PRICE_BUCKETS[bucket - 1],
+    max: bucket < PRICE_BUCKETS.length ? PRICE_BUCKETS[bucket] : null,
+    count,
+  };
+}
+
+/**
+ * Full-text search on the name and description of the products. Results are
+ * ranked with ts_rank, matched words are wrapped in <mark> in `highlight`,
+ * whose text is otherwise escaped as HTML, and `facets` count every match
+ * of `q` by category and price bucket, whatever the `category` filter.
+ */
+async function searchProducts({ q, category, limit, page }) {
+  const [data, [{ total }], categories, prices] = await Promise.all([
+    sql`
+      WITH ${search(q)}
+      SELECT
+        products.*,
+        ts_rank(product_search_vector(name, about), search.query) AS rank,
+        ts_headline('french', ${escaped("name")}, search.query, ${NAME_HEADLINE}) AS name_headline,
+        ts_headline('french', ${escaped("about")}, search.query, ${ABOUT_HEADLINE}) AS about_headline
+      FROM products, search
+      WHERE ${matches()} ${inCategory(category)}
+      ORDER BY rank DESC, id
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    sql`
+      WITH ${search(q)}
+      SELECT count(*)::int AS total FROM products, search
+      WHERE ${matches()} ${inCategory(category)}
+    `,
+    sql`
+      WITH ${search(q)}
+      SELECT category AS value, count(*)::int AS count FROM products, search
+      WHERE ${matches()}
+      GROUP BY category
+      ORDER BY count DESC, category
+    `,
+    sql`
+      WITH ${search(q)}
+      SELECT
+        width_bucket(price, ${PRICE_BUCKETS}::numeric[]) AS bucket,
+        count(*)::int AS count
+      FROM products, search
+      WHERE ${matches()}
+      GROUP BY bucket
+      ORDER BY bucket
+    `,
+  ]);
+
+  return {
+    data: data.map(({ nameHeadline, aboutHeadline, ...product }) => ({
+      ...product,
+      highlight: { name: nameHeadline, about: aboutHeadline },
+    })),
+    total,
+    facets: {
+      category: categories,
+      price: prices.map(({ bucket, count }) => priceBucket(bucket, count)),
+    },
+  };
+}
+
+module.exports = { searchProducts };
@@ -0,0 +1,155 @@
+const bcrypt = require("bcrypt");
+const sql = require("./db");
+const { createOrder, transitionOrder } = require("./orders");
+
+const USERS = [
+  { name: "admin", email: "admin@shop.local", role: "admin" },
+  { name: "alice", email: "alice@shop.local", role: "customer" },
+  { name: "bob", email: "bob@shop.local", role: "customer" },
+];
+const PASSWORD = "password";
+
+const PRODUCTS = [
+  {
+    sku: "KEY-001",
+    name: "Clavier mécanique",
+    about: "Switches rouges, rétroéclairé",
+    category: "Périphériques",
+    price: 89.9,
+    stock: 25,
+  },
+  {
+    sku: "MOU-001",
+    name: "Souris sans fil",
+    about: "Capteur optique 16000 DPI",
+    category: "Périphériques",
+    price: 49.5,
+    stock: 40,
+  },
+  {
+    sku: "MON-027",
+    name: "Écran 27 pouces",
+    about: "Dalle IPS 1440p 144 Hz",
+    category: "Écrans",
+    price: 299,
+    stock: 8,
+  },
+  {
+    sku: "AUD-001",
+    name: "Casque audio",
+    about: "Réduction de bruit active",
+    category: "Audio",
+    price: 159,
+    stock: 15,
+  },
+  {
+    sku: "CAM-001",
+    name: "Webcam HD",
+    about: "1080p avec micro intégré",
+    category: "Vidéo",
+    price: 39.99,
+    stock: 30,
+  },
+  {
+    sku: "PAD-090",
+    name: "Tapis de souris XXL",
+    about: "Surface en tissu 90 x 40 cm",
+    category: "Accessoires",
+    price: 19.9,
+    stock: 100,
+  },
+];
+
+// Orders go through createOrder so that stock and prices stay consistent.
+const ORDERS = [
+  {
+    user: "alice",
+    items: [
+      [0, 1],
+      [1, 1],
+    ],
+    status: "shipped",
+  },
+  { user: "alice", items: [[2, 1]], status: "paid" },
+  {
+    user: "bob",
+    items: [
+      [3, 1],
+      [5, 2],
+    ],
+    status: "pending",
+  },
+  { user: "bob", items: [[4, 1]], status: "cancelled" },
+];
+const STATUS_STEPS = {
+  pending: [],
+  paid: ["paid"],
+  shipped: ["paid", "shipped"],
+  cancelled: ["cancelled"],
+};
+
+async function seed() {
+  const [{ count }] = await sql`SELECT count(*)::int AS count FROM products`;
+  if (count > 0) {
+    console.log("Database already contains products, skipping seed");
+    return;
+  }
+
+  const password = await bcrypt.hash(PASSWORD, 10);
+  const { users, products } = await sql.begin(async (sql) => ({
+    users: await sql`
+      INSERT INTO users ${sql(
+        USERS.map((user) => ({
+          ...user,
+          password,
+          emailVerifiedAt: new Date(),
+        })),
+        "name",
+        "email",
+        "password",
+        "role",
+        "emailVerifiedAt",
+      )}
+      ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+      RETURNING *
+    `,
+    products: await sql`
+      INSERT INTO products ${sql(
+        PRODUCTS,
+        "sku",
+        "name",
+        "about",
+        "price",
+        "stock",
+        "category",
+      )}
+      RETURNING *
+    `,
+  }));
+
+  for (const order of ORDERS) {
+    const user = users.find((u) => u.name === order.user);
+    const created = await createOrder(user.id, {
+      country: "FR",
+      items: order.items.map(([product, quantity]) => ({
+        productId: products[product].id,
+        quantity,
+      })),
+    });
+
+    for (const status of STATUS_STEPS[order.status]) {
+      await transitionOrder(created.id, status);
+    }
+  }
+
+  console.log(
+    `Seeded ${users.length} users, ${products.length} products and ${ORDERS.length} orders (password: "${PASSWORD}")`,
+  );
+}
+
+seed()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sql.end());
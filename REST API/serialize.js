@@ -0,0 +1,38 @@
+const bcrypt = require("bcrypt");
+
+// Cost of the bcrypt hashes stored in users.password.
+const PASSWORD_HASH_ROUNDS = 10;
+
+/**
+ * Restricts the successful JSON responses of a route to `schema`, its public
+ * DTO: zod drops every key the schema does not declare, so neither a password
+ * hash nor a column added later is sent by accident. The body goes through
+ * JSON first, so that dates are checked as the strings the client receives.
+ * A body that does not match is a bug on our side and ends in a 500.
+ */
+function serialize(schema) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400) {
+        return json(body);
+      }
+      return json(schema.parse(JSON.parse(JSON.stringify(body))));
+    };
+    next();
+  };
+}
+
+// The row to store for a validated user body: the password is never kept as is.
+async function userRow(body) {
+  if (body.password === undefined) {
+    return body;
+  }
+  return {
+    ...body,
+    password: await bcrypt.hash(body.password, PASSWORD_HASH_ROUNDS),
+  };
+}
+
+module.exports = { serialize, userRow };
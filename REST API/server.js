@@ -1,138 +1,499 @@
 const express = require("express");
-const postgres = require("postgres");
-const z = require("zod");
 const app = express();
-const port = 8000;
-const sql = postgres({ db: "mydb" });
+const sql = require("./db");
+const { config } = require("./config");
+const { retry, check, drain, onShutdown } = require("./lifecycle");
+const { logger, requestId, accessLog } = require("./logger");
+const { measureRequests, metricsHandler } = require("./metrics");
+const {
+  router: authRouter,
+  authenticate,
+  authorize,
+  authorizeSelf,
+  authorizeIf,
+  isAdmin,
+} = require("./auth");
+const { paginate, contains } = require("./pagination");
+const { rateLimit } = require("./rate-limit");
+const { serialize, userRow } = require("./serialize");
+const { searchProducts } = require("./search");
+const { salesReport } = require("./reports");
+const { toCsv } = require("./csv");
+const { importProducts, exportProducts } = require("./catalog");
+const {
+  sendVerification,
+  reverifyChangedEmail,
+  settled,
+} = require("./accounts");
+const { insertRow, updateRow, softDelete, restore } = require("./records");
+const { etag, ifMatch } = require("./conditional");
+const { storage, LocalStorage } = require("./storage");
+const {
+  HIDDEN_PREFIX,
+  uploadImage,
+  withImages,
+  addImage,
+  deleteImage,
+  hideImages,
+  showImages,
+} = require("./images");
+const {
+  HttpError,
+  validate,
+  asyncHandler,
+  notFound,
+  errorHandler,
+} = require("./errors");
+const {
+  createOrder,
+  transitionOrder,
+  deleteOrder,
+  restoreOrder,
+  findOrder,
+  withItems,
+} = require("./orders");
+const {
+  findCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  checkout,
+} = require("./cart");
+const {
+  findWishlist,
+  addToWishlist,
+  removeFromWishlist,
+} = require("./wishlist");
 const swaggerUi = require("swagger-ui-express");
-const swaggerJsdoc = require("swagger-jsdoc");
-
-const options = {
-  definition: {
-    info: {
-      title: "ShopAPI with Swagger",
-      version: "0.1.0",
-      description: "Shop api for users and products",
-      contact: {
-        name: "Shop",
-        email: "shop@email.com",
-      },
-    },
-    servers: [
-      {
-        url: "http://localhost:8000",
-      },
-    ],
-  },
-  apis: ["./server.js"],
-};
-const specs = swaggerJsdoc(options);
+const { buildSpec } = require("./openapi");
+const {
+  ProductSchema,
+  ProductImageSchema,
+  CreateProductSchema,
+  ProductImportQuerySchema,
+  ProductImportReportSchema,
+  ProductExportQuerySchema,
+  UserSchema,
+  CreateUserSchema,
+  UpdateUserSchema,
+  OrderSchema,
+  CreateOrderSchema,
+  UpdateOrderSchema,
+  CartQuerySchema,
+  CartSchema,
+  AddCartItemSchema,
+  UpdateCartItemSchema,
+  CheckoutSchema,
+  WishlistSchema,
+  AddWishlistItemSchema,
+  ProductListQuerySchema,
+  ProductSearchQuerySchema,
+  UserListQuerySchema,
+  OrderListQuerySchema,
+  IncludeDeletedQuerySchema,
+  AuditEntrySchema,
+  AuditLogQuerySchema,
+  ProductSearchResultsSchema,
+  TaxRateSchema,
+  UpdateTaxRateSchema,
+  TaxRateQuerySchema,
+  TaxRateParamsSchema,
+  CouponSchema,
+  CreateCouponSchema,
+  SalesReportQuerySchema,
+  SalesReportSchema,
+  HealthSchema,
+  pageOf,
+} = require("./schemas");
 
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
-app.use(express.json());
+const specs = buildSpec();
 
-const ProductSchema = z.object({
-  id: z.string(),
-  name: z.string(),
-  about: z.string(),
-  price: z.number().positive(),
-});
-const CreateProductSchema = ProductSchema.omit({ id: true });
+// Deleted rows are only listed for admins who ask for them.
+const includesDeleted = (req) => req.query.includeDeleted === "true";
+const onlyAdminsSeeDeleted = authorizeIf(includesDeleted, "admin");
 
-const UserSchema = z.object({
-  id: z.number(),
-  name: z.string(),
-  email: z.string(),
-  password: z.string(),
-});
+// How long /readyz waits for the database before calling it down.
+const READINESS_TIMEOUT = 2000;
 
-const UpdateUserSchema = z.object({
-  name: z.string().optional(),
-  email: z.string().email().optional(),
-  password: z.string().min(5).optional(),
-});
+app.use(requestId, accessLog, measureRequests);
 
-const CreateOrderSchema = z.object({
-  userId: z.number(),
-  productId: z.number(),
-  quantity: z.number().positive(),
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     operationId: health.live
+ *     summary: Vérifier que le serveur tourne
+ *     description: Répond tant que le processus traite des requêtes, sans interroger la base de données. Destiné à la sonde de vivacité (liveness).
+ *     responses:
+ *       200:
+ *         description: Le serveur tourne.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+app.get("/healthz", serialize(HealthSchema), (req, res) => {
+  res.json({ status: "ok" });
 });
 
-const UpdateOrderSchema = z.object({
-  userId: z.number().optional(),
-  productId: z.number().optional(),
-  quantity: z.number().positive().optional(),
-});
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     operationId: health.ready
+ *     summary: Vérifier que le serveur peut traiter des requêtes
+ *     description: Vérifie que la base de données répond. Destiné à la sonde de disponibilité (readiness), qui retire le serveur du trafic tant qu'elle échoue.
+ *     responses:
+ *       200:
+ *         description: Le serveur et sa base de données sont disponibles.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: La base de données ne répond pas. `checks` indique laquelle des dépendances est en panne.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+app.get(
+  "/readyz",
+  serialize(HealthSchema),
+  asyncHandler(async (req, res) => {
+    const database = await check(() => sql`SELECT 1`, READINESS_TIMEOUT);
+
+    res.status(database === "up" ? 200 : 503).json({
+      status: database === "up" ? "ok" : "unavailable",
+      checks: { database },
+    });
+  }),
+);
 
-const CreateUserSchema = UserSchema.omit({ id: true });
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     operationId: metrics.get
+ *     summary: Exporter les métriques
+ *     description: Métriques au format texte de Prometheus, à collecter par son scraper. Durée des requêtes HTTP par route, méthode et statut, durée et nombre en cours des requêtes SQL, taille du pool de connexions, et métriques du processus Node.js.
+ *     responses:
+ *       200:
+ *         description: Métriques au format d'exposition de Prometheus.
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get("/metrics", asyncHandler(metricsHandler));
 
-const getUsers = UserSchema.omit({ password: false });
+app.get("/openapi.json", (req, res) => {
+  res.json(specs);
+});
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
+// Other storages serve the images from their own URLs.
+if (storage instanceof LocalStorage) {
+  app.use("/uploads", (req, res, next) =>
+    storage.reaches(req.path, HIDDEN_PREFIX)
+      ? notFound(req, res, next)
+      : next(),
+  );
+  app.use("/uploads", express.static(storage.root));
+}
+app.use(
+  rateLimit({ name: "ip", limit: 300, window: 60, key: (req) => req.ip }),
+);
+app.use(express.json());
+app.use("/auth", authRouter);
 
 app.get("/", (req, res) => {
   res.send("Hello World!");
 });
 
-app.listen(port, () => {
-  console.log(`Server listening at http://localhost:${port}`);
-});
-
 /**
  * @swagger
  * /products:
  *   get:
+ *     operationId: products.list
  *     summary: Récupérer une liste de produits
- *     description: Récupère une liste de tous les produits disponibles dans la base de données.
+ *     description: Récupère une page de produits, filtrée et triée selon les paramètres de la requête.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Champs de tri séparés par des virgules, préfixés par `-` pour un tri décroissant (id, name, about, price). Exemple `price,-name`.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: name
+ *         description: Nom exact du produit.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: about
+ *         description: Description exacte du produit.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: price
+ *         description: Prix exact du produit.
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: name~
+ *         description: Sous-chaîne recherchée dans le nom (insensible à la casse).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: about~
+ *         description: Sous-chaîne recherchée dans la description (insensible à la casse).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Catégorie exacte du produit.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         description: Prix minimum (inclus).
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         description: Prix maximum (inclus).
+ *         schema:
+ *           type: number
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Liste des produits récupérée avec succès.
+ *         description: Page de produits récupérée avec succès.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               $ref: '#/components/schemas/ProductPage'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise pour `includeDeleted`.
+ *       403:
+ *         description: Accès refusé. `includeDeleted` est réservé aux administrateurs.
  *       500:
  *         description: Erreur lors de l'accès à la base de données.
  */
 
-app.get("/products", async (req, res) => {
-  const { name, about, price } = req.query;
+app.get(
+  "/products",
+  onlyAdminsSeeDeleted,
+  serialize(pageOf(ProductSchema)),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      ProductListQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const conditions = [];
+
+    if (query.name) {
+      conditions.push(sql`name = ${query.name}`);
+    }
+    if (query.about) {
+      conditions.push(sql`about = ${query.about}`);
+    }
+    if (query.price !== undefined) {
+      conditions.push(sql`price = ${query.price}`);
+    }
+    if (query["name~"]) {
+      conditions.push(contains("name", query["name~"]));
+    }
+    if (query["about~"]) {
+      conditions.push(contains("about", query["about~"]));
+    }
+    if (query.category) {
+      conditions.push(sql`category = ${query.category}`);
+    }
+    if (query.minPrice !== undefined) {
+      conditions.push(sql`price >= ${query.minPrice}`);
+    }
+    if (query.maxPrice !== undefined) {
+      conditions.push(sql`price <= ${query.maxPrice}`);
+    }
+    if (!query.includeDeleted) {
+      conditions.push(sql`deleted_at IS NULL`);
+    }
+
+    const page = await paginate("products", query, conditions);
+    res.json({ ...page, data: await withImages(page.data) });
+  }),
+);
+
+/**
+ * @swagger
+ * /products/search:
+ *   get:
+ *     operationId: products.search
+ *     summary: Rechercher des produits
+ *     description: Recherche plein texte dans le nom et la description des produits, avec racinisation française et anglaise. Les résultats sont triés par pertinence, les mots trouvés sont entourés de `<mark>` dans `highlight`, dont le reste du texte est échappé en HTML, et `facets` compte toutes les correspondances par catégorie et par tranche de prix.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Termes recherchés (syntaxe websearch, par exemple `"souris sans fil" -filaire`).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Ne renvoie que les produits de cette catégorie (les facettes restent calculées sur toutes les correspondances).
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: page
+ *         description: Numéro de page.
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Résultats de la recherche.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductSearchResults'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ */
+
+app.get(
+  "/products/search",
+  serialize(ProductSearchResultsSchema),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      ProductSearchQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+
+    const results = await searchProducts(query);
+    res.json({ ...results, data: await withImages(results.data) });
+  }),
+);
 
-  let conditions = [];
-  let values = [];
+/**
+ * @swagger
+ * /products/import:
+ *   post:
+ *     operationId: products.import
+ *     summary: Importer des produits
+ *     description: Crée ou remplace des produits à partir d'un fichier CSV (avec une ligne d'en-tête, colonnes `sku`, `name`, `about`, `price`, `taxClass`, `stock` et `category`) ou NDJSON (un produit JSON par ligne), lu au fil de l'envoi. Les produits sont identifiés par leur `sku` ; ceux dont la référence est inconnue sont créés, les autres remplacés, y compris s'ils sont supprimés, auquel cas ils le restent. Chaque ligne est validée comme un produit créé ; les lignes invalides, ou qui répètent une référence déjà lue, sont ignorées et décrites dans `errors` (les 100 premières), les autres sont écrites par lots de 500, chacun dans sa propre transaction (en cas d'erreur en cours d'envoi, les lots déjà écrits le restent). Avec `dryRun=true`, rien n'est écrit mais le rapport est le même.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Valide le fichier et compte les produits qui seraient créés ou modifiés, sans rien écrire.
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Rapport de l'import, ligne par ligne pour les erreurs (les lignes sont numérotées à partir de 1, en-tête CSV exclu).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ *       400:
+ *         description: Paramètres de requête invalides ou fichier CSV mal formé.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       415:
+ *         description: Le corps n'est ni du CSV (`text/csv`) ni du NDJSON (`application/x-ndjson`).
+ */
+app.post(
+  "/products/import",
+  authenticate,
+  authorize("admin"),
+  serialize(ProductImportReportSchema),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      ProductImportQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
 
-  if (name) {
-    conditions.push("name = $" + (conditions.length + 1));
-    values.push(name);
-  }
-  if (about) {
-    conditions.push("about = $" + (conditions.length + 1));
-    values.push(about);
-  }
-  if (price) {
-    conditions.push("price = $" + (conditions.length + 1));
-    values.push(parseFloat(price));
-  }
+    res.json(
+      await importProducts(req, { dryRun: query.dryRun, actor: req.user }),
+    );
+  }),
+);
 
-  const sqlQuery = `
-      SELECT * FROM products
-      ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
-    `;
+/**
+ * @swagger
+ * /products/export:
+ *   get:
+ *     operationId: products.export
+ *     summary: Exporter les produits
+ *     description: Télécharge les produits qui ne sont pas supprimés, dans l'ordre de leur création, au format CSV ou NDJSON, avec les colonnes que lit l'import. Le fichier est envoyé au fil de la lecture de la base de données, sans être construit en mémoire.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         description: Format du fichier.
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Les produits, en pièce jointe.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ */
+app.get(
+  "/products/export",
+  authenticate,
+  authorize("admin"),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      ProductExportQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
 
-  try {
-    const products = await sql.unsafe(sqlQuery, values);
-    res.json(products);
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error accessing the database", error: error.message });
-  }
-});
+    await exportProducts(res, query.format);
+  }),
+);
 
 /**
  * @swagger
  * /products/{id}:
  *   get:
+ *     operationId: products.get
  *     summary: Récupérer un produit par son ID
  *     description: Récupère les détails d'un produit spécifique par son ID dans la base de données.
  *     parameters:
@@ -141,7 +502,8 @@ app.get("/products", async (req, res) => {
  *         required: true
  *         description: Identifiant unique du produit à récupérer.
  *         schema:
- *           type: string
+ *           type: integer
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Détails d'un produit récupéré avec succès.
@@ -149,28 +511,51 @@ app.get("/products", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise pour `includeDeleted`.
+ *       403:
+ *         description: Accès refusé. `includeDeleted` est réservé aux administrateurs.
  *       404:
  *         description: Produit non trouvé. Aucun produit avec cet ID n'existe.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative d'accès à la base de données.
  */
-app.get("/products/:id", async (req, res) => {
-  const [product] =
-    await sql`SELECT * FROM products WHERE id = ${req.params.id}`;
+app.get(
+  "/products/:id",
+  onlyAdminsSeeDeleted,
+  serialize(ProductSchema),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      IncludeDeletedQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
 
-  if (product.length > 0) {
-    res.json(product);
-  } else {
-    res.status(404).json({ message: "Produit non trouvé" });
-  }
-});
+    const [product] = await sql`
+      SELECT * FROM products
+      WHERE id = ${req.params.id}
+        ${query.includeDeleted ? sql`` : sql`AND deleted_at IS NULL`}
+    `;
+
+    if (!product) {
+      throw new HttpError(404, "Produit non trouvé");
+    }
+    const [withImage] = await withImages([product]);
+    res.json(withImage);
+  }),
+);
 
 /**
  * @swagger
  * /products:
  *   post:
- *     summary:
+ *     operationId: products.create
+ *     summary: Créer un produit
  *     description: Add a new product to the database.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -186,34 +571,45 @@ app.get("/products/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Product'
  *       400:
  *         description: Invalid request body.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
  */
-app.post("/products", async (req, res) => {
-  const result = await CreateProductSchema.safeParse(req.body);
+app.post(
+  "/products",
+  authenticate,
+  authorize("admin"),
+  serialize(ProductSchema),
+  asyncHandler(async (req, res) => {
+    const body = validate(CreateProductSchema, req.body);
 
-  if (result.success) {
-    const [product] = await sql`
-        INSERT INTO products ${sql(result.data, "name", "about", "price")}
-        RETURNING *
-      `;
-    res.json(product[0]);
-  } else {
-    res.status(400).json({ message: "Invalid request body" });
-  }
-});
+    const product = await insertRow(
+      "products",
+      body,
+      ["sku", "name", "about", "price", "taxClass", "stock", "category"],
+      req.user,
+    );
+    res.status(201).json({ ...product, images: [] });
+  }),
+);
 
 /**
  * @swagger
  * /products/{id}:
  *   delete:
+ *     operationId: products.delete
  *     summary: Supprimer un produit
- *     description: Supprime un produit de la base de données en utilisant son ID.
+ *     description: Marque un produit comme supprimé. Il disparaît du catalogue et ne peut plus être commandé, mais les commandes passées le gardent. Ses images ne sont plus servies mais sont conservées, et il peut être restauré avec elles.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         description: Identifiant unique du produit à supprimer.
  *         schema:
- *           type: string
+ *           type: integer
  *     responses:
  *       200:
  *         description: Produit supprimé avec succès.
@@ -221,51 +617,284 @@ app.post("/products", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
  *       404:
- *         description: Produit non trouvé. Aucun produit correspondant à cet ID n'a été trouvé.
+ *         description: Produit non trouvé. Aucun produit correspondant à cet ID n'a été trouvé, ou il est déjà supprimé.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de suppression du produit.
  */
-app.delete("/products/:id", async (req, res) => {
-  const [product] =
-    await sql`DELETE FROM products WHERE id = ${req.params.id} RETURNING *`;
+app.delete(
+  "/products/:id",
+  authenticate,
+  authorize("admin"),
+  serialize(ProductSchema),
+  asyncHandler(async (req, res) => {
+    const product = await softDelete(
+      "products",
+      req.params.id,
+      req.user,
+      hideImages,
+    );
 
-  if (product.length > 0) {
-    res.json(product);
-  } else {
-    res.status(404).json({ message: "Produit non trouvé" });
-  }
-});
+    if (!product) {
+      throw new HttpError(404, "Produit non trouvé");
+    }
+    const [withImage] = await withImages([product]);
+    res.json(withImage);
+  }),
+);
+
+/**
+ * @swagger
+ * /products/{id}/restore:
+ *   post:
+ *     operationId: products.restore
+ *     summary: Restaurer un produit supprimé
+ *     description: Remet un produit supprimé dans le catalogue, avec ses images.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique du produit à restaurer.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Produit restauré avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       404:
+ *         description: Produit non trouvé. Aucun produit avec cet ID n'existe.
+ *       409:
+ *         description: Le produit n'est pas supprimé.
+ */
+app.post(
+  "/products/:id/restore",
+  authenticate,
+  authorize("admin"),
+  serialize(ProductSchema),
+  asyncHandler(async (req, res) => {
+    const product = await restore(
+      "products",
+      req.params.id,
+      req.user,
+      showImages,
+    );
+
+    if (!product) {
+      throw new HttpError(404, "Produit non trouvé");
+    }
+    const [withImage] = await withImages([product]);
+    res.json(withImage);
+  }),
+);
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     operationId: products.addImage
+ *     summary: Ajouter une image à un produit
+ *     description: Envoie une image JPEG, PNG ou WebP de 5 Mo au plus dans le champ `image` d'un formulaire multipart. Une miniature WebP de 320 pixels au plus est générée, et les URL des deux fichiers apparaissent dans les `images` du produit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique du produit.
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Image enregistrée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: Fichier manquant, illisible ou dont le contenu ne correspond pas au type déclaré.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       404:
+ *         description: Produit non trouvé. Aucun produit avec cet ID n'existe.
+ *       413:
+ *         description: Image trop volumineuse (5 Mo au plus).
+ *       415:
+ *         description: Type d'image non pris en charge (JPEG, PNG ou WebP uniquement).
+ */
+app.post(
+  "/products/:id/images",
+  authenticate,
+  authorize("admin"),
+  uploadImage,
+  serialize(ProductImageSchema),
+  asyncHandler(async (req, res) => {
+    res.status(201).json(await addImage(req.params.id, req.file));
+  }),
+);
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   delete:
+ *     operationId: products.deleteImage
+ *     summary: Supprimer une image d'un produit
+ *     description: Supprime l'image et sa miniature du stockage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique du produit.
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         description: Identifiant unique de l'image à supprimer.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Image supprimée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImage'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       404:
+ *         description: Image non trouvée pour ce produit.
+ */
+app.delete(
+  "/products/:id/images/:imageId",
+  authenticate,
+  authorize("admin"),
+  serialize(ProductImageSchema),
+  asyncHandler(async (req, res) => {
+    res.json(await deleteImage(req.params.id, req.params.imageId));
+  }),
+);
 
 /**
  * @swagger
  * /users:
  *   get:
+ *     operationId: users.list
  *     summary: Récupérer une liste d'utilisateurs
- *     description: Récupère une liste de tous les utilisateurs enregistrés dans la base de données.
+ *     description: Récupère une page d'utilisateurs enregistrés dans la base de données, filtrée et triée selon les paramètres de la requête.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Champs de tri séparés par des virgules, préfixés par `-` pour un tri décroissant (id, name, email).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: name~
+ *         description: Sous-chaîne recherchée dans le nom (insensible à la casse).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email~
+ *         description: Sous-chaîne recherchée dans l'email (insensible à la casse).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [customer, admin]
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Liste des utilisateurs récupérée avec succès.
+ *         description: Page d'utilisateurs récupérée avec succès.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/UserPage'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
  *       500:
  *         description: Erreur interne du serveur lors de l'accès à la base de données.
  */
-app.get("/users", async (req, res) => {
-  const users = await sql`SELECT * FROM users`;
-  res.json(users.map(getUsers.parse));
-});
+app.get(
+  "/users",
+  authenticate,
+  authorize("admin"),
+  serialize(pageOf(UserSchema)),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      UserListQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const conditions = [];
+
+    if (query["name~"]) {
+      conditions.push(contains("name", query["name~"]));
+    }
+    if (query["email~"]) {
+      conditions.push(contains("email", query["email~"]));
+    }
+    if (query.role) {
+      conditions.push(sql`role = ${query.role}`);
+    }
+    if (!query.includeDeleted) {
+      conditions.push(sql`deleted_at IS NULL`);
+    }
+
+    const page = await paginate("users", query, conditions);
+    res.json(page);
+  }),
+);
 
 /**
  * @swagger
  * /users/{id}:
  *   get:
+ *     operationId: users.get
  *     summary: Récupérer un utilisateur par son ID
  *     description: Récupère les détails d'un utilisateur spécifique par son ID dans la base de données.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -273,6 +902,8 @@ app.get("/users", async (req, res) => {
  *         description: Identifiant unique de l'utilisateur à récupérer.
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Détails de l'utilisateur récupérés avec succès.
@@ -280,27 +911,56 @@ app.get("/users", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       304:
+ *         description: Non modifié depuis la version indiquée par `If-None-Match`.
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre compte, et `includeDeleted` est réservé aux administrateurs.
  *       404:
  *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'existe.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative d'accès à la base de données.
  */
-app.get("/users/:id", async (req, res) => {
-  const [user] = await sql`SELECT * FROM users WHERE id = ${req.params.id}`;
+app.get(
+  "/users/:id",
+  authenticate,
+  authorizeSelf(),
+  onlyAdminsSeeDeleted,
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      IncludeDeletedQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
 
-  if (user) {
+    const [user] = await sql`
+      SELECT * FROM users
+      WHERE id = ${req.params.id}
+        ${query.includeDeleted ? sql`` : sql`AND deleted_at IS NULL`}
+    `;
+
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
     res.json(user);
-  } else {
-    res.status(404).json({ message: "User not found" });
-  }
-});
+  }),
+);
 
 /**
  * @swagger
  * /users:
  *   post:
+ *     operationId: users.create
  *     summary: Créer un nouvel utilisateur
- *     description: Ajoute un nouvel utilisateur dans la base de données. Le mot de passe est hashé avant l'enregistrement.
+ *     description: Ajoute un nouvel utilisateur dans la base de données. Le mot de passe est hashé avant l'enregistrement. Un lien de confirmation est envoyé à l'adresse email, à suivre avant de pouvoir commander (voir `POST /auth/verify-email`).
  *     requestBody:
  *       required: true
  *       content:
@@ -314,33 +974,56 @@ app.get("/users/:id", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       400:
  *         description: Corps de la requête invalide. Ne peut pas parser les données de l'utilisateur.
+ *       409:
+ *         description: Un utilisateur avec cet email existe déjà.
+ *       429:
+ *         description: Trop de comptes créés depuis cette adresse IP. Réessayer après le délai indiqué par l'en-tête Retry-After.
+ *         headers:
+ *           Retry-After:
+ *             description: Nombre de secondes à attendre avant de réessayer.
+ *             schema:
+ *               type: integer
  *       500:
  *         description: Erreur interne du serveur lors de la création de l'utilisateur.
  */
-app.post("/users", async (req, res) => {
-  const result = await CreateUserSchema.safeParse(req.body);
+app.post(
+  "/users",
+  rateLimit({
+    name: "signup",
+    limit: 5,
+    window: 60 * 60,
+    key: (req) => req.ip,
+  }),
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const body = await userRow(validate(CreateUserSchema, req.body));
 
-  if (result.success) {
-    const hashedPassword = await bcrypt.hash(result.data.password, 10);
-    result.data.password = hashedPassword;
-    const [user] = await sql`
-          INSERT INTO users ${sql(result.data, "name", "email", "password")}
-          RETURNING *
-          `;
-    res.json(result.data);
-  } else {
-    res.status(400).json({ message: "Invalid request body" });
-  }
-});
+    const user = await insertRow(
+      "users",
+      body,
+      ["name", "email", "password"],
+      req.user,
+    );
+    await sendVerification(user);
+    res.status(201).json(user);
+  }),
+);
 
 /**
  * @swagger
  * /users/{id}:
  *   delete:
+ *     operationId: users.delete
  *     summary: Supprimer un utilisateur
- *     description: Supprime un utilisateur de la base de données en utilisant son ID. Retourne l'utilisateur supprimé si l'opération réussit.
+ *     description: Marque un utilisateur comme supprimé et ferme toutes ses sessions. Il ne peut plus se connecter, mais ses commandes sont conservées et un administrateur peut le restaurer. Retourne l'utilisateur supprimé si l'opération réussit.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -355,78 +1038,180 @@ app.post("/users", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre compte.
  *       404:
- *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'a été trouvé.
+ *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'a été trouvé, ou il est déjà supprimé.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de suppression de l'utilisateur.
  */
 
-app.delete("/users/:id", async (req, res) => {
-  const [user] =
-    await sql`DELETE FROM users WHERE id = ${req.params.id} RETURNING *`;
+app.delete(
+  "/users/:id",
+  authenticate,
+  authorizeSelf(),
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const user = await softDelete(
+      "users",
+      req.params.id,
+      req.user,
+      (sql, user) => sql`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE user_id = ${user.id} AND revoked_at IS NULL
+      `,
+    );
 
-  if (user) {
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
     res.json(user);
-  } else {
-    res.status(404).json({ message: "User not found" });
-  }
-});
+  }),
+);
 
 /**
  * @swagger
- * /users/{id}:
- *   put:
- *     summary: Mettre à jour un utilisateur
- *     description: Met à jour les détails d'un utilisateur existant en utilisant son ID. Cette route attend des données complètes de l'utilisateur pour la mise à jour.
+ * /users/{id}/restore:
+ *   post:
+ *     operationId: users.restore
+ *     summary: Restaurer un utilisateur supprimé
+ *     description: Rend son compte à un utilisateur supprimé, qui peut de nouveau se connecter.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
- *         description: Identifiant unique de l'utilisateur à mettre à jour.
+ *         description: Identifiant unique de l'utilisateur à restaurer.
  *         schema:
  *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CreateUser'
  *     responses:
  *       200:
- *         description: Utilisateur mis à jour avec succès. Renvoie les données mises à jour de l'utilisateur.
+ *         description: Utilisateur restauré avec succès.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
- *       400:
- *         description: Corps de la requête invalide. Ne peut pas parser les données de l'utilisateur.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
  *       404:
- *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'a été trouvé pour la mise à jour.
- *       500:
- *         description: Erreur interne du serveur lors de la tentative de mise à jour de l'utilisateur.
+ *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'existe.
+ *       409:
+ *         description: L'utilisateur n'est pas supprimé.
  */
-app.put("/users/:id", async (req, res) => {
-  const result = await CreateUserSchema.safeParse(req.body);
+app.post(
+  "/users/:id/restore",
+  authenticate,
+  authorize("admin"),
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const user = await restore("users", req.params.id, req.user);
 
-  if (result.success) {
-    const [user] = await sql`
-              UPDATE users
-              SET ${sql(result.data, "name", "email", "password")}
-              WHERE id = ${req.params.id}
-              RETURNING *
-              `;
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
     res.json(user);
-  } else {
-    res.status(400).json({ message: "Invalid request body" });
-  }
-});
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   put:
+ *     operationId: users.replace
+ *     summary: Mettre à jour un utilisateur
+ *     description: Met à jour les détails d'un utilisateur existant en utilisant son ID. Cette route attend des données complètes de l'utilisateur pour la mise à jour. Une nouvelle adresse email doit être confirmée à son tour, par le lien qui lui est envoyé.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur à mettre à jour.
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateUser'
+ *     responses:
+ *       200:
+ *         description: Utilisateur mis à jour avec succès. Renvoie les données mises à jour de l'utilisateur.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: Corps de la requête invalide. Ne peut pas parser les données de l'utilisateur.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre compte.
+ *       404:
+ *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'a été trouvé pour la mise à jour.
+ *       409:
+ *         description: Un utilisateur avec cet email existe déjà.
+ *       412:
+ *         description: La version indiquée par `If-Match` n'est plus la version actuelle. Relire la ressource avant de réessayer.
+ *       500:
+ *         description: Erreur interne du serveur lors de la tentative de mise à jour de l'utilisateur.
+ */
+app.put(
+  "/users/:id",
+  authenticate,
+  authorizeSelf(),
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const { name, email, password } = await userRow(
+      validate(CreateUserSchema, req.body),
+    );
+
+    const user = await reverifyChangedEmail(req.params.id, () =>
+      updateRow(
+        "users",
+        req.params.id,
+        { name, email, password },
+        req.user,
+        ifMatch(req),
+      ),
+    );
+
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
+    res.json(user);
+  }),
+);
 
 /**
  * @swagger
  * /users/{id}:
  *   patch:
+ *     operationId: users.update
  *     summary: Mettre à jour partiellement un utilisateur
- *     description: Met à jour les informations d'un utilisateur existant en utilisant son ID. Seules les informations fournies seront mises à jour.
+ *     description: Met à jour les informations d'un utilisateur existant en utilisant son ID. Seules les informations fournies seront mises à jour. Une nouvelle adresse email doit être confirmée à son tour, par le lien qui lui est envoyé.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -434,124 +1219,660 @@ app.put("/users/:id", async (req, res) => {
  *         description: Identifiant unique de l'utilisateur à mettre à jour partiellement.
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateUser'
  *     responses:
  *       200:
  *         description: Informations de l'utilisateur mises à jour avec succès. Renvoie les données mises à jour de l'utilisateur.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       400:
  *         description: Corps de la requête invalide ou aucun champ valide fourni pour la mise à jour.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre compte.
  *       404:
  *         description: Utilisateur non trouvé. Aucun utilisateur avec cet ID n'a été trouvé pour la mise à jour.
+ *       409:
+ *         description: Un utilisateur avec cet email existe déjà.
+ *       412:
+ *         description: La version indiquée par `If-Match` n'est plus la version actuelle. Relire la ressource avant de réessayer.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de mise à jour de l'utilisateur.
  */
 
-app.patch("/users/:id", async (req, res) => {
-  const result = await UpdateUserSchema.safeParse(req.body);
-  i;
-  if (result.success) {
-    const updates = Object.keys(result.data).reduce((acc, key) => {
-      if (result.data[key] !== undefined) {
-        acc[key] = result.data[key];
+app.patch(
+  "/users/:id",
+  authenticate,
+  authorizeSelf(),
+  serialize(UserSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const body = validate(UpdateUserSchema, req.body);
+
+    const updates = Object.keys(body).reduce((acc, key) => {
+      if (body[key] !== undefined) {
+        acc[key] = body[key];
       }
       return acc;
     }, {});
 
     if (Object.keys(updates).length === 0) {
-      return res
-        .status(400)
-        .json({ message: "No valid fields provided for update" });
+      throw new HttpError(400, "No valid fields provided for update");
     }
 
-    const [user] = await sql`
-          UPDATE users
-          SET ${sql(updates)}
-          WHERE id = ${req.params.id}
-          RETURNING *
-        `;
+    const values = await userRow(updates);
+    const user = await reverifyChangedEmail(req.params.id, () =>
+      updateRow("users", req.params.id, values, req.user, ifMatch(req)),
+    );
 
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
     res.json(user);
-  } else {
-    res.status(400).json({ message: "Invalid request body" });
-  }
-});
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/cart:
+ *   get:
+ *     operationId: users.getCart
+ *     summary: Récupérer le panier d'un utilisateur
+ *     description: Renvoie les lignes du panier au prix courant des produits, taxées au taux du pays `country` (FR par défaut), avec le sous-total, la TVA et le total qu'aurait une commande du panier avant code promo. `addedPrice` est le prix du produit lors de la dernière modification de la ligne, et `priceChanged` indique s'il a changé depuis. Une ligne dont le produit est supprimé ou n'a plus assez de stock est marquée `available` à faux.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/CartCountry'
+ *     responses:
+ *       200:
+ *         description: Panier récupéré avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Pays invalide, ou sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre panier.
+ *       404:
+ *         description: Utilisateur non trouvé.
+ */
+app.get(
+  "/users/:id/cart",
+  authenticate,
+  authorizeSelf(),
+  serialize(CartSchema),
+  asyncHandler(async (req, res) => {
+    const { country } = validate(
+      CartQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+
+    res.json(await findCart(req.params.id, country));
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/cart/items:
+ *   post:
+ *     operationId: users.addCartItem
+ *     summary: Ajouter un produit au panier
+ *     description: Ajoute `quantity` exemplaires du produit au panier, en plus de ceux qui y sont déjà, et relève son prix courant. Renvoie le panier, taxé au taux du pays `country`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/CartCountry'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddCartItem'
+ *     responses:
+ *       200:
+ *         description: Produit ajouté. Renvoie le panier.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Ligne invalide, ou pays sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre panier.
+ *       404:
+ *         description: Utilisateur ou produit non trouvé.
+ *       409:
+ *         description: Stock insuffisant pour la quantité totale du produit dans le panier.
+ */
+app.post(
+  "/users/:id/cart/items",
+  authenticate,
+  authorizeSelf(),
+  serialize(CartSchema),
+  asyncHandler(async (req, res) => {
+    const { country } = validate(
+      CartQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const body = validate(AddCartItemSchema, req.body);
+
+    res.json(await addToCart(req.params.id, body, country));
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/cart/items/{productId}:
+ *   patch:
+ *     operationId: users.updateCartItem
+ *     summary: Modifier la quantité d'une ligne du panier
+ *     description: Remplace la quantité du produit dans le panier et relève son prix courant. Renvoie le panier, taxé au taux du pays `country`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         description: Identifiant du produit de la ligne.
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/CartCountry'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCartItem'
+ *     responses:
+ *       200:
+ *         description: Quantité modifiée. Renvoie le panier.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Quantité invalide, ou pays sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre panier.
+ *       404:
+ *         description: Utilisateur non trouvé, produit supprimé ou absent du panier.
+ *       409:
+ *         description: Stock insuffisant pour cette quantité.
+ */
+app.patch(
+  "/users/:id/cart/items/:productId",
+  authenticate,
+  authorizeSelf(),
+  serialize(CartSchema),
+  asyncHandler(async (req, res) => {
+    const { country } = validate(
+      CartQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const body = validate(UpdateCartItemSchema, req.body);
+
+    res.json(
+      await updateCartItem(req.params.id, req.params.productId, body, country),
+    );
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/cart/items/{productId}:
+ *   delete:
+ *     operationId: users.removeCartItem
+ *     summary: Retirer un produit du panier
+ *     description: Supprime la ligne du produit. Renvoie le panier, taxé au taux du pays `country`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         description: Identifiant du produit de la ligne.
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/CartCountry'
+ *     responses:
+ *       200:
+ *         description: Produit retiré. Renvoie le panier.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Pays invalide, ou sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à son propre panier.
+ *       404:
+ *         description: Utilisateur non trouvé ou produit absent du panier.
+ */
+app.delete(
+  "/users/:id/cart/items/:productId",
+  authenticate,
+  authorizeSelf(),
+  serialize(CartSchema),
+  asyncHandler(async (req, res) => {
+    const { country } = validate(
+      CartQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+
+    res.json(
+      await removeCartItem(req.params.id, req.params.productId, country),
+    );
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/cart/checkout:
+ *   post:
+ *     operationId: users.checkout
+ *     summary: Commander le panier
+ *     description: Crée une commande des lignes du panier, comme `POST /orders`, et vide le panier dans la même transaction. Le stock est décrémenté et les lignes sont au prix courant des produits, taxées au taux du pays `country` (FR par défaut) après la remise du code promo `couponCode`. En cas d'échec, le panier est conservé tel quel.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Checkout'
+ *     responses:
+ *       201:
+ *         description: Commande créée avec succès. Renvoie les détails de la commande créée.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: Données invalides, ou pays sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut commander que son propre panier, et l'adresse email de l'utilisateur doit être confirmée.
+ *       404:
+ *         description: Utilisateur, produit ou code promo non trouvé.
+ *       409:
+ *         description: Panier vide, stock insuffisant pour l'un des produits, ou code promo pas encore valable, expiré ou épuisé (`reason`).
+ */
+app.post(
+  "/users/:id/cart/checkout",
+  authenticate,
+  authorizeSelf(),
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const body = validate(CheckoutSchema, req.body ?? {});
+
+    const order = await checkout(req.params.id, body, req.user);
+    res.status(201).json(order);
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/wishlist:
+ *   get:
+ *     operationId: users.getWishlist
+ *     summary: Récupérer la liste de souhaits d'un utilisateur
+ *     description: Renvoie les produits de la liste de souhaits avec leur prix courant et `addedPrice`, le prix lors de leur ajout. `priceDropped` indique les produits dont le prix a baissé depuis. Un produit supprimé reste dans la liste, marqué `available` à faux.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Liste de souhaits récupérée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à sa propre liste.
+ *       404:
+ *         description: Utilisateur non trouvé.
+ */
+app.get(
+  "/users/:id/wishlist",
+  authenticate,
+  authorizeSelf(),
+  serialize(WishlistSchema),
+  asyncHandler(async (req, res) => {
+    res.json(await findWishlist(req.params.id));
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/wishlist:
+ *   post:
+ *     operationId: users.addWishlistItem
+ *     summary: Ajouter un produit à la liste de souhaits
+ *     description: Ajoute le produit à la liste avec son prix courant. Un produit déjà présent garde le prix de son premier ajout. Renvoie la liste.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddWishlistItem'
+ *     responses:
+ *       200:
+ *         description: Produit ajouté. Renvoie la liste de souhaits.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Corps de la requête invalide.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à sa propre liste.
+ *       404:
+ *         description: Utilisateur ou produit non trouvé.
+ */
+app.post(
+  "/users/:id/wishlist",
+  authenticate,
+  authorizeSelf(),
+  serialize(WishlistSchema),
+  asyncHandler(async (req, res) => {
+    const body = validate(AddWishlistItemSchema, req.body);
+
+    res.json(await addToWishlist(req.params.id, body));
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/wishlist/{productId}:
+ *   delete:
+ *     operationId: users.removeWishlistItem
+ *     summary: Retirer un produit de la liste de souhaits
+ *     description: Retire le produit de la liste. Renvoie la liste.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de l'utilisateur.
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         description: Identifiant du produit à retirer.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Produit retiré. Renvoie la liste de souhaits.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut accéder qu'à sa propre liste.
+ *       404:
+ *         description: Utilisateur non trouvé ou produit absent de la liste.
+ */
+app.delete(
+  "/users/:id/wishlist/:productId",
+  authenticate,
+  authorizeSelf(),
+  serialize(WishlistSchema),
+  asyncHandler(async (req, res) => {
+    res.json(await removeFromWishlist(req.params.id, req.params.productId));
+  }),
+);
 
 /**
  * @swagger
  * /orders:
  *   post:
+ *     operationId: orders.create
  *     summary: Créer une nouvelle commande
- *     description: Ajoute une nouvelle commande dans la base de données en utilisant les données fournies dans le corps de la requête. Calcule également le total de la commande en ajoutant la TVA.
+ *     description: Crée une commande composée de plusieurs lignes. Dans une même transaction, le stock de chaque produit est décrémenté, et son prix courant et sa classe de TVA sont copiés sur la ligne. La remise du code promo `couponCode` est répartie sur les lignes au prorata de leur montant, puis chaque ligne est taxée au taux de sa classe dans le pays `country` (FR par défaut). Le sous-total, la remise, la TVA et le total sont enregistrés sur la commande et sur chaque ligne. Sans `userId`, la commande est passée pour l'utilisateur connecté.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateOrder'
  *     responses:
  *       201:
  *         description: Commande créée avec succès. Renvoie les détails de la commande créée.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       400:
- *         description: Données de commande invalides, erreur dans les données fournies.
+ *         description: Données de commande invalides, ou pays sans taux de TVA pour l'un des produits.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut commander que pour lui-même, et l'adresse email de l'utilisateur doit être confirmée.
  *       404:
- *         description: Produit non trouvé. Aucun produit avec l'ID fourni n'a été trouvé.
+ *         description: Utilisateur, produit ou code promo non trouvé.
+ *       409:
+ *         description: Stock insuffisant pour au moins un des produits commandés, ou code promo pas encore valable, expiré ou épuisé (`reason`).
  *       500:
  *         description: Échec de la création de la commande due à une erreur interne du serveur.
  */
 
-app.post("/orders", async (req, res) => {
-  const result = await CreateOrderSchema.safeParse(req.body);
-
-  if (!result.success) {
-    return res
-      .status(400)
-      .json({ message: "Invalid order data", errors: result.error.errors });
-  }
+app.post(
+  "/orders",
+  authenticate,
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const body = validate(CreateOrderSchema, req.body, "Invalid order data");
 
-  try {
-    const [product] =
-      await sql`SELECT price FROM products WHERE id = ${result.data.productId}`;
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+    const userId = body.userId ?? req.user.id;
+    if (!isAdmin(req.user) && userId !== req.user.id) {
+      throw new HttpError(403);
     }
 
-    const vatRate = 1.2;
-    const total = product.price * result.data.quantity * vatRate;
-
-    const [order] = await sql`
-        INSERT INTO orders (userId, productId, quantity, total, createdAt, updatedAt)
-        VALUES (${result.data.userId}, ${result.data.productId}, ${result.data.quantity}, ${total}, NOW(), NOW())
-        RETURNING *
-      `;
+    const order = await createOrder(userId, body, req.user);
     res.status(201).json(order);
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Failed to create order", error: error.message });
-  }
-});
+  }),
+);
 
 /**
  * @swagger
  * /orders:
  *   get:
+ *     operationId: orders.list
  *     summary: Récupérer une liste de toutes les commandes
- *     description: Récupère une liste complète de toutes les commandes stockées dans la base de données.
+ *     description: Récupère une page de commandes stockées dans la base de données, filtrée et triée selon les paramètres de la requête. Un client ne voit que ses propres commandes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Champs de tri séparés par des virgules, préfixés par `-` pour un tri décroissant (id, userId, status, total, createdAt).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: productId
+ *         description: Commandes contenant ce produit.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, shipped, cancelled]
+ *       - in: query
+ *         name: minTotal
+ *         description: Total minimum (inclus).
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         description: Total maximum (inclus).
+ *         schema:
+ *           type: number
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Liste de toutes les commandes récupérée avec succès.
+ *         description: Page de commandes récupérée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderPage'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. `includeDeleted` est réservé aux administrateurs.
  *       500:
  *         description: Erreur interne du serveur lors de l'accès à la base de données.
  */
 
-app.get("/orders", async (req, res) => {
-  const orders = await sql`SELECT * FROM orders`;
-  res.json(orders);
-});
+app.get(
+  "/orders",
+  authenticate,
+  onlyAdminsSeeDeleted,
+  serialize(pageOf(OrderSchema)),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      OrderListQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const conditions = [];
+
+    if (!isAdmin(req.user)) {
+      conditions.push(sql`user_id = ${req.user.id}`);
+    } else if (query.userId !== undefined) {
+      conditions.push(sql`user_id = ${query.userId}`);
+    }
+    if (query.productId !== undefined) {
+      conditions.push(
+        sql`id IN (SELECT order_id FROM order_items WHERE product_id = ${query.productId})`,
+      );
+    }
+    if (query.status) {
+      conditions.push(sql`status = ${query.status}`);
+    }
+    if (query.minTotal !== undefined) {
+      conditions.push(sql`total >= ${query.minTotal}`);
+    }
+    if (query.maxTotal !== undefined) {
+      conditions.push(sql`total <= ${query.maxTotal}`);
+    }
+    if (!query.includeDeleted) {
+      conditions.push(sql`deleted_at IS NULL`);
+    }
+
+    const page = await paginate("orders", query, conditions);
+    res.json({ ...page, data: await withItems(page.data) });
+  }),
+);
 
 /**
  * @swagger
  * /orders/{id}:
  *   get:
+ *     operationId: orders.get
  *     summary: Récupérer une commande par son ID
  *     description: Récupère les détails d'une commande spécifique à partir de son identifiant unique dans la base de données.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -559,31 +1880,63 @@ app.get("/orders", async (req, res) => {
  *         description: Identifiant unique de la commande à récupérer.
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Détails de la commande récupérés avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       304:
+ *         description: Non modifié depuis la version indiquée par `If-None-Match`.
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. `includeDeleted` est réservé aux administrateurs.
  *       404:
  *         description: Commande non trouvée. Aucune commande avec cet ID n'a été trouvée.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de récupération de la commande.
  */
 
-app.get("/orders/:id", async (req, res) => {
-  const [order] = await sql`SELECT * FROM orders WHERE id = ${req.params.id}`;
+app.get(
+  "/orders/:id",
+  authenticate,
+  onlyAdminsSeeDeleted,
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      IncludeDeletedQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+
+    const order = await findOrder(req.params.id, query.includeDeleted);
 
-  if (order) {
+    if (!order || (!isAdmin(req.user) && order.userId !== req.user.id)) {
+      throw new HttpError(404, "Order not found");
+    }
     res.json(order);
-  } else {
-    res.status(404).json({ message: "Order not found" });
-  }
-});
+  }),
+);
 
 /**
  * @swagger
  * /orders/{id}:
  *   delete:
+ *     operationId: orders.delete
  *     summary: Supprimer une commande
- *     description: Supprime une commande spécifique de la base de données en utilisant son identifiant unique. Retourne les détails de la commande supprimée si l'opération est réussie.
+ *     description: Marque une commande comme supprimée. Le stock encore réservé par une commande en attente ou payée est libéré, ainsi que l'utilisation de son code promo. Retourne les détails de la commande supprimée si l'opération est réussie.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -594,28 +1947,98 @@ app.get("/orders/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: Commande supprimée avec succès, renvoie les détails de la commande supprimée.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
  *       404:
- *         description: Commande non trouvée. Aucune commande avec cet ID n'a été trouvée.
+ *         description: Commande non trouvée. Aucune commande avec cet ID n'a été trouvée, ou elle est déjà supprimée.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de suppression de la commande.
  */
-app.delete("/orders/:id", async (req, res) => {
-  const [order] =
-    await sql`DELETE FROM orders WHERE id = ${req.params.id} RETURNING *`;
+app.delete(
+  "/orders/:id",
+  authenticate,
+  authorize("admin"),
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const order = await deleteOrder(req.params.id, req.user);
 
-  if (order) {
+    if (!order) {
+      throw new HttpError(404, "Order not found");
+    }
     res.json(order);
-  } else {
-    res.status(404).json({ message: "Order not found" });
-  }
-});
+  }),
+);
+
+/**
+ * @swagger
+ * /orders/{id}/restore:
+ *   post:
+ *     operationId: orders.restore
+ *     summary: Restaurer une commande supprimée
+ *     description: Restaure une commande supprimée. Une commande en attente ou payée réserve de nouveau son stock et l'utilisation de son code promo.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Identifiant unique de la commande à restaurer.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Commande restaurée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       404:
+ *         description: Commande non trouvée. Aucune commande avec cet ID n'existe.
+ *       409:
+ *         description: La commande n'est pas supprimée, l'un de ses produits est supprimé ou n'a plus assez de stock, ou son coupon est supprimé ou ne peut plus être utilisé.
+ */
+app.post(
+  "/orders/:id/restore",
+  authenticate,
+  authorize("admin"),
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const order = await restoreOrder(req.params.id, req.user);
+
+    if (!order) {
+      throw new HttpError(404, "Order not found");
+    }
+    res.json(order);
+  }),
+);
 
 /**
  * @swagger
  * /orders/{id}:
  *   patch:
- *     summary: Mettre à jour partiellement une commande
- *     description: Met à jour les informations d'une commande existante. Seuls les champs fournis dans le corps de la requête seront modifiés.
+ *     operationId: orders.update
+ *     summary: Changer le statut d'une commande
+ *     description: Fait avancer une commande dans son cycle de vie (pending → paid → shipped, ou cancelled depuis pending ou paid). L'annulation libère le stock réservé et rend l'utilisation du code promo. Un client ne peut qu'annuler ses propres commandes.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -623,30 +2046,529 @@ app.delete("/orders/:id", async (req, res) => {
  *         description: Identifiant unique de la commande à mettre à jour.
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateOrder'
  *     responses:
  *       200:
  *         description: Commande mise à jour avec succès. Renvoie les détails de la commande mise à jour.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       400:
  *         description: Corps de la requête invalide. Les données fournies ne peuvent pas être traitées.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Un client ne peut qu'annuler ses commandes.
  *       404:
  *         description: Commande non trouvée. Aucune commande avec cet ID n'a été trouvée pour la mise à jour.
+ *       409:
+ *         description: Transition de statut non autorisée depuis le statut actuel.
+ *       412:
+ *         description: La version indiquée par `If-Match` n'est plus la version actuelle. Relire la ressource avant de réessayer.
  *       500:
  *         description: Erreur interne du serveur lors de la tentative de mise à jour de la commande.
  */
-app.patch("/orders/:id", async (req, res) => {
-  const result = await UpdateOrderSchema.safeParse(req.body);
+app.patch(
+  "/orders/:id",
+  authenticate,
+  serialize(OrderSchema),
+  etag,
+  asyncHandler(async (req, res) => {
+    const body = validate(UpdateOrderSchema, req.body);
 
-  if (result.success) {
-    const [order] = await sql`
-          UPDATE orders
-          SET ${sql(result.data, "userId", "productId", "quantity")}
-          WHERE id = ${req.params.id}
-          RETURNING *
-        `;
+    if (!isAdmin(req.user) && body.status !== "cancelled") {
+      throw new HttpError(403);
+    }
+
+    const order = await transitionOrder(
+      req.params.id,
+      body.status,
+      isAdmin(req.user) ? undefined : req.user.id,
+      req.user,
+      ifMatch(req),
+    );
     res.json(order);
-  } else {
-    res.status(400).json({ message: "Invalid request body" });
-  }
-});
+  }),
+);
+
+/**
+ * @swagger
+ * /tax-rates:
+ *   get:
+ *     operationId: taxRates.list
+ *     summary: Lister les taux de TVA
+ *     description: Renvoie le taux de chaque classe de TVA (standard, reduced, exempt) par pays, sous forme de fraction (0.055 pour 5,5 %).
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         description: Code pays ISO 3166-1 à deux lettres.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Taux de TVA récupérés avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ */
+app.get(
+  "/tax-rates",
+  serialize(TaxRateSchema.array()),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      TaxRateQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+
+    res.json(
+      await sql`
+        SELECT * FROM tax_rates
+        ${query.country ? sql`WHERE country = ${query.country}` : sql``}
+        ORDER BY country, tax_class
+      `,
+    );
+  }),
+);
+
+/**
+ * @swagger
+ * /tax-rates/{country}/{taxClass}:
+ *   put:
+ *     operationId: taxRates.set
+ *     summary: Définir un taux de TVA
+ *     description: Crée ou remplace le taux d'une classe de TVA dans un pays. Les commandes déjà passées gardent le taux qui leur a été appliqué.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: country
+ *         required: true
+ *         description: Code pays ISO 3166-1 à deux lettres.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: taxClass
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [standard, reduced, exempt]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTaxRate'
+ *     responses:
+ *       200:
+ *         description: Taux de TVA enregistré avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         description: Pays, classe ou taux invalide.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ */
+app.put(
+  "/tax-rates/:country/:taxClass",
+  authenticate,
+  authorize("admin"),
+  serialize(TaxRateSchema),
+  asyncHandler(async (req, res) => {
+    const { country, taxClass } = validate(
+      TaxRateParamsSchema,
+      req.params,
+      "Invalid path parameters",
+    );
+    const { rate } = validate(UpdateTaxRateSchema, req.body);
+
+    const [taxRate] = await sql`
+      INSERT INTO tax_rates ${sql({ country, taxClass, rate }, "country", "taxClass", "rate")}
+      ON CONFLICT (country, tax_class) DO UPDATE SET rate = EXCLUDED.rate
+      RETURNING *
+    `;
+    res.json(taxRate);
+  }),
+);
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     operationId: coupons.list
+ *     summary: Lister les codes promo
+ *     description: Renvoie tous les codes promo, avec leur nombre d'utilisations.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Codes promo récupérés avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ */
+app.get(
+  "/coupons",
+  authenticate,
+  authorize("admin"),
+  serialize(CouponSchema.array()),
+  asyncHandler(async (req, res) => {
+    res.json(await sql`SELECT * FROM coupons ORDER BY code`);
+  }),
+);
+
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     operationId: coupons.create
+ *     summary: Créer un code promo
+ *     description: Crée un code promo donnant un pourcentage (`percent`) ou un montant (`amount`) de remise sur le sous-total, valable entre `startsAt` et `endsAt` et au plus `maxUses` fois lorsqu'ils sont renseignés. Le code est enregistré en majuscules.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateCoupon'
+ *     responses:
+ *       201:
+ *         description: Code promo créé avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Données du code promo invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       409:
+ *         description: Ce code promo existe déjà.
+ */
+app.post(
+  "/coupons",
+  authenticate,
+  authorize("admin"),
+  serialize(CouponSchema),
+  asyncHandler(async (req, res) => {
+    const body = validate(CreateCouponSchema, req.body);
+
+    const [coupon] = await sql`
+      INSERT INTO coupons ${sql(body, "code", "kind", "value", "startsAt", "endsAt", "maxUses")}
+      RETURNING *
+    `;
+    res.status(201).json(coupon);
+  }),
+);
+
+/**
+ * @swagger
+ * /coupons/{code}:
+ *   delete:
+ *     operationId: coupons.delete
+ *     summary: Supprimer un code promo
+ *     description: Supprime un code promo. Les commandes qui l'ont utilisé gardent leur remise.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Code promo supprimé avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ *       404:
+ *         description: Code promo non trouvé.
+ */
+app.delete(
+  "/coupons/:code",
+  authenticate,
+  authorize("admin"),
+  serialize(CouponSchema),
+  asyncHandler(async (req, res) => {
+    const [coupon] = await sql`
+      DELETE FROM coupons WHERE code = ${req.params.code.toUpperCase()}
+      RETURNING *
+    `;
+
+    if (!coupon) {
+      throw new HttpError(404, "Coupon not found");
+    }
+    res.json(coupon);
+  }),
+);
+
+/**
+ * @swagger
+ * /reports/sales:
+ *   get:
+ *     operationId: reports.sales
+ *     summary: Rapport des ventes
+ *     description: Calcule, pour les commandes payées ou expédiées créées entre `from` et `to` (inclus, en UTC), le chiffre d'affaires et le panier moyen, le chiffre d'affaires par jour, semaine ou mois (périodes sans commande comprises), les produits les plus vendus (chiffre d'affaires hors taxes, remises déduites) et les clients ayant le plus dépensé. Avec `format=csv`, renvoie la section `section` du rapport au format CSV.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: Premier jour du rapport (AAAA-MM-JJ). Par défaut, 29 jours avant `to`.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Dernier jour du rapport (AAAA-MM-JJ). Par défaut, aujourd'hui.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: groupBy
+ *         description: Période de regroupement du chiffre d'affaires. Les semaines commencent le lundi.
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: limit
+ *         description: Nombre de produits et de clients renvoyés (1 à 100).
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: section
+ *         description: Section exportée avec `format=csv`.
+ *         schema:
+ *           type: string
+ *           enum: [revenue, topProducts, customers]
+ *           default: revenue
+ *     responses:
+ *       200:
+ *         description: Rapport calculé avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesReport'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ */
+app.get(
+  "/reports/sales",
+  authenticate,
+  authorize("admin"),
+  serialize(SalesReportSchema),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      SalesReportQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const report = await salesReport(query);
+
+    if (query.format === "csv") {
+      const columns = Object.keys(
+        SalesReportSchema.shape[query.section].element.shape,
+      );
+      return res
+        .type("text/csv")
+        .attachment(`sales-${query.section}-${query.from}-${query.to}.csv`)
+        .send(toCsv(columns, report[query.section]));
+    }
+    res.json(report);
+  }),
+);
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     operationId: audit.list
+ *     summary: Journal des modifications
+ *     description: Liste les créations, modifications, suppressions et restaurations des utilisateurs, produits et commandes, avec leur auteur (`actorId`, null pour une inscription ou le système). `before` et `after` contiennent les colonnes modifiées avant et après l'action ; une création n'a que `after`, la ligne créée. Les mots de passe sont masqués.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Champs de tri séparés par des virgules, préfixés par `-` pour un tri décroissant (id, createdAt).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [users, products, orders]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: from
+ *         description: Premier jour (AAAA-MM-JJ, en UTC).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Dernier jour (AAAA-MM-JJ, en UTC), inclus.
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Page du journal récupérée avec succès.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditEntryPage'
+ *       400:
+ *         description: Paramètres de requête invalides.
+ *       401:
+ *         description: Authentification requise ou jeton invalide.
+ *       403:
+ *         description: Accès refusé. Réservé aux administrateurs.
+ */
+app.get(
+  "/audit",
+  authenticate,
+  authorize("admin"),
+  serialize(pageOf(AuditEntrySchema)),
+  asyncHandler(async (req, res) => {
+    const query = validate(
+      AuditLogQuerySchema,
+      req.query,
+      "Invalid query parameters",
+    );
+    const conditions = [];
+
+    if (query.entity) {
+      conditions.push(sql`entity = ${query.entity}`);
+    }
+    if (query.entityId !== undefined) {
+      conditions.push(sql`entity_id = ${query.entityId}`);
+    }
+    if (query.actorId !== undefined) {
+      conditions.push(sql`actor_id = ${query.actorId}`);
+    }
+    if (query.action) {
+      conditions.push(sql`action = ${query.action}`);
+    }
+    if (query.from) {
+      conditions.push(
+        sql`created_at >= ${query.from}::timestamp AT TIME ZONE 'UTC'`,
+      );
+    }
+    if (query.to) {
+      conditions.push(
+        sql`created_at < (${query.to}::date + 1)::timestamp AT TIME ZONE 'UTC'`,
+      );
+    }
+
+    res.json(await paginate("audit_log", query, conditions));
+  }),
+);
+
+app.use(notFound);
+app.use(errorHandler);
+
+/**
+ * Waits for the database, retrying with backoff, then listens. SIGTERM and
+ * SIGINT let the requests in flight finish before the pool is closed.
+ */
+async function start() {
+  await retry(() => sql`SELECT 1`, {
+    retries: config.database.connectRetries,
+    delay: config.database.connectDelay,
+    onRetry: (error, wait) =>
+      logger.warn("Database unavailable, retrying", {
+        error: error.message,
+        wait,
+      }),
+  });
+
+  const server = app.listen(config.port, () => {
+    logger.info("Server listening", { port: config.port });
+  });
+
+  onShutdown(async () => {
+    await drain(
+      server,
+      () => new Promise((resolve) => server.close(resolve)),
+      config.shutdownTimeout,
+    );
+    // Password reset mails still on their way.
+    await settled();
+    await sql.end({ timeout: 5 });
+  });
+}
+
+if (require.main === module) {
+  start().catch((error) => {
+    logger.error("Startup failed", { error });
+    process.exit(1);
+  });
+}
+
+module.exports = app;
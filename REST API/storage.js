@@ -0,0 +1,132 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { config } = require("./config");
+
+/**
+ * Files on the local disk, served by the API itself under `baseUrl` (see
+ * `app.use("/uploads", ...)` in server.js). Only suits a single server.
+ */
+class LocalStorage {
+  constructor({ root, baseUrl }) {
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+  }
+
+  // Keys are generated by the API, but never let one escape the root.
+  file(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  /**
+   * Whether the URL `pathname` (below `baseUrl`) reaches a file under the
+   * key prefix `dir`, decoded and normalized as express.static does: the
+   * same file can be asked for as "/dir", "//dir" or "/%64ir".
+   */
+  reaches(pathname, dir) {
+    let file;
+    try {
+      file = path.join(this.root, decodeURIComponent(pathname));
+    } catch (error) {
+      return false; // express.static rejects it as well.
+    }
+    const prefix = this.file(dir);
+    return file === prefix || file.startsWith(prefix + path.sep);
+  }
+
+  async put(key, body) {
+    const file = this.file(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+  }
+
+  async delete(key) {
+    await fs.rm(this.file(key), { force: true });
+  }
+
+  async move(from, to) {
+    const file = this.file(to);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.rename(this.file(from), file);
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+/**
+ * Objects in an S3 bucket, or any S3-compatible service (MinIO, R2, ...)
+ * through `endpoint`. Credentials come from the usual AWS_* variables.
+ * The SDK is an optional dependency, only loaded when this store is used.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, publicUrl }) {
+    this.s3 = require("@aws-sdk/client-s3");
+    this.client = new this.s3.S3Client({
+      region,
+      endpoint,
+      forcePathStyle: Boolean(endpoint),
+    });
+    this.bucket = bucket;
+    this.publicUrl = (
+      publicUrl ||
+      (endpoint
+        ? `${endpoint}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/$/, "");
+  }
+
+  async put(key, body, contentType) {
+    await this.client.send(
+      new this.s3.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }),
+    );
+  }
+
+  async delete(key) {
+    await this.client.send(
+      new this.s3.DeleteObjectCommand({ Bucket: this.bucket, Key: key }),
+    );
+  }
+
+  // S3 has no rename: the object is copied, then deleted.
+  async move(from, to) {
+    await this.client.send(
+      new this.s3.CopyObjectCommand({
+        Bucket: this.bucket,
+        CopySource: `${this.bucket}/${from}`,
+        Key: to,
+      }),
+    );
+    await this.delete(from);
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+// Every adapter has put(key, body, contentType), delete(key), move(from, to)
+// and url(key).
+function createStorage({ driver, local, s3 } = config.storage) {
+  switch (driver) {
+    case "local":
+      return new LocalStorage(local);
+    case "s3":
+      return new S3Storage(s3);
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+}
+
+const storage = createStorage();
+
+module.exports = { storage, LocalStorage, S3Storage };
@@ -0,0 +1,277 @@
+const crypto = require("node:crypto");
+const bcrypt = require("bcrypt");
+const sql = require("../db");
+const { logger } = require("../logger");
+const { mailer } = require("../mailer");
+const { settled } = require("../accounts");
+const {
+  PASSWORD,
+  request,
+  resetDatabase,
+  createUser,
+  login,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let sent;
+
+beforeEach(async () => {
+  await resetDatabase();
+  sent = jest.spyOn(mailer, "send");
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// The token of the link in the last mail sent.
+function mailedToken() {
+  const [{ text }] = sent.mock.calls.at(-1);
+  return text.match(/token=([\w-]+)/)[1];
+}
+
+function signUp(email = "carol@shop.local") {
+  return request()
+    .post("/users")
+    .send({ name: "carol", email, password: PASSWORD });
+}
+
+describe("email verification", () => {
+  test("mails a link on signup, which verifies the address once", async () => {
+    const response = await signUp().expect(201);
+
+    expect(response.body.emailVerifiedAt).toBeNull();
+    expect(sent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "carol@shop.local",
+        text: expect.stringContaining(
+          "http://localhost:3000/verify-email?token=",
+        ),
+      }),
+    );
+    const token = mailedToken();
+
+    await request().post("/auth/verify-email").send({ token }).expect(204);
+    const replayed = await request()
+      .post("/auth/verify-email")
+      .send({ token })
+      .expect(400);
+
+    expect(replayed.body.detail).toBe("Invalid or expired token");
+    const [user] = await sql`SELECT * FROM users`;
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+
+  test("only stores a hash of the token", async () => {
+    await signUp().expect(201);
+
+    const [stored] = await sql`SELECT * FROM user_tokens`;
+    expect(stored).toMatchObject({ purpose: "verify_email", usedAt: null });
+    expect(stored.tokenHash).not.toBe(mailedToken());
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(
+      Date.now() + 23 * 60 * 60 * 1000,
+    );
+  });
+
+  test("refuses an expired token", async () => {
+    await signUp().expect(201);
+    await sql`UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 second'`;
+
+    await request()
+      .post("/auth/verify-email")
+      .send({ token: mailedToken() })
+      .expect(400);
+  });
+
+  test("rejects a signup with an invalid email", async () => {
+    const response = await signUp("carol").expect(400);
+
+    expect(response.body.errors[0].path).toEqual(["email"]);
+    expect(sent).not.toHaveBeenCalled();
+  });
+
+  test("resends a link that replaces the previous one", async () => {
+    await signUp().expect(201);
+    const first = mailedToken();
+    const [user] = await sql`SELECT * FROM users`;
+    const session = await login(user);
+
+    await request()
+      .post("/auth/verify-email/resend")
+      .set(auth(session))
+      .expect(202);
+
+    await request()
+      .post("/auth/verify-email")
+      .send({ token: first })
+      .expect(400);
+    await request()
+      .post("/auth/verify-email")
+      .send({ token: mailedToken() })
+      .expect(204);
+    await request()
+      .post("/auth/verify-email/resend")
+      .set(auth(session))
+      .expect(409);
+  });
+
+  test("asks again for a changed address", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ email: "new@shop.local" })
+      .expect(200);
+
+    expect(response.body.emailVerifiedAt).toBeNull();
+    expect(sent).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "new@shop.local" }),
+    );
+  });
+
+  test("asks nothing again for an address given unchanged", async () => {
+    await signUp().expect(201);
+    const [user] = await sql`SELECT * FROM users`;
+    const session = await login(user);
+    sent.mockClear();
+
+    await request()
+      .put(`/users/${user.id}`)
+      .set(auth(session))
+      .send({ name: "caroline", email: user.email, password: PASSWORD })
+      .expect(200);
+    await request()
+      .patch(`/users/${user.id}`)
+      .set(auth(session))
+      .send({ email: user.email })
+      .expect(200);
+
+    expect(sent).not.toHaveBeenCalled();
+  });
+
+  test("signs up even when the mail cannot be sent", async () => {
+    sent.mockRejectedValueOnce(new Error("connection refused"));
+
+    await signUp().expect(201);
+  });
+
+  test("signs up even when the link cannot be made", async () => {
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    const { randomBytes } = crypto;
+    // Only the 32 bytes of the token: bcrypt draws its salt from there too.
+    jest.spyOn(crypto, "randomBytes").mockImplementation((size, ...rest) => {
+      if (size === 32) {
+        throw new Error("entropy exhausted");
+      }
+      return randomBytes(size, ...rest);
+    });
+
+    const response = await signUp().expect(201);
+
+    expect(error).toHaveBeenCalledWith("Verification not sent", {
+      userId: response.body.id,
+      error: expect.any(Error),
+    });
+    expect(await sql`SELECT * FROM users`).toHaveLength(1);
+    expect(sent).not.toHaveBeenCalled();
+  });
+
+  test("blocks orders until the address is verified", async () => {
+    const product = await createProduct();
+    const customer = await signIn();
+    await sql`UPDATE users SET email_verified_at = NULL`;
+
+    const response = await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] })
+      .expect(403);
+
+    expect(response.body.detail).toBe("Email address not verified");
+    expect(await sql`SELECT * FROM orders`).toEqual([]);
+  });
+});
+
+describe("password reset", () => {
+  function forgotPassword(email) {
+    return request().post("/auth/forgot-password").send({ email });
+  }
+
+  test("mails a link that sets a new password and ends the sessions", async () => {
+    const user = await createUser({ emailVerifiedAt: null });
+    const { refreshToken } = await login(user);
+
+    await forgotPassword(user.email).expect(202);
+    await settled();
+    const token = mailedToken();
+    await request()
+      .post("/auth/reset-password")
+      .send({ token, password: "new secret" })
+      .expect(204);
+
+    const [updated] = await sql`SELECT * FROM users WHERE id = ${user.id}`;
+    expect(await bcrypt.compare("new secret", updated.password)).toBe(true);
+    expect(updated.emailVerifiedAt).toBeInstanceOf(Date);
+    await request().post("/auth/refresh").send({ refreshToken }).expect(401);
+    await request()
+      .post("/auth/reset-password")
+      .send({ token, password: "other secret" })
+      .expect(400);
+  });
+
+  test("answers the same for an unknown address", async () => {
+    await forgotPassword("nobody@shop.local").expect(202);
+    await settled();
+
+    expect(sent).not.toHaveBeenCalled();
+  });
+
+  test("answers before the mail is sent", async () => {
+    const user = await createUser();
+    let release;
+    sent.mockReturnValue(new Promise((resolve) => (release = resolve)));
+
+    await forgotPassword(user.email).expect(202);
+    release();
+    await settled();
+
+    expect(sent).toHaveBeenCalledWith(
+      expect.objectContaining({ to: user.email }),
+    );
+  });
+
+  test("logs a reset that fails", async () => {
+    const user = await createUser();
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    jest.spyOn(crypto, "randomBytes").mockImplementationOnce(() => {
+      throw new Error("entropy exhausted");
+    });
+
+    await forgotPassword(user.email).expect(202);
+    await settled();
+
+    expect(error).toHaveBeenCalledWith("Password reset not sent", {
+      error: expect.any(Error),
+    });
+    expect(sent).not.toHaveBeenCalled();
+  });
+
+  test("does not accept a verification token", async () => {
+    await signUp().expect(201);
+
+    await request()
+      .post("/auth/reset-password")
+      .send({ token: mailedToken(), password: "new secret" })
+      .expect(400);
+  });
+
+  test("limits the mails sent for one address", async () => {
+    const user = await createUser();
+
+    for (let i = 0; i < 3; i++) {
+      await forgotPassword(user.email).expect(202);
+    }
+    await forgotPassword(user.email.toUpperCase()).expect(429);
+  });
+});
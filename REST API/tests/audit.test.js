@@ -0,0 +1,197 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let admin;
+let customer;
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await signIn("admin");
+  customer = await signIn();
+});
+
+function auditLog(query = {}) {
+  return request().get("/audit").set(auth(admin)).query(query);
+}
+
+function createProductAs(session, name) {
+  return request()
+    .post("/products")
+    .set(auth(session))
+    .send({ name, about: "Mécanique", price: 80 })
+    .expect(201);
+}
+
+describe("the audit log", () => {
+  test("records who created, deleted and restored a product", async () => {
+    const { body: product } = await createProductAs(admin, "Clavier");
+    await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(admin))
+      .expect(200);
+    await request()
+      .post(`/products/${product.id}/restore`)
+      .set(auth(admin))
+      .expect(200);
+
+    const response = await auditLog({ entity: "products" }).expect(200);
+
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        actorId: admin.user.id,
+        action: "create",
+        entity: "products",
+        entityId: product.id,
+        before: null,
+        after: expect.objectContaining({ name: "Clavier", price: 80 }),
+      }),
+      expect.objectContaining({
+        action: "delete",
+        before: { deletedAt: null },
+        after: { deletedAt: expect.any(String) },
+      }),
+      expect.objectContaining({
+        action: "restore",
+        before: { deletedAt: expect.any(String) },
+        after: { deletedAt: null },
+      }),
+    ]);
+  });
+
+  test("keeps the changed columns only, and never a password", async () => {
+    await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ name: "alice", password: "changed" })
+      .expect(200);
+
+    const response = await auditLog({
+      entity: "users",
+      entityId: customer.user.id,
+    });
+
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        actorId: customer.user.id,
+        action: "update",
+        before: { name: "customer", password: "[redacted]", version: 1 },
+        after: { name: "alice", password: "[redacted]", version: 2 },
+      }),
+    ]);
+  });
+
+  test("logs a signup without an actor", async () => {
+    const { body: user } = await request()
+      .post("/users")
+      .send({ name: "carol", email: "carol@shop.local", password: "secret" })
+      .expect(201);
+
+    const response = await auditLog({ entity: "users", action: "create" });
+
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        actorId: null,
+        entityId: user.id,
+        after: expect.objectContaining({
+          email: "carol@shop.local",
+          password: "[redacted]",
+        }),
+      }),
+    ]);
+  });
+
+  test("follows an order through its lifecycle", async () => {
+    const product = await createProduct({ stock: 1 });
+    const { body: order } = await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+    await request()
+      .patch(`/orders/${order.id}`)
+      .set(auth(admin))
+      .send({ status: "paid" })
+      .expect(200);
+    // Out of stock: the failed order leaves nothing in the log.
+    await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] })
+      .expect(409);
+
+    const response = await auditLog({ entity: "orders" });
+
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        actorId: customer.user.id,
+        action: "create",
+        entityId: order.id,
+      }),
+      expect.objectContaining({
+        actorId: admin.user.id,
+        action: "update",
+        before: expect.objectContaining({ status: "pending" }),
+        after: expect.objectContaining({ status: "paid" }),
+      }),
+    ]);
+  });
+
+  test("filters by date", async () => {
+    await createProductAs(admin, "Clavier");
+    await createProductAs(admin, "Souris");
+    await sql`
+      UPDATE audit_log SET created_at = '2024-05-01T12:00:00Z'
+      WHERE after->>'name' = 'Clavier'
+    `;
+
+    const may = await auditLog({ from: "2024-05-01", to: "2024-05-01" });
+    const june = await auditLog({ from: "2024-06-01" });
+
+    expect(may.body.data.map((entry) => entry.after.name)).toEqual(["Clavier"]);
+    expect(june.body.data.map((entry) => entry.after.name)).toEqual(["Souris"]);
+  });
+
+  test("pages by date through the entries of one transaction", async () => {
+    await request()
+      .post("/products/import")
+      .set(auth(admin))
+      .set("Content-Type", "application/x-ndjson")
+      .send(
+        ["A", "B", "C", "D", "E"]
+          .map((sku) =>
+            JSON.stringify({ sku, name: sku, about: sku, price: 1 }),
+          )
+          .join("\n"),
+      )
+      .expect(200);
+
+    const names = [];
+    let cursor;
+    do {
+      const response = await auditLog({
+        limit: 2,
+        sort: "createdAt",
+        cursor,
+      }).expect(200);
+      names.push(...response.body.data.map((entry) => entry.after.name));
+      cursor = response.body.nextCursor;
+    } while (cursor && names.length <= 5);
+
+    expect(names).toEqual(["A", "B", "C", "D", "E"]);
+  });
+
+  test("rejects invalid parameters", async () => {
+    await auditLog({ entity: "coupons" }).expect(400);
+    await auditLog({ from: "2024-05-02", to: "2024-05-01" }).expect(400);
+  });
+
+  test("is forbidden to customers", async () => {
+    await request().get("/audit").set(auth(customer)).expect(403);
+  });
+});
@@ -0,0 +1,169 @@
+const jwt = require("jsonwebtoken");
+const sql = require("../db");
+const {
+  PASSWORD,
+  request,
+  resetDatabase,
+  createUser,
+  login,
+  signIn,
+  auth,
+} = require("./helpers");
+
+beforeEach(resetDatabase);
+
+describe("POST /auth/login", () => {
+  test("returns an access and a refresh token", async () => {
+    const user = await createUser({ role: "admin" });
+
+    const response = await request()
+      .post("/auth/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(200);
+
+    expect(response.body.tokenType).toBe("Bearer");
+    expect(jwt.decode(response.body.accessToken)).toMatchObject({
+      sub: String(user.id),
+      role: "admin",
+    });
+    const [stored] = await sql`SELECT * FROM refresh_tokens`;
+    expect(stored.userId).toBe(user.id);
+  });
+
+  test("rejects a wrong password", async () => {
+    const user = await createUser();
+
+    const response = await request()
+      .post("/auth/login")
+      .send({ email: user.email, password: "wrong" })
+      .expect(401);
+
+    expect(response.body.detail).toBe("Invalid email or password");
+  });
+
+  test("rejects an unknown email", async () => {
+    await request()
+      .post("/auth/login")
+      .send({ email: "nobody@shop.local", password: PASSWORD })
+      .expect(401);
+  });
+
+  test("validates the body", async () => {
+    const response = await request()
+      .post("/auth/login")
+      .send({ email: 42 })
+      .expect(400)
+      .expect("Content-Type", /application\/problem\+json/);
+
+    expect(response.body.errors.map((error) => error.path)).toEqual(
+      expect.arrayContaining([["email"], ["password"]]),
+    );
+  });
+});
+
+describe("POST /auth/refresh", () => {
+  test("rotates the refresh token", async () => {
+    const tokens = await login(await createUser());
+
+    const response = await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+
+    expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+    const rows = await sql`SELECT * FROM refresh_tokens ORDER BY created_at`;
+    expect(rows.filter((row) => row.revokedAt)).toHaveLength(1);
+  });
+
+  test("revokes every session when a rotated token is replayed", async () => {
+    const tokens = await login(await createUser());
+    const rotated = await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(401);
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: rotated.body.refreshToken })
+      .expect(401);
+  });
+
+  test("rejects a token that is not a refresh token", async () => {
+    const tokens = await login(await createUser());
+
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: tokens.accessToken })
+      .expect(401);
+  });
+
+  test("validates the body", async () => {
+    await request().post("/auth/refresh").send({}).expect(400);
+  });
+});
+
+describe("POST /auth/logout", () => {
+  test("revokes the refresh token", async () => {
+    const tokens = await login(await createUser());
+
+    await request()
+      .post("/auth/logout")
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(204);
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(401);
+  });
+
+  test("revokes every session with `all`", async () => {
+    const user = await createUser();
+    const first = await login(user);
+    const second = await login(user);
+
+    await request()
+      .post("/auth/logout")
+      .send({ refreshToken: first.refreshToken, all: true })
+      .expect(204);
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: second.refreshToken })
+      .expect(401);
+  });
+
+  test("rejects an invalid token", async () => {
+    await request()
+      .post("/auth/logout")
+      .send({ refreshToken: "invalid" })
+      .expect(401);
+  });
+});
+
+describe("authentication", () => {
+  test("requires a bearer token", async () => {
+    const response = await request().get("/orders").expect(401);
+
+    expect(response.headers["www-authenticate"]).toBe("Bearer");
+  });
+
+  test("rejects an invalid token", async () => {
+    const response = await request()
+      .get("/orders")
+      .set({ Authorization: "Bearer invalid" })
+      .expect(401);
+
+    expect(response.headers["www-authenticate"]).toBe(
+      'Bearer error="invalid_token"',
+    );
+  });
+
+  test("accepts a valid token", async () => {
+    const customer = await signIn();
+
+    await request().get("/orders").set(auth(customer)).expect(200);
+  });
+});
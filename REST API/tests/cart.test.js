@@ -0,0 +1,218 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let customer;
+let keyboard;
+let mouse;
+
+beforeEach(async () => {
+  await resetDatabase();
+  customer = await signIn();
+  keyboard = await createProduct({ name: "Clavier", price: 80, stock: 5 });
+  mouse = await createProduct({ name: "Souris", price: 20.5, stock: 2 });
+});
+
+function cartUrl(session, path = "") {
+  return `/users/${session.user.id}/cart${path}`;
+}
+
+function addToCart(session, product, quantity) {
+  return request()
+    .post(cartUrl(session, "/items"))
+    .set(auth(session))
+    .send({ productId: product.id, quantity });
+}
+
+describe("/users/:id/cart", () => {
+  test("adds products to the cart and prices it", async () => {
+    await addToCart(customer, keyboard, 1).expect(200);
+    await addToCart(customer, mouse, 1).expect(200);
+    const response = await addToCart(customer, keyboard, 1).expect(200);
+
+    expect(response.body).toEqual({
+      userId: customer.user.id,
+      country: "FR",
+      items: [
+        {
+          productId: keyboard.id,
+          quantity: 2,
+          name: "Clavier",
+          unitPrice: 80,
+          addedPrice: 80,
+          priceChanged: false,
+          available: true,
+          taxClass: "standard",
+          taxRate: 0.2,
+          tax: 32,
+        },
+        expect.objectContaining({ productId: mouse.id, quantity: 1 }),
+      ],
+      subtotal: 180.5,
+      tax: 36.1,
+      total: 216.6,
+    });
+  });
+
+  test("prices the cart at the current prices, for a country", async () => {
+    await addToCart(customer, keyboard, 1).expect(200);
+    await sql`UPDATE products SET price = 70 WHERE id = ${keyboard.id}`;
+
+    const response = await request()
+      .get(cartUrl(customer))
+      .set(auth(customer))
+      .query({ country: "de" })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      country: "DE",
+      subtotal: 70,
+      tax: 13.3,
+      total: 83.3,
+    });
+    expect(response.body.items[0]).toMatchObject({
+      unitPrice: 70,
+      addedPrice: 80,
+      priceChanged: true,
+    });
+  });
+
+  test("flags the lines that can no longer be ordered", async () => {
+    await addToCart(customer, keyboard, 2).expect(200);
+    await addToCart(customer, mouse, 1).expect(200);
+    await sql`UPDATE products SET stock = 1 WHERE id = ${keyboard.id}`;
+    await sql`UPDATE products SET deleted_at = NOW() WHERE id = ${mouse.id}`;
+
+    const response = await request()
+      .get(cartUrl(customer))
+      .set(auth(customer))
+      .expect(200);
+
+    expect(response.body.items.map((item) => item.available)).toEqual([
+      false,
+      false,
+    ]);
+  });
+
+  test("updates the quantity of a line and removes it", async () => {
+    await addToCart(customer, keyboard, 1).expect(200);
+    await addToCart(customer, mouse, 1).expect(200);
+
+    const updated = await request()
+      .patch(cartUrl(customer, `/items/${keyboard.id}`))
+      .set(auth(customer))
+      .send({ quantity: 3 })
+      .expect(200);
+    const removed = await request()
+      .delete(cartUrl(customer, `/items/${mouse.id}`))
+      .set(auth(customer))
+      .expect(200);
+
+    expect(updated.body.items[0].quantity).toBe(3);
+    expect(removed.body.items).toEqual([
+      expect.objectContaining({ productId: keyboard.id, quantity: 3 }),
+    ]);
+    expect(removed.body.total).toBe(288);
+  });
+
+  test("refuses more than the stock, and unknown lines", async () => {
+    await addToCart(customer, mouse, 2).expect(200);
+
+    const response = await addToCart(customer, mouse, 1).expect(409);
+    await addToCart(customer, { id: 999 }, 1).expect(404);
+    await request()
+      .patch(cartUrl(customer, `/items/${keyboard.id}`))
+      .set(auth(customer))
+      .send({ quantity: 1 })
+      .expect(404);
+    await request()
+      .delete(cartUrl(customer, `/items/${keyboard.id}`))
+      .set(auth(customer))
+      .expect(404);
+
+    expect(response.body).toMatchObject({
+      detail: "Insufficient stock",
+      requested: 3,
+      available: 2,
+    });
+    expect(await sql`SELECT quantity FROM cart_items`).toEqual([
+      { quantity: 2 },
+    ]);
+  });
+
+  test("is only open to its user and the admins", async () => {
+    const other = await createUser({ name: "bob" });
+    const admin = await signIn("admin");
+
+    await request()
+      .get(`/users/${other.id}/cart`)
+      .set(auth(customer))
+      .expect(403);
+    await request().get(cartUrl(customer)).set(auth(admin)).expect(200);
+    await request().get("/users/999/cart").set(auth(admin)).expect(404);
+  });
+});
+
+describe("POST /users/:id/cart/checkout", () => {
+  function checkout(session, body) {
+    return request()
+      .post(cartUrl(session, "/checkout"))
+      .set(auth(session))
+      .send(body);
+  }
+
+  test("turns the cart into an order and empties it", async () => {
+    await addToCart(customer, keyboard, 2).expect(200);
+    await addToCart(customer, mouse, 1).expect(200);
+    await sql`
+      INSERT INTO coupons (code, kind, value) VALUES ('BIENVENUE', 'percent', 10)
+    `;
+
+    const response = await checkout(customer, {
+      country: "BE",
+      couponCode: "bienvenue",
+    }).expect(201);
+
+    expect(response.body).toMatchObject({
+      userId: customer.user.id,
+      status: "pending",
+      country: "BE",
+      couponCode: "BIENVENUE",
+      subtotal: 180.5,
+      discount: 18.05,
+    });
+    expect(response.body.items).toHaveLength(2);
+    expect(await sql`SELECT * FROM cart_items`).toEqual([]);
+    const [{ stock }] =
+      await sql`SELECT stock FROM products WHERE id = ${keyboard.id}`;
+    expect(stock).toBe(3);
+  });
+
+  test("keeps the cart when the order cannot be placed", async () => {
+    await addToCart(customer, mouse, 2).expect(200);
+    await sql`UPDATE products SET stock = 1 WHERE id = ${mouse.id}`;
+
+    const response = await checkout(customer).expect(409);
+
+    expect(response.body).toMatchObject({
+      detail: "Insufficient stock",
+      productId: mouse.id,
+    });
+    expect(await sql`SELECT quantity FROM cart_items`).toEqual([
+      { quantity: 2 },
+    ]);
+    expect(await sql`SELECT * FROM orders`).toEqual([]);
+  });
+
+  test("refuses an empty cart", async () => {
+    const response = await checkout(customer).expect(409);
+
+    expect(response.body.detail).toBe("The cart is empty");
+  });
+});
@@ -0,0 +1,268 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let admin;
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await signIn("admin");
+});
+
+function importProducts(type, body, query = {}) {
+  return request()
+    .post("/products/import")
+    .set(auth(admin))
+    .set("Content-Type", type)
+    .query(query)
+    .send(body);
+}
+
+function exportProducts(format) {
+  return request()
+    .get("/products/export")
+    .set(auth(admin))
+    .query({ format })
+    .buffer(true)
+    .parse((res, done) => {
+      res.setEncoding("utf8");
+      let text = "";
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => done(null, text));
+    });
+}
+
+const CSV =
+  "sku,name,about,price,taxClass,stock,category\r\n" +
+  'KB-1,Clavier,"Mécanique, rétroéclairé",89.9,standard,10,Claviers\r\n' +
+  "MS-1,Souris,Sans fil,49.5,,,\r\n";
+
+describe("POST /products/import", () => {
+  test("creates the products of a CSV file", async () => {
+    const response = await importProducts("text/csv", CSV).expect(200);
+
+    expect(response.body).toEqual({
+      dryRun: false,
+      created: 2,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: [],
+    });
+    expect(
+      await sql`SELECT sku, about, price, tax_class, stock, category FROM products ORDER BY id`,
+    ).toEqual([
+      {
+        sku: "KB-1",
+        about: "Mécanique, rétroéclairé",
+        price: 89.9,
+        taxClass: "standard",
+        stock: 10,
+        category: "Claviers",
+      },
+      {
+        sku: "MS-1",
+        about: "Sans fil",
+        price: 49.5,
+        taxClass: "standard",
+        stock: 0,
+        category: null,
+      },
+    ]);
+  });
+
+  test("updates the products whose SKU is known, and logs it", async () => {
+    const keyboard = await createProduct({ sku: "KB-1", price: 99 });
+    await createProduct({
+      sku: "MS-1",
+      name: "Souris",
+      about: "Sans fil",
+      price: 49.5,
+      stock: 0,
+    });
+
+    const response = await importProducts("text/csv", CSV).expect(200);
+
+    expect(response.body).toMatchObject({
+      created: 0,
+      updated: 1,
+      unchanged: 1,
+    });
+    const [updated] =
+      await sql`SELECT * FROM products WHERE id = ${keyboard.id}`;
+    expect(updated).toMatchObject({ name: "Clavier", price: 89.9 });
+    const [entry] = await sql`
+      SELECT * FROM audit_log WHERE entity = 'products' AND action = 'update'
+    `;
+    expect(entry).toMatchObject({
+      actorId: admin.user.id,
+      entityId: keyboard.id,
+    });
+    expect(entry.after).toMatchObject({ price: 89.9, category: "Claviers" });
+  });
+
+  test("reads NDJSON, one product per line", async () => {
+    const ndjson =
+      '{"sku":"KB-1","name":"Clavier","about":"Mécanique","price":89.9}\n' +
+      "\n" +
+      '{"sku":"MS-1","name":"Souris","about":"Sans fil","price":49.5,"stock":3}\n';
+
+    const response = await importProducts("application/x-ndjson", ndjson);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ created: 2, failed: 0 });
+    expect(await sql`SELECT sku, stock FROM products ORDER BY id`).toEqual([
+      { sku: "KB-1", stock: 0 },
+      { sku: "MS-1", stock: 3 },
+    ]);
+  });
+
+  test("reports the rows it skipped and imports the others", async () => {
+    const csv =
+      "sku,name,about,price\r\n" +
+      "KB-1,Clavier,Mécanique,89.9\r\n" +
+      "MS-1,Souris,Sans fil,gratuit\r\n" +
+      "KB-1,Clavier bis,Mécanique,79\r\n" +
+      ",Écran,27 pouces,299\r\n" +
+      "HD-1,Casque\r\n";
+
+    const response = await importProducts("text/csv", csv).expect(200);
+
+    expect(response.body).toMatchObject({ created: 1, failed: 4 });
+    expect(
+      response.body.errors.map(({ row, errors }) => [
+        row,
+        errors.map((error) => error.path.join(".")),
+      ]),
+    ).toEqual([
+      [2, ["price"]],
+      [3, ["sku"]],
+      [4, ["sku"]],
+      [5, [""]],
+    ]);
+    expect(response.body.errors[1].errors[0].message).toBe(
+      "Duplicate SKU, already on row 1",
+    );
+    expect(await sql`SELECT sku FROM products`).toEqual([{ sku: "KB-1" }]);
+  });
+
+  test("only reports what would change on a dry run", async () => {
+    await createProduct({ sku: "KB-1" });
+
+    const response = await importProducts("text/csv", CSV, {
+      dryRun: true,
+    }).expect(200);
+
+    expect(response.body).toMatchObject({
+      dryRun: true,
+      created: 1,
+      updated: 1,
+    });
+    expect(await sql`SELECT name FROM products`).toEqual([
+      { name: "Clavier mécanique" },
+    ]);
+  });
+
+  test("rejects malformed CSV and other types of body", async () => {
+    const malformed = await importProducts(
+      "text/csv",
+      'sku,name\r\nKB-1,"Clavier\r\n',
+    ).expect(400);
+    await importProducts("application/json", [{ sku: "KB-1" }]).expect(415);
+
+    expect(malformed.body.detail).toBe(
+      "Malformed CSV on line 3: unterminated quote",
+    );
+    expect(await sql`SELECT * FROM products`).toEqual([]);
+  });
+
+  test("keeps the batches written before a failure", async () => {
+    let csv = "sku,name,about,price\r\n";
+    for (let i = 1; i <= 500; i++) {
+      csv += `SKU-${i},Produit ${i},Produit,10\r\n`;
+    }
+
+    await importProducts("text/csv", `${csv}SKU-501,"Produit\r\n`).expect(400);
+
+    const [{ count }] = await sql`SELECT COUNT(*)::int FROM products`;
+    expect(count).toBe(500);
+  });
+
+  test("is for admins only", async () => {
+    const customer = await signIn();
+
+    await request()
+      .post("/products/import")
+      .set(auth(customer))
+      .set("Content-Type", "text/csv")
+      .send(CSV)
+      .expect(403);
+  });
+});
+
+describe("GET /products/export", () => {
+  test("streams CSV that imports back the products with a SKU", async () => {
+    await createProduct({
+      sku: "KB-1",
+      name: "=Clavier",
+      category: "Claviers",
+    });
+    await createProduct({ name: "Souris" });
+    const deleted = await createProduct({ sku: "HD-1" });
+    await sql`UPDATE products SET deleted_at = NOW() WHERE id = ${deleted.id}`;
+
+    const response = await exportProducts("csv")
+      .expect(200)
+      .expect("Content-Type", /text\/csv/)
+      .expect("Content-Disposition", 'attachment; filename="products.csv"');
+
+    expect(response.body).toBe(
+      "sku,name,about,price,taxClass,stock,category\r\n" +
+        'KB-1,\'=Clavier,"Switches rouges, rétroéclairé",89.9,standard,10,Claviers\r\n' +
+        ',Souris,"Switches rouges, rétroéclairé",89.9,standard,10,\r\n',
+    );
+
+    const reimport = await importProducts("text/csv", response.body);
+    expect(reimport.body).toMatchObject({ unchanged: 1, failed: 1 });
+    expect(reimport.body.errors[0]).toMatchObject({
+      row: 2,
+      errors: [{ path: ["sku"] }],
+    });
+  });
+
+  test("streams NDJSON", async () => {
+    await createProduct({ sku: "KB-1" });
+
+    const response = await exportProducts("ndjson")
+      .expect(200)
+      .expect("Content-Type", /application\/x-ndjson/);
+
+    expect(
+      response.body.split("\n").map((line) => line && JSON.parse(line)),
+    ).toEqual([
+      {
+        sku: "KB-1",
+        name: "Clavier mécanique",
+        about: "Switches rouges, rétroéclairé",
+        price: 89.9,
+        taxClass: "standard",
+        stock: 10,
+        category: null,
+      },
+      "",
+    ]);
+  });
+
+  test("sends the header line of an empty catalog", async () => {
+    const response = await exportProducts("csv").expect(200);
+
+    expect(response.body).toBe(
+      "sku,name,about,price,taxClass,stock,category\r\n",
+    );
+  });
+});
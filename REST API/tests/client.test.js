@@ -0,0 +1,210 @@
+const http = require("node:http");
+const {
+  createClient,
+  ApiError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  TooManyRequestsError,
+  ServerError,
+} = require("../client");
+
+// A stub of the API: each test says how it answers, and sees what it got.
+let server;
+let answer;
+let received;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      });
+      answer(req, res, received.length);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+});
+
+function client(options) {
+  return createClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    retryDelay: 1,
+    ...options,
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function problem(res, status, extensions) {
+  res.writeHead(status, { "Content-Type": "application/problem+json" });
+  res.end(
+    JSON.stringify({ status, detail: `Failed with ${status}`, ...extensions }),
+  );
+}
+
+describe("retries", () => {
+  test("retries a GET that fails with a 5xx", async () => {
+    answer = (req, res, attempt) =>
+      attempt < 3 ? problem(res, 503) : send(res, 200, { id: 1 });
+
+    await expect(client().products.get(1)).resolves.toEqual({ id: 1 });
+    expect(received).toHaveLength(3);
+  });
+
+  test("gives up after `retries` and rejects with a ServerError", async () => {
+    answer = (req, res) => problem(res, 500);
+
+    const error = await client({ retries: 1 })
+      .products.get(1)
+      .catch((error) => error);
+
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.status).toBe(500);
+    expect(received).toHaveLength(2);
+  });
+
+  test("retries a GET whose connection drops", async () => {
+    answer = (req, res, attempt) =>
+      attempt === 1 ? req.socket.destroy() : send(res, 200, { id: 1 });
+
+    await expect(client().products.get(1)).resolves.toEqual({ id: 1 });
+    expect(received).toHaveLength(2);
+  });
+
+  test("never replays a POST", async () => {
+    answer = (req, res) => problem(res, 503);
+
+    await expect(
+      client().orders.create({ items: [{ productId: 1, quantity: 1 }] }),
+    ).rejects.toBeInstanceOf(ServerError);
+    expect(received).toHaveLength(1);
+  });
+
+  test("never replays a POST whose connection drops", async () => {
+    answer = (req) => req.socket.destroy();
+
+    await expect(
+      client().orders.create({ items: [{ productId: 1, quantity: 1 }] }),
+    ).rejects.toThrow("fetch failed");
+    expect(received).toHaveLength(1);
+  });
+});
+
+describe("errors", () => {
+  test.each([
+    [400, BadRequestError],
+    [401, UnauthorizedError],
+    [403, ForbiddenError],
+    [404, NotFoundError],
+    [409, ConflictError],
+    [412, PreconditionFailedError],
+    [429, TooManyRequestsError],
+    [418, ApiError],
+  ])("rejects a %i with a %p", async (status, ErrorClass) => {
+    answer = (req, res) => problem(res, status);
+
+    const error = await client()
+      .products.get(1)
+      .catch((error) => error);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toMatchObject({
+      status,
+      message: `Failed with ${status}`,
+      body: { status },
+    });
+    expect(received).toHaveLength(1);
+  });
+
+  test("gives the invalid fields of a 400", async () => {
+    const errors = [{ path: ["name"], message: "Required" }];
+    answer = (req, res) => problem(res, 400, { errors });
+
+    const error = await client()
+      .products.create({})
+      .catch((error) => error);
+
+    expect(error.errors).toEqual(errors);
+  });
+
+  test("gives how long to wait after a 429", async () => {
+    answer = (req, res) => problem(res, 429, { retryAfter: 30 });
+
+    const error = await client()
+      .products.get(1)
+      .catch((error) => error);
+
+    expect(error.retryAfter).toBe(30);
+  });
+});
+
+describe("requests", () => {
+  test("sends the token, the query and the body", async () => {
+    answer = (req, res) => send(res, 200, { id: 42 });
+
+    await client({ token: () => "abc" }).products.import(
+      new Blob(["sku\r\n"], { type: "text/csv" }),
+      { dryRun: true },
+    );
+    await client().users.update(42, { name: "Alice" });
+
+    const [imported, updated] = received;
+    expect(imported).toMatchObject({
+      method: "POST",
+      url: "/products/import?dryRun=true",
+      headers: { authorization: "Bearer abc", "content-type": "text/csv" },
+      body: "sku\r\n",
+    });
+    expect(updated).toMatchObject({
+      method: "PATCH",
+      url: "/users/42",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ name: "Alice" }),
+    });
+  });
+
+  test("adds the headers given last", async () => {
+    answer = (req, res) => send(res, 200, {});
+
+    await client().users.update(
+      42,
+      { name: "Alice" },
+      { headers: { "If-Match": '"3"' } },
+    );
+    await client().products.list(
+      { filters: { minPrice: 10 } },
+      { headers: { "Accept-Language": "fr" } },
+    );
+    await client().request("GET", "/health/live", {
+      headers: { "X-Request-Id": "abc" },
+    });
+
+    expect(received.map(({ url, headers }) => [url, headers])).toEqual([
+      ["/users/42", expect.objectContaining({ "if-match": '"3"' })],
+      [
+        "/products?minPrice=10",
+        expect.objectContaining({ "accept-language": "fr" }),
+      ],
+      ["/health/live", expect.objectContaining({ "x-request-id": "abc" })],
+    ]);
+  });
+});
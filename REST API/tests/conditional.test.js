@@ -0,0 +1,137 @@
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let customer;
+let admin;
+
+beforeEach(async () => {
+  await resetDatabase();
+  customer = await signIn();
+  admin = await signIn("admin");
+});
+
+function getUser(session, headers = {}) {
+  return request()
+    .get(`/users/${session.user.id}`)
+    .set(auth(session))
+    .set(headers);
+}
+
+function renameUser(session, name, headers = {}) {
+  return request()
+    .patch(`/users/${session.user.id}`)
+    .set(auth(session))
+    .set(headers)
+    .send({ name });
+}
+
+describe("ETag", () => {
+  test("is the version of the user, bumped by every write", async () => {
+    const read = await getUser(customer).expect(200);
+    const renamed = await renameUser(customer, "alice").expect(200);
+
+    expect(read.headers.etag).toBe('"1"');
+    expect(renamed.headers.etag).toBe('"2"');
+  });
+
+  test("comes with a new order", async () => {
+    const product = await createProduct();
+
+    const response = await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+
+    expect(response.headers.etag).toBe('"1"');
+  });
+});
+
+describe("If-None-Match", () => {
+  test("gives a 304 while the user is unchanged", async () => {
+    const { headers } = await getUser(customer).expect(200);
+
+    const cached = await getUser(customer, {
+      "If-None-Match": headers.etag,
+    }).expect(304);
+    await renameUser(customer, "alice").expect(200);
+    const changed = await getUser(customer, {
+      "If-None-Match": headers.etag,
+    }).expect(200);
+
+    expect(cached.text).toBe("");
+    expect(changed.body.name).toBe("alice");
+  });
+});
+
+describe("If-Match", () => {
+  test("lets the write through at the current version", async () => {
+    const { headers } = await getUser(customer);
+
+    const response = await renameUser(customer, "alice", {
+      "If-Match": headers.etag,
+    }).expect(200);
+
+    expect(response.body.name).toBe("alice");
+  });
+
+  test("refuses a write at a stale version with a 412", async () => {
+    const { headers } = await getUser(customer);
+    await renameUser(customer, "alice").expect(200);
+
+    const response = await renameUser(customer, "bob", {
+      "If-Match": headers.etag,
+    }).expect(412);
+
+    expect(response.body.status).toBe(412);
+    const { body: user } = await getUser(customer);
+    expect(user.name).toBe("alice");
+  });
+
+  test("accepts any version with *, and none with a weak tag", async () => {
+    await renameUser(customer, "alice", { "If-Match": "*" }).expect(200);
+    await renameUser(customer, "bob", { "If-Match": 'W/"2"' }).expect(412);
+  });
+
+  test("guards PUT /users/:id", async () => {
+    await request()
+      .put(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .set("If-Match", '"7"')
+      .send({ name: "alice", email: "alice@shop.local", password: "secret" })
+      .expect(412);
+  });
+
+  test("guards the status changes of an order", async () => {
+    const product = await createProduct({ stock: 1 });
+    const { body: order, headers } = await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] });
+    const pay = (etag) =>
+      request()
+        .patch(`/orders/${order.id}`)
+        .set(auth(admin))
+        .set("If-Match", etag)
+        .send({ status: "paid" });
+
+    const paid = await pay(headers.etag).expect(200);
+    await pay(headers.etag).expect(412);
+
+    expect(paid.headers.etag).toBe('"2"');
+  });
+
+  test("still answers 404 for an unknown user", async () => {
+    await request()
+      .patch("/users/999999")
+      .set(auth(admin))
+      .set("If-Match", '"1"')
+      .send({ name: "ghost" })
+      .expect(404);
+  });
+});
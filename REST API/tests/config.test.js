@@ -0,0 +1,78 @@
+const path = require("node:path");
+const { loadConfig } = require("../config");
+
+test("falls back to the development defaults", () => {
+  const config = loadConfig({});
+
+  expect(config).toMatchObject({
+    env: "development",
+    port: 8000,
+    database: { name: "mydb", connectRetries: 5 },
+    storage: {
+      driver: "local",
+      local: { root: path.join(__dirname, "..", "uploads") },
+    },
+  });
+});
+
+test("reads and converts the variables", () => {
+  const config = loadConfig({
+    PORT: "3000",
+    PGDATABASE: "shop",
+    SHUTDOWN_TIMEOUT: "2500",
+    RATE_LIMIT_STORE: "postgres",
+  });
+
+  expect(config.port).toBe(3000);
+  expect(config.database.name).toBe("shop");
+  expect(config.shutdownTimeout).toBe(2500);
+  expect(config.rateLimitStore).toBe("postgres");
+});
+
+test("lists every invalid variable", () => {
+  expect(() => loadConfig({ PORT: "http", RATE_LIMIT_STORE: "redis" })).toThrow(
+    /Invalid configuration:\n {2}PORT: .+\n {2}RATE_LIMIT_STORE: /,
+  );
+});
+
+test("requires real secrets in production", () => {
+  expect(() => loadConfig({ NODE_ENV: "production" })).toThrow(
+    /ACCESS_TOKEN_SECRET: Must be set in production/,
+  );
+  expect(
+    loadConfig({
+      NODE_ENV: "production",
+      ACCESS_TOKEN_SECRET: "a".repeat(32),
+      REFRESH_TOKEN_SECRET: "b".repeat(32),
+      MAIL_DRIVER: "smtp",
+      SMTP_HOST: "smtp.shop.local",
+    }).env,
+  ).toBe("production");
+});
+
+test("refuses to keep the mails on the server in production", () => {
+  for (const driver of [undefined, "console", "file"]) {
+    expect(() =>
+      loadConfig({ NODE_ENV: "production", MAIL_DRIVER: driver }),
+    ).toThrow(/MAIL_DRIVER: Must be smtp in production/);
+  }
+});
+
+test("requires a bucket and its URL for S3 storage", () => {
+  expect(() => loadConfig({ STORAGE_DRIVER: "s3" })).toThrow(
+    /S3_BUCKET: Required by STORAGE_DRIVER=s3\n {2}S3_PUBLIC_URL: /,
+  );
+});
+
+test("requires a host for SMTP mail", () => {
+  expect(() => loadConfig({ MAIL_DRIVER: "smtp" })).toThrow(
+    /SMTP_HOST: Required by MAIL_DRIVER=smtp/,
+  );
+  expect(
+    loadConfig({
+      MAIL_DRIVER: "smtp",
+      SMTP_HOST: "localhost",
+      SMTP_SECURE: "true",
+    }).mail.smtp,
+  ).toMatchObject({ host: "localhost", port: 587, secure: true });
+});
@@ -0,0 +1,299 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let admin;
+let customer;
+let keyboard;
+let book;
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await signIn("admin");
+  customer = await signIn();
+  keyboard = await createProduct({ name: "Clavier", price: 80 });
+  book = await createProduct({
+    name: "Manuel",
+    price: 20,
+    taxClass: "reduced",
+  });
+});
+
+function createCoupon(coupon) {
+  return request()
+    .post("/coupons")
+    .set(auth(admin))
+    .send({ kind: "percent", value: 10, ...coupon });
+}
+
+function checkout(body) {
+  return request()
+    .post("/orders")
+    .set(auth(customer))
+    .send({
+      items: [
+        { productId: keyboard.id, quantity: 1 },
+        { productId: book.id, quantity: 1 },
+      ],
+      ...body,
+    });
+}
+
+async function usesOf(code) {
+  const [{ uses }] = await sql`SELECT uses FROM coupons WHERE code = ${code}`;
+  return uses;
+}
+
+describe("POST /orders", () => {
+  test("taxes every line at the rate of its class", async () => {
+    const response = await checkout().expect(201);
+
+    expect(response.body).toMatchObject({
+      country: "FR",
+      couponCode: null,
+      subtotal: 100,
+      discount: 0,
+      tax: 17.1,
+      total: 117.1,
+    });
+    expect(response.body.items).toEqual([
+      expect.objectContaining({ taxClass: "standard", taxRate: 0.2, tax: 16 }),
+      expect.objectContaining({
+        taxClass: "reduced",
+        taxRate: 0.055,
+        tax: 1.1,
+      }),
+    ]);
+  });
+
+  test("uses the rates of the order's country", async () => {
+    const response = await checkout({ country: "be" }).expect(201);
+
+    expect(response.body).toMatchObject({ country: "BE", tax: 18 });
+  });
+
+  test("rejects a country without rates", async () => {
+    const response = await checkout({ country: "JP" }).expect(400);
+
+    expect(response.body).toMatchObject({ country: "JP" });
+    await checkout({ country: "FRA" }).expect(400);
+  });
+
+  test("applies a coupon before tax", async () => {
+    await createCoupon({ code: "bienvenue", value: 10 }).expect(201);
+
+    const response = await checkout({ couponCode: "Bienvenue" }).expect(201);
+
+    expect(response.body).toMatchObject({
+      couponCode: "BIENVENUE",
+      subtotal: 100,
+      discount: 10,
+      tax: 15.39,
+      total: 105.39,
+    });
+    expect(response.body.items.map((item) => item.discount)).toEqual([8, 2]);
+    expect(await usesOf("BIENVENUE")).toBe(1);
+  });
+
+  test("rejects an unknown coupon and reserves nothing", async () => {
+    const response = await checkout({ couponCode: "NOPE" }).expect(404);
+
+    expect(response.body.couponCode).toBe("NOPE");
+    const [{ stock }] =
+      await sql`SELECT stock FROM products WHERE id = ${keyboard.id}`;
+    expect(stock).toBe(10);
+  });
+
+  test("rejects a coupon out of its validity window", async () => {
+    const now = Date.now();
+    await createCoupon({
+      code: "SOON",
+      startsAt: new Date(now + 60000).toISOString(),
+    }).expect(201);
+    await createCoupon({
+      code: "OVER",
+      startsAt: new Date(now - 120000).toISOString(),
+      endsAt: new Date(now - 60000).toISOString(),
+    }).expect(201);
+
+    const soon = await checkout({ couponCode: "SOON" }).expect(409);
+    const over = await checkout({ couponCode: "OVER" }).expect(409);
+
+    expect(soon.body.reason).toBe("not_started");
+    expect(over.body.reason).toBe("expired");
+  });
+
+  test("rejects a coupon once used up, until an order gives it back", async () => {
+    await createCoupon({ code: "ONCE", kind: "amount", value: 5, maxUses: 1 });
+    const { body: order } = await checkout({ couponCode: "ONCE" }).expect(201);
+
+    const response = await checkout({ couponCode: "ONCE" }).expect(409);
+    expect(response.body.reason).toBe("used_up");
+
+    await request()
+      .patch(`/orders/${order.id}`)
+      .set(auth(customer))
+      .send({ status: "cancelled" })
+      .expect(200);
+    expect(await usesOf("ONCE")).toBe(0);
+    await checkout({ couponCode: "ONCE" }).expect(201);
+  });
+});
+
+describe("POST /orders/:id/restore", () => {
+  async function deletedOrder(coupon) {
+    await createCoupon(coupon).expect(201);
+    const { body: order } = await checkout({ couponCode: coupon.code });
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+    return order;
+  }
+
+  function restore(order) {
+    return request().post(`/orders/${order.id}/restore`).set(auth(admin));
+  }
+
+  test("uses the coupon again", async () => {
+    const order = await deletedOrder({ code: "BIENVENUE" });
+
+    await restore(order).expect(200);
+
+    expect(await usesOf("BIENVENUE")).toBe(1);
+  });
+
+  test("returns 409 for a coupon used up in the meantime", async () => {
+    const order = await deletedOrder({ code: "ONCE", maxUses: 1 });
+    await checkout({ couponCode: "ONCE" }).expect(201);
+
+    const response = await restore(order).expect(409);
+
+    expect(response.body).toMatchObject({
+      couponCode: "ONCE",
+      reason: "used_up",
+    });
+    expect(await usesOf("ONCE")).toBe(1);
+    const [{ stock }] =
+      await sql`SELECT stock FROM products WHERE id = ${keyboard.id}`;
+    expect(stock).toBe(9);
+  });
+
+  test("returns 409 for a coupon expired or deleted in the meantime", async () => {
+    const expired = await deletedOrder({ code: "OVER" });
+    const deleted = await deletedOrder({ code: "GONE" });
+    await sql`
+      UPDATE coupons SET ends_at = NOW() - INTERVAL '1 minute'
+      WHERE code = 'OVER'
+    `;
+    await request().delete("/coupons/GONE").set(auth(admin)).expect(200);
+
+    const over = await restore(expired).expect(409);
+    const gone = await restore(deleted).expect(409);
+
+    expect(over.body.reason).toBe("expired");
+    expect(gone.body.reason).toBe("deleted");
+  });
+});
+
+describe("/coupons", () => {
+  test("creates, lists and deletes coupons", async () => {
+    const { body: coupon } = await createCoupon({
+      code: "ete",
+      kind: "amount",
+      value: 15.5,
+    }).expect(201);
+
+    expect(coupon).toMatchObject({
+      code: "ETE",
+      kind: "amount",
+      value: 15.5,
+      startsAt: null,
+      endsAt: null,
+      maxUses: null,
+      uses: 0,
+    });
+    const list = await request().get("/coupons").set(auth(admin)).expect(200);
+    expect(list.body).toEqual([coupon]);
+    await request().delete("/coupons/ete").set(auth(admin)).expect(200);
+    await request().delete("/coupons/ete").set(auth(admin)).expect(404);
+  });
+
+  test("rejects invalid and duplicated coupons", async () => {
+    await createCoupon({ code: "TROP", value: 150 }).expect(400);
+    await createCoupon({
+      code: "CENTIMES",
+      kind: "amount",
+      value: 1.005,
+    }).expect(400);
+    await createCoupon({
+      code: "ENVERS",
+      startsAt: "2024-06-01T00:00:00Z",
+      endsAt: "2024-05-01T00:00:00Z",
+    }).expect(400);
+    await createCoupon({ code: "NOEL" }).expect(201);
+    await createCoupon({ code: "noel" }).expect(409);
+  });
+
+  test("are managed by admins only", async () => {
+    await request().get("/coupons").set(auth(customer)).expect(403);
+    await request()
+      .post("/coupons")
+      .set(auth(customer))
+      .send({ code: "MOI", kind: "percent", value: 100 })
+      .expect(403);
+  });
+});
+
+describe("/tax-rates", () => {
+  test("lists the rates of a country", async () => {
+    const response = await request()
+      .get("/tax-rates")
+      .query({ country: "fr" })
+      .expect(200);
+
+    expect(response.body).toEqual([
+      { country: "FR", taxClass: "exempt", rate: 0 },
+      { country: "FR", taxClass: "reduced", rate: 0.055 },
+      { country: "FR", taxClass: "standard", rate: 0.2 },
+    ]);
+  });
+
+  test("sets a rate used by the next orders only", async () => {
+    const { body: before } = await checkout().expect(201);
+
+    await request()
+      .put("/tax-rates/FR/reduced")
+      .set(auth(admin))
+      .send({ rate: 0.1 })
+      .expect(200, { country: "FR", taxClass: "reduced", rate: 0.1 });
+    const { body: after } = await checkout().expect(201);
+
+    expect(after.tax).toBe(18);
+    const order = await request()
+      .get(`/orders/${before.id}`)
+      .set(auth(customer))
+      .expect(200);
+    expect(order.body.tax).toBe(17.1);
+  });
+
+  test("rejects invalid rates and non-admins", async () => {
+    await request()
+      .put("/tax-rates/FR/luxury")
+      .set(auth(admin))
+      .send({ rate: 0.3 })
+      .expect(400);
+    await request()
+      .put("/tax-rates/FR/standard")
+      .set(auth(admin))
+      .send({ rate: 1.5 })
+      .expect(400);
+    await request()
+      .put("/tax-rates/FR/standard")
+      .set(auth(customer))
+      .send({ rate: 0 })
+      .expect(403);
+  });
+});
@@ -0,0 +1,66 @@
+const { toCsv, parseCsv } = require("../csv");
+
+test("quotes the values that need it", () => {
+  const csv = toCsv(
+    ["name", "note"],
+    [
+      { name: 'Clavier "pro"', note: "a, b" },
+      { name: "Souris", note: "ligne 1\nligne 2" },
+      { name: null, note: undefined },
+    ],
+  );
+
+  expect(csv).toBe(
+    'name,note\r\n"Clavier ""pro""","a, b"\r\nSouris,"ligne 1\nligne 2"\r\n,\r\n',
+  );
+});
+
+test("defuses the text a spreadsheet would run as a formula", () => {
+  expect(toCsv(["name"], [{ name: "=HYPERLINK(1)" }, { name: -5 }])).toBe(
+    "name\r\n'=HYPERLINK(1)\r\n-5\r\n",
+  );
+});
+
+async function parse(...chunks) {
+  const records = [];
+  for await (const record of parseCsv(chunks)) {
+    records.push(record);
+  }
+  return records;
+}
+
+test("reads back what toCsv writes, however it is cut", async () => {
+  const rows = [
+    { name: 'Clavier "pro"', note: "a, b" },
+    { name: "=HYPERLINK(1)", note: "ligne 1\r\nligne 2" },
+  ];
+  const csv = toCsv(["name", "note"], rows);
+
+  for (const size of [1, 7, csv.length]) {
+    const chunks = csv.match(new RegExp(`[^]{1,${size}}`, "g"));
+    expect(await parse(...chunks)).toEqual([
+      ["name", "note"],
+      ...rows.map(({ name, note }) => [name, note]),
+    ]);
+  }
+});
+
+test("skips blank lines and the byte order mark", async () => {
+  expect(await parse("\uFEFFa,b\n\n1,\n2,3")).toEqual([
+    ["a", "b"],
+    ["1", ""],
+    ["2", "3"],
+  ]);
+});
+
+test("rejects stray and unterminated quotes", async () => {
+  await expect(parse('a\nb"c\n')).rejects.toThrow(
+    "Malformed CSV on line 2: quote inside an unquoted field",
+  );
+  await expect(parse('"a"b')).rejects.toThrow(
+    "Malformed CSV on line 1: text after a closing quote",
+  );
+  await expect(parse('"a\n')).rejects.toThrow(
+    "Malformed CSV on line 2: unterminated quote",
+  );
+});
@@ -0,0 +1,54 @@
+const sql = require("../db");
+const { logger } = require("../logger");
+
+// db.js times the queries by patching a private class of postgres.js: these
+// tell when an upgrade of postgres.js leaves them untimed.
+
+let log;
+
+// The first query also reads the types of the database.
+beforeAll(() => sql`SELECT 1`);
+
+beforeEach(() => {
+  log = jest.spyOn(logger, "log").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// The fields logged for each query timed.
+function timed() {
+  return log.mock.calls
+    .filter(([, msg]) => msg === "query")
+    .map(([, , fields]) => fields);
+}
+
+test("times a query", async () => {
+  await sql`SELECT 1 AS one`;
+
+  expect(timed()).toEqual([
+    { query: "SELECT 1 AS one", durationMs: expect.any(Number) },
+  ]);
+});
+
+test("times a query that fails, with its error", async () => {
+  await expect(sql`SELECT 1 / 0`).rejects.toThrow("division by zero");
+
+  expect(timed()).toEqual([
+    {
+      query: "SELECT 1 / 0",
+      durationMs: expect.any(Number),
+      error: "division by zero",
+    },
+  ]);
+});
+
+test("times the queries of a transaction", async () => {
+  await sql.begin(async (sql) => {
+    await sql`SELECT 1 AS one`;
+    await sql.unsafe("SELECT 2 AS two");
+  });
+
+  expect(timed().map(({ query }) => query)).toEqual(
+    expect.arrayContaining(["SELECT 1 AS one", "SELECT 2 AS two"]),
+  );
+});
@@ -0,0 +1,27 @@
+// Creates a throwaway database next to the development one and migrates it.
+// Connection settings come from the usual PGHOST, PGUSER, ... variables.
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const postgres = require("postgres");
+
+const TEST_DATABASE = process.env.TEST_PGDATABASE || "mydb_test";
+
+module.exports = async () => {
+  const admin = postgres({ db: "postgres", onnotice: () => {} });
+  await admin.unsafe(`DROP DATABASE IF EXISTS ${TEST_DATABASE} WITH (FORCE)`);
+  await admin.unsafe(`CREATE DATABASE ${TEST_DATABASE}`);
+  await admin.end();
+
+  // Test workers inherit these, so db.js connects to the test database,
+  // uploaded images land in a temporary directory and the logs stay quiet.
+  process.env.PGDATABASE = TEST_DATABASE;
+  process.env.LOG_LEVEL ||= "silent";
+  process.env.UPLOADS_DIR = fs.mkdtempSync(
+    path.join(os.tmpdir(), "shop-uploads-"),
+  );
+
+  const sql = require("../db");
+  await require("../migrate").up();
+  await sql.end();
+};
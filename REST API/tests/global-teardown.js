@@ -0,0 +1,12 @@
+const fs = require("node:fs");
+const postgres = require("postgres");
+
+module.exports = async () => {
+  const admin = postgres({ db: "postgres", onnotice: () => {} });
+  await admin.unsafe(
+    `DROP DATABASE IF EXISTS ${process.env.PGDATABASE} WITH (FORCE)`,
+  );
+  await admin.end();
+
+  fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+};
@@ -0,0 +1,87 @@
+const bcrypt = require("bcrypt");
+const supertest = require("supertest");
+const sql = require("../db");
+const app = require("../server");
+const { store } = require("../rate-limit");
+
+const PASSWORD = "password";
+
+function request() {
+  return supertest(app);
+}
+
+async function resetDatabase() {
+  await sql`
+    TRUNCATE users, refresh_tokens, products, orders, order_items,
+      product_images, rate_limit_buckets, coupons, audit_log, cart_items,
+      wishlist_items, user_tokens
+    RESTART IDENTITY CASCADE
+  `;
+  await store.reset();
+}
+
+// A low cost keeps the suite fast; login accepts any bcrypt cost. Users are
+// verified, so that they can order, unless `overrides` says otherwise.
+async function createUser(overrides = {}) {
+  const user = {
+    name: "alice",
+    email: `user${Math.random().toString(36).slice(2)}@shop.local`,
+    role: "customer",
+    emailVerifiedAt: new Date(),
+    ...overrides,
+  };
+  const password = await bcrypt.hash(PASSWORD, 4);
+  const [created] = await sql`
+    INSERT INTO users ${sql({ ...user, password }, "name", "email", "role", "password", "emailVerifiedAt")}
+    RETURNING *
+  `;
+  return created;
+}
+
+async function login(user) {
+  const response = await request()
+    .post("/auth/login")
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+  return response.body;
+}
+
+// A user of `role` with an access token, ready for `.set(auth(...))`.
+async function signIn(role = "customer") {
+  const user = await createUser({ name: role, role });
+  const tokens = await login(user);
+  return { user, ...tokens };
+}
+
+function auth({ accessToken }) {
+  return { Authorization: `Bearer ${accessToken}` };
+}
+
+async function createProduct(overrides = {}) {
+  const product = {
+    name: "Clavier mécanique",
+    about: "Switches rouges, rétroéclairé",
+    price: 89.9,
+    taxClass: "standard",
+    stock: 10,
+    category: null,
+    sku: null,
+    ...overrides,
+  };
+  const [created] = await sql`
+    INSERT INTO products ${sql(product, "name", "about", "price", "taxClass", "stock", "category", "sku")}
+    RETURNING *
+  `;
+  return created;
+}
+
+module.exports = {
+  PASSWORD,
+  request,
+  resetDatabase,
+  createUser,
+  login,
+  signIn,
+  auth,
+  createProduct,
+};
@@ -0,0 +1,203 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const sharp = require("sharp");
+const { storage, LocalStorage } = require("../storage");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let admin;
+let product;
+let png;
+
+beforeAll(async () => {
+  png = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: "#c33" },
+  })
+    .png()
+    .toBuffer();
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await signIn("admin");
+  product = await createProduct();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+function upload(session, productId, file, options = { filename: "photo.png" }) {
+  return request()
+    .post(`/products/${productId}/images`)
+    .set(auth(session))
+    .attach("image", file, options);
+}
+
+// Where LocalStorage put the file behind `url`.
+function fileOf(url) {
+  return path.join(storage.root, url.replace(/^\/uploads\//, ""));
+}
+
+describe("POST /products/:id/images", () => {
+  test("stores the image with a thumbnail", async () => {
+    const response = await upload(admin, product.id, png).expect(201);
+
+    expect(response.body).toEqual({
+      id: expect.any(Number),
+      url: expect.stringMatching(/^\/uploads\/products\/\d+\/.+\.png$/),
+      thumbnailUrl: expect.stringMatching(/-thumb\.webp$/),
+      contentType: "image/png",
+      size: png.length,
+      width: 800,
+      height: 600,
+    });
+    const thumbnail = await sharp(
+      fs.readFileSync(fileOf(response.body.thumbnailUrl)),
+    ).metadata();
+    expect(thumbnail).toMatchObject({
+      format: "webp",
+      width: 320,
+      height: 240,
+    });
+  });
+
+  test("lists the images in the product responses", async () => {
+    const { body: image } = await upload(admin, product.id, png).expect(201);
+
+    const one = await request().get(`/products/${product.id}`).expect(200);
+    const list = await request().get("/products").expect(200);
+
+    expect(one.body.images).toEqual([image]);
+    expect(list.body.data[0].images).toEqual([image]);
+    await request()
+      .get(image.url)
+      .expect(200)
+      .expect("Content-Type", "image/png");
+  });
+
+  test("rejects an unsupported type", async () => {
+    const response = await upload(admin, product.id, Buffer.from("hello"), {
+      filename: "notes.txt",
+      contentType: "text/plain",
+    }).expect(415);
+
+    expect(response.body.accepted).toContain("image/png");
+  });
+
+  test("rejects a file that is not what its type says", async () => {
+    await upload(admin, product.id, png, {
+      filename: "photo.jpg",
+      contentType: "image/jpeg",
+    }).expect(400);
+    await upload(admin, product.id, Buffer.from("not an image")).expect(400);
+  });
+
+  test("rejects files over 5 MB", async () => {
+    await upload(admin, product.id, Buffer.alloc(5 * 1024 * 1024 + 1)).expect(
+      413,
+    );
+  });
+
+  test("requires a file", async () => {
+    await request()
+      .post(`/products/${product.id}/images`)
+      .set(auth(admin))
+      .field("name", "photo")
+      .expect(400);
+  });
+
+  test("returns 404 for an unknown product", async () => {
+    await upload(admin, 999, png).expect(404);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+
+    await upload(customer, product.id, png).expect(403);
+  });
+});
+
+describe("DELETE /products/:id/images/:imageId", () => {
+  test("deletes the image and its files", async () => {
+    const { body: image } = await upload(admin, product.id, png).expect(201);
+
+    await request()
+      .delete(`/products/${product.id}/images/${image.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(fs.existsSync(fileOf(image.url))).toBe(false);
+    expect(fs.existsSync(fileOf(image.thumbnailUrl))).toBe(false);
+    const response = await request().get(`/products/${product.id}`);
+    expect(response.body.images).toEqual([]);
+  });
+
+  test("returns 404 for the image of another product", async () => {
+    const other = await createProduct({ name: "Souris" });
+    const { body: image } = await upload(admin, other.id, png).expect(201);
+
+    await request()
+      .delete(`/products/${product.id}/images/${image.id}`)
+      .set(auth(admin))
+      .expect(404);
+  });
+});
+
+test("a deleted product hides its images until it is restored", async () => {
+  const { body: image } = await upload(admin, product.id, png).expect(201);
+
+  const { body: deleted } = await request()
+    .delete(`/products/${product.id}`)
+    .set(auth(admin))
+    .expect(200);
+
+  await request().get(image.url).expect(404);
+  await request().get(image.thumbnailUrl).expect(404);
+  const [hidden] = deleted.images;
+  expect(hidden.url).toMatch(/^\/uploads\/deleted\/products\//);
+  expect(fs.existsSync(fileOf(hidden.url))).toBe(true);
+  await request().get(hidden.url).expect(404);
+  const key = hidden.url.replace(/^\/uploads\/deleted\//, "");
+  await request().get(`/uploads//deleted/${key}`).expect(404);
+  await request().get(`/uploads/%64eleted/${key}`).expect(404);
+
+  const response = await request()
+    .post(`/products/${product.id}/restore`)
+    .set(auth(admin))
+    .expect(200);
+
+  expect(response.body.images).toEqual([image]);
+  await request().get(image.url).expect(200);
+  await request().get(image.thumbnailUrl).expect(200);
+});
+
+test("a product whose images cannot be hidden is not deleted", async () => {
+  const { body: image } = await upload(admin, product.id, png).expect(201);
+  const move = storage.move.bind(storage);
+  jest
+    .spyOn(storage, "move")
+    .mockImplementationOnce(move)
+    .mockRejectedValueOnce(new Error("disk full"));
+
+  await request()
+    .delete(`/products/${product.id}`)
+    .set(auth(admin))
+    .expect(500);
+
+  const response = await request().get(`/products/${product.id}`).expect(200);
+  expect(response.body.images).toEqual([image]);
+  await request().get(image.url).expect(200);
+  await request().get(image.thumbnailUrl).expect(200);
+});
+
+test("LocalStorage keeps the keys inside its root", async () => {
+  const local = new LocalStorage({ root: storage.root, baseUrl: "/uploads" });
+
+  await expect(local.put("../escape.png", png)).rejects.toThrow(
+    "Invalid storage key",
+  );
+});
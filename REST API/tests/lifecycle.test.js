@@ -0,0 +1,103 @@
+const http = require("node:http");
+const { retry, check, drain } = require("../lifecycle");
+const { request } = require("./helpers");
+
+describe("retry", () => {
+  test("tries again with a doubling delay until it connects", async () => {
+    const connect = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("ECONNREFUSED"))
+      .mockRejectedValueOnce(new Error("ECONNREFUSED"))
+      .mockResolvedValue("connected");
+    const waits = [];
+
+    const result = await retry(connect, {
+      retries: 3,
+      delay: 1,
+      onRetry: (error, wait) => waits.push(wait),
+    });
+
+    expect(result).toBe("connected");
+    expect(waits).toEqual([1, 2]);
+  });
+
+  test("gives up with the last error", async () => {
+    const connect = jest.fn().mockRejectedValue(new Error("ECONNREFUSED"));
+
+    await expect(retry(connect, { retries: 2, delay: 1 })).rejects.toThrow(
+      "ECONNREFUSED",
+    );
+    expect(connect).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("check", () => {
+  test("tells whether the probe answers in time", async () => {
+    const never = () => new Promise(() => {});
+
+    expect(await check(async () => {}, 50)).toBe("up");
+    expect(await check(() => Promise.reject(new Error()), 50)).toBe("down");
+    expect(await check(never, 50)).toBe("down");
+  });
+});
+
+describe("drain", () => {
+  function listen(handler) {
+    const server = http.createServer(handler);
+    return new Promise((resolve) => server.listen(0, () => resolve(server)));
+  }
+
+  // Takes the URL first: a closed server has no address left.
+  function getter(server) {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    return () => fetch(url);
+  }
+
+  function close(server) {
+    return () => new Promise((resolve) => server.close(resolve));
+  }
+
+  test("lets the requests in flight finish", async () => {
+    let respond;
+    const server = await listen((req, res) => {
+      respond = () => res.end("done");
+    });
+    const get = getter(server);
+    const pending = get();
+    await new Promise((resolve) => server.once("request", resolve));
+
+    const drained = drain(server, close(server), 1000);
+    respond();
+
+    expect(await (await pending).text()).toBe("done");
+    await drained;
+    await expect(get()).rejects.toThrow();
+  });
+
+  test("cuts the requests still running after the timeout", async () => {
+    const server = await listen(() => {});
+    const pending = getter(server)();
+    await new Promise((resolve) => server.once("request", resolve));
+
+    await drain(server, close(server), 50);
+
+    await expect(pending).rejects.toThrow();
+  });
+});
+
+describe("health checks", () => {
+  test("GET /healthz answers without the database", async () => {
+    const response = await request().get("/healthz").expect(200);
+
+    expect(response.body).toEqual({ status: "ok" });
+  });
+
+  test("GET /readyz checks the database", async () => {
+    const response = await request().get("/readyz").expect(200);
+
+    expect(response.body).toEqual({
+      status: "ok",
+      checks: { database: "up" },
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { logger } = require("../logger");
+const { request, resetDatabase, createProduct } = require("./helpers");
+
+let lines;
+
+beforeEach(async () => {
+  await resetDatabase();
+  lines = [];
+  jest.replaceProperty(logger, "level", "info");
+  jest
+    .spyOn(logger, "write")
+    .mockImplementation((line) => lines.push(JSON.parse(line)));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+function requestLines() {
+  return lines.filter((line) => line.msg === "request");
+}
+
+describe("request IDs", () => {
+  test("are generated and sent back", async () => {
+    const response = await request().get("/products").expect(200);
+
+    expect(response.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(requestLines()[0].requestId).toBe(response.headers["x-request-id"]);
+  });
+
+  test("come from X-Request-Id when it looks like one", async () => {
+    const kept = await request()
+      .get("/products")
+      .set("X-Request-Id", "lb-1234.5");
+    const replaced = await request()
+      .get("/products")
+      .set("X-Request-Id", '", "level": "error');
+
+    expect(kept.headers["x-request-id"]).toBe("lb-1234.5");
+    expect(replaced.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("the access log", () => {
+  test("has the route, the status, the latency and the database time", async () => {
+    const product = await createProduct();
+    lines.length = 0;
+
+    await request().get(`/products/${product.id}`).expect(200);
+
+    expect(requestLines()).toEqual([
+      expect.objectContaining({
+        level: "info",
+        method: "GET",
+        path: `/products/${product.id}`,
+        route: "/products/:id",
+        status: 200,
+        durationMs: expect.any(Number),
+        dbQueries: expect.any(Number),
+        dbTimeMs: expect.any(Number),
+      }),
+    ]);
+    expect(requestLines()[0].dbQueries).toBeGreaterThan(0);
+  });
+
+  test("logs the unmatched requests without a route", async () => {
+    await request().get("/nowhere").expect(404);
+
+    expect(requestLines()).toEqual([expect.objectContaining({ status: 404 })]);
+    expect(requestLines()[0]).not.toHaveProperty("route");
+  });
+
+  test("keeps the probes for the debug level", async () => {
+    await request().get("/healthz").expect(200);
+
+    expect(requestLines()).toEqual([]);
+  });
+});
+
+test("logs the queries at debug, with their request", async () => {
+  logger.level = "debug";
+
+  const response = await request().get("/products").expect(200);
+
+  const queries = lines.filter((line) => line.msg === "query");
+  expect(queries.length).toBeGreaterThan(0);
+  expect(queries[0]).toMatchObject({
+    level: "debug",
+    requestId: response.headers["x-request-id"],
+    query: expect.stringMatching(/^SELECT \*, .* FROM "products" WHERE /),
+    durationMs: expect.any(Number),
+  });
+});
+
+test("logs the errors of a request with its ID", async () => {
+  const sql = require("../db");
+  jest.spyOn(sql, "begin").mockRejectedValueOnce(new Error("disk full"));
+
+  const response = await request()
+    .post("/users")
+    .send({ name: "carol", email: "carol@shop.local", password: "secret" })
+    .expect(500);
+
+  expect(lines).toContainEqual(
+    expect.objectContaining({
+      level: "error",
+      msg: "Unhandled error",
+      requestId: response.headers["x-request-id"],
+      error: expect.objectContaining({ message: "disk full" }),
+    }),
+  );
+});
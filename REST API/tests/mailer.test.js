@@ -0,0 +1,94 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { SMTPServer } = require("smtp-server");
+const { logger } = require("../logger");
+const { createMailer } = require("../mailer");
+
+const FROM = "Shop <no-reply@shop.local>";
+const MESSAGE = {
+  to: "carol@shop.local",
+  subject: "Confirmez votre adresse email",
+  text: "Bonjour carol,\n\nhttp://localhost:3000/verify-email?token=abc\n",
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+test("the console mailer logs the mail", async () => {
+  const log = jest.spyOn(logger, "info").mockImplementation(() => {});
+
+  await createMailer({ driver: "console", from: FROM }).send(MESSAGE);
+
+  expect(log).toHaveBeenCalledWith("Mail", { from: FROM, ...MESSAGE });
+});
+
+test("the file mailer writes an .eml file", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shop-mail-"));
+
+  await createMailer({ driver: "file", from: FROM, file: { dir } }).send(
+    MESSAGE,
+  );
+
+  const [file] = fs.readdirSync(dir);
+  expect(file).toMatch(/\.eml$/);
+  const eml = fs.readFileSync(path.join(dir, file), "utf8");
+  expect(eml).toContain("To: carol@shop.local");
+  expect(eml).toContain("verify-email?token=abc");
+});
+
+describe("the SMTP mailer", () => {
+  let server;
+  let received;
+
+  // A local server that accepts any login and keeps the mails it is sent.
+  beforeAll(async () => {
+    received = [];
+    server = new SMTPServer({
+      authOptional: true,
+      allowInsecureAuth: true,
+      disabledCommands: ["STARTTLS"],
+      logger: false,
+      onAuth({ username, password }, session, callback) {
+        callback(null, { user: { username, password } });
+      },
+      onData(stream, session, callback) {
+        // The session is reset for the next mail once this one is done.
+        const { user, envelope } = structuredClone(session);
+        let data = "";
+        stream.on("data", (chunk) => (data += chunk));
+        stream.on("end", () => {
+          received.push({ user, envelope, data });
+          callback();
+        });
+      },
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test("sends the mail to the server, logged in", async () => {
+    const mailer = createMailer({
+      driver: "smtp",
+      from: FROM,
+      smtp: {
+        host: "127.0.0.1",
+        port: server.server.address().port,
+        secure: false,
+        user: "shop",
+        password: "secret",
+      },
+    });
+
+    await mailer.send(MESSAGE);
+
+    expect(received).toHaveLength(1);
+    const [{ user, envelope, data }] = received;
+    expect(user).toEqual({ username: "shop", password: "secret" });
+    expect(envelope).toMatchObject({
+      mailFrom: { address: "no-reply@shop.local" },
+      rcptTo: [{ address: "carol@shop.local" }],
+    });
+    expect(data).toContain("verify-email?token=abc");
+  });
+});
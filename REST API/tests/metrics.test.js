@@ -0,0 +1,44 @@
+const { request, resetDatabase } = require("./helpers");
+
+beforeEach(resetDatabase);
+
+function metrics() {
+  return request().get("/metrics").expect(200);
+}
+
+test("exposes the metrics in the Prometheus text format", async () => {
+  const response = await metrics();
+
+  expect(response.headers["content-type"]).toMatch(/^text\/plain;.*version=/);
+  expect(response.text).toContain(
+    "# TYPE http_request_duration_seconds histogram",
+  );
+  expect(response.text).toMatch(/^db_pool_max_connections \d+$/m);
+  expect(response.text).toContain("process_cpu_seconds_total");
+});
+
+test("counts the requests per route and status", async () => {
+  await request().get("/products/1").expect(404);
+  await request().get("/products/2").expect(404);
+  await request().get("/no/such/page").expect(404);
+
+  const { text } = await metrics();
+
+  expect(text).toContain(
+    'http_request_duration_seconds_count{method="GET",route="/products/:id",status="404"} 2',
+  );
+  expect(text).toContain(
+    'http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1',
+  );
+});
+
+test("times the database queries", async () => {
+  await request().get("/products").expect(200);
+
+  const { text } = await metrics();
+
+  expect(text).toMatch(
+    /^db_query_duration_seconds_count\{outcome="ok"\} [1-9]/m,
+  );
+  expect(text).toMatch(/^db_queries_in_flight 0$/m);
+});
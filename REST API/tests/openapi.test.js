@@ -0,0 +1,16 @@
+const { execFileSync } = require("node:child_process");
+const path = require("node:path");
+
+function run(script, ...args) {
+  return execFileSync("node", [path.join(__dirname, "..", script), ...args], {
+    encoding: "utf8",
+  });
+}
+
+test("the OpenAPI document covers every route", () => {
+  expect(run("check-openapi.js")).toMatch(/covers all \d+ routes/);
+});
+
+test("the generated client is up to date", () => {
+  expect(run("generate-client.js", "--check")).toMatch(/up to date/);
+});
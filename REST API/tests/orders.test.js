@@ -0,0 +1,363 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let customer;
+let admin;
+let keyboard;
+let mouse;
+
+beforeEach(async () => {
+  await resetDatabase();
+  customer = await signIn();
+  admin = await signIn("admin");
+  keyboard = await createProduct({ name: "Clavier", price: 80, stock: 5 });
+  mouse = await createProduct({ name: "Souris", price: 20.5, stock: 2 });
+});
+
+async function stockOf(product) {
+  const [{ stock }] =
+    await sql`SELECT stock FROM products WHERE id = ${product.id}`;
+  return stock;
+}
+
+function placeOrder(session, items, userId) {
+  return request()
+    .post("/orders")
+    .set(auth(session))
+    .send({
+      userId,
+      items: items.map(([product, quantity]) => ({
+        productId: product.id,
+        quantity,
+      })),
+    });
+}
+
+function setStatus(session, order, status) {
+  return request()
+    .patch(`/orders/${order.id}`)
+    .set(auth(session))
+    .send({ status });
+}
+
+describe("POST /orders", () => {
+  test("creates a pending order and reserves the stock", async () => {
+    const response = await placeOrder(customer, [
+      [keyboard, 2],
+      [mouse, 1],
+    ]).expect(201);
+
+    expect(response.body).toMatchObject({
+      userId: customer.user.id,
+      status: "pending",
+      subtotal: 180.5,
+      discount: 0,
+      tax: 36.1,
+      total: 216.6,
+    });
+    expect(response.body.items).toEqual([
+      expect.objectContaining({
+        productId: keyboard.id,
+        quantity: 2,
+        unitPrice: 80,
+      }),
+      expect.objectContaining({
+        productId: mouse.id,
+        quantity: 1,
+        unitPrice: 20.5,
+      }),
+    ]);
+    expect(await stockOf(keyboard)).toBe(3);
+    expect(await stockOf(mouse)).toBe(1);
+  });
+
+  test("returns 409 and reserves nothing when the stock is insufficient", async () => {
+    const response = await placeOrder(customer, [
+      [keyboard, 1],
+      [mouse, 3],
+    ]).expect(409);
+
+    expect(response.body).toMatchObject({
+      detail: "Insufficient stock",
+      productId: mouse.id,
+      requested: 3,
+      available: 2,
+    });
+    expect(await stockOf(keyboard)).toBe(5);
+  });
+
+  test("returns 404 for an unknown product", async () => {
+    const response = await placeOrder(customer, [[{ id: 999 }, 1]]).expect(404);
+
+    expect(response.body.productId).toBe(999);
+  });
+
+  test("lets an admin order for another user", async () => {
+    const response = await placeOrder(
+      admin,
+      [[keyboard, 1]],
+      customer.user.id,
+    ).expect(201);
+
+    expect(response.body.userId).toBe(customer.user.id);
+  });
+
+  test("is forbidden to order for another user", async () => {
+    await placeOrder(customer, [[keyboard, 1]], admin.user.id).expect(403);
+  });
+
+  test("rejects an empty order and duplicated products", async () => {
+    await placeOrder(customer, []).expect(400);
+    await placeOrder(customer, [
+      [keyboard, 1],
+      [keyboard, 2],
+    ]).expect(400);
+  });
+});
+
+describe("GET /orders", () => {
+  beforeEach(async () => {
+    await placeOrder(customer, [[keyboard, 1]]).expect(201);
+    await placeOrder(admin, [[mouse, 1]]).expect(201);
+  });
+
+  test("only lists the customer's own orders", async () => {
+    const response = await request()
+      .get("/orders")
+      .set(auth(customer))
+      .query({ userId: admin.user.id })
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.data[0].userId).toBe(customer.user.id);
+    expect(response.body.data[0].items).toHaveLength(1);
+  });
+
+  test("lists and filters every order for an admin", async () => {
+    const all = await request().get("/orders").set(auth(admin)).expect(200);
+    const withMouse = await request()
+      .get("/orders")
+      .set(auth(admin))
+      .query({ productId: mouse.id })
+      .expect(200);
+
+    expect(all.body.total).toBe(2);
+    expect(withMouse.body.data.map((order) => order.userId)).toEqual([
+      admin.user.id,
+    ]);
+  });
+
+  test("pages by date through orders of the same millisecond", async () => {
+    for (let i = 0; i < 4; i++) {
+      await placeOrder(customer, [[keyboard, 1]]).expect(201);
+    }
+    await sql`
+      UPDATE orders
+      SET created_at = '2024-05-01T12:00:00.000100Z'::timestamptz
+        + id * INTERVAL '1 microsecond'
+    `;
+
+    const ids = [];
+    let cursor;
+    do {
+      const response = await request()
+        .get("/orders")
+        .set(auth(admin))
+        .query({ limit: 2, sort: "createdAt", cursor })
+        .expect(200);
+      ids.push(...response.body.data.map((order) => order.id));
+      cursor = response.body.nextCursor;
+    } while (cursor && ids.length <= 6);
+
+    const all = await sql`SELECT id FROM orders ORDER BY id`;
+    expect(ids).toEqual(all.map((order) => order.id));
+  });
+
+  test("rejects an unknown status", async () => {
+    await request()
+      .get("/orders")
+      .set(auth(admin))
+      .query({ status: "lost" })
+      .expect(400);
+  });
+});
+
+describe("GET /orders/:id", () => {
+  test("returns the customer's own order", async () => {
+    const order = await placeOrder(customer, [[keyboard, 1]]);
+
+    const response = await request()
+      .get(`/orders/${order.body.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    expect(response.body.items).toHaveLength(1);
+  });
+
+  test("hides the orders of other users", async () => {
+    const order = await placeOrder(admin, [[keyboard, 1]]);
+
+    await request()
+      .get(`/orders/${order.body.id}`)
+      .set(auth(customer))
+      .expect(404);
+  });
+
+  test("returns 404 for an unknown order", async () => {
+    await request().get("/orders/999").set(auth(admin)).expect(404);
+  });
+});
+
+describe("PATCH /orders/:id", () => {
+  test("follows the lifecycle", async () => {
+    const { body: order } = await placeOrder(customer, [[keyboard, 1]]);
+
+    await setStatus(admin, order, "paid").expect(200);
+    const response = await setStatus(admin, order, "shipped").expect(200);
+
+    expect(response.body.status).toBe("shipped");
+    await setStatus(admin, order, "cancelled").expect(409);
+  });
+
+  test("lets a customer cancel and releases the stock", async () => {
+    const { body: order } = await placeOrder(customer, [[keyboard, 2]]);
+
+    await setStatus(customer, order, "cancelled").expect(200);
+
+    expect(await stockOf(keyboard)).toBe(5);
+  });
+
+  test("is forbidden for a customer to pay", async () => {
+    const { body: order } = await placeOrder(customer, [[keyboard, 1]]);
+
+    await setStatus(customer, order, "paid").expect(403);
+  });
+
+  test("returns 404 for the order of another user", async () => {
+    const { body: order } = await placeOrder(admin, [[keyboard, 1]]);
+
+    await setStatus(customer, order, "cancelled").expect(404);
+  });
+
+  test("rejects an unknown status", async () => {
+    const { body: order } = await placeOrder(customer, [[keyboard, 1]]);
+
+    await setStatus(admin, order, "lost").expect(400);
+  });
+});
+
+describe("DELETE /orders/:id", () => {
+  test("deletes the order and releases the stock", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 2]]);
+
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+
+    expect(await stockOf(mouse)).toBe(2);
+    await request().get(`/orders/${order.id}`).set(auth(admin)).expect(404);
+  });
+
+  test("is forbidden to customers", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 1]]);
+
+    await request()
+      .delete(`/orders/${order.id}`)
+      .set(auth(customer))
+      .expect(403);
+  });
+
+  test("returns 404 for an unknown order", async () => {
+    await request().delete("/orders/999").set(auth(admin)).expect(404);
+  });
+
+  test("keeps the order for admins who ask for deleted orders", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 1]]);
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+
+    const list = await request().get("/orders").set(auth(admin));
+    const withDeleted = await request()
+      .get("/orders?includeDeleted=true")
+      .set(auth(admin));
+
+    expect(list.body.total).toBe(0);
+    expect(withDeleted.body.data).toEqual([
+      expect.objectContaining({ id: order.id, deletedAt: expect.any(String) }),
+    ]);
+    await request()
+      .get("/orders?includeDeleted=true")
+      .set(auth(customer))
+      .expect(403);
+  });
+});
+
+describe("POST /orders/:id/restore", () => {
+  test("reserves the stock of the order again", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 2]]);
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+
+    const response = await request()
+      .post(`/orders/${order.id}/restore`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(response.body).toMatchObject({ id: order.id, deletedAt: null });
+    expect(await stockOf(mouse)).toBe(0);
+  });
+
+  test("returns 409 when the stock is gone in the meantime", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 2]]);
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+    await placeOrder(customer, [[mouse, 1]]).expect(201);
+
+    const response = await request()
+      .post(`/orders/${order.id}/restore`)
+      .set(auth(admin))
+      .expect(409);
+
+    expect(response.body).toMatchObject({
+      detail: "Insufficient stock",
+      productId: mouse.id,
+      requested: 2,
+      available: 1,
+    });
+    await request().get(`/orders/${order.id}`).set(auth(admin)).expect(404);
+  });
+
+  test("returns 409 when a product is deleted in the meantime", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 2]]);
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+    await request()
+      .delete(`/products/${mouse.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    const response = await request()
+      .post(`/orders/${order.id}/restore`)
+      .set(auth(admin))
+      .expect(409);
+
+    expect(response.body).toMatchObject({
+      detail: "Product deleted",
+      productId: mouse.id,
+    });
+    expect(await stockOf(mouse)).toBe(2);
+  });
+
+  test("leaves the stock alone for a cancelled order", async () => {
+    const { body: order } = await placeOrder(customer, [[mouse, 2]]);
+    await setStatus(admin, order, "cancelled").expect(200);
+    await request().delete(`/orders/${order.id}`).set(auth(admin)).expect(200);
+
+    await request()
+      .post(`/orders/${order.id}/restore`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(await stockOf(mouse)).toBe(2);
+  });
+});
@@ -0,0 +1,76 @@
+const { priceOrder } = require("../pricing");
+
+const RATES = { standard: 0.2, reduced: 0.055, exempt: 0 };
+
+test("taxes each line at the rate of its class", () => {
+  const price = priceOrder(
+    [
+      { productId: 1, quantity: 3, unitPrice: 0.1, taxClass: "standard" },
+      { productId: 2, quantity: 1, unitPrice: 12.9, taxClass: "reduced" },
+      { productId: 3, quantity: 2, unitPrice: 5, taxClass: "exempt" },
+    ],
+    RATES,
+  );
+
+  expect(price).toMatchObject({
+    subtotal: 23.2,
+    discount: 0,
+    tax: 0.77,
+    total: 23.97,
+  });
+  expect(price.lines.map(({ taxRate, tax }) => ({ taxRate, tax }))).toEqual([
+    { taxRate: 0.2, tax: 0.06 },
+    { taxRate: 0.055, tax: 0.71 },
+    { taxRate: 0, tax: 0 },
+  ]);
+});
+
+test("spreads a percent discount over the lines before tax", () => {
+  const price = priceOrder(
+    [
+      { quantity: 1, unitPrice: 10, taxClass: "standard" },
+      { quantity: 1, unitPrice: 10, taxClass: "standard" },
+      { quantity: 1, unitPrice: 10, taxClass: "exempt" },
+    ],
+    RATES,
+    { kind: "percent", value: 15 },
+  );
+
+  expect(price).toMatchObject({
+    subtotal: 30,
+    discount: 4.5,
+    tax: 3.4,
+    total: 28.9,
+  });
+  expect(price.lines.map((line) => line.discount)).toEqual([1.5, 1.5, 1.5]);
+});
+
+test("gives the cents left by the spread to the first lines", () => {
+  const price = priceOrder(
+    [
+      { quantity: 1, unitPrice: 1, taxClass: "exempt" },
+      { quantity: 1, unitPrice: 1, taxClass: "exempt" },
+      { quantity: 1, unitPrice: 1, taxClass: "exempt" },
+    ],
+    RATES,
+    { kind: "amount", value: 1 },
+  );
+
+  expect(price.lines.map((line) => line.discount)).toEqual([0.34, 0.33, 0.33]);
+  expect(price.total).toBe(2);
+});
+
+test("never discounts more than the subtotal", () => {
+  const price = priceOrder(
+    [{ quantity: 2, unitPrice: 4.99, taxClass: "standard" }],
+    RATES,
+    { kind: "amount", value: 50 },
+  );
+
+  expect(price).toMatchObject({
+    subtotal: 9.98,
+    discount: 9.98,
+    tax: 0,
+    total: 0,
+  });
+});
@@ -0,0 +1,282 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+beforeEach(resetDatabase);
+
+describe("GET /products", () => {
+  beforeEach(async () => {
+    await createProduct({ name: "Clavier", price: 89.9 });
+    await createProduct({ name: "Souris", price: 49.5, category: "Souris" });
+    await createProduct({ name: "Écran", price: 299 });
+  });
+
+  test("lists the products in an envelope", async () => {
+    const response = await request().get("/products").expect(200);
+
+    expect(response.body).toMatchObject({ total: 3, nextCursor: null });
+    expect(response.body.data.map((product) => product.name)).toEqual([
+      "Clavier",
+      "Souris",
+      "Écran",
+    ]);
+  });
+
+  test("filters and sorts", async () => {
+    const response = await request()
+      .get("/products")
+      .query({ minPrice: 50, sort: "-price" })
+      .expect(200);
+
+    expect(response.body.data.map((product) => product.price)).toEqual([
+      299, 89.9,
+    ]);
+  });
+
+  test("filters on a substring and the category", async () => {
+    const byName = await request().get("/products").query({ "name~": "cla" });
+    const byCategory = await request()
+      .get("/products")
+      .query({ category: "Souris" });
+
+    expect(byName.body.data.map((product) => product.name)).toEqual([
+      "Clavier",
+    ]);
+    expect(byCategory.body.data.map((product) => product.name)).toEqual([
+      "Souris",
+    ]);
+  });
+
+  test("pages with a cursor", async () => {
+    const first = await request()
+      .get("/products")
+      .query({ limit: 2, sort: "price" })
+      .expect(200);
+    const second = await request()
+      .get("/products")
+      .query({ limit: 2, sort: "price", cursor: first.body.nextCursor })
+      .expect(200);
+
+    expect(first.body.data.map((product) => product.price)).toEqual([
+      49.5, 89.9,
+    ]);
+    expect(second.body.data.map((product) => product.price)).toEqual([299]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test("pages with a page number", async () => {
+    const response = await request()
+      .get("/products")
+      .query({ limit: 2, page: 2 })
+      .expect(200);
+
+    expect(response.body.data.map((product) => product.name)).toEqual([
+      "Écran",
+    ]);
+  });
+
+  test("rejects invalid query parameters", async () => {
+    const response = await request()
+      .get("/products")
+      .query({ sort: "password", limit: 1000 })
+      .expect(400);
+
+    expect(response.body.errors.map((error) => error.path[0])).toEqual(
+      expect.arrayContaining(["sort", "limit"]),
+    );
+  });
+
+  test("rejects a page combined with a cursor", async () => {
+    await request()
+      .get("/products")
+      .query({ page: 1, cursor: "abc" })
+      .expect(400);
+  });
+});
+
+describe("GET /products/:id", () => {
+  test("returns the product", async () => {
+    const product = await createProduct();
+
+    const response = await request().get(`/products/${product.id}`).expect(200);
+
+    expect(response.body).toEqual({ ...product, images: [] });
+  });
+
+  test("returns 404 for an unknown product", async () => {
+    const response = await request().get("/products/999").expect(404);
+
+    expect(response.body).toMatchObject({
+      status: 404,
+      title: "Not Found",
+      instance: "/products/999",
+    });
+  });
+
+  test("returns 400 for an id that is not a number", async () => {
+    await request().get("/products/abc").expect(400);
+  });
+});
+
+describe("POST /products", () => {
+  const product = { name: "Webcam", about: "1080p", price: 39.99 };
+
+  test("creates a product as an admin", async () => {
+    const admin = await signIn("admin");
+
+    const response = await request()
+      .post("/products")
+      .set(auth(admin))
+      .send(product)
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      ...product,
+      stock: 0,
+      category: null,
+    });
+    const [{ count }] = await sql`SELECT count(*)::int FROM products`;
+    expect(count).toBe(1);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+
+    await request()
+      .post("/products")
+      .set(auth(customer))
+      .send(product)
+      .expect(403);
+  });
+
+  test("requires authentication", async () => {
+    await request().post("/products").send(product).expect(401);
+  });
+
+  test("lists every invalid field", async () => {
+    const admin = await signIn("admin");
+
+    const response = await request()
+      .post("/products")
+      .set(auth(admin))
+      .send({ name: "Webcam", price: -1 })
+      .expect(400);
+
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ path: ["about"], code: "invalid_type" }),
+        expect.objectContaining({ path: ["price"], code: "too_small" }),
+      ]),
+    );
+  });
+
+  test("rejects malformed JSON", async () => {
+    const admin = await signIn("admin");
+
+    await request()
+      .post("/products")
+      .set(auth(admin))
+      .set("Content-Type", "application/json")
+      .send('{"name": ')
+      .expect(400);
+  });
+});
+
+describe("DELETE /products/:id", () => {
+  test("deletes the product from the catalog", async () => {
+    const admin = await signIn("admin");
+    const product = await createProduct();
+
+    const response = await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      id: product.id,
+      deletedAt: expect.any(String),
+    });
+    await request().get(`/products/${product.id}`).expect(404);
+    const list = await request().get("/products").expect(200);
+    expect(list.body.total).toBe(0);
+    await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(admin))
+      .expect(404);
+  });
+
+  test("shows deleted products to admins who ask for them", async () => {
+    const admin = await signIn("admin");
+    const customer = await signIn();
+    const product = await createProduct();
+    await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    const list = await request()
+      .get("/products?includeDeleted=true")
+      .set(auth(admin))
+      .expect(200);
+
+    expect(list.body.data.map((row) => row.id)).toEqual([product.id]);
+    await request()
+      .get(`/products/${product.id}?includeDeleted=true`)
+      .set(auth(admin))
+      .expect(200);
+    await request().get("/products?includeDeleted=true").expect(401);
+    await request()
+      .get(`/products/${product.id}?includeDeleted=true`)
+      .set(auth(customer))
+      .expect(403);
+  });
+
+  test("returns 404 for an unknown product", async () => {
+    const admin = await signIn("admin");
+
+    await request().delete("/products/999").set(auth(admin)).expect(404);
+  });
+
+  test("keeps an ordered product on its orders, but it cannot be ordered again", async () => {
+    const admin = await signIn("admin");
+    const product = await createProduct();
+    const order = () =>
+      request()
+        .post("/orders")
+        .set(auth(admin))
+        .send({ items: [{ productId: product.id, quantity: 1 }] });
+    const { body: ordered } = await order().expect(201);
+
+    await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    await request().get(`/orders/${ordered.id}`).set(auth(admin)).expect(200);
+    await order().expect(404);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+    const product = await createProduct();
+
+    await request()
+      .delete(`/products/${product.id}`)
+      .set(auth(customer))
+      .expect(403);
+  });
+});
+
+test("unknown routes return a problem document", async () => {
+  const response = await request()
+    .get("/nope")
+    .expect(404)
+    .expect("Content-Type", /application\/problem\+json/);
+
+  expect(response.body.detail).toBe("Cannot GET /nope");
+});
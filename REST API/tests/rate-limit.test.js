@@ -0,0 +1,152 @@
+const sql = require("../db");
+const { MemoryStore, PostgresStore } = require("../rate-limit");
+const {
+  PASSWORD,
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+} = require("./helpers");
+
+beforeEach(resetDatabase);
+
+describe("POST /users", () => {
+  function signUp(index) {
+    return request()
+      .post("/users")
+      .send({
+        name: `carol${index}`,
+        email: `carol${index}@shop.local`,
+        password: "secret",
+      });
+  }
+
+  test("allows five accounts per hour and address", async () => {
+    for (let index = 0; index < 5; index++) {
+      await signUp(index).expect(201);
+    }
+
+    const response = await signUp(5)
+      .expect(429)
+      .expect("Content-Type", /application\/problem\+json/);
+
+    expect(Number(response.headers["retry-after"])).toBe(720);
+    expect(response.headers).toMatchObject({
+      "ratelimit-policy": "5;w=3600",
+      "ratelimit-limit": "5",
+      "ratelimit-remaining": "0",
+    });
+    expect(response.body).toMatchObject({ status: 429, retryAfter: 720 });
+  });
+
+  test("reports the quota left", async () => {
+    const response = await signUp(0).expect(201);
+
+    expect(response.headers["ratelimit-remaining"]).toBe("4");
+    expect(Number(response.headers["ratelimit-reset"])).toBe(720);
+  });
+});
+
+describe("POST /auth/login", () => {
+  function attempt(email, password = "wrong") {
+    return request().post("/auth/login").send({ email, password });
+  }
+
+  test("locks an account after five attempts", async () => {
+    const user = await createUser();
+    for (let index = 0; index < 5; index++) {
+      await attempt(user.email).expect(401);
+    }
+
+    await attempt(user.email, PASSWORD).expect(429);
+    await attempt(user.email.toUpperCase(), PASSWORD).expect(429);
+  });
+
+  test("limits the attempts from one address", async () => {
+    for (let index = 0; index < 10; index++) {
+      await attempt(`user${index}@shop.local`).expect(401);
+    }
+
+    await attempt("other@shop.local").expect(429);
+  });
+});
+
+describe("authenticated routes", () => {
+  test("count the requests per user", async () => {
+    const customer = await signIn();
+
+    const first = await request()
+      .get(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+    const second = await request()
+      .get(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    expect(first.headers["ratelimit-policy"]).toBe("120;w=60");
+    expect(Number(second.headers["ratelimit-remaining"])).toBe(
+      Number(first.headers["ratelimit-remaining"]) - 1,
+    );
+  });
+});
+
+describe.each([
+  ["MemoryStore", () => new MemoryStore()],
+  ["PostgresStore", () => new PostgresStore(sql)],
+])("%s", (name, createStore) => {
+  const policy = { limit: 2, window: 60 };
+
+  test("takes a token per request until the bucket is empty", async () => {
+    const store = createStore();
+
+    expect(await store.take("test", policy)).toEqual({
+      allowed: true,
+      tokens: 1,
+    });
+    expect((await store.take("test", policy)).allowed).toBe(true);
+
+    const denied = await store.take("test", policy);
+    expect(denied.allowed).toBe(false);
+    expect(denied.tokens).toBeLessThan(1);
+    expect((await store.take("other", policy)).allowed).toBe(true);
+  });
+
+  test("forgets every bucket on reset", async () => {
+    const store = createStore();
+    await store.take("test", { limit: 1, window: 60 });
+
+    await store.reset();
+
+    expect((await store.take("test", { limit: 1, window: 60 })).allowed).toBe(
+      true,
+    );
+  });
+});
+
+test("MemoryStore refills the bucket over time", async () => {
+  const store = new MemoryStore();
+  const policy = { limit: 2, window: 60 };
+  const now = Date.now();
+  await store.take("test", policy, now);
+  await store.take("test", policy, now);
+
+  expect((await store.take("test", policy, now + 1000)).allowed).toBe(false);
+  expect(await store.take("test", policy, now + 60000)).toEqual({
+    allowed: true,
+    tokens: 1,
+  });
+});
+
+test("PostgresStore does not let concurrent requests share a token", async () => {
+  const store = new PostgresStore(sql);
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () =>
+      store.take("test", { limit: 3, window: 3600 }),
+    ),
+  );
+
+  expect(results.filter((result) => result.allowed)).toHaveLength(3);
+});
@@ -0,0 +1,205 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let admin;
+let alice;
+let bob;
+let keyboard;
+let mouse;
+
+// An order as it would be after checkout, at a chosen date and status. The
+// products are tax exempt, so that totals are the sums of the lines.
+async function insertOrder(user, lines, createdAt, status = "paid") {
+  const total = lines.reduce(
+    (sum, [product, quantity]) => sum + product.price * quantity,
+    0,
+  );
+  const [order] = await sql`
+    INSERT INTO orders (user_id, status, country, subtotal, discount, tax, total, created_at)
+    VALUES (${user.id}, ${status}, 'FR', ${total}, 0, 0, ${total}, ${createdAt})
+    RETURNING *
+  `;
+  for (const [product, quantity] of lines) {
+    await sql`
+      INSERT INTO order_items (order_id, product_id, quantity, unit_price, tax_class, tax_rate, discount, tax)
+      VALUES (${order.id}, ${product.id}, ${quantity}, ${product.price}, 'exempt', 0, 0, 0)
+    `;
+  }
+  return order;
+}
+
+function report(query) {
+  return request().get("/reports/sales").set(auth(admin)).query(query);
+}
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await signIn("admin");
+  alice = await createUser({ name: "alice", email: "alice@shop.local" });
+  bob = await createUser({ name: "bob", email: "bob@shop.local" });
+  keyboard = await createProduct({
+    name: "Clavier",
+    price: 80,
+    taxClass: "exempt",
+  });
+  mouse = await createProduct({
+    name: "Souris",
+    price: 20,
+    taxClass: "exempt",
+  });
+
+  await insertOrder(alice, [[keyboard, 1]], "2024-05-01T09:00:00Z");
+  await insertOrder(alice, [[mouse, 2]], "2024-05-01T23:30:00Z", "shipped");
+  await insertOrder(
+    bob,
+    [
+      [keyboard, 2],
+      [mouse, 1],
+    ],
+    "2024-05-03T12:00:00Z",
+  );
+  // Not counted: still pending, cancelled, or out of the range.
+  await insertOrder(bob, [[mouse, 5]], "2024-05-02T12:00:00Z", "pending");
+  await insertOrder(bob, [[mouse, 5]], "2024-05-02T12:00:00Z", "cancelled");
+  await insertOrder(bob, [[keyboard, 5]], "2024-05-04T00:00:00Z");
+});
+
+describe("GET /reports/sales", () => {
+  test("sums up the paid and shipped orders of the range", async () => {
+    const response = await report({
+      from: "2024-05-01",
+      to: "2024-05-03",
+    }).expect(200);
+
+    expect(response.body).toMatchObject({
+      from: "2024-05-01",
+      to: "2024-05-03",
+      groupBy: "day",
+      summary: { orders: 3, revenue: 300, averageOrderValue: 100 },
+    });
+  });
+
+  test("gives the revenue of every day, even without orders", async () => {
+    const response = await report({ from: "2024-05-01", to: "2024-05-03" });
+
+    expect(response.body.revenue).toEqual([
+      { period: "2024-05-01", orders: 2, revenue: 120 },
+      { period: "2024-05-02", orders: 0, revenue: 0 },
+      { period: "2024-05-03", orders: 1, revenue: 180 },
+    ]);
+  });
+
+  test("groups the revenue by week or month", async () => {
+    const weeks = await report({
+      from: "2024-04-25",
+      to: "2024-05-10",
+      groupBy: "week",
+    });
+    const months = await report({
+      from: "2024-04-25",
+      to: "2024-05-10",
+      groupBy: "month",
+    });
+
+    expect(weeks.body.revenue).toEqual([
+      { period: "2024-04-22", orders: 0, revenue: 0 },
+      { period: "2024-04-29", orders: 4, revenue: 700 },
+      { period: "2024-05-06", orders: 0, revenue: 0 },
+    ]);
+    expect(months.body.revenue.map((row) => row.period)).toEqual([
+      "2024-04-01",
+      "2024-05-01",
+    ]);
+  });
+
+  test("ranks the products and the customers", async () => {
+    const response = await report({ from: "2024-05-01", to: "2024-05-03" });
+
+    expect(response.body.topProducts).toEqual([
+      { productId: keyboard.id, name: "Clavier", quantity: 3, revenue: 240 },
+      { productId: mouse.id, name: "Souris", quantity: 3, revenue: 60 },
+    ]);
+    expect(response.body.customers).toEqual([
+      {
+        userId: bob.id,
+        name: "bob",
+        email: "bob@shop.local",
+        orders: 1,
+        spent: 180,
+      },
+      {
+        userId: alice.id,
+        name: "alice",
+        email: "alice@shop.local",
+        orders: 2,
+        spent: 120,
+      },
+    ]);
+  });
+
+  test("limits the rankings", async () => {
+    const response = await report({
+      from: "2024-05-01",
+      to: "2024-05-03",
+      limit: 1,
+    });
+
+    expect(response.body.topProducts).toHaveLength(1);
+    expect(response.body.customers).toHaveLength(1);
+  });
+
+  test("exports a section as CSV", async () => {
+    const response = await report({
+      from: "2024-05-01",
+      to: "2024-05-03",
+      format: "csv",
+      section: "customers",
+    })
+      .expect(200)
+      .expect("Content-Type", /text\/csv/)
+      .expect(
+        "Content-Disposition",
+        'attachment; filename="sales-customers-2024-05-01-2024-05-03.csv"',
+      );
+
+    expect(response.text).toBe(
+      "userId,name,email,orders,spent\r\n" +
+        `${bob.id},bob,bob@shop.local,1,180\r\n` +
+        `${alice.id},alice,alice@shop.local,2,120\r\n`,
+    );
+  });
+
+  test("covers the last 30 days by default", async () => {
+    const response = await report({}).expect(200);
+
+    expect(response.body.to).toBe(new Date().toISOString().slice(0, 10));
+    expect(response.body.revenue).toHaveLength(30);
+  });
+
+  test("rejects invalid parameters", async () => {
+    const response = await report({
+      from: "2024-05-03",
+      to: "2024-05-01",
+      groupBy: "year",
+    }).expect(400);
+
+    expect(response.body.errors.map((error) => error.path[0])).toEqual([
+      "groupBy",
+    ]);
+    await report({ from: "2024-05-03", to: "2024-05-01" }).expect(400);
+    await report({ from: "yesterday" }).expect(400);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+
+    await request().get("/reports/sales").set(auth(customer)).expect(403);
+  });
+});
@@ -0,0 +1,114 @@
+const { request, resetDatabase, createProduct } = require("./helpers");
+
+beforeAll(async () => {
+  await resetDatabase();
+  await createProduct({
+    name: "Souris sans fil",
+    about: "Capteur optique 16000 DPI",
+    price: 49.5,
+    category: "Périphériques",
+  });
+  await createProduct({
+    name: "Tapis de souris XXL",
+    about: "Surface en tissu pour souris",
+    price: 19.9,
+    category: "Accessoires",
+  });
+  await createProduct({
+    name: "Wireless keyboard",
+    about: "Quiet keys",
+    price: 120,
+    category: "Périphériques",
+  });
+});
+
+describe("GET /products/search", () => {
+  test("ranks the name above the description", async () => {
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "souris" })
+      .expect(200);
+
+    expect(response.body.total).toBe(2);
+    const [first, second] = response.body.data;
+    expect(first.rank).toBeGreaterThanOrEqual(second.rank);
+    expect(first.highlight.name).toContain("<mark>");
+  });
+
+  test("stems French words", async () => {
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "capteurs" })
+      .expect(200);
+
+    expect(response.body.data.map((product) => product.name)).toEqual([
+      "Souris sans fil",
+    ]);
+    expect(response.body.data[0].highlight.about).toContain(
+      "<mark>Capteur</mark>",
+    );
+  });
+
+  test("stems English words", async () => {
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "keyboards" })
+      .expect(200);
+
+    expect(response.body.data.map((product) => product.name)).toEqual([
+      "Wireless keyboard",
+    ]);
+  });
+
+  test("counts the matches by category and price", async () => {
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "souris", category: "Accessoires" })
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.facets).toEqual({
+      category: [
+        { value: "Accessoires", count: 1 },
+        { value: "Périphériques", count: 1 },
+      ],
+      price: [
+        { min: 0, max: 25, count: 1 },
+        { min: 25, max: 50, count: 1 },
+      ],
+    });
+  });
+
+  test("escapes the text of the product around the marks", async () => {
+    await createProduct({
+      name: "Casque <img src=x onerror=alert(1)>",
+      about: "Son <b>surround</b> & micro",
+      price: 60,
+    });
+
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "casque surround" })
+      .expect(200);
+
+    expect(response.body.data[0].highlight).toEqual({
+      name: "<mark>Casque</mark> &lt;img src=x onerror=alert(1)&gt;",
+      about: "Son &lt;b&gt;<mark>surround</mark>&lt;/b&gt; &amp; micro",
+    });
+  });
+
+  test("returns no result for an unknown word", async () => {
+    const response = await request()
+      .get("/products/search")
+      .query({ q: "webcam" })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ data: [], total: 0 });
+  });
+
+  test("requires q", async () => {
+    const response = await request().get("/products/search").expect(400);
+
+    expect(response.body.errors[0].path).toEqual(["q"]);
+  });
+});
@@ -0,0 +1,117 @@
+const z = require("zod");
+const express = require("express");
+const supertest = require("supertest");
+const { serialize } = require("../serialize");
+const { errorHandler } = require("../errors");
+const {
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+} = require("./helpers");
+
+beforeEach(resetDatabase);
+
+// Every key of `body`, at any depth.
+function keysOf(body) {
+  if (Array.isArray(body)) {
+    return body.flatMap(keysOf);
+  }
+  if (body && typeof body === "object") {
+    return Object.entries(body).flatMap(([key, value]) => [
+      key,
+      ...keysOf(value),
+    ]);
+  }
+  return [];
+}
+
+describe("user responses never contain a password", () => {
+  let admin;
+  let customer;
+
+  beforeEach(async () => {
+    admin = await signIn("admin");
+    customer = await createUser({ name: "bob" });
+  });
+
+  test.each([
+    ["GET /users", () => request().get("/users"), 200],
+    ["GET /users/:id", () => request().get(`/users/${customer.id}`), 200],
+    [
+      "PUT /users/:id",
+      () =>
+        request()
+          .put(`/users/${customer.id}`)
+          .send({
+            name: "bobby",
+            email: "bobby@shop.local",
+            password: "new secret",
+          }),
+      200,
+    ],
+    [
+      "PATCH /users/:id",
+      () =>
+        request().patch(`/users/${customer.id}`).send({ password: "changed" }),
+      200,
+    ],
+    ["DELETE /users/:id", () => request().delete(`/users/${customer.id}`), 200],
+  ])("%s", async (name, send, status) => {
+    const response = await send().set(auth(admin)).expect(status);
+
+    expect(keysOf(response.body)).not.toContain("password");
+    expect(keysOf(response.body)).toContain("email");
+  });
+
+  test("POST /users", async () => {
+    const response = await request()
+      .post("/users")
+      .send({ name: "carol", email: "carol@shop.local", password: "secret" })
+      .expect(201);
+
+    expect(response.body).toEqual({
+      id: expect.any(Number),
+      name: "carol",
+      email: "carol@shop.local",
+      role: "customer",
+      emailVerifiedAt: null,
+      deletedAt: null,
+    });
+  });
+});
+
+describe("serialize", () => {
+  const PublicSchema = z.object({ id: z.number(), createdAt: z.string() });
+
+  function appSending(body, status = 200) {
+    const app = express();
+    app.get("/", serialize(PublicSchema), (req, res) =>
+      res.status(status).json(body),
+    );
+    app.use(errorHandler);
+    return supertest(app);
+  }
+
+  test("drops the keys the schema does not declare", async () => {
+    const createdAt = new Date("2024-05-01T10:00:00Z");
+
+    const response = await appSending({
+      id: 1,
+      createdAt,
+      secret: "s3cr3t",
+    }).get("/");
+
+    expect(response.body).toEqual({
+      id: 1,
+      createdAt: "2024-05-01T10:00:00.000Z",
+    });
+  });
+
+  test("leaves error responses alone", async () => {
+    const response = await appSending({ detail: "Nope" }, 404).get("/");
+
+    expect(response.body).toEqual({ detail: "Nope" });
+  });
+});
@@ -0,0 +1,3 @@
+const sql = require("../db");
+
+afterAll(() => sql.end());
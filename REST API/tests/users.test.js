@@ -0,0 +1,415 @@
+const bcrypt = require("bcrypt");
+const sql = require("../db");
+const {
+  PASSWORD,
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+beforeEach(resetDatabase);
+
+describe("GET /users", () => {
+  test("lists and filters the users as an admin", async () => {
+    const admin = await signIn("admin");
+    await createUser({ name: "bob", email: "bob@shop.local" });
+
+    const response = await request()
+      .get("/users")
+      .set(auth(admin))
+      .query({ "email~": "bob" })
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.data[0].email).toBe("bob@shop.local");
+  });
+
+  test("filters on the role", async () => {
+    const admin = await signIn("admin");
+    await createUser();
+
+    const response = await request()
+      .get("/users")
+      .set(auth(admin))
+      .query({ role: "admin" })
+      .expect(200);
+
+    expect(response.body.data.map((user) => user.id)).toEqual([admin.user.id]);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+
+    await request().get("/users").set(auth(customer)).expect(403);
+  });
+
+  test("rejects an unknown role", async () => {
+    const admin = await signIn("admin");
+
+    await request()
+      .get("/users")
+      .set(auth(admin))
+      .query({ role: "root" })
+      .expect(400);
+  });
+});
+
+describe("GET /users/:id", () => {
+  test("returns the customer's own account", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .get(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    expect(response.body.email).toBe(customer.user.email);
+  });
+
+  test("is forbidden for another account", async () => {
+    const customer = await signIn();
+    const other = await createUser();
+
+    await request().get(`/users/${other.id}`).set(auth(customer)).expect(403);
+  });
+
+  test("returns 404 for an unknown user", async () => {
+    const admin = await signIn("admin");
+
+    await request().get("/users/999").set(auth(admin)).expect(404);
+  });
+});
+
+describe("POST /users", () => {
+  const user = { name: "carol", email: "carol@shop.local", password: "secret" };
+
+  test("creates a customer with a hashed password", async () => {
+    const response = await request().post("/users").send(user).expect(201);
+
+    expect(response.body).toMatchObject({ name: "carol", email: user.email });
+    const [stored] = await sql`SELECT * FROM users WHERE email = ${user.email}`;
+    expect(stored.role).toBe("customer");
+    expect(await bcrypt.compare("secret", stored.password)).toBe(true);
+  });
+
+  test("returns 409 for an email already in use", async () => {
+    await createUser({ email: user.email });
+
+    const response = await request().post("/users").send(user).expect(409);
+
+    expect(response.body.constraint).toBe("users_email_key");
+  });
+
+  test("validates the body", async () => {
+    const response = await request()
+      .post("/users")
+      .send({ name: "carol" })
+      .expect(400);
+
+    expect(response.body.errors.map((error) => error.path[0])).toEqual([
+      "email",
+      "password",
+    ]);
+  });
+
+  test("applies the password rule of updates and resets", async () => {
+    const response = await request()
+      .post("/users")
+      .send({ ...user, password: "abc" })
+      .expect(400);
+
+    expect(response.body.errors[0]).toMatchObject({
+      path: ["password"],
+      code: "too_small",
+    });
+  });
+});
+
+describe("PUT /users/:id", () => {
+  test("replaces the account", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .put(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({
+        name: "Alice B",
+        email: "alice.b@shop.local",
+        password: "new secret",
+      })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      name: "Alice B",
+      email: "alice.b@shop.local",
+    });
+  });
+
+  test("stores the new password hashed", async () => {
+    const customer = await signIn();
+
+    await request()
+      .put(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({
+        name: "Alice B",
+        email: "alice.b@shop.local",
+        password: "new secret",
+      })
+      .expect(200);
+
+    const [stored] =
+      await sql`SELECT password FROM users WHERE id = ${customer.user.id}`;
+    expect(await bcrypt.compare("new secret", stored.password)).toBe(true);
+  });
+
+  test("returns 404 for an unknown user", async () => {
+    const admin = await signIn("admin");
+
+    await request()
+      .put("/users/999")
+      .set(auth(admin))
+      .send({ name: "x", email: "x@shop.local", password: "secret" })
+      .expect(404);
+  });
+
+  test("validates the body", async () => {
+    const customer = await signIn();
+
+    await request()
+      .put(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ name: "Alice B" })
+      .expect(400);
+  });
+});
+
+describe("PATCH /users/:id", () => {
+  test("updates the given fields only", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ name: "Alice B" })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      name: "Alice B",
+      email: customer.user.email,
+    });
+  });
+
+  test("stores a new password hashed", async () => {
+    const customer = await signIn();
+
+    await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ password: "changed" })
+      .expect(200);
+
+    const [stored] =
+      await sql`SELECT password FROM users WHERE id = ${customer.user.id}`;
+    expect(await bcrypt.compare("changed", stored.password)).toBe(true);
+    await request()
+      .post("/auth/login")
+      .send({ email: customer.user.email, password: "changed" })
+      .expect(200);
+  });
+
+  test("rejects an empty update", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({})
+      .expect(400);
+
+    expect(response.body.detail).toBe("No valid fields provided for update");
+  });
+
+  test("rejects an invalid email", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ email: "nope" })
+      .expect(400);
+
+    expect(response.body.errors[0]).toMatchObject({
+      path: ["email"],
+      code: "invalid_string",
+    });
+  });
+
+  test("returns 409 for an email already in use", async () => {
+    const customer = await signIn();
+    const other = await createUser();
+
+    await request()
+      .patch(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .send({ email: other.email })
+      .expect(409);
+  });
+
+  test("is forbidden for another account", async () => {
+    const customer = await signIn();
+    const other = await createUser();
+
+    await request()
+      .patch(`/users/${other.id}`)
+      .set(auth(customer))
+      .send({ name: "x" })
+      .expect(403);
+  });
+
+  test("returns 404 for an unknown user", async () => {
+    const admin = await signIn("admin");
+
+    await request()
+      .patch("/users/999")
+      .set(auth(admin))
+      .send({ name: "x" })
+      .expect(404);
+  });
+});
+
+describe("DELETE /users/:id", () => {
+  test("deletes the customer's own account and ends its sessions", async () => {
+    const customer = await signIn();
+
+    const response = await request()
+      .delete(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    expect(response.body.deletedAt).toEqual(expect.any(String));
+    await request()
+      .post("/auth/login")
+      .send({ email: customer.user.email, password: PASSWORD })
+      .expect(401);
+    await request()
+      .post("/auth/refresh")
+      .send({ refreshToken: customer.refreshToken })
+      .expect(401);
+  });
+
+  test("keeps the orders of the user", async () => {
+    const customer = await signIn();
+    const admin = await signIn("admin");
+    const product = await createProduct();
+    await request()
+      .post("/orders")
+      .set(auth(customer))
+      .send({ items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+
+    await request()
+      .delete(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    const orders = await request()
+      .get("/orders")
+      .query({ userId: customer.user.id })
+      .set(auth(admin));
+    expect(orders.body.total).toBe(1);
+  });
+
+  test("leaves the user out unless admins ask for deleted users", async () => {
+    const admin = await signIn("admin");
+    const customer = await signIn();
+    await request()
+      .delete(`/users/${customer.user.id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    const list = await request().get("/users").set(auth(admin));
+    const withDeleted = await request()
+      .get("/users")
+      .query({ includeDeleted: true })
+      .set(auth(admin));
+
+    expect(list.body.data.map((user) => user.id)).toEqual([admin.user.id]);
+    expect(withDeleted.body.total).toBe(2);
+    await request()
+      .get(`/users/${customer.user.id}`)
+      .set(auth(admin))
+      .expect(404);
+    await request()
+      .get(`/users/${customer.user.id}?includeDeleted=true`)
+      .set(auth(admin))
+      .expect(200);
+    await request()
+      .delete(`/users/${customer.user.id}`)
+      .set(auth(admin))
+      .expect(404);
+  });
+
+  test("is forbidden for another account", async () => {
+    const customer = await signIn();
+    const other = await createUser();
+
+    await request()
+      .delete(`/users/${other.id}`)
+      .set(auth(customer))
+      .expect(403);
+  });
+
+  test("returns 404 for an unknown user", async () => {
+    const admin = await signIn("admin");
+
+    await request().delete("/users/999").set(auth(admin)).expect(404);
+  });
+});
+
+describe("POST /users/:id/restore", () => {
+  test("lets the user sign in again", async () => {
+    const admin = await signIn("admin");
+    const customer = await signIn();
+    await request()
+      .delete(`/users/${customer.user.id}`)
+      .set(auth(customer))
+      .expect(200);
+
+    const response = await request()
+      .post(`/users/${customer.user.id}/restore`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      id: customer.user.id,
+      deletedAt: null,
+    });
+    await request()
+      .post("/auth/login")
+      .send({ email: customer.user.email, password: PASSWORD })
+      .expect(200);
+  });
+
+  test("returns 409 for a user that is not deleted", async () => {
+    const admin = await signIn("admin");
+
+    await request()
+      .post(`/users/${admin.user.id}/restore`)
+      .set(auth(admin))
+      .expect(409);
+    await request().post("/users/999/restore").set(auth(admin)).expect(404);
+  });
+
+  test("is forbidden to customers", async () => {
+    const customer = await signIn();
+
+    await request()
+      .post(`/users/${customer.user.id}/restore`)
+      .set(auth(customer))
+      .expect(403);
+  });
+});
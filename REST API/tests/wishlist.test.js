@@ -0,0 +1,114 @@
+const sql = require("../db");
+const {
+  request,
+  resetDatabase,
+  createUser,
+  signIn,
+  auth,
+  createProduct,
+} = require("./helpers");
+
+let customer;
+let keyboard;
+
+beforeEach(async () => {
+  await resetDatabase();
+  customer = await signIn();
+  keyboard = await createProduct({ name: "Clavier", price: 80 });
+});
+
+function wishlistUrl(session, path = "") {
+  return `/users/${session.user.id}/wishlist${path}`;
+}
+
+function addToWishlist(session, product) {
+  return request()
+    .post(wishlistUrl(session))
+    .set(auth(session))
+    .send({ productId: product.id });
+}
+
+describe("/users/:id/wishlist", () => {
+  test("adds products to the wishlist", async () => {
+    await addToWishlist(customer, keyboard).expect(200);
+    const response = await addToWishlist(customer, keyboard).expect(200);
+
+    expect(response.body).toEqual({
+      userId: customer.user.id,
+      items: [
+        {
+          productId: keyboard.id,
+          name: "Clavier",
+          price: 80,
+          addedPrice: 80,
+          priceDropped: false,
+          available: true,
+          addedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("flags the products whose price dropped", async () => {
+    const mouse = await createProduct({ name: "Souris", price: 20 });
+    await addToWishlist(customer, keyboard).expect(200);
+    await addToWishlist(customer, mouse).expect(200);
+    await sql`UPDATE products SET price = 69.9 WHERE id = ${keyboard.id}`;
+    await sql`UPDATE products SET price = 25 WHERE id = ${mouse.id}`;
+    // A product added again keeps the price it was first added at.
+    await addToWishlist(customer, keyboard).expect(200);
+
+    const response = await request()
+      .get(wishlistUrl(customer))
+      .set(auth(customer))
+      .expect(200);
+
+    expect(
+      response.body.items.map(({ price, addedPrice, priceDropped }) => ({
+        price,
+        addedPrice,
+        priceDropped,
+      })),
+    ).toEqual([
+      { price: 69.9, addedPrice: 80, priceDropped: true },
+      { price: 25, addedPrice: 20, priceDropped: false },
+    ]);
+  });
+
+  test("removes a product, and keeps the deleted ones as unavailable", async () => {
+    const mouse = await createProduct({ name: "Souris" });
+    await addToWishlist(customer, keyboard).expect(200);
+    await addToWishlist(customer, mouse).expect(200);
+    await sql`UPDATE products SET deleted_at = NOW() WHERE id = ${mouse.id}`;
+
+    const response = await request()
+      .delete(wishlistUrl(customer, `/${keyboard.id}`))
+      .set(auth(customer))
+      .expect(200);
+    await request()
+      .delete(wishlistUrl(customer, `/${keyboard.id}`))
+      .set(auth(customer))
+      .expect(404);
+
+    expect(response.body.items).toEqual([
+      expect.objectContaining({ productId: mouse.id, available: false }),
+    ]);
+    await addToWishlist(customer, mouse).expect(404);
+  });
+
+  test("is only open to its user and the admins", async () => {
+    const other = await createUser({ name: "bob" });
+    const admin = await signIn("admin");
+
+    await request()
+      .get(`/users/${other.id}/wishlist`)
+      .set(auth(customer))
+      .expect(403);
+    await request()
+      .post(wishlistUrl(customer))
+      .set(auth(admin))
+      .send({ productId: keyboard.id })
+      .expect(200);
+    await request().get(wishlistUrl(customer)).set(auth(admin)).expect(200);
+  });
+});
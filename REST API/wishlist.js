@@ -0,0 +1,79 @@
+const sql = require("./db");
+const { HttpError } = require("./errors");
+const { checkUser } = require("./cart");
+
+// The wishlist of each user, which tells of the prices that dropped since.
+
+/**
+ * The wishlist of `userId`, each product with its current price and the one
+ * it had when added; a deleted product stays on the list, unavailable.
+ * Throws a 404 HttpError for an unknown user.
+ */
+async function findWishlist(userId, tx = sql) {
+  await checkUser(tx, userId);
+  const rows = await tx`
+    SELECT
+      wishlist_items.product_id,
+      wishlist_items.added_price,
+      wishlist_items.created_at AS added_at,
+      products.name,
+      products.price,
+      products.deleted_at IS NULL AS available
+    FROM wishlist_items
+    JOIN products ON products.id = wishlist_items.product_id
+    WHERE wishlist_items.user_id = ${userId}
+    ORDER BY wishlist_items.created_at, wishlist_items.product_id
+  `;
+  return {
+    userId: Number(userId),
+    items: rows.map((row) => ({
+      ...row,
+      priceDropped: row.price < row.addedPrice,
+    })),
+  };
+}
+
+/**
+ * Adds `productId` to the wishlist of `userId` and resolves to the wishlist.
+ * A product already there keeps the price it was added at. Throws a 404
+ * HttpError for an unknown user or product.
+ */
+async function addToWishlist(userId, { productId }) {
+  return sql.begin(async (sql) => {
+    const [product] = await sql`
+      SELECT price FROM products
+      WHERE id = ${productId} AND deleted_at IS NULL
+    `;
+    if (!product) {
+      throw new HttpError(404, "Product not found", { productId });
+    }
+    await checkUser(sql, userId);
+
+    await sql`
+      INSERT INTO wishlist_items (user_id, product_id, added_price)
+      VALUES (${userId}, ${productId}, ${product.price})
+      ON CONFLICT (user_id, product_id) DO NOTHING
+    `;
+    return findWishlist(userId, sql);
+  });
+}
+
+/**
+ * Removes `productId` from the wishlist of `userId` and resolves to the
+ * wishlist. Throws a 404 HttpError when it is not on it.
+ */
+async function removeFromWishlist(userId, productId) {
+  return sql.begin(async (sql) => {
+    const [item] = await sql`
+      DELETE FROM wishlist_items
+      WHERE user_id = ${userId} AND product_id = ${productId}
+      RETURNING product_id
+    `;
+    if (!item) {
+      throw new HttpError(404, "Wishlist item not found");
+    }
+    return findWishlist(userId, sql);
+  });
+}
+
+module.exports = { findWishlist, addToWishlist, removeFromWishlist };
@@ -0,0 +1,29 @@
+import type { CodegenConfig } from "@graphql-codegen/cli";
+
+// Resolvers receive database rows: `mappers` tell codegen which row type
+// stands behind each GraphQL type, so that field resolvers are typed too.
+const config: CodegenConfig = {
+  schema: "src/schema.graphql",
+  generates: {
+    "src/generated/resolvers-types.ts": {
+      plugins: ["typescript", "typescript-resolvers"],
+      config: {
+        contextType: "../context#Context",
+        useTypeImports: true,
+        enumsAsTypes: true,
+        scalars: {
+          ID: { input: "string", output: "string | number" },
+          DateTime: { input: "Date", output: "Date | string" },
+        },
+        mappers: {
+          Product: "../models#ProductRow",
+          User: "../models#UserRow",
+          Order: "../models#OrderRow",
+          OrderItem: "../models#OrderItemRow",
+        },
+      },
+    },
+  },
+};
+
+export default config;
@@ -0,0 +1,22 @@
+import { HttpError } from "../../REST API/errors";
+
+// GraphQL IDs are strings; the tables use integer ids.
+export function toId(id: string | number): number {
+  const value = Number(id);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new HttpError(400, `Invalid id "${id}"`);
+  }
+  return value;
+}
+
+/**
+ * Drops the arguments that are null or missing, which the REST API's query
+ * schemas expect to be absent rather than null.
+ */
+export function defined<T extends object>(args: T) {
+  return Object.fromEntries(
+    Object.entries(args).filter(
+      ([, value]) => value !== null && value !== undefined,
+    ),
+  ) as { [K in keyof T]?: NonNullable<T[K]> };
+}
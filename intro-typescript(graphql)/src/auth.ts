@@ -0,0 +1,61 @@
+import jwt from "jsonwebtoken";
+import { HttpError } from "../../REST API/errors";
+import { config } from "../../REST API/config";
+import { unauthenticated } from "./errors";
+import type { AuthUser } from "./models";
+
+// The REST API issues the tokens, with the secret of its configuration.
+const ACCESS_TOKEN_SECRET = config.tokens.accessSecret;
+
+/**
+ * The user of a `Bearer` access token, null without an Authorization
+ * header. A token that is invalid or expired fails the whole request rather
+ * than making it anonymous.
+ */
+export function authenticate(authorization: string | null): AuthUser | null {
+  if (!authorization) {
+    return null;
+  }
+
+  const [scheme, token] = authorization.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    throw unauthenticated("Authentication required");
+  }
+
+  try {
+    const payload = jwt.verify(token, ACCESS_TOKEN_SECRET) as jwt.JwtPayload;
+    return { id: Number(payload.sub), role: payload.role };
+  } catch (error) {
+    throw unauthenticated("Invalid or expired token");
+  }
+}
+
+export function isAdmin(user: AuthUser) {
+  return user.role === "admin";
+}
+
+export function requireUser(user: AuthUser | null): AuthUser {
+  if (!user) {
+    throw unauthenticated("Authentication required");
+  }
+  return user;
+}
+
+export function requireAdmin(user: AuthUser | null): AuthUser {
+  if (!isAdmin(requireUser(user))) {
+    throw new HttpError(403);
+  }
+  return user as AuthUser;
+}
+
+// Admins, or the user whose record `userId` is.
+export function requireSelfOrAdmin(
+  user: AuthUser | null,
+  userId: number,
+): AuthUser {
+  const current = requireUser(user);
+  if (!isAdmin(current) && current.id !== userId) {
+    throw new HttpError(403);
+  }
+  return current;
+}
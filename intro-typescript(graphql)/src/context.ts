@@ -0,0 +1,23 @@
+import type { Request } from "express";
+import type { YogaInitialContext } from "graphql-yoga";
+import { createLoaders, type Loaders } from "./loaders";
+import { authenticate } from "./auth";
+import type { AuthUser } from "./models";
+
+// What Express passes to Yoga for each request.
+export interface ServerContext {
+  req: Request;
+}
+
+export interface Context extends YogaInitialContext, ServerContext {
+  // null for anonymous requests.
+  user: AuthUser | null;
+  loaders: Loaders;
+}
+
+export function createContext({ request }: YogaInitialContext) {
+  return {
+    user: authenticate(request.headers.get("Authorization")),
+    loaders: createLoaders(),
+  };
+}
@@ -0,0 +1,81 @@
+import { GraphQLError, GraphQLSchema, isObjectType } from "graphql";
+import { HttpError, toHttpError, validate } from "../../REST API/errors";
+
+// `extensions.code` of the errors the REST API would send with these statuses.
+const CODES: Record<number, string> = {
+  400: "BAD_USER_INPUT",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "TOO_MANY_REQUESTS",
+};
+
+export function unauthenticated(message: string) {
+  return new GraphQLError(message, {
+    extensions: { code: CODES[401], http: { status: 401 } },
+  });
+}
+
+/**
+ * Parses `data` with one of the REST API's zod schemas, so that both APIs
+ * accept the same inputs. Throws the REST API's 400 HttpError, whose
+ * `errors` list every invalid field.
+ */
+export function parse<S extends { parse(data: unknown): unknown }>(
+  schema: S,
+  data: unknown,
+  detail = "Invalid arguments",
+): ReturnType<S["parse"]> {
+  return validate(schema, data, detail);
+}
+
+// The error to send for `error`: the GraphQL equivalent of the problem
+// document the REST API would send, or `error` itself for a bug. Yoga masks
+// the errors with an `originalError`, hence none here.
+function toGraphQLError(error: unknown) {
+  const httpError: HttpError | null =
+    error instanceof Error && !(error instanceof GraphQLError)
+      ? toHttpError(error)
+      : null;
+  if (!httpError) {
+    return error;
+  }
+
+  return new GraphQLError(httpError.message, {
+    extensions: {
+      ...httpError.extensions,
+      code: CODES[httpError.status] ?? "BAD_REQUEST",
+      status: httpError.status,
+    },
+  });
+}
+
+/**
+ * Resolvers call the REST API's modules, whose errors (an OrderError, a
+ * unique violation, ...) must reach the client with their message and
+ * details instead of being masked as bugs. Wraps every resolver of `schema`
+ * to convert them.
+ */
+export function withHttpErrors(schema: GraphQLSchema) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (!isObjectType(type) || type.name.startsWith("__")) {
+      continue;
+    }
+    for (const field of Object.values(type.getFields())) {
+      const { resolve } = field;
+      if (resolve) {
+        field.resolve = async (...args) => {
+          try {
+            return await resolve(...args);
+          } catch (error) {
+            throw toGraphQLError(error);
+          }
+        };
+      }
+    }
+  }
+  return schema;
+}
@@ -0,0 +1,17 @@
+import { createPubSub } from "graphql-yoga";
+import sql from "../../REST API/db";
+import type { OrderCreated } from "./models";
+
+export const pubSub = createPubSub<{ orderCreated: [OrderCreated] }>();
+
+/**
+ * Relays the `orders_created` notifications of Postgres to the subscribers,
+ * so that orders placed through the REST API are announced too. Resolves
+ * once listening, with a function that stops it.
+ */
+export async function listenForOrders() {
+  const { unlisten } = await sql.listen("orders_created", (payload) => {
+    pubSub.publish("orderCreated", JSON.parse(payload));
+  });
+  return unlisten;
+}
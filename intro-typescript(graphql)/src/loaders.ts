@@ -0,0 +1,100 @@
+import DataLoader from "dataloader";
+import sql from "../../REST API/db";
+import { withImages } from "../../REST API/images";
+import type {
+  OrderItemRow,
+  OrderRow,
+  ProductImage,
+  ProductRow,
+  UserRow,
+} from "./models";
+
+type Sql = typeof sql;
+
+// The row of each key, in the order DataLoader expects.
+function one<T extends { id: number }>(ids: readonly number[], rows: T[]) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id));
+}
+
+// The rows of each key, an empty list for the keys without any.
+function many<T>(
+  keys: readonly number[],
+  rows: T[],
+  keyOf: (row: T) => number,
+) {
+  const groups = new Map<number, T[]>(keys.map((key) => [key, []]));
+  for (const row of rows) {
+    groups.get(keyOf(row))?.push(row);
+  }
+  return keys.map((key) => groups.get(key) as T[]);
+}
+
+// The loaded row, or null when it does not exist or is deleted. Loaders give
+// deleted rows too: an order still shows the product it was placed for.
+export function existing<T extends { deletedAt: Date | null }>(row?: T) {
+  return row && !row.deletedAt ? row : null;
+}
+
+/**
+ * One set of loaders per request: every `load` made while resolving a level
+ * of the query is batched into a single SELECT, and each row is fetched once
+ * per request at most.
+ */
+export function createLoaders(db: Sql = sql) {
+  return {
+    user: new DataLoader<number, UserRow | undefined>(async (ids) =>
+      one(ids, await db<UserRow[]>`SELECT * FROM users WHERE id IN ${db(ids)}`),
+    ),
+
+    product: new DataLoader<number, ProductRow | undefined>(async (ids) =>
+      one(
+        ids,
+        await db<ProductRow[]>`SELECT * FROM products WHERE id IN ${db(ids)}`,
+      ),
+    ),
+
+    productImages: new DataLoader<number, ProductImage[]>(async (ids) => {
+      const products = await withImages(
+        ids.map((id) => ({ id })),
+        db,
+      );
+      return products.map(
+        (product: { images: ProductImage[] }) => product.images,
+      );
+    }),
+
+    order: new DataLoader<number, OrderRow | undefined>(async (ids) =>
+      one(
+        ids,
+        await db<OrderRow[]>`SELECT * FROM orders WHERE id IN ${db(ids)}`,
+      ),
+    ),
+
+    orderItems: new DataLoader<number, OrderItemRow[]>(async (orderIds) =>
+      many(
+        orderIds,
+        await db<OrderItemRow[]>`
+          SELECT * FROM order_items
+          WHERE order_id IN ${db(orderIds)}
+          ORDER BY id
+        `,
+        (item) => item.orderId,
+      ),
+    ),
+
+    userOrders: new DataLoader<number, OrderRow[]>(async (userIds) =>
+      many(
+        userIds,
+        await db<OrderRow[]>`
+          SELECT * FROM orders
+          WHERE user_id IN ${db(userIds)} AND deleted_at IS NULL
+          ORDER BY id
+        `,
+        (order) => order.userId,
+      ),
+    ),
+  };
+}
+
+export type Loaders = ReturnType<typeof createLoaders>;
@@ -0,0 +1,81 @@
+// Rows of the REST API's tables, as db.js returns them: camelCase columns
+// and amounts of money as numbers. Deleted users, products and orders stay,
+// with a `deletedAt`.
+
+export type Role = "customer" | "admin";
+export type TaxClass = "standard" | "reduced" | "exempt";
+export type OrderStatus = "pending" | "paid" | "shipped" | "cancelled";
+
+export interface ProductRow {
+  id: number;
+  sku: string | null;
+  name: string;
+  about: string;
+  price: number;
+  taxClass: TaxClass;
+  stock: number;
+  category: string | null;
+  deletedAt: Date | null;
+}
+
+// The password hash is there, but no GraphQL field exposes it.
+export interface UserRow {
+  id: number;
+  name: string;
+  email: string;
+  role: Role;
+  password: string;
+  version: number;
+  emailVerifiedAt: Date | null;
+  deletedAt: Date | null;
+}
+
+export interface OrderRow {
+  id: number;
+  userId: number;
+  status: OrderStatus;
+  country: string;
+  couponCode: string | null;
+  subtotal: number;
+  discount: number;
+  tax: number;
+  total: number;
+  createdAt: Date;
+  updatedAt: Date;
+  version: number;
+  deletedAt: Date | null;
+}
+
+export interface OrderItemRow {
+  id: number;
+  orderId: number;
+  productId: number;
+  quantity: number;
+  unitPrice: number;
+  taxClass: TaxClass;
+  taxRate: number;
+  discount: number;
+  tax: number;
+}
+
+export interface ProductImage {
+  id: number;
+  url: string;
+  thumbnailUrl: string;
+  contentType: string;
+  size: number;
+  width: number;
+  height: number;
+}
+
+// Payload of the `orders_created` notifications.
+export interface OrderCreated {
+  id: number;
+  userId: number;
+}
+
+// Who sent the request, from the claims of their access token.
+export interface AuthUser {
+  id: number;
+  role: Role;
+}
@@ -0,0 +1,14 @@
+import { paginate } from "../../REST API/pagination";
+
+export interface Page<T> {
+  data: T[];
+  nextCursor: string | null;
+  total: number;
+}
+
+// The REST API's paginate(), for a table of `T` rows.
+export function paginated<T>(
+  ...args: Parameters<typeof paginate>
+): Promise<Page<T>> {
+  return paginate(...args) as Promise<Page<T>>;
+}
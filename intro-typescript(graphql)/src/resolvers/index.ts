@@ -0,0 +1,30 @@
+import { GraphQLError, GraphQLScalarType, Kind } from "graphql";
+import type { Resolvers } from "../generated/resolvers-types";
+import { productResolvers } from "./products";
+import { userResolvers } from "./users";
+import { orderResolvers } from "./orders";
+
+function toDate(value: unknown) {
+  const date = new Date(value as string);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new GraphQLError(`Invalid DateTime: ${String(value)}`);
+  }
+  return date;
+}
+
+const scalarResolvers: Resolvers = {
+  DateTime: new GraphQLScalarType<Date, string>({
+    name: "DateTime",
+    serialize: (value) => new Date(value as Date | string).toISOString(),
+    parseValue: toDate,
+    parseLiteral: (ast) =>
+      toDate(ast.kind === Kind.STRING ? ast.value : undefined),
+  }),
+};
+
+export const resolvers = [
+  scalarResolvers,
+  productResolvers,
+  userResolvers,
+  orderResolvers,
+];
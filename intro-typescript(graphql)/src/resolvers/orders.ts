@@ -0,0 +1,168 @@
+import { filter, pipe } from "graphql-yoga";
+import sql from "../../../REST API/db";
+import { HttpError } from "../../../REST API/errors";
+import {
+  createOrder,
+  deleteOrder,
+  transitionOrder,
+} from "../../../REST API/orders";
+import {
+  CreateOrderSchema,
+  OrderListQuerySchema,
+  UpdateOrderSchema,
+} from "../../../REST API/schemas";
+import { isAdmin, requireAdmin, requireUser } from "../auth";
+import type { Context } from "../context";
+import { defined, toId } from "../args";
+import { parse } from "../errors";
+import { pubSub } from "../events";
+import { paginated } from "../pagination";
+import type { Resolvers } from "../generated/resolvers-types";
+import { existing, type Loaders } from "../loaders";
+import type {
+  OrderCreated,
+  OrderItemRow,
+  OrderRow,
+  OrderStatus,
+  ProductRow,
+  UserRow,
+} from "../models";
+
+// The orders module returns orders with their lines: no need to load them again.
+function primed(loaders: Loaders, order: OrderRow & { items: OrderItemRow[] }) {
+  loaders.orderItems.prime(order.id, order.items);
+  return order;
+}
+
+// The filters that OrderListQuerySchema adds to the list parameters.
+interface OrderFilters {
+  userId?: number;
+  productId?: number;
+  status?: OrderStatus;
+}
+
+export const orderResolvers: Resolvers = {
+  Query: {
+    async orders(_, { filter: filters, ...args }, { user }) {
+      const current = requireUser(user);
+      const query: OrderFilters & { limit: number } = parse(
+        OrderListQuerySchema,
+        defined({
+          ...args,
+          status: filters?.status,
+          userId: filters?.userId,
+          productId: filters?.productId,
+        }),
+      );
+      const conditions = [];
+
+      if (!isAdmin(current)) {
+        conditions.push(sql`user_id = ${current.id}`);
+      } else if (query.userId !== undefined) {
+        conditions.push(sql`user_id = ${query.userId}`);
+      }
+      if (query.productId !== undefined) {
+        conditions.push(
+          sql`id IN (SELECT order_id FROM order_items WHERE product_id = ${query.productId})`,
+        );
+      }
+      if (query.status) {
+        conditions.push(sql`status = ${query.status}`);
+      }
+      conditions.push(sql`deleted_at IS NULL`);
+
+      return paginated<OrderRow>("orders", query, conditions);
+    },
+
+    // Someone else's order does not exist as far as a customer knows.
+    async order(_, { id }, { user, loaders }) {
+      const current = requireUser(user);
+      const order = existing(await loaders.order.load(toId(id)));
+      return order && (isAdmin(current) || order.userId === current.id)
+        ? order
+        : null;
+    },
+  },
+
+  Mutation: {
+    async createOrder(_, { input }, { user, loaders }) {
+      const current = requireUser(user);
+      const body = parse(
+        CreateOrderSchema,
+        defined({
+          ...input,
+          userId: input.userId ? toId(input.userId) : undefined,
+          items: input.items.map((item) => ({
+            productId: toId(item.productId),
+            quantity: item.quantity,
+          })),
+        }),
+        "Invalid order data",
+      );
+
+      const userId = body.userId ?? current.id;
+      if (!isAdmin(current) && userId !== current.id) {
+        throw new HttpError(403);
+      }
+
+      const order = await createOrder(
+        userId,
+        body as Parameters<typeof createOrder>[1],
+        current,
+      );
+      return primed(loaders, order);
+    },
+
+    async updateOrderStatus(_, { id, status }, { user, loaders }) {
+      const current = requireUser(user);
+      const body = parse(UpdateOrderSchema, { status });
+
+      if (!isAdmin(current) && body.status !== "cancelled") {
+        throw new HttpError(403);
+      }
+
+      const order = await transitionOrder(
+        toId(id),
+        body.status,
+        isAdmin(current) ? undefined : current.id,
+        current,
+      );
+      return primed(loaders, order);
+    },
+
+    async deleteOrder(_, { id }, { user, loaders }) {
+      const current = requireAdmin(user);
+      const order = await deleteOrder(toId(id), current);
+      return order ? primed(loaders, order) : null;
+    },
+  },
+
+  Subscription: {
+    orderCreated: {
+      subscribe(_, __, { user }) {
+        const current = requireUser(user);
+        return pipe(
+          pubSub.subscribe("orderCreated"),
+          filter((event) => isAdmin(current) || event.userId === current.id),
+        );
+      },
+      // Notifications are sent on commit, so the order and its lines are there.
+      async resolve(event: OrderCreated, _: unknown, { loaders }: Context) {
+        const { id } = event;
+        return (await loaders.order.load(id)) as OrderRow;
+      },
+    },
+  },
+
+  // Foreign keys guarantee that these rows exist.
+  Order: {
+    user: async (order, _, { loaders }) =>
+      (await loaders.user.load(order.userId)) as UserRow,
+    items: (order, _, { loaders }) => loaders.orderItems.load(order.id),
+  },
+
+  OrderItem: {
+    product: async (item, _, { loaders }) =>
+      (await loaders.product.load(item.productId)) as ProductRow,
+  },
+};
@@ -0,0 +1,83 @@
+import sql from "../../../REST API/db";
+import { contains } from "../../../REST API/pagination";
+import { insertRow } from "../../../REST API/records";
+import {
+  CreateProductSchema,
+  ProductListQuerySchema,
+} from "../../../REST API/schemas";
+import { requireAdmin } from "../auth";
+import { defined, toId } from "../args";
+import { parse } from "../errors";
+import { existing } from "../loaders";
+import { paginated } from "../pagination";
+import type { Resolvers } from "../generated/resolvers-types";
+import type { ProductRow } from "../models";
+
+// The filters that ProductListQuerySchema adds to the list parameters.
+interface ProductFilters {
+  category?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  "name~"?: string;
+}
+
+export const productResolvers: Resolvers = {
+  Query: {
+    async products(_, { filter, ...args }) {
+      const query: ProductFilters & { limit: number } = parse(
+        ProductListQuerySchema,
+        defined({
+          ...args,
+          category: filter?.category,
+          minPrice: filter?.minPrice,
+          maxPrice: filter?.maxPrice,
+          "name~": filter?.nameContains,
+        }),
+      );
+      const conditions = [];
+
+      if (query.category) {
+        conditions.push(sql`category = ${query.category}`);
+      }
+      if (query.minPrice !== undefined) {
+        conditions.push(sql`price >= ${query.minPrice}`);
+      }
+      if (query.maxPrice !== undefined) {
+        conditions.push(sql`price <= ${query.maxPrice}`);
+      }
+      if (query["name~"]) {
+        conditions.push(contains("name", query["name~"]));
+      }
+      conditions.push(sql`deleted_at IS NULL`);
+
+      return paginated<ProductRow>("products", query, conditions);
+    },
+
+    async product(_, { id }, { loaders }) {
+      return existing(await loaders.product.load(toId(id)));
+    },
+  },
+
+  Mutation: {
+    async createProduct(_, { input }, { user }) {
+      const current = requireAdmin(user);
+      const body = parse(
+        CreateProductSchema,
+        defined(input),
+        "Invalid product",
+      );
+
+      const product = (await insertRow(
+        "products",
+        body,
+        ["sku", "name", "about", "price", "taxClass", "stock", "category"],
+        current,
+      )) as ProductRow;
+      return product;
+    },
+  },
+
+  Product: {
+    images: (product, _, { loaders }) => loaders.productImages.load(product.id),
+  },
+};
@@ -0,0 +1,115 @@
+import sql from "../../../REST API/db";
+import {
+  reverifyChangedEmail,
+  sendVerification,
+} from "../../../REST API/accounts";
+import { HttpError } from "../../../REST API/errors";
+import { logger } from "../../../REST API/logger";
+import { store } from "../../../REST API/rate-limit";
+import { insertRow, updateRow } from "../../../REST API/records";
+import {
+  CreateUserSchema,
+  UpdateUserSchema,
+  UserListQuerySchema,
+} from "../../../REST API/schemas";
+import { userRow } from "../../../REST API/serialize";
+import { requireAdmin, requireSelfOrAdmin } from "../auth";
+import { defined, toId } from "../args";
+import { parse } from "../errors";
+import { existing } from "../loaders";
+import { paginated } from "../pagination";
+import type { Resolvers } from "../generated/resolvers-types";
+import type { UserRow } from "../models";
+
+// The bucket of POST /users in the REST API: signing up through either API
+// counts against the same limit.
+const SIGNUP_LIMIT = { limit: 5, window: 60 * 60 };
+
+async function limitSignups(ip: string) {
+  const key = `signup:${ip}`;
+  let bucket;
+  try {
+    bucket = await store.take(key, SIGNUP_LIMIT);
+  } catch (error) {
+    // Fails open, as the REST API does when the store is unavailable.
+    logger.error("Rate limit store unavailable", { key, error });
+    return;
+  }
+
+  if (!bucket.allowed) {
+    const rate = SIGNUP_LIMIT.limit / SIGNUP_LIMIT.window;
+    throw new HttpError(429, "Too many requests", {
+      retryAfter: Math.ceil((1 - bucket.tokens) / rate),
+    });
+  }
+}
+
+export const userResolvers: Resolvers = {
+  Query: {
+    async me(_, __, { user, loaders }) {
+      return user ? existing(await loaders.user.load(user.id)) : null;
+    },
+
+    async users(_, args, { user }) {
+      requireAdmin(user);
+      return paginated<UserRow>(
+        "users",
+        parse(UserListQuerySchema, defined(args)),
+        [sql`deleted_at IS NULL`],
+      );
+    },
+
+    async user(_, { id }, { user, loaders }) {
+      const userId = toId(id);
+      requireSelfOrAdmin(user, userId);
+      return existing(await loaders.user.load(userId));
+    },
+  },
+
+  Mutation: {
+    async createUser(_, { input }, { req }) {
+      await limitSignups(req.ip ?? "");
+      const body = await userRow(
+        parse(CreateUserSchema, input, "Invalid user"),
+      );
+
+      const created = (await insertRow(
+        "users",
+        body,
+        ["name", "email", "password"],
+        null,
+      )) as UserRow;
+      await sendVerification(created);
+      return created;
+    },
+
+    async updateUser(_, { id, input }, { user }) {
+      const userId = toId(id);
+      const current = requireSelfOrAdmin(user, userId);
+      const updates = defined(
+        parse(UpdateUserSchema, defined(input), "Invalid user"),
+      );
+
+      if (Object.keys(updates).length === 0) {
+        throw new HttpError(400, "No valid fields provided for update");
+      }
+
+      const values = await userRow(updates);
+      const updated = (await reverifyChangedEmail(userId, () =>
+        updateRow("users", userId, values, current),
+      )) as UserRow | undefined;
+
+      if (!updated) {
+        throw new HttpError(404, "User not found");
+      }
+      return updated;
+    },
+  },
+
+  User: {
+    orders(user, _, context) {
+      requireSelfOrAdmin(context.user, user.id);
+      return context.loaders.userOrders.load(user.id);
+    },
+  },
+};
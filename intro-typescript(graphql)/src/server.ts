@@ -0,0 +1,64 @@
+import fs from "node:fs";
+import path from "node:path";
+import express from "express";
+import { createSchema, createYoga } from "graphql-yoga";
+import { config } from "../../REST API/config";
+import { errorHandler } from "../../REST API/errors";
+import { retry } from "../../REST API/lifecycle";
+import { logger } from "../../REST API/logger";
+import { rateLimit, store } from "../../REST API/rate-limit";
+import { createContext, type Context, type ServerContext } from "./context";
+import { withHttpErrors } from "./errors";
+import { listenForOrders } from "./events";
+import { resolvers } from "./resolvers";
+
+const typeDefs = fs.readFileSync(
+  path.join(__dirname, "schema.graphql"),
+  "utf8",
+);
+
+export const yoga = createYoga<ServerContext>({
+  schema: withHttpErrors(createSchema<Context>({ typeDefs, resolvers })),
+  context: createContext,
+});
+
+export const app = express();
+
+// A GraphQL request can do as much as several REST ones: same budget per address.
+app.use(
+  yoga.graphqlEndpoint,
+  rateLimit({
+    name: "graphql",
+    limit: 300,
+    window: 60,
+    key: (req: express.Request) => req.ip as string,
+    store,
+  }),
+  (req, res) => yoga.handle(req, res, { req }),
+);
+app.use(errorHandler);
+
+// Waits for the database and reads PORT as the REST API does, then listens.
+if (require.main === module) {
+  retry(listenForOrders, {
+    retries: config.database.connectRetries,
+    delay: config.database.connectDelay,
+    onRetry: (error, wait) =>
+      logger.warn("Database unavailable, retrying", {
+        error: error.message,
+        wait,
+      }),
+  })
+    .then(() => {
+      app.listen(config.port, () => {
+        logger.info("Server listening", {
+          port: config.port,
+          endpoint: yoga.graphqlEndpoint,
+        });
+      });
+    })
+    .catch((error) => {
+      logger.error("Startup failed", { error });
+      process.exit(1);
+    });
+}
@@ -0,0 +1,7 @@
+// The REST API owns the migrations: its setup creates and migrates a
+// throwaway database, here a separate one so that both suites can run at
+// the same time.
+export = async () => {
+  process.env.TEST_PGDATABASE ||= "mydb_graphql_test";
+  await require("../../REST API/tests/global-setup")();
+};
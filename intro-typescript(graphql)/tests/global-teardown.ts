@@ -0,0 +1,3 @@
+import teardown = require("../../REST API/tests/global-teardown");
+
+export = teardown;
@@ -0,0 +1,93 @@
+import jwt from "jsonwebtoken";
+import supertest from "supertest";
+import sql from "../../REST API/db";
+import { store } from "../../REST API/rate-limit";
+import { app } from "../src/server";
+import type { ProductRow, UserRow } from "../src/models";
+
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "access-secret";
+
+export function request() {
+  return supertest(app);
+}
+
+export async function resetDatabase() {
+  await sql`
+    TRUNCATE users, refresh_tokens, products, orders, order_items,
+      product_images, rate_limit_buckets, coupons, audit_log, cart_items,
+      wishlist_items, user_tokens
+    RESTART IDENTITY CASCADE
+  `;
+  await store.reset();
+}
+
+export async function createUser(overrides: Partial<UserRow> = {}) {
+  const user = {
+    name: `user${Math.random().toString(36).slice(2)}`,
+    email: `user${Math.random().toString(36).slice(2)}@shop.local`,
+    role: "customer",
+    password: "not a hash",
+    emailVerifiedAt: new Date(),
+    ...overrides,
+  };
+  const [created] = await sql<UserRow[]>`
+    INSERT INTO users ${sql(user)}
+    RETURNING *
+  `;
+  return created;
+}
+
+export async function createProduct(overrides: Partial<ProductRow> = {}) {
+  const product = {
+    name: "Clavier mécanique",
+    about: "Switches rouges, rétroéclairé",
+    price: 89.9,
+    taxClass: "standard",
+    stock: 10,
+    category: null,
+    ...overrides,
+  };
+  const [created] = await sql<ProductRow[]>`
+    INSERT INTO products ${sql(product)}
+    RETURNING *
+  `;
+  return created;
+}
+
+// An access token as the REST API's /auth/login would issue it.
+export function tokenFor(user: Pick<UserRow, "id" | "role">) {
+  return jwt.sign(
+    { sub: String(user.id), role: user.role },
+    ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: "15m",
+    },
+  );
+}
+
+export function auth(user: Pick<UserRow, "id" | "role">) {
+  return { Authorization: `Bearer ${tokenFor(user)}` };
+}
+
+/**
+ * Sends `query` as `user` (anonymously without one) and resolves with the
+ * GraphQL response: `{ data, errors }`.
+ */
+export async function graphql(
+  query: string,
+  variables: Record<string, unknown> = {},
+  user?: Pick<UserRow, "id" | "role">,
+) {
+  const response = await request()
+    .post("/graphql")
+    .set(user ? auth(user) : {})
+    .send({ query, variables });
+  return response.body;
+}
+
+// The `extensions.code` of each error of a GraphQL response.
+export function codesOf(response: {
+  errors?: { extensions: { code: string } }[];
+}) {
+  return (response.errors || []).map((error) => error.extensions.code);
+}
@@ -0,0 +1,62 @@
+import sql from "../../REST API/db";
+import { createLoaders } from "../src/loaders";
+import { resetDatabase, createUser, createProduct } from "./helpers";
+
+// `sql`, recording the text of every query it runs.
+function counting() {
+  const queries: string[] = [];
+  const db = (first: unknown, ...rest: unknown[]) => {
+    if (Array.isArray(first) && "raw" in first) {
+      queries.push(first.join("?").replace(/\s+/g, " ").trim());
+    }
+    return (sql as unknown as (...args: unknown[]) => unknown)(first, ...rest);
+  };
+  return { db: db as unknown as typeof sql, queries };
+}
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+test("batches the loads of a tick into one query", async () => {
+  const alice = await createUser({ name: "alice" });
+  const bob = await createUser({ name: "bob" });
+  const { db, queries } = counting();
+  const loaders = createLoaders(db);
+
+  const users = await Promise.all([
+    loaders.user.load(bob.id),
+    loaders.user.load(alice.id),
+    loaders.user.load(0),
+    loaders.user.load(bob.id),
+  ]);
+
+  expect(users.map((user) => user?.name)).toEqual([
+    "bob",
+    "alice",
+    undefined,
+    "bob",
+  ]);
+  expect(queries).toEqual(["SELECT * FROM users WHERE id IN ?"]);
+});
+
+test("fetches each row once per set of loaders", async () => {
+  const keyboard = await createProduct({ name: "Clavier" });
+  const { db, queries } = counting();
+  const loaders = createLoaders(db);
+
+  await loaders.product.load(keyboard.id);
+  await loaders.product.load(keyboard.id);
+  await createLoaders(db).product.load(keyboard.id);
+
+  expect(queries).toHaveLength(2);
+});
+
+test("gives an empty list to the keys without rows", async () => {
+  const alice = await createUser({ name: "alice" });
+  const keyboard = await createProduct({ name: "Clavier" });
+  const loaders = createLoaders();
+
+  expect(await loaders.userOrders.load(alice.id)).toEqual([]);
+  expect(await loaders.productImages.load(keyboard.id)).toEqual([]);
+});
@@ -0,0 +1,339 @@
+import sql from "../../REST API/db";
+import {
+  resetDatabase,
+  createUser,
+  createProduct,
+  graphql,
+  codesOf,
+} from "./helpers";
+import type { ProductRow, UserRow } from "../src/models";
+
+let admin: UserRow;
+let alice: UserRow;
+let bob: UserRow;
+let keyboard: ProductRow;
+let mouse: ProductRow;
+
+const CREATE_ORDER = `
+  mutation ($input: CreateOrderInput!) {
+    createOrder(input: $input) {
+      id
+      status
+      subtotal
+      discount
+      tax
+      total
+      user {
+        name
+      }
+      items {
+        quantity
+        unitPrice
+        taxRate
+        tax
+        product {
+          name
+        }
+      }
+    }
+  }
+`;
+
+function placeOrder(
+  user: UserRow,
+  items: [ProductRow, number][],
+  userId?: number,
+) {
+  return graphql(
+    CREATE_ORDER,
+    {
+      input: {
+        userId,
+        items: items.map(([product, quantity]) => ({
+          productId: product.id,
+          quantity,
+        })),
+      },
+    },
+    user,
+  );
+}
+
+async function stockOf(product: ProductRow) {
+  const [{ stock }] =
+    await sql`SELECT stock FROM products WHERE id = ${product.id}`;
+  return stock;
+}
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await createUser({ name: "admin", role: "admin" });
+  alice = await createUser({ name: "alice" });
+  bob = await createUser({ name: "bob" });
+  keyboard = await createProduct({ name: "Clavier", price: 80, stock: 5 });
+  mouse = await createProduct({ name: "Souris", price: 20.5, stock: 2 });
+});
+
+describe("createOrder", () => {
+  test("prices the order and reserves the stock, as the REST API does", async () => {
+    const response = await placeOrder(alice, [
+      [keyboard, 2],
+      [mouse, 1],
+    ]);
+
+    expect(response.errors).toBeUndefined();
+    expect(response.data.createOrder).toMatchObject({
+      status: "pending",
+      subtotal: 180.5,
+      discount: 0,
+      tax: 36.1,
+      total: 216.6,
+      user: { name: "alice" },
+      items: [
+        {
+          quantity: 2,
+          unitPrice: 80,
+          taxRate: 0.2,
+          tax: 32,
+          product: { name: "Clavier" },
+        },
+        {
+          quantity: 1,
+          unitPrice: 20.5,
+          taxRate: 0.2,
+          tax: 4.1,
+          product: { name: "Souris" },
+        },
+      ],
+    });
+    expect(await stockOf(keyboard)).toBe(3);
+    expect(await stockOf(mouse)).toBe(1);
+  });
+
+  test("reports the missing stock with the REST API's details", async () => {
+    const response = await placeOrder(alice, [[mouse, 3]]);
+
+    expect(response.data).toBeNull();
+    expect(response.errors[0]).toMatchObject({
+      message: "Insufficient stock",
+      path: ["createOrder"],
+      extensions: {
+        code: "CONFLICT",
+        status: 409,
+        productId: mouse.id,
+        requested: 3,
+        available: 2,
+      },
+    });
+  });
+
+  test("lets admins only order for someone else", async () => {
+    const forbidden = await placeOrder(alice, [[keyboard, 1]], bob.id);
+    const allowed = await placeOrder(admin, [[keyboard, 1]], bob.id);
+
+    expect(codesOf(forbidden)).toEqual(["FORBIDDEN"]);
+    expect(allowed.data.createOrder.user).toEqual({ name: "bob" });
+  });
+
+  test("validates the input", async () => {
+    const empty = await placeOrder(alice, []);
+    const anonymous = await graphql(CREATE_ORDER, {
+      input: { items: [{ productId: keyboard.id, quantity: 1 }] },
+    });
+
+    expect(codesOf(empty)).toEqual(["BAD_USER_INPUT"]);
+    expect(empty.errors[0].extensions.errors).toEqual([
+      expect.objectContaining({ path: ["items"] }),
+    ]);
+    expect(codesOf(anonymous)).toEqual(["UNAUTHENTICATED"]);
+  });
+});
+
+describe("orders and order", () => {
+  beforeEach(async () => {
+    await placeOrder(alice, [[keyboard, 1]]);
+    await placeOrder(bob, [[mouse, 1]]);
+  });
+
+  test("give customers their own orders only", async () => {
+    const query = `
+      query ($id: ID!) {
+        orders {
+          data {
+            user {
+              name
+            }
+          }
+          total
+        }
+        order(id: $id) {
+          id
+        }
+      }
+    `;
+    const [bobOrder] =
+      await sql`SELECT id FROM orders WHERE user_id = ${bob.id}`;
+
+    const asAlice = await graphql(query, { id: bobOrder.id }, alice);
+    const asAdmin = await graphql(query, { id: bobOrder.id }, admin);
+
+    expect(asAlice.data).toEqual({
+      orders: { data: [{ user: { name: "alice" } }], total: 1 },
+      order: null,
+    });
+    expect(asAdmin.data).toEqual({
+      orders: {
+        data: [{ user: { name: "alice" } }, { user: { name: "bob" } }],
+        total: 2,
+      },
+      order: { id: String(bobOrder.id) },
+    });
+  });
+
+  test("filter by product and status", async () => {
+    const response = await graphql(
+      `
+        query ($productId: ID) {
+          orders(filter: { productId: $productId, status: pending }) {
+            data {
+              user {
+                name
+              }
+            }
+          }
+        }
+      `,
+      { productId: mouse.id },
+      admin,
+    );
+
+    expect(response.data.orders.data).toEqual([{ user: { name: "bob" } }]);
+  });
+
+  test("give a user's orders to themselves and to admins", async () => {
+    const query = `
+      query ($id: ID!) {
+        user(id: $id) {
+          orders {
+            total
+          }
+        }
+      }
+    `;
+
+    const own = await graphql(query, { id: alice.id }, alice);
+    const asAdmin = await graphql(query, { id: alice.id }, admin);
+
+    expect(own.data.user.orders).toEqual([{ total: 96 }]);
+    expect(asAdmin.data.user.orders).toEqual([{ total: 96 }]);
+  });
+
+  test("leave deleted orders out of a user's orders", async () => {
+    const [aliceOrder] =
+      await sql`SELECT id FROM orders WHERE user_id = ${alice.id}`;
+    await graphql(
+      `
+        mutation ($id: ID!) {
+          deleteOrder(id: $id) {
+            id
+          }
+        }
+      `,
+      { id: aliceOrder.id },
+      admin,
+    );
+
+    const response = await graphql(
+      `
+        query ($id: ID!) {
+          me {
+            orders {
+              id
+            }
+          }
+          user(id: $id) {
+            orders {
+              id
+            }
+          }
+        }
+      `,
+      { id: alice.id },
+      alice,
+    );
+
+    expect(response.data).toEqual({
+      me: { orders: [] },
+      user: { orders: [] },
+    });
+  });
+});
+
+describe("updateOrderStatus and deleteOrder", () => {
+  let order: { id: string };
+
+  beforeEach(async () => {
+    const response = await placeOrder(alice, [[keyboard, 2]]);
+    order = response.data.createOrder;
+  });
+
+  const UPDATE_STATUS = `
+    mutation ($id: ID!, $status: OrderStatus!) {
+      updateOrderStatus(id: $id, status: $status) {
+        status
+      }
+    }
+  `;
+
+  test("let customers cancel their order, which gives back the stock", async () => {
+    const response = await graphql(
+      UPDATE_STATUS,
+      { id: order.id, status: "cancelled" },
+      alice,
+    );
+
+    expect(response.data.updateOrderStatus).toEqual({ status: "cancelled" });
+    expect(await stockOf(keyboard)).toBe(5);
+  });
+
+  test("let admins only move an order forward", async () => {
+    const asAlice = await graphql(
+      UPDATE_STATUS,
+      { id: order.id, status: "paid" },
+      alice,
+    );
+    const asAdmin = await graphql(
+      UPDATE_STATUS,
+      { id: order.id, status: "paid" },
+      admin,
+    );
+    const backwards = await graphql(
+      UPDATE_STATUS,
+      { id: order.id, status: "pending" },
+      admin,
+    );
+
+    expect(codesOf(asAlice)).toEqual(["FORBIDDEN"]);
+    expect(asAdmin.data.updateOrderStatus).toEqual({ status: "paid" });
+    expect(codesOf(backwards)).toEqual(["CONFLICT"]);
+  });
+
+  test("let admins delete an order", async () => {
+    const DELETE = `
+      mutation ($id: ID!) {
+        deleteOrder(id: $id) {
+          id
+        }
+      }
+    `;
+
+    const asAlice = await graphql(DELETE, { id: order.id }, alice);
+    const deleted = await graphql(DELETE, { id: order.id }, admin);
+    const again = await graphql(DELETE, { id: order.id }, admin);
+
+    expect(codesOf(asAlice)).toEqual(["FORBIDDEN"]);
+    expect(deleted.data.deleteOrder).toEqual({ id: order.id });
+    expect(again.data.deleteOrder).toBeNull();
+    expect(await stockOf(keyboard)).toBe(5);
+  });
+});
@@ -0,0 +1,235 @@
+import sql from "../../REST API/db";
+import {
+  resetDatabase,
+  createUser,
+  createProduct,
+  graphql,
+  codesOf,
+} from "./helpers";
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+describe("products", () => {
+  beforeEach(async () => {
+    await createProduct({
+      name: "Clavier",
+      price: 80,
+      category: "Périphériques",
+    });
+    await createProduct({
+      name: "Souris",
+      price: 20,
+      category: "Périphériques",
+    });
+    await createProduct({ name: "Écran", price: 300, category: "Écrans" });
+  });
+
+  test("filters and sorts like the REST API", async () => {
+    const response = await graphql(`
+      {
+        products(filter: { category: "Périphériques" }, sort: "-price") {
+          data {
+            name
+            price
+            images {
+              url
+            }
+          }
+          total
+          nextCursor
+        }
+      }
+    `);
+
+    expect(response.data.products).toEqual({
+      data: [
+        { name: "Clavier", price: 80, images: [] },
+        { name: "Souris", price: 20, images: [] },
+      ],
+      total: 2,
+      nextCursor: null,
+    });
+  });
+
+  test("pages with a cursor", async () => {
+    const query = `
+      query ($cursor: String) {
+        products(limit: 2, sort: "name", cursor: $cursor) {
+          data {
+            name
+          }
+          nextCursor
+        }
+      }
+    `;
+
+    const first = await graphql(query);
+    const second = await graphql(query, {
+      cursor: first.data.products.nextCursor,
+    });
+
+    expect(first.data.products.data).toEqual([
+      { name: "Clavier" },
+      { name: "Souris" },
+    ]);
+    expect(second.data.products).toEqual({
+      data: [{ name: "Écran" }],
+      nextCursor: null,
+    });
+  });
+
+  test("rejects the arguments the REST API rejects", async () => {
+    const response = await graphql(`
+      {
+        products(sort: "stock", limit: 500) {
+          total
+        }
+      }
+    `);
+
+    expect(codesOf(response)).toEqual(["BAD_USER_INPUT"]);
+    expect(
+      response.errors[0].extensions.errors.map(
+        (error: { path: string[] }) => error.path[0],
+      ),
+    ).toEqual(["limit", "sort"]);
+  });
+});
+
+describe("product", () => {
+  test("returns the product, or null", async () => {
+    const product = await createProduct({
+      name: "Clavier",
+      taxClass: "reduced",
+    });
+
+    const response = await graphql(
+      `
+        query ($id: ID!) {
+          product(id: $id) {
+            id
+            name
+            taxClass
+          }
+          missing: product(id: 999) {
+            id
+          }
+        }
+      `,
+      { id: product.id },
+    );
+
+    expect(response.data).toEqual({
+      product: { id: String(product.id), name: "Clavier", taxClass: "reduced" },
+      missing: null,
+    });
+  });
+
+  test("leaves deleted products out, as the REST API does", async () => {
+    const product = await createProduct({ deletedAt: new Date() });
+
+    const response = await graphql(
+      `
+        query ($id: ID!) {
+          product(id: $id) {
+            id
+          }
+          products {
+            total
+          }
+        }
+      `,
+      { id: product.id },
+    );
+
+    expect(response.data).toEqual({ product: null, products: { total: 0 } });
+  });
+});
+
+describe("createProduct", () => {
+  const mutation = `
+    mutation ($input: CreateProductInput!) {
+      createProduct(input: $input) {
+        name
+        price
+        taxClass
+        stock
+        category
+      }
+    }
+  `;
+
+  test("creates a product with the REST API's defaults", async () => {
+    const admin = await createUser({ role: "admin" });
+
+    const response = await graphql(
+      mutation,
+      { input: { name: "Webcam", about: "1080p", price: 39.99 } },
+      admin,
+    );
+
+    expect(response.data.createProduct).toEqual({
+      name: "Webcam",
+      price: 39.99,
+      taxClass: "standard",
+      stock: 0,
+      category: null,
+    });
+    const [entry] = await sql`SELECT * FROM audit_log`;
+    expect(entry).toMatchObject({
+      actorId: admin.id,
+      action: "create",
+      entity: "products",
+    });
+  });
+
+  test("stores the SKU, unique like in the REST API", async () => {
+    const admin = await createUser({ role: "admin" });
+    const query = `
+      mutation ($input: CreateProductInput!) {
+        createProduct(input: $input) {
+          sku
+        }
+      }
+    `;
+    const input = {
+      sku: "CAM-1080",
+      name: "Webcam",
+      about: "1080p",
+      price: 39.99,
+    };
+
+    const created = await graphql(query, { input }, admin);
+    const again = await graphql(query, { input }, admin);
+
+    expect(created.data.createProduct).toEqual({ sku: "CAM-1080" });
+    expect(codesOf(again)).toEqual(["CONFLICT"]);
+  });
+
+  test("validates the input with the REST API's rules", async () => {
+    const admin = await createUser({ role: "admin" });
+
+    const response = await graphql(
+      mutation,
+      { input: { name: "Webcam", about: "1080p", price: 39.999 } },
+      admin,
+    );
+
+    expect(codesOf(response)).toEqual(["BAD_USER_INPUT"]);
+    expect(response.errors[0].extensions.errors[0].path).toEqual(["price"]);
+  });
+
+  test("is reserved to admins", async () => {
+    const customer = await createUser();
+    const input = { name: "Webcam", about: "1080p", price: 39.99 };
+
+    expect(codesOf(await graphql(mutation, { input }))).toEqual([
+      "UNAUTHENTICATED",
+    ]);
+    expect(codesOf(await graphql(mutation, { input }, customer))).toEqual([
+      "FORBIDDEN",
+    ]);
+  });
+});
@@ -0,0 +1,3 @@
+import sql from "../../REST API/db";
+
+afterAll(() => sql.end());
@@ -0,0 +1,106 @@
+import type { AddressInfo } from "net";
+import type { Server } from "http";
+import { createOrder } from "../../REST API/orders";
+import { app } from "../src/server";
+import { listenForOrders } from "../src/events";
+import { resetDatabase, createUser, createProduct, auth } from "./helpers";
+import type { ProductRow, UserRow } from "../src/models";
+
+let server: Server;
+let unlisten: () => Promise<void>;
+let alice: UserRow;
+let bob: UserRow;
+let keyboard: ProductRow;
+
+beforeAll(async () => {
+  unlisten = await listenForOrders();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  await unlisten();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  alice = await createUser({ name: "alice" });
+  bob = await createUser({ name: "bob" });
+  keyboard = await createProduct({ name: "Clavier", price: 80 });
+});
+
+/**
+ * Subscribes to `orderCreated` as `user` over server-sent events. Resolves
+ * once the subscription is open, with a function that resolves with the
+ * next order announced to it.
+ */
+async function subscribe(user: UserRow) {
+  const controller = new AbortController();
+  const { port } = server.address() as AddressInfo;
+  const response = await fetch(`http://127.0.0.1:${port}/graphql`, {
+    method: "POST",
+    headers: {
+      ...auth(user),
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    },
+    body: JSON.stringify({
+      query: "subscription { orderCreated { total user { name } } }",
+    }),
+    signal: controller.signal,
+  });
+  const reader = (response.body as ReadableStream<Uint8Array>).getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  // Yoga opens the stream with a comment once subscribed.
+  await reader.read();
+
+  async function next() {
+    for (;;) {
+      const event = buffer.match(/event: next\ndata: (.*)\n\n/);
+      if (event) {
+        buffer = buffer.slice((event.index as number) + event[0].length);
+        return JSON.parse(event[1]);
+      }
+      const { value } = await reader.read();
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
+
+// Straight through the orders module, as the REST API's POST /orders does.
+function orderKeyboards(user: UserRow, quantity: number) {
+  return createOrder(user.id, {
+    items: [{ productId: keyboard.id, quantity }],
+    country: "FR",
+    couponCode: undefined,
+  });
+}
+
+test("announces the orders placed through the REST API", async () => {
+  const subscription = await subscribe(alice);
+
+  await orderKeyboards(bob, 2);
+  await orderKeyboards(alice, 1);
+
+  // Bob's order came first, but only admins hear of it.
+  expect(await subscription.next()).toEqual({
+    data: { orderCreated: { total: 96, user: { name: "alice" } } },
+  });
+  subscription.close();
+});
+
+test("announces every order to admins", async () => {
+  const admin = await createUser({ name: "admin", role: "admin" });
+  const subscription = await subscribe(admin);
+
+  await orderKeyboards(bob, 2);
+
+  expect(await subscription.next()).toEqual({
+    data: { orderCreated: { total: 192, user: { name: "bob" } } },
+  });
+  subscription.close();
+});
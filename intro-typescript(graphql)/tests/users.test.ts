@@ -0,0 +1,242 @@
+import sql from "../../REST API/db";
+import { logger } from "../../REST API/logger";
+import { mailer } from "../../REST API/mailer";
+import { store } from "../../REST API/rate-limit";
+import {
+  request,
+  resetDatabase,
+  createUser,
+  graphql,
+  codesOf,
+} from "./helpers";
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("me and user", () => {
+  test("give the signed-in user, never their password", async () => {
+    const alice = await createUser({ name: "alice" });
+
+    const response = await graphql(
+      `
+        query ($id: ID!) {
+          me {
+            name
+            role
+          }
+          user(id: $id) {
+            name
+          }
+        }
+      `,
+      { id: alice.id },
+      alice,
+    );
+
+    expect(response.data).toEqual({
+      me: { name: "alice", role: "customer" },
+      user: { name: "alice" },
+    });
+  });
+
+  test("lets customers see no one else", async () => {
+    const alice = await createUser();
+    const bob = await createUser();
+
+    const response = await graphql(
+      `
+        query ($id: ID!) {
+          user(id: $id) {
+            name
+          }
+        }
+      `,
+      { id: bob.id },
+      alice,
+    );
+
+    expect(codesOf(response)).toEqual(["FORBIDDEN"]);
+  });
+
+  test("is null for anonymous requests, which an invalid token is not", async () => {
+    const anonymous = await graphql("{ me { name } }");
+    const response = await request()
+      .post("/graphql")
+      .set("Authorization", "Bearer not-a-token")
+      .send({ query: "{ me { name } }" })
+      .expect(401);
+
+    expect(anonymous).toEqual({ data: { me: null } });
+    expect(codesOf(response.body)).toEqual(["UNAUTHENTICATED"]);
+  });
+});
+
+describe("users", () => {
+  test("lists the users for admins only", async () => {
+    const admin = await createUser({ name: "admin", role: "admin" });
+    const customer = await createUser({ name: "carol" });
+    const query = `
+      {
+        users(sort: "name") {
+          data {
+            name
+          }
+          total
+        }
+      }
+    `;
+
+    const response = await graphql(query, {}, admin);
+
+    expect(response.data.users).toEqual({
+      data: [{ name: "admin" }, { name: "carol" }],
+      total: 2,
+    });
+    expect(codesOf(await graphql(query, {}, customer))).toEqual(["FORBIDDEN"]);
+  });
+});
+
+describe("createUser", () => {
+  const mutation = `
+    mutation ($input: CreateUserInput!) {
+      createUser(input: $input) {
+        id
+        name
+        email
+        role
+      }
+    }
+  `;
+
+  test("signs a customer up with a hashed password", async () => {
+    const response = await graphql(mutation, {
+      input: { name: "dave", email: "dave@shop.local", password: "secret" },
+    });
+
+    expect(response.data.createUser).toMatchObject({
+      name: "dave",
+      email: "dave@shop.local",
+      role: "customer",
+    });
+    const [{ password }] =
+      await sql`SELECT password FROM users WHERE email = 'dave@shop.local'`;
+    expect(password).toMatch(/^\$2b\$10\$/);
+  });
+
+  test("rejects a taken email", async () => {
+    await createUser({ email: "dave@shop.local" });
+
+    const response = await graphql(mutation, {
+      input: { name: "dave", email: "dave@shop.local", password: "secret" },
+    });
+
+    expect(codesOf(response)).toEqual(["CONFLICT"]);
+  });
+
+  test("shares the REST API's signup limit", async () => {
+    for (let index = 0; index < 5; index++) {
+      const response = await graphql(mutation, {
+        input: {
+          name: `carol${index}`,
+          email: `carol${index}@shop.local`,
+          password: "secret",
+        },
+      });
+      expect(response.errors).toBeUndefined();
+    }
+
+    const response = await graphql(mutation, {
+      input: { name: "eve", email: "eve@shop.local", password: "secret" },
+    });
+
+    expect(codesOf(response)).toEqual(["TOO_MANY_REQUESTS"]);
+    expect(response.errors[0].extensions.retryAfter).toBeGreaterThan(0);
+  });
+
+  test("signs up when the limit cannot be checked, and logs it", async () => {
+    const failure = new Error("store down");
+    jest.spyOn(store, "take").mockRejectedValue(failure);
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+
+    const response = await graphql(mutation, {
+      input: { name: "dave", email: "dave@shop.local", password: "secret" },
+    });
+
+    expect(response.errors).toBeUndefined();
+    expect(error).toHaveBeenCalledWith("Rate limit store unavailable", {
+      key: expect.stringMatching(/^signup:/),
+      error: failure,
+    });
+  });
+});
+
+describe("updateUser", () => {
+  const mutation = `
+    mutation ($id: ID!, $input: UpdateUserInput!) {
+      updateUser(id: $id, input: $input) {
+        name
+        email
+      }
+    }
+  `;
+
+  test("updates the given fields only", async () => {
+    const alice = await createUser({
+      name: "alice",
+      email: "alice@shop.local",
+    });
+
+    const response = await graphql(
+      mutation,
+      { id: alice.id, input: { name: "alicia" } },
+      alice,
+    );
+
+    expect(response.data.updateUser).toEqual({
+      name: "alicia",
+      email: "alice@shop.local",
+    });
+  });
+
+  test("mails a link only to an address that changed", async () => {
+    const send = jest.spyOn(mailer, "send");
+    const alice = await createUser({
+      email: "alice@shop.local",
+      emailVerifiedAt: null,
+    });
+
+    await graphql(
+      mutation,
+      { id: alice.id, input: { email: "alice@shop.local" } },
+      alice,
+    );
+    expect(send).not.toHaveBeenCalled();
+
+    await graphql(
+      mutation,
+      { id: alice.id, input: { email: "alicia@shop.local" } },
+      alice,
+    );
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "alicia@shop.local" }),
+    );
+  });
+
+  test("rejects an empty update and someone else's account", async () => {
+    const alice = await createUser();
+    const bob = await createUser();
+
+    const empty = await graphql(mutation, { id: alice.id, input: {} }, alice);
+    const other = await graphql(
+      mutation,
+      { id: bob.id, input: { name: "bobby" } },
+      alice,
+    );
+
+    expect(codesOf(empty)).toEqual(["BAD_USER_INPUT"]);
+    expect(codesOf(other)).toEqual(["FORBIDDEN"]);
+  });
+});